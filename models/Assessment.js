@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Fields of the browser's saved state (AppController.saveState) kept with an assessment
+const PAYLOAD_KEYS = [
+  'selectedCountries',
+  'weights',
+  'weightKeys',
+  'hrddStrategy',
+  'countryToolCoverage',
+  'countryCoverageMode',
+  'riskBands',
+  'transparencyEffectiveness',
+  'responsivenessStrategy',
+  'responsivenessEffectiveness',
+  'focus',
+  'riskConcentration',
+  'countryVolumes',
+  'countrySectors',
+  'suppliers',
+  'volumeBasis',
+  'imputationStrategy',
+  'uncertaintySettings',
+  'sensitivityPerturbation',
+  'datasetVersion',
+  'comparisonDataset',
+  'supplierCount',
+  'hourlyRate',
+  'toolAnnualProgrammeCosts',
+  'toolPerSupplierCosts',
+  'toolInternalHours',
+  'toolRemedyInternalHours',
+  'saqConstraintEnabled',
+  'socialAuditConstraintEnabled',
+  'socialAuditCostReduction',
+  'goalSeekTarget',
+  'optimizationSeed',
+  'optimizationRuns'
+];
+
+const assessmentSchema = new mongoose.Schema({
+  organisation: { type: String, required: true, trim: true, index: true },
+  name: { type: String, required: true, trim: true },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} }
+}, { timestamps: true, minimize: false });
+
+// Keep only the known saved-state fields; anything else in the request body is dropped
+assessmentSchema.statics.sanitizePayload = function sanitizePayload(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return {};
+  }
+
+  return PAYLOAD_KEYS.reduce((acc, key) => {
+    if (payload[key] !== undefined) {
+      acc[key] = payload[key];
+    }
+    return acc;
+  }, {});
+};
+
+assessmentSchema.methods.toSummary = function toSummary() {
+  return {
+    id: this._id.toString(),
+    organisation: this.organisation,
+    name: this.name,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+assessmentSchema.methods.toDetail = function toDetail() {
+  return {
+    ...this.toSummary(),
+    payload: this.payload || {}
+  };
+};
+
+module.exports = mongoose.models.Assessment || mongoose.model('Assessment', assessmentSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// One document per country per dataset version (e.g. "2024", "2025") so older
+// index snapshots stay queryable alongside the current one. Indicator scores are
+// stored as top-level numeric fields named after each indicator key, or null when the
+// source has no score for that country (0 is a real score). The set of indicators for a
+// version is recorded on its Dataset document, so the schema is not strict about them.
+//
+// Each publish of a version writes a new `revision` of its documents; the Dataset document
+// says which revision is live, so switching (publish or rollback) is a single update.
+// Documents imported before revisions existed have no `revision` and count as revision 0.
+const countrySchema = new mongoose.Schema({
+  datasetVersion: { type: String, required: true },
+  revision: { type: Number, default: 0 },
+  name: { type: String, required: true },
+  isoCode: { type: String, required: true }
+}, { strict: false });
+
+countrySchema.index({ datasetVersion: 1, revision: 1, isoCode: 1 }, { unique: true });
+
+// Query filter for one revision of a dataset version
+countrySchema.statics.revisionFilter = function revisionFilter(datasetVersion, revision = 0) {
+  return revision > 0
+    ? { datasetVersion, revision }
+    : { datasetVersion, revision: { $in: [0, null] } };
+};
+
+// Write a complete revision; a partial write is removed again so it can never go live
+countrySchema.statics.insertRevision = async function insertRevision(datasetVersion, revision, countries) {
+  try {
+    return await this.insertMany(countries.map(country => ({ ...country, datasetVersion, revision })));
+  } catch (error) {
+    await this.deleteMany({ datasetVersion, revision });
+    throw error;
+  }
+};
+
+// Drop every revision of a version except the ones listed
+countrySchema.statics.pruneRevisions = function pruneRevisions(datasetVersion, keepRevisions) {
+  const keep = keepRevisions.filter(revision => Number.isFinite(revision));
+  if (keep.includes(0)) {
+    keep.push(null);
+  }
+  return this.deleteMany({ datasetVersion, revision: { $nin: keep } });
+};
+
+module.exports = mongoose.models.Country || mongoose.model('Country', countrySchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// Append-only record of every change to Country data: one document per field per country
+// per import, rollback or edit. Entries are never updated or deleted.
+const countryAuditSchema = new mongoose.Schema({
+  datasetVersion: { type: String, required: true },
+  isoCode: { type: String, required: true },
+  field: { type: String, required: true },   // indicator key, 'name', or 'country' when added/removed
+  oldValue: { type: mongoose.Schema.Types.Mixed, default: null },
+  newValue: { type: mongoose.Schema.Types.Mixed, default: null },
+  action: { type: String, enum: ['import', 'rollback', 'edit'], required: true },
+  revision: { type: Number, default: null },   // live Country revision after the change
+  changedBy: { type: String, default: 'unknown' },
+  source: { type: String, default: null },     // file name or note supplied with the change
+  changedAt: { type: Date, default: Date.now }
+}, { minimize: false });
+
+countryAuditSchema.index({ isoCode: 1, datasetVersion: 1, changedAt: -1 });
+
+const APPEND_ONLY_ERROR = 'Country audit entries are append-only';
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'
+].forEach(operation => {
+  countryAuditSchema.pre(operation, function rejectChange(next) {
+    next(new Error(APPEND_ONLY_ERROR));
+  });
+});
+countryAuditSchema.pre('save', function rejectResave(next) {
+  next(this.isNew ? undefined : new Error(APPEND_ONLY_ERROR));
+});
+
+// Log the differences between two sets of country records (before/after a change).
+// Countries that appear or disappear get a single 'country' entry carrying their name.
+countryAuditSchema.statics.recordChanges = function recordChanges({
+  datasetVersion,
+  before = [],
+  after = [],
+  fields = [],
+  action,
+  revision = null,
+  changedBy,
+  source = null
+}) {
+  const previous = new Map(before.map(country => [country.isoCode, country]));
+  const next = new Map(after.map(country => [country.isoCode, country]));
+  const changedAt = new Date();
+  const base = { datasetVersion, action, revision, changedBy: changedBy || 'unknown', source, changedAt };
+  const entries = [];
+
+  next.forEach((country, isoCode) => {
+    const existing = previous.get(isoCode);
+    if (!existing) {
+      entries.push({ ...base, isoCode, field: 'country', oldValue: null, newValue: country.name });
+      return;
+    }
+    ['name', ...fields].forEach(field => {
+      const oldValue = existing[field] ?? null;
+      const newValue = country[field] ?? null;
+      if (oldValue !== newValue) {
+        entries.push({ ...base, isoCode, field, oldValue, newValue });
+      }
+    });
+  });
+
+  previous.forEach((country, isoCode) => {
+    if (!next.has(isoCode)) {
+      entries.push({ ...base, isoCode, field: 'country', oldValue: country.name, newValue: null });
+    }
+  });
+
+  return entries.length > 0 ? this.insertMany(entries) : Promise.resolve([]);
+};
+
+countryAuditSchema.methods.toEntry = function toEntry() {
+  return {
+    dataset: this.datasetVersion,
+    isoCode: this.isoCode,
+    field: this.field,
+    oldValue: this.oldValue,
+    newValue: this.newValue,
+    action: this.action,
+    revision: this.revision,
+    changedBy: this.changedBy,
+    source: this.source,
+    changedAt: this.changedAt
+  };
+};
+
+module.exports = mongoose.models.CountryAudit || mongoose.model('CountryAudit', countryAuditSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Where an indicator's scores come from and how they were put on the tool's 0–100 risk scale
+const provenanceSchema = new mongoose.Schema({
+  publisher: String,
+  edition: String,
+  url: String,
+  licence: String,
+  originalScale: String,
+  transformation: String
+}, { _id: false });
+
+// Indicator columns for a dataset version, in file order
+const indicatorSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  column: { type: String, required: true },
+  label: { type: String, required: true },
+  shortLabel: String,
+  description: String,
+  sourceLabel: String,
+  url: String,
+  sourceName: String,
+  sourceUrl: String,
+  defaultWeight: { type: Number, default: 20 },
+  custom: { type: Boolean, default: false },
+  provenance: { type: provenanceSchema, default: null }
+}, { _id: false });
+
+// A published set of Country documents for the version (see Country.revision)
+const revisionSchema = new mongoose.Schema({
+  revision: { type: Number, required: true },
+  indicators: { type: [indicatorSchema], default: [] },
+  countryCount: { type: Number, default: 0 },
+  source: String,
+  publishedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// `indicators` always mirrors the live revision. Only the live and previous revisions are
+// kept, so a publish can be rolled back once (and the rollback itself undone).
+const datasetSchema = new mongoose.Schema({
+  version: { type: String, required: true, unique: true },
+  indicators: { type: [indicatorSchema], default: [] },
+  activeRevision: { type: Number, default: 0 },
+  previousRevision: { type: Number, default: null },
+  revisions: { type: [revisionSchema], default: [] },
+  importedAt: { type: Date, default: Date.now }
+});
+
+datasetSchema.methods.toSummary = function toSummary() {
+  const describe = revision => {
+    const entry = this.revisions.find(item => item.revision === revision);
+    return {
+      revision,
+      countryCount: entry ? entry.countryCount : null,
+      indicators: (entry ? entry.indicators : revision === this.activeRevision ? this.indicators : [])
+        .map(indicator => indicator.key),
+      source: entry ? entry.source || null : null,
+      publishedAt: entry ? entry.publishedAt : null
+    };
+  };
+
+  return {
+    version: this.version,
+    active: describe(this.activeRevision),
+    previous: this.previousRevision === null ? null : describe(this.previousRevision),
+    importedAt: this.importedAt
+  };
+};
+
+module.exports = mongoose.models.Dataset || mongoose.model('Dataset', datasetSchema);
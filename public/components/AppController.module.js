@@ -4,11 +4,15 @@
 
 // CONFIGURATION: Set to true to enable Panel 6 (Cost Analysis), false to disable
 const ENABLE_PANEL_6 = true; // Change this to false to disable Panel 6
+const MAX_OPTIMIZATION_RUNS = 20; // Optimiser run records kept in saved state
 
 import { dataService } from './DataService.js';
 import { riskEngine } from './RiskEngine.js';
 import { UIComponents } from './UIComponents.js';
 import { pdfGenerator } from './PDFGenerator.js';
+import { supplierImport } from './SupplierImport.js';
+import { scenarioLibrary } from './ScenarioLibrary.js';
+import { computeService } from './ComputeService.js';
 
 const PANEL_DESCRIPTIONS = {
   1: 'Decide for yourself. Calculate a global picture of labour rights risks using publicly-available indices from reputable organisations. Use sliders (below the map) to change weightings. Then go to panel 2. NOTE: the app will remember your settings if you enable cookies and you can print your work on panel 5 and panel 6.',
@@ -37,9 +41,28 @@ export class AppController {
     this.state = {
       // Data
       countries: [],
+      regions: [],                   // Admin-1 regions ({ isoCode: 'IN-MH', parentIsoCode, location, overrides, ...scores })
+      datasetVersion: null,          // Index dataset version used for all calculations
+      defaultDataset: null,
+      availableDatasets: [],
+      comparisonDataset: null,       // Panel 1: version to compare datasetVersion against
+      comparisonCountries: [],
+      datasetDeltas: [],             // Panel 1: per-country score changes between versions
+      indicators: riskEngine.getIndicators(), // Indicator columns of the active dataset (one weight each)
       weights: Array.isArray(riskEngine?.defaultWeights)
         ? [...riskEngine.defaultWeights]
         : [20, 20, 20, 20, 20],
+      imputationStrategy: riskEngine.defaultImputationStrategy, // How missing index scores are handled
+      riskBands: riskEngine.getRiskBands(), // Organisation's band names, thresholds and colours (kept in sync with riskEngine)
+      riskBandsError: null,
+      riskBandsNotice: null,         // e.g. how many per-band coverage vectors the last change dropped
+      countryDataCompleteness: {},   // { ISO: { status, available, total, missing, weightCoverage } }
+
+      // Panel 1 change history for one country (from the server audit log)
+      historyCountry: null,
+      countryHistory: [],            // [{ dataset, field, oldValue, newValue, action, changedBy, source, changedAt }]
+      countryHistoryLoading: false,
+      countryHistoryError: null,
 
        // Panel 6 cost analysis state (only if enabled)
       ...(ENABLE_PANEL_6
@@ -59,15 +82,48 @@ export class AppController {
             socialAuditConstraintEnabled: true, // Default: keep current audit coverage capped at 100%
             socialAuditCostReduction: 50, // Percentage reduction applied when audit constraint enabled
             shouldAutoRunOptimization: false,
-            lastOptimizationResult: null
+            lastOptimizationResult: null,
+            goalSeekTarget: null,         // Target managed risk for the cheapest-mix search
+            goalSeekResult: null,         // riskEngine.goalSeekStrategy output plus the stateHash it was run for
+            costRiskFrontier: null,       // riskEngine.calculateCostRiskFrontier output plus the stateHash it was run for
+            countryAllocationResult: null, // riskEngine.optimizeCountryAllocation output plus the stateHash it was run for
+            optimizationSeed: null,       // Fixed PRNG seed for the next optimiser run; null picks a fresh one
+            optimizationRuns: [],         // riskEngine.createOptimizationRunRecord entries, newest first
+            optimizationReplay: null      // Outcome of the last replayOptimizationRun
           }
         : {}),
 
       // Selection + volumes
       selectedCountries: [],
       countryVolumes: {},            // { ISO: number }
-      countryRisks: {},              // { ISO: number }
+      countryRisks: {},              // { ISO: number } index score, sector-adjusted for selected countries
+      countryIndexRisks: {},         // { ISO: number } index score before sector overlays
       countryManagedRisks: {},       // { ISO: number }
+      countrySectors: {},            // { ISO: [sectorId] } empty = general
+      sectors: riskEngine.getSectors(),
+
+      // Supplier list import (Panel 2); when present it drives selection and volumes
+      suppliers: [],                 // [{ id, line, name, isoCode, country, spend, headcount, tier }]
+      volumeBasis: 'spend',          // 'spend' | 'headcount' | 'suppliers'
+      supplierImportReport: null,
+      supplierImportError: null,
+
+      // Named scenario library (Panel 5); scenario states live in localStorage, not here
+      scenarios: scenarioLibrary.list(),   // [{ id, name, createdAt, updatedAt }]
+      activeScenarioId: null,
+      comparedScenarioIds: [],
+      scenarioError: null,
+
+      // Server-side assessment this session saves to (null = browser-only)
+      assessment: null,              // { id, organisation, name, updatedAt }
+      assessmentOrganisation: '',
+      assessmentAccessKey: '',       // organisation's access key; kept in localStorage, never in saved state
+      assessments: [],               // summaries for assessmentOrganisation
+      assessmentStatus: null,        // { type: 'success' | 'error', message }
+
+      // Configuration file import awaiting confirmation (Panel 1 preview)
+      pendingConfigurationImport: null, // { fileName, version, exportedAt, partialState, changes, warnings }
+      configurationImportError: null,
 
       // Scalars
       baselineRisk: 0,
@@ -84,10 +140,18 @@ export class AppController {
       responsivenessEffectiveness: this.normalizeResponsivenessEffectiveness(
         riskEngine.defaultResponsivenessEffectiveness || [80, 35, 10, 10, 2, 2]
       ),
+      // Explicit coverage vectors by ISO code or "band:<risk band>"; countries without one follow hrddStrategy
+      countryToolCoverage: {},
+      countryCoverageMode: 'band',  // Panel 3 matrix editor and Panel 6 per-country mix: 'band' or 'country'
 
       // Focus analytics (optional, shown when available)
       focusEffectivenessMetrics: null,
 
+      // Panel 5 Monte Carlo: ranges around the Panel 3/4 inputs and the last run's percentiles
+      uncertaintySettings: riskEngine.getDefaultUncertaintySettings(),
+      uncertaintyResult: null,       // { baseline, managed, riskReduction: { p10, p50, p90 }, countries, stateHash, ... }
+      sensitivityPerturbation: 10,   // Panel 5 tornado: ± % applied to each input in turn
+
       // UI
       currentPanel: 1,      // 1..5
       loading: true,
@@ -107,9 +171,18 @@ export class AppController {
     this.responsivenessEffectivenessTimeout = null;
     this.focusTimeout = null;
 
+    // Running compute worker jobs by kind: { id, label, progress, step, cancel }
+    this.computeJobs = new Map();
+
+    this.state.assessmentAccessKey = this.getStoredAssessmentKey();
+    dataService.setAssessmentKey(this.state.assessmentAccessKey);
+
     this.headerResizeObserver = null;
     this._headerResizeHandler = null;
 
+    // Indicator keys the restored weights were saved against (aligned once indicators load)
+    this.restoredWeightKeys = null;
+
     // Retry policy for init
     this.retryCount = 0;
     this.maxRetries = 3;
@@ -122,17 +195,51 @@ export class AppController {
     this.setCurrentPanel = this.setCurrentPanel.bind(this);
 
     this.onWeightsChange = this.onWeightsChange.bind(this);
+    this.onImputationStrategyChange = this.onImputationStrategyChange.bind(this);
+    this.onRiskBandsChange = this.onRiskBandsChange.bind(this);
+    this.onRiskBandsReset = this.onRiskBandsReset.bind(this);
+    this.onHistoryCountryChange = this.onHistoryCountryChange.bind(this);
     this.onCountrySelect = this.onCountrySelect.bind(this);
     this.onVolumeChange = this.onVolumeChange.bind(this);
+    this.onCountrySectorsChange = this.onCountrySectorsChange.bind(this);
+    this.onSupplierImport = this.onSupplierImport.bind(this);
+    this.onVolumeBasisChange = this.onVolumeBasisChange.bind(this);
+    this.onClearSuppliers = this.onClearSuppliers.bind(this);
+    this.onScenarioSave = this.onScenarioSave.bind(this);
+    this.onScenarioUpdate = this.onScenarioUpdate.bind(this);
+    this.onScenarioLoad = this.onScenarioLoad.bind(this);
+    this.onScenarioClone = this.onScenarioClone.bind(this);
+    this.onScenarioRename = this.onScenarioRename.bind(this);
+    this.onScenarioDelete = this.onScenarioDelete.bind(this);
+    this.onScenarioCompareToggle = this.onScenarioCompareToggle.bind(this);
+    this.onUncertaintySettingsChange = this.onUncertaintySettingsChange.bind(this);
+    this.onUncertaintyRangeChange = this.onUncertaintyRangeChange.bind(this);
+    this.onUncertaintyRun = this.onUncertaintyRun.bind(this);
+    this.onSensitivityPerturbationChange = this.onSensitivityPerturbationChange.bind(this);
+    this.onAssessmentOrganisationChange = this.onAssessmentOrganisationChange.bind(this);
+    this.onAssessmentKeyChange = this.onAssessmentKeyChange.bind(this);
+    this.onAssessmentSave = this.onAssessmentSave.bind(this);
+    this.onAssessmentLoad = this.onAssessmentLoad.bind(this);
+    this.onAssessmentDelete = this.onAssessmentDelete.bind(this);
+    this.onAssessmentUnlink = this.onAssessmentUnlink.bind(this);
+    this.onConfigurationFileSelected = this.onConfigurationFileSelected.bind(this);
+    this.applyConfigurationImport = this.applyConfigurationImport.bind(this);
+    this.cancelConfigurationImport = this.cancelConfigurationImport.bind(this);
     this.onHRDDStrategyChange = this.onHRDDStrategyChange.bind(this);
     this.onTransparencyChange = this.onTransparencyChange.bind(this);
     this.onResponsivenessChange = this.onResponsivenessChange.bind(this);
     this.onResponsivenessEffectivenessChange = this.onResponsivenessEffectivenessChange.bind(this);
     this.onFocusChange = this.onFocusChange.bind(this);
+    this.onCountryToolCoverageChange = this.onCountryToolCoverageChange.bind(this);
+    this.onCountryToolCoverageClear = this.onCountryToolCoverageClear.bind(this);
+    this.onCountryCoverageModeChange = this.onCountryCoverageModeChange.bind(this);
+    this.onDatasetChange = this.onDatasetChange.bind(this);
+    this.onComparisonDatasetChange = this.onComparisonDatasetChange.bind(this);
 
     this.calculateAllRisks = this.calculateAllRisks.bind(this);
     this.calculateBaselineRisk = this.calculateBaselineRisk.bind(this);
     this.calculateManagedRisk = this.calculateManagedRisk.bind(this);
+    this.cancelComputeJobs = this.cancelComputeJobs.bind(this);
 
     this.generatePDFReport = this.generatePDFReport.bind(this);
     this.exportConfiguration = this.exportConfiguration.bind(this);
@@ -160,6 +267,14 @@ export class AppController {
       this.onSAQConstraintChange = this.onSAQConstraintChange.bind(this);
       this.onSocialAuditConstraintChange = this.onSocialAuditConstraintChange.bind(this);
       this.onSocialAuditCostReductionChange = this.onSocialAuditCostReductionChange.bind(this);
+      this.onGoalSeekRun = this.onGoalSeekRun.bind(this);
+      this.onGoalSeekApply = this.onGoalSeekApply.bind(this);
+      this.onCostRiskFrontierRun = this.onCostRiskFrontierRun.bind(this);
+      this.onCountryAllocationRun = this.onCountryAllocationRun.bind(this);
+      this.onCountryAllocationApply = this.onCountryAllocationApply.bind(this);
+      this.onOptimizationSeedChange = this.onOptimizationSeedChange.bind(this);
+      this.onOptimizationRunReplay = this.onOptimizationRunReplay.bind(this);
+      this.onOptimizationRunExport = this.onOptimizationRunExport.bind(this);
     }
 
     this.optimizeBudgetAllocation = this.optimizeBudgetAllocation.bind(this);
@@ -247,6 +362,74 @@ export class AppController {
     }
   }
 
+  /* ------------------------ Background compute ---------------------- */
+
+  // Run a heavy riskEngine method in the compute worker while the header shows its progress.
+  // A new job of the same kind cancels the previous one. Rejects with `error.cancelled` set
+  // when the job is cancelled, so callers can leave their state untouched.
+  async runComputeJob(kind, label, method, args) {
+    this.cancelComputeJob(kind);
+    const handle = computeService.run(method, args, {
+      onProgress: (progress, step) => {
+        const job = this.computeJobs.get(kind);
+        if (!job || job.id !== handle.id) return;
+        job.progress = progress;
+        job.step = step || '';
+        this.updateComputeProgress();
+      }
+    });
+    this.computeJobs.set(kind, { id: handle.id, label, progress: 0, step: '', cancel: handle.cancel });
+    this.updateComputeProgress();
+
+    try {
+      return await handle.promise;
+    } finally {
+      if (this.computeJobs.get(kind)?.id === handle.id) {
+        this.computeJobs.delete(kind);
+        this.updateComputeProgress();
+      }
+    }
+  }
+
+  cancelComputeJob(kind) {
+    const job = this.computeJobs.get(kind);
+    if (!job) return;
+    this.computeJobs.delete(kind);
+    job.cancel();
+    this.updateComputeProgress();
+  }
+
+  cancelComputeJobs() {
+    [...this.computeJobs.keys()].forEach(kind => this.cancelComputeJob(kind));
+  }
+
+  // The most recently started job is the one shown in the header
+  getActiveComputeJob() {
+    const jobs = [...this.computeJobs.values()];
+    return jobs.length > 0 ? jobs[jobs.length - 1] : null;
+  }
+
+  formatComputeProgress(job) {
+    const percent = Math.round(Math.max(0, Math.min(1, Number(job.progress) || 0)) * 100);
+    return `${job.label}${job.step ? ` – ${job.step}` : ''}… ${percent}%`;
+  }
+
+  // Patched in place on every progress message rather than re-rendering the panel
+  updateComputeProgress() {
+    if (!this.containerElement) return;
+    const group = this.containerElement.querySelector('#hrddComputeProgress');
+    if (!group) return;
+
+    const job = this.getActiveComputeJob();
+    group.style.display = job ? 'inline-flex' : 'none';
+    if (!job) return;
+
+    const labelEl = this.containerElement.querySelector('#hrddComputeLabel');
+    const barEl = this.containerElement.querySelector('#hrddComputeBar');
+    if (labelEl) labelEl.textContent = this.formatComputeProgress(job);
+    if (barEl) barEl.style.width = `${Math.round(Math.max(0, Math.min(1, Number(job.progress) || 0)) * 100)}%`;
+  }
+
   /* ----------------------------- Init ------------------------------- */
 
   async initialize(containerId) {
@@ -273,13 +456,17 @@ export class AppController {
       this.state.error = null;
       this.render();
 
+      // Restore any prior state (if present), including the chosen dataset version
+      const stateRestored = await this.loadSavedState();
+
       // Load countries from API / cache
-      const countries = await dataService.getCountries();
+      await this.loadDatasetVersions();
+      await this.loadIndicators(this.state.datasetVersion);
+      await this.loadSectors();
+      const countries = await dataService.getCountries(this.state.datasetVersion);
       this.state.apiHealthy = true;
       this.state.countries = Array.isArray(countries) ? countries : [];
-
-      // Restore any prior state (if present)
-       const stateRestored = this.loadSavedState();
+      this.state.regions = await dataService.getRegions(this.state.datasetVersion);
 
         // Compute initial risks
         this.calculateAllRisks();
@@ -288,6 +475,13 @@ export class AppController {
         this.calculateBaselineRisk();
         this.calculateManagedRisk();
 
+      if (this.state.comparisonDataset) {
+        await this.loadComparisonDataset(this.state.comparisonDataset);
+      }
+      if (this.state.assessmentOrganisation) {
+        await this.refreshAssessments();
+      }
+
       this.state.loading = false;
       this.state.lastUpdate = new Date().toISOString();
       this.render();
@@ -312,29 +506,84 @@ export class AppController {
     return country && country.isoCode && typeof country === 'object';
   }
 
+  // Everything that can be added to the portfolio: countries plus their admin-1 regions.
+  // Region codes sit alongside ISO codes in selectedCountries, volumes and risks.
+  getPortfolioCountries() {
+    return [...this.state.countries, ...(Array.isArray(this.state.regions) ? this.state.regions : [])];
+  }
+
   calculateAllRisks() {
     try {
-      const newCountryRisks = {};
-      let calculated = 0;
-
-      this.state.countries.forEach(country => {
-        if (this.validateCountryData(country)) {
-          newCountryRisks[country.isoCode] = riskEngine.calculateWeightedRisk(country, this.state.weights);
-          calculated += 1;
-        }
-      });
-
-      this.state.countryRisks = newCountryRisks;
-      // console.log(`Calculated risks for ${calculated} countries`);
+      // A synchronous recalculation supersedes any still running in the worker
+      this.cancelComputeJob('portfolio');
+      const { countryIndexRisks, countryDataCompleteness } = riskEngine.calculatePortfolioIndexRisks(
+        ...this.getPortfolioRiskArgs()
+      );
+
+      this.state.countryIndexRisks = countryIndexRisks;
+      this.state.countryDataCompleteness = countryDataCompleteness;
+      this.applySectorOverlay();
     } catch (e) {
       console.error('calculateAllRisks error:', e);
       this.state.error = 'Failed to calculate country risks';
     }
   }
 
+  getPortfolioRiskArgs() {
+    return [
+      this.getPortfolioCountries().filter(country => this.validateCountryData(country)),
+      this.state.weights,
+      this.state.imputationStrategy,
+      this.state.countries
+    ];
+  }
+
+  // Worker counterpart of calculateAllRisks for weight and imputation edits, which recalculate
+  // every country and region; the downstream portfolio steps then run as before
+  async recalculatePortfolioRisks(errorMessage) {
+    let risks;
+    try {
+      risks = await this.runComputeJob('portfolio', 'Recalculating risks', 'calculatePortfolioIndexRisks', this.getPortfolioRiskArgs());
+    } catch (error) {
+      if (error.cancelled) return;
+      console.error('calculateAllRisks error:', error);
+      this.state.error = 'Failed to calculate country risks';
+      this.updateUI();
+      return;
+    }
+
+    this.safeCalculation(() => {
+      this.state.countryIndexRisks = risks.countryIndexRisks;
+      this.state.countryDataCompleteness = risks.countryDataCompleteness;
+      this.applySectorOverlay();
+      this.calculateBaselineRisk();
+      this.calculateManagedRisk();
+      this.calculateDatasetDeltas();
+    }, errorMessage);
+    this.state.lastUpdate = new Date().toISOString();
+    this.updateUI();
+  }
+
+  // Selected countries take the volume-weighted risk of their country-sector pairs so the
+  // managed-risk steps and maps downstream see the sector-adjusted baseline
+  applySectorOverlay() {
+    const { selectedCountries, countryVolumes, countryIndexRisks, countrySectors } = this.state;
+    this.state.countryRisks = {
+      ...countryIndexRisks,
+      ...riskEngine.calculateSectorAdjustedRisks(selectedCountries, countryVolumes, countryIndexRisks, countrySectors)
+    };
+  }
+
   calculateBaselineRisk() {
-    const { selectedCountries, countries, countryRisks, countryVolumes } = this.state;
-    const summary = riskEngine.generateBaselineSummary(selectedCountries, countries, countryRisks, countryVolumes);
+    this.applySectorOverlay();
+    const { selectedCountries, countries, countryIndexRisks, countryVolumes, countrySectors } = this.state;
+    const summary = riskEngine.generateBaselineSummary(
+      selectedCountries,
+      countries,
+      countryIndexRisks,
+      countryVolumes,
+      countrySectors
+    );
     this.state.baselineRisk = Number.isFinite(summary?.baselineRisk) ? summary.baselineRisk : 0;
   }
 
@@ -349,7 +598,8 @@ export class AppController {
       focus,
       riskConcentration,
       countryVolumes,
-      countryRisks
+      countryRisks,
+      countryToolCoverage
     } = this.state;
 
     const summary = riskEngine.generateRiskSummary(
@@ -363,7 +613,8 @@ export class AppController {
       this.clamp01(focus),
       riskConcentration,
       countryVolumes,
-      countryRisks
+      countryRisks,
+      countryToolCoverage
     ) || {};
 
     const managed = Number.isFinite(summary?.managed?.score) ? summary.managed.score : 0;
@@ -372,6 +623,161 @@ export class AppController {
     this.state.countryManagedRisks = summary?.countryManagedRisks || {};
   }
 
+  calculateDatasetDeltas() {
+    this.state.datasetDeltas = this.state.comparisonDataset
+      ? riskEngine.calculateDatasetDeltas(
+        this.state.countries,
+        this.state.comparisonCountries,
+        this.state.weights,
+        this.state.imputationStrategy
+      )
+      : [];
+  }
+
+  /* ----------------------------- Datasets --------------------------- */
+
+  async loadDatasetVersions() {
+    try {
+      const { defaultVersion, versions } = await dataService.getDatasets();
+      this.state.availableDatasets = versions;
+      this.state.defaultDataset = defaultVersion;
+
+      if (!versions.includes(this.state.datasetVersion)) {
+        this.state.datasetVersion = defaultVersion;
+      }
+      if (!versions.includes(this.state.comparisonDataset) || this.state.comparisonDataset === this.state.datasetVersion) {
+        this.state.comparisonDataset = null;
+      }
+    } catch (error) {
+      // APIs without dataset versions still serve their single snapshot from /countries
+      console.warn('Dataset versions unavailable, using the default dataset:', error);
+      this.state.availableDatasets = [];
+      this.state.defaultDataset = null;
+      this.state.datasetVersion = null;
+      this.state.comparisonDataset = null;
+    }
+  }
+
+  // Line weights up with the active indicators. When the keys the weights were set against
+  // are known, values follow their indicator; new indicators start at their default weight.
+  alignWeightsToIndicators(weights, weightKeys = null) {
+    const source = Array.isArray(weights) ? weights : [];
+    return riskEngine.indexFields.map((key, index) => {
+      const sourceIndex = Array.isArray(weightKeys) ? weightKeys.indexOf(key) : index;
+      const value = sourceIndex >= 0 ? parseFloat(source[sourceIndex]) : NaN;
+      return Number.isFinite(value) && value >= 0 ? value : riskEngine.defaultWeights[index];
+    });
+  }
+
+  async loadIndicators(version) {
+    const weightKeys = this.restoredWeightKeys || [...riskEngine.indexFields];
+    this.restoredWeightKeys = null;
+
+    try {
+      riskEngine.setIndicators(await dataService.getIndicators(version));
+    } catch (error) {
+      // APIs without /indicators serve the built-in five columns
+      console.warn('Indicator metadata unavailable, using built-in indicators:', error);
+      riskEngine.setIndicators(riskEngine.builtInIndicators);
+    }
+
+    this.state.indicators = riskEngine.getIndicators();
+    this.state.weights = this.alignWeightsToIndicators(this.state.weights, weightKeys);
+  }
+
+  async loadSectors() {
+    try {
+      riskEngine.setSectorModifiers(await dataService.getSectorModifiers());
+    } catch (error) {
+      // Without the sector table every country-sector pair is treated as 'general'
+      console.warn('Sector modifiers unavailable, using general sector only:', error);
+      riskEngine.setSectorModifiers(null);
+    }
+
+    this.state.sectors = riskEngine.getSectors();
+  }
+
+  normalizeCountrySectors(countrySectors) {
+    const normalized = {};
+    if (!countrySectors || typeof countrySectors !== 'object') {
+      return normalized;
+    }
+
+    Object.entries(countrySectors).forEach(([key, sectorIds]) => {
+      if (typeof key !== 'string' || !Array.isArray(sectorIds)) return;
+      const valid = [...new Set(sectorIds.filter(sectorId => typeof sectorId === 'string' && sectorId))];
+      if (valid.length > 0) {
+        normalized[key.trim().toUpperCase()] = valid;
+      }
+    });
+
+    return normalized;
+  }
+
+  async loadComparisonDataset(version) {
+    this.state.comparisonDataset = version;
+    this.state.comparisonCountries = [];
+    this.state.datasetDeltas = [];
+
+    try {
+      const countries = await dataService.getCountries(version);
+      // Ignore the response if the user picked another version while it loaded
+      if (this.state.comparisonDataset !== version) return;
+      this.state.comparisonCountries = Array.isArray(countries) ? countries : [];
+      this.calculateDatasetDeltas();
+    } catch (error) {
+      console.error(`Failed to load comparison dataset ${version}:`, error);
+      if (this.state.comparisonDataset === version) {
+        this.state.comparisonDataset = null;
+      }
+    }
+  }
+
+  async onDatasetChange(version) {
+    if (!version || version === this.state.datasetVersion) return;
+
+    try {
+      const countries = await dataService.getCountries(version);
+      await this.loadIndicators(version);
+      this.state.datasetVersion = version;
+      this.state.countries = Array.isArray(countries) ? countries : [];
+      this.state.regions = await dataService.getRegions(version);
+      this.state.isDirty = true;
+
+      if (this.state.comparisonDataset === version) {
+        this.state.comparisonDataset = null;
+        this.state.comparisonCountries = [];
+      }
+
+      this.safeCalculation(() => {
+        this.calculateAllRisks();
+        this.calculateBaselineRisk();
+        this.calculateManagedRisk();
+        this.calculateDatasetDeltas();
+      }, 'Risk calculation after dataset change failed');
+      this.state.lastUpdate = new Date().toISOString();
+      this.updateUI();
+    } catch (error) {
+      console.error(`Failed to load dataset ${version}:`, error);
+      this.state.error = `Failed to load dataset ${version}: ${error.message}`;
+      this.render();
+    }
+  }
+
+  async onComparisonDatasetChange(version) {
+    this.state.isDirty = true;
+
+    if (!version || version === this.state.datasetVersion) {
+      this.state.comparisonDataset = null;
+      this.state.comparisonCountries = [];
+      this.state.datasetDeltas = [];
+    } else {
+      await this.loadComparisonDataset(version);
+    }
+
+    this.updateUI();
+  }
+
   /* ----------------------------- Handlers --------------------------- */
 
   onWeightsChange(newWeights) {
@@ -381,14 +787,91 @@ export class AppController {
     this.state.isDirty = true;
 
     this.weightsTimeout = setTimeout(() => {
-  this.safeCalculation(() => {
-    this.calculateAllRisks();
-    this.calculateBaselineRisk();
-    this.calculateManagedRisk();
-  }, 'Risk calculation after weight change failed');
-  this.state.lastUpdate = new Date().toISOString();
-  this.updateUI();
-}, 300);
+      this.recalculatePortfolioRisks('Risk calculation after weight change failed');
+    }, 300);
+  }
+
+  onImputationStrategyChange(strategy) {
+    const next = riskEngine.sanitizeImputationStrategy(strategy);
+    if (next === this.state.imputationStrategy) return;
+    this.state.imputationStrategy = next;
+    this.state.isDirty = true;
+    this.recalculatePortfolioRisks('Risk calculation after imputation change failed');
+  }
+
+  // Bands are applied to the shared riskEngine so maps, legends and panels pick them up;
+  // the compute worker receives them with its next job
+  applyRiskBands(bands) {
+    this.state.riskBands = riskEngine.setRiskBands(bands);
+  }
+
+  // Rows from the band editor carry `from`, the applied band each started as, so a renamed band
+  // keeps its per-band coverage. Without them (reset, imports) bands are matched by name.
+  onRiskBandsChange(bands) {
+    const sanitized = riskEngine.sanitizeRiskBands(bands);
+    if (!sanitized) {
+      this.state.riskBandsError = `Use 2–${riskEngine.maxRiskBands} bands with different names, the first starting at 0 and each later band starting higher than the one before.`;
+      this.updateUI();
+      return false;
+    }
+
+    const editorRows = Array.isArray(bands) && bands.some(row => typeof row?.from === 'string')
+      ? bands.filter(row => typeof row?.from === 'string')
+      : null;
+    const renamedKeys = new Map((editorRows || []).map(row => [`band:${row.from}`, `band:${String(row.name).trim().slice(0, 40)}`]));
+
+    this.applyRiskBands(sanitized);
+    this.state.riskBandsError = null;
+    // Per-band coverage vectors for bands that no longer exist would never match a country
+    const bandKeys = new Set(Object.keys(this.state.riskBands).map(name => `band:${name}`));
+    const coverage = {};
+    let discarded = 0;
+    Object.entries(this.state.countryToolCoverage || {}).forEach(([key, vector]) => {
+      const nextKey = key.startsWith('band:') && editorRows ? renamedKeys.get(key) : key;
+      if (!key.startsWith('band:') || bandKeys.has(nextKey)) {
+        coverage[nextKey] = vector;
+      } else {
+        discarded += 1;
+      }
+    });
+    this.state.countryToolCoverage = coverage;
+    this.state.riskBandsNotice = discarded > 0
+      ? `${discarded} per-band tool coverage setting${discarded === 1 ? ' was' : 's were'} discarded because ${discarded === 1 ? 'its band was' : 'their bands were'} removed.`
+      : null;
+    this.state.isDirty = true;
+    if (ENABLE_PANEL_6) this.state.lastOptimizationResult = null;
+    this.safeCalculation(() => {
+      this.calculateManagedRisk();
+    }, 'Risk calculation after risk band change failed');
+    this.state.lastUpdate = new Date().toISOString();
+    this.updateUI();
+    return true;
+  }
+
+  onRiskBandsReset() {
+    return this.onRiskBandsChange(riskEngine.getDefaultRiskBands());
+  }
+
+  async onHistoryCountryChange(isoCode) {
+    const code = typeof isoCode === 'string' ? isoCode.trim().toUpperCase() : '';
+    this.state.historyCountry = code || null;
+    this.state.countryHistory = [];
+    this.state.countryHistoryError = null;
+    this.state.countryHistoryLoading = Boolean(code);
+    this.updateUI();
+    if (!code) return;
+
+    try {
+      const entries = await dataService.getCountryHistory(code);
+      if (this.state.historyCountry !== code) return; // another country was picked meanwhile
+      this.state.countryHistory = entries;
+    } catch (error) {
+      if (this.state.historyCountry !== code) return;
+      console.warn(`Could not load history for ${code}:`, error);
+      this.state.countryHistoryError = error.message;
+    }
+    this.state.countryHistoryLoading = false;
+    this.updateUI();
   }
 
 onCountrySelect(nextSelected) {
@@ -427,14 +910,17 @@ onCountrySelect(nextSelected) {
   if (deselected.length > 0) {
     const cleanedVolumes = { ...this.state.countryVolumes };
     const cleanedManagedRisks = { ...this.state.countryManagedRisks };
+    const cleanedSectors = { ...this.state.countrySectors };
     
     deselected.forEach(code => {
       delete cleanedVolumes[code];
       delete cleanedManagedRisks[code];
+      delete cleanedSectors[code];
     });
     
     this.state.countryVolumes = cleanedVolumes;
     this.state.countryManagedRisks = cleanedManagedRisks;
+    this.state.countrySectors = cleanedSectors;
   }
 
   // Update selection
@@ -477,207 +963,885 @@ this.volumeTimeout = setTimeout(() => {
 }, 300);
 }
 
-    onHRDDStrategyChange(next) {
-  if (!Array.isArray(next)) return;
-  clearTimeout(this.strategyTimeout);
-
-  let updatedStrategy = [...next];
-  
-  // Enforce SAQ constraint if enabled
-  if (ENABLE_PANEL_6 && this.state.saqConstraintEnabled) {
-    const saqSum = updatedStrategy[4] + updatedStrategy[5];
-    if (Math.abs(saqSum - 100) > 0.1) {
-      // Proportionally adjust to maintain 100% total
-      if (saqSum > 0) {
-        const ratio = 100 / saqSum;
-        updatedStrategy[4] = updatedStrategy[4] * ratio;
-        updatedStrategy[5] = updatedStrategy[5] * ratio;
-      } else {
-        // Default split if both are zero
-        updatedStrategy[4] = 50;
-        updatedStrategy[5] = 50;
-      }
+  onCountrySectorsChange(isoCode, sectorIds) {
+    const normalized = typeof isoCode === 'string' ? isoCode.trim().toUpperCase() : isoCode;
+    if (!this.state.selectedCountries.includes(normalized)) {
+      console.warn(`Attempted to set sectors for unselected country: ${normalized}`);
+      return;
     }
-  }
-  
-  this.state.hrddStrategy = updatedStrategy;
-  this.state.isDirty = true;
 
-  this.strategyTimeout = setTimeout(() => {
-    this.calculateManagedRisk();
-    this.state.lastUpdate = new Date().toISOString();
-    this.updateUI();
-  }, 300);
-}
+    const nextSectors = { ...this.state.countrySectors };
+    const valid = Array.isArray(sectorIds) ? [...new Set(sectorIds.filter(Boolean))] : [];
+    if (valid.length > 0) {
+      nextSectors[normalized] = valid;
+    } else {
+      delete nextSectors[normalized];
+    }
 
-  onTransparencyChange(next) {
-    if (!Array.isArray(next)) return;
-    clearTimeout(this.transparencyTimeout);
-    this.state.transparencyEffectiveness = this.normalizeTransparencyEffectiveness(next);
+    this.state.countrySectors = nextSectors;
     this.state.isDirty = true;
 
-    this.transparencyTimeout = setTimeout(() => {
+    this.safeCalculation(() => {
+      this.calculateBaselineRisk();
       this.calculateManagedRisk();
-      this.state.lastUpdate = new Date().toISOString();
-      this.updateUI();
-    }, 300);
+    }, 'Risk calculation after sector change failed');
+    this.state.lastUpdate = new Date().toISOString();
+    this.updateUI();
   }
 
-  onResponsivenessChange(next) {
-    if (!Array.isArray(next)) return;
-    clearTimeout(this.responsivenessTimeout);
-
-    const updatedResponsiveness = [...next];
-    this.state.responsivenessStrategy = updatedResponsiveness;
+  async onSupplierImport(file) {
+    try {
+      const { suppliers, report, fileName } = await supplierImport.importFile(file, this.getPortfolioCountries());
+      this.state.supplierImportReport = { ...report, fileName };
+      this.state.supplierImportError = null;
+
+      // Keep the current portfolio if nothing in the file was usable; the report explains why
+      if (suppliers.length > 0) {
+        this.state.suppliers = suppliers;
+        this.state.volumeBasis = supplierImport.suggestVolumeBasis(suppliers);
+        this.applySupplierVolumes();
+        return;
+      }
+    } catch (error) {
+      console.error('Supplier import failed:', error);
+      this.state.supplierImportError = `Supplier import failed: ${error.message}`;
+    }
 
-    this.state.isDirty = true;
+    this.render();
+  }
 
-    this.responsivenessTimeout = setTimeout(() => {
-      this.calculateManagedRisk();
-      this.state.lastUpdate = new Date().toISOString();
-      this.updateUI();
-    }, 300);
+  onVolumeBasisChange(basis) {
+    if (!supplierImport.volumeBases.some(entry => entry.id === basis)) return;
+    this.state.volumeBasis = basis;
+    this.applySupplierVolumes();
   }
 
-  onResponsivenessEffectivenessChange(next) {
-    if (!Array.isArray(next)) return;
-    clearTimeout(this.responsivenessEffectivenessTimeout);
-    this.state.responsivenessEffectiveness = this.normalizeResponsivenessEffectiveness(next);
+  onClearSuppliers() {
+    this.state.suppliers = [];
+    this.state.supplierImportReport = null;
+    this.state.supplierImportError = null;
     this.state.isDirty = true;
-
-    this.responsivenessEffectivenessTimeout = setTimeout(() => {
-      this.calculateManagedRisk();
-      this.state.lastUpdate = new Date().toISOString();
-      this.updateUI();
-    }, 300);
+    this.render();
   }
 
-onFocusChange(next) {
-    clearTimeout(this.focusTimeout);
-    this.state.focus = this.clamp01(next);
+  // Replace the selection and volumes with the supplier list aggregated on the chosen basis
+  applySupplierVolumes() {
+    const { selectedCountries, countryVolumes } = supplierImport.calculateCountryVolumes(
+      this.state.suppliers,
+      this.state.volumeBasis
+    );
+    const selectedSet = new Set(selectedCountries);
+    const keepSelected = source => Object.fromEntries(
+      Object.entries(source || {}).filter(([isoCode]) => selectedSet.has(isoCode))
+    );
+
+    this.state.selectedCountries = selectedCountries;
+    this.state.countryVolumes = countryVolumes;
+    this.state.countrySectors = keepSelected(this.state.countrySectors);
+    this.state.countryManagedRisks = keepSelected(this.state.countryManagedRisks);
     this.state.isDirty = true;
 
-    this.focusTimeout = setTimeout(() => {
+    this.safeCalculation(() => {
+      this.calculateAllRisks();
+      this.calculateBaselineRisk();
       this.calculateManagedRisk();
-      this.state.lastUpdate = new Date().toISOString();
-      this.updateUI();
-    }, 200);
+    }, 'Risk calculation after supplier import failed');
+    this.state.lastUpdate = new Date().toISOString();
+    this.render();
   }
 
-   onSupplierCountChange(count) {
-    if (!ENABLE_PANEL_6) return;
-    this.state.supplierCount = Math.max(1, Math.floor(parseFloat(count) || 1));
-    this.state.isDirty = true;
-    this.state.lastOptimizationResult = null;
-    this.updateUI();
-  }
+  /* ---------------------------- Assessments --------------------------- */
 
-  onHourlyRateChange(rate) {
-    if (!ENABLE_PANEL_6) return;
+  async refreshAssessments() {
+    const organisation = this.state.assessmentOrganisation;
+    if (!organisation) {
+      this.state.assessments = [];
+      return;
+    }
+
+    try {
+      const assessments = await dataService.listAssessments(organisation);
+      if (this.state.assessmentOrganisation === organisation) {
+        this.state.assessments = Array.isArray(assessments) ? assessments : [];
+      }
+    } catch (error) {
+      this.state.assessments = [];
+      this.state.assessmentStatus = { type: 'error', message: error.message };
+    }
+  }
+
+  async onAssessmentOrganisationChange(organisation) {
+    this.state.assessmentOrganisation = typeof organisation === 'string' ? organisation.trim() : '';
+    this.state.assessmentStatus = null;
+    await this.refreshAssessments();
+    this.updateUI();
+  }
+
+  async onAssessmentKeyChange(key) {
+    this.state.assessmentAccessKey = typeof key === 'string' ? key.trim() : '';
+    dataService.setAssessmentKey(this.state.assessmentAccessKey);
+    try {
+      if (this.state.assessmentAccessKey) {
+        localStorage.setItem('hrdd_assessment_key_v1', this.state.assessmentAccessKey);
+      } else {
+        localStorage.removeItem('hrdd_assessment_key_v1');
+      }
+    } catch (error) {
+      console.warn('Failed to remember assessment access key:', error);
+    }
+
+    this.state.assessmentStatus = null;
+    await this.refreshAssessments();
+    this.updateUI();
+  }
+
+  // Save to the linked assessment, or create one (asNew, or nothing linked yet)
+  async onAssessmentSave({ name, asNew = false } = {}) {
+    const organisation = this.state.assessmentOrganisation;
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    const payload = this.getSavedStateSnapshot();
+
+    try {
+      let assessment;
+      if (this.state.assessment?.id && !asNew) {
+        assessment = await dataService.updateAssessment(this.state.assessment.id, { name: trimmedName || undefined, payload });
+      } else {
+        if (!organisation || !trimmedName) {
+          throw new Error('Enter an organisation and a name to save an assessment');
+        }
+        assessment = await dataService.createAssessment({ organisation, name: trimmedName, payload });
+      }
+
+      this.linkAssessment(assessment);
+      this.state.isDirty = false;
+      this.state.assessmentStatus = { type: 'success', message: `Saved "${assessment.name}"` };
+      await this.refreshAssessments();
+    } catch (error) {
+      console.error('Failed to save assessment:', error);
+      this.state.assessmentStatus = { type: 'error', message: error.message };
+    }
+    this.updateUI();
+  }
+
+  async onAssessmentLoad(id) {
+    let assessment;
+    try {
+      assessment = await dataService.getAssessment(id);
+    } catch (error) {
+      console.error('Failed to load assessment:', error);
+      this.state.assessmentStatus = { type: 'error', message: error.message };
+      this.updateUI();
+      return;
+    }
+
+    this.linkAssessment(assessment);
+    this.state.assessmentStatus = { type: 'success', message: `Loaded "${assessment.name}"` };
+    await this.loadStateSnapshot(assessment?.payload || {});
+  }
+
+  // Apply a saved-state snapshot (assessment payload or scenario) and recalculate, loading the
+  // snapshot's dataset version first when it differs from the one in use
+  async loadStateSnapshot(snapshot) {
+    const previousVersion = this.state.datasetVersion;
+    this.applySavedState(snapshot);
+
+    const savedVersion = this.state.datasetVersion;
+    if (savedVersion && savedVersion !== previousVersion) {
+      // onDatasetChange loads the saved version's countries and aligns the restored weights
+      this.state.datasetVersion = previousVersion;
+      await this.onDatasetChange(savedVersion);
+    } else {
+      this.state.weights = this.alignWeightsToIndicators(this.state.weights, this.restoredWeightKeys);
+      this.restoredWeightKeys = null;
+    }
+
+    // The snapshot only names its comparison version, so fetch that version's countries (or
+    // drop the comparison in use before) for the deltas to describe the restored state
+    const comparisonVersion = typeof snapshot?.comparisonDataset === 'string' ? snapshot.comparisonDataset : null;
+    if (comparisonVersion && comparisonVersion !== this.state.datasetVersion) {
+      await this.loadComparisonDataset(comparisonVersion);
+    } else {
+      this.state.comparisonDataset = null;
+      this.state.comparisonCountries = [];
+      this.state.datasetDeltas = [];
+    }
+
+    this.safeCalculation(() => {
+      this.calculateAllRisks();
+      this.calculateBaselineRisk();
+      this.calculateManagedRisk();
+      this.calculateDatasetDeltas();
+    }, 'Risk calculation after loading saved state failed');
+    this.state.lastUpdate = new Date().toISOString();
+    this.render();
+  }
+
+  async onAssessmentDelete(id) {
+    try {
+      await dataService.deleteAssessment(id);
+      if (this.state.assessment?.id === id) {
+        this.linkAssessment(null);
+      }
+      this.state.assessmentStatus = { type: 'success', message: 'Assessment deleted' };
+      await this.refreshAssessments();
+    } catch (error) {
+      console.error('Failed to delete assessment:', error);
+      this.state.assessmentStatus = { type: 'error', message: error.message };
+    }
+    this.updateUI();
+  }
+
+  // Keep working in this browser only; the server copy is left untouched
+  onAssessmentUnlink() {
+    this.linkAssessment(null);
+    this.state.assessmentStatus = null;
+    this.updateUI();
+  }
+
+  /* ----------------------------- Scenarios ---------------------------- */
+
+  // Working state for a scenario: the persisted subset, less the optimiser run log, which
+  // belongs to the session rather than the scenario. Country data and computed risks are not
+  // stored; they come from the loaded dataset.
+  getScenarioSnapshot() {
+    const { optimizationRuns, ...snapshot } = this.getSavedStateSnapshot();
+    return snapshot;
+  }
+
+  runScenarioAction(action) {
+    try {
+      action();
+      this.state.scenarioError = null;
+    } catch (error) {
+      console.error('Scenario library update failed:', error);
+      this.state.scenarioError = error.message;
+    }
+    this.state.scenarios = scenarioLibrary.list();
+    const existing = new Set(this.state.scenarios.map(scenario => scenario.id));
+    this.state.comparedScenarioIds = this.state.comparedScenarioIds.filter(id => existing.has(id));
+    if (!existing.has(this.state.activeScenarioId)) {
+      this.state.activeScenarioId = null;
+    }
+    this.updateUI();
+  }
+
+  onScenarioSave(name) {
+    this.runScenarioAction(() => {
+      const scenario = scenarioLibrary.save(name, this.getScenarioSnapshot());
+      this.state.activeScenarioId = scenario.id;
+    });
+  }
+
+  onScenarioUpdate(id) {
+    this.runScenarioAction(() => {
+      if (scenarioLibrary.update(id, this.getScenarioSnapshot())) {
+        this.state.activeScenarioId = id;
+      }
+    });
+  }
+
+  async onScenarioLoad(id) {
+    const scenario = scenarioLibrary.get(id);
+    if (!scenario) return;
+
+    this.state.activeScenarioId = id;
+    this.state.scenarioError = null;
+    await this.loadStateSnapshot(scenario.state);
+    // applySavedState treats its input as already saved; the working copy has not been
+    this.state.isDirty = true;
+  }
+
+  onScenarioClone(id) {
+    this.runScenarioAction(() => scenarioLibrary.clone(id));
+  }
+
+  onScenarioRename(id, name) {
+    this.runScenarioAction(() => scenarioLibrary.rename(id, name));
+  }
+
+  onScenarioDelete(id) {
+    this.runScenarioAction(() => scenarioLibrary.remove(id));
+  }
+
+  onScenarioCompareToggle(id, include) {
+    const current = this.state.comparedScenarioIds.filter(existing => existing !== id);
+    if (include) {
+      if (current.length >= scenarioLibrary.maxCompared) {
+        this.state.scenarioError = `Compare up to ${scenarioLibrary.maxCompared} scenarios at a time`;
+        this.updateUI();
+        return;
+      }
+      current.push(id);
+    }
+    this.state.comparedScenarioIds = current;
+    this.state.scenarioError = null;
+    this.updateUI();
+  }
+
+  // Summaries for the scenarios ticked for comparison, in the order they were ticked
+  getScenarioComparison() {
+    return this.state.comparedScenarioIds
+      .map(id => scenarioLibrary.get(id))
+      .filter(Boolean)
+      .map(scenario => ({
+        id: scenario.id,
+        name: scenario.name,
+        updatedAt: scenario.updatedAt,
+        summary: riskEngine.summarizeScenario(scenario.state, this.state.countries)
+      }));
+  }
+
+  /* ---------------------------- Sensitivity --------------------------- */
+
+  getSensitivityAnalysis() {
+    try {
+      return riskEngine.runSensitivityAnalysis({
+        countries: this.getPortfolioCountries(),
+        selectedCountries: this.state.selectedCountries,
+        countryVolumes: this.state.countryVolumes,
+        countrySectors: this.state.countrySectors,
+        weights: this.state.weights,
+        imputation: riskEngine.buildImputation(this.state.imputationStrategy, this.state.countries),
+        hrddStrategy: this.state.hrddStrategy,
+        transparencyEffectiveness: this.state.transparencyEffectiveness,
+        responsivenessStrategy: this.state.responsivenessStrategy,
+        responsivenessEffectiveness: this.state.responsivenessEffectiveness,
+        focus: this.clamp01(this.state.focus),
+        countryToolCoverage: this.state.countryToolCoverage
+      }, { perturbation: this.state.sensitivityPerturbation });
+    } catch (error) {
+      console.error('Sensitivity analysis failed:', error);
+      return null;
+    }
+  }
+
+  onSensitivityPerturbationChange(value) {
+    const numeric = parseFloat(value);
+    if (!Number.isFinite(numeric)) return;
+    this.state.sensitivityPerturbation = Math.max(1, Math.min(100, numeric));
+    this.state.isDirty = true;
+    this.updateUI();
+  }
+
+  /* ---------------------------- Uncertainty --------------------------- */
+
+  getUncertaintyInputs() {
+    return {
+      selectedCountries: this.state.selectedCountries,
+      countryVolumes: this.state.countryVolumes,
+      countryRisks: this.state.countryRisks,
+      hrddStrategy: this.state.hrddStrategy,
+      transparencyEffectiveness: this.state.transparencyEffectiveness,
+      responsivenessStrategy: this.state.responsivenessStrategy,
+      responsivenessEffectiveness: this.state.responsivenessEffectiveness,
+      focus: this.clamp01(this.state.focus),
+      countryToolCoverage: this.state.countryToolCoverage
+    };
+  }
+
+  // Last simulation, or null once any input it was run against has changed
+  getCurrentUncertaintyResult() {
+    const result = this.state.uncertaintyResult;
+    if (!result) return null;
+    return result.stateHash === riskEngine.getUncertaintyStateHash(this.getUncertaintyInputs()) ? result : null;
+  }
+
+  onUncertaintySettingsChange(partial) {
+    if (!partial || typeof partial !== 'object') return;
+    this.state.uncertaintySettings = riskEngine.sanitizeUncertaintySettings({
+      ...this.state.uncertaintySettings,
+      ...partial
+    });
+    this.state.isDirty = true;
+    this.updateUI();
+  }
+
+  // range = { min, max } for one input key, or null to go back to the default spread
+  onUncertaintyRangeChange(key, range) {
+    if (typeof key !== 'string') return;
+    const ranges = { ...(this.state.uncertaintySettings?.ranges || {}) };
+    if (range && typeof range === 'object') {
+      ranges[key] = range;
+    } else {
+      delete ranges[key];
+    }
+    this.onUncertaintySettingsChange({ ranges });
+  }
+
+  async onUncertaintyRun() {
+    try {
+      this.state.uncertaintyResult = await this.runComputeJob(
+        'uncertainty',
+        'Monte Carlo simulation',
+        'runMonteCarloSimulation',
+        [this.getUncertaintyInputs(), this.state.uncertaintySettings]
+      );
+    } catch (error) {
+      if (error.cancelled) return;
+      console.error('Monte Carlo simulation failed:', error);
+      this.state.uncertaintyResult = null;
+    }
+    this.updateUI();
+  }
+
+    onHRDDStrategyChange(next) {
+  if (!Array.isArray(next)) return;
+  clearTimeout(this.strategyTimeout);
+
+  let updatedStrategy = [...next];
+  
+  // Enforce SAQ constraint if enabled
+  if (ENABLE_PANEL_6 && this.state.saqConstraintEnabled) {
+    const saqSum = updatedStrategy[4] + updatedStrategy[5];
+    if (Math.abs(saqSum - 100) > 0.1) {
+      // Proportionally adjust to maintain 100% total
+      if (saqSum > 0) {
+        const ratio = 100 / saqSum;
+        updatedStrategy[4] = updatedStrategy[4] * ratio;
+        updatedStrategy[5] = updatedStrategy[5] * ratio;
+      } else {
+        // Default split if both are zero
+        updatedStrategy[4] = 50;
+        updatedStrategy[5] = 50;
+      }
+    }
+  }
+  
+  this.state.hrddStrategy = updatedStrategy;
+  this.state.isDirty = true;
+
+  this.strategyTimeout = setTimeout(() => {
+    this.calculateManagedRisk();
+    this.state.lastUpdate = new Date().toISOString();
+    this.updateUI();
+  }, 300);
+}
+
+  onTransparencyChange(next) {
+    if (!Array.isArray(next)) return;
+    clearTimeout(this.transparencyTimeout);
+    this.state.transparencyEffectiveness = this.normalizeTransparencyEffectiveness(next);
+    this.state.isDirty = true;
+
+    this.transparencyTimeout = setTimeout(() => {
+      this.calculateManagedRisk();
+      this.state.lastUpdate = new Date().toISOString();
+      this.updateUI();
+    }, 300);
+  }
+
+  onResponsivenessChange(next) {
+    if (!Array.isArray(next)) return;
+    clearTimeout(this.responsivenessTimeout);
+
+    const updatedResponsiveness = [...next];
+    this.state.responsivenessStrategy = updatedResponsiveness;
+
+    this.state.isDirty = true;
+
+    this.responsivenessTimeout = setTimeout(() => {
+      this.calculateManagedRisk();
+      this.state.lastUpdate = new Date().toISOString();
+      this.updateUI();
+    }, 300);
+  }
+
+  onResponsivenessEffectivenessChange(next) {
+    if (!Array.isArray(next)) return;
+    clearTimeout(this.responsivenessEffectivenessTimeout);
+    this.state.responsivenessEffectiveness = this.normalizeResponsivenessEffectiveness(next);
+    this.state.isDirty = true;
+
+    this.responsivenessEffectivenessTimeout = setTimeout(() => {
+      this.calculateManagedRisk();
+      this.state.lastUpdate = new Date().toISOString();
+      this.updateUI();
+    }, 300);
+  }
+
+onFocusChange(next) {
+    clearTimeout(this.focusTimeout);
+    this.state.focus = this.clamp01(next);
+    this.state.isDirty = true;
+
+    this.focusTimeout = setTimeout(() => {
+      this.calculateManagedRisk();
+      this.state.lastUpdate = new Date().toISOString();
+      this.updateUI();
+    }, 200);
+  }
+
+  // key is an ISO code or "band:<risk band>"; a null vector removes the override
+  onCountryToolCoverageChange(key, vector) {
+    if (typeof key !== 'string' || !key) return;
+    const next = { ...this.state.countryToolCoverage };
+    if (Array.isArray(vector)) {
+      Object.assign(next, riskEngine.sanitizeCountryToolCoverage({ [key]: vector }));
+    } else {
+      delete next[key];
+    }
+    this.state.countryToolCoverage = next;
+    this.state.isDirty = true;
+    if (ENABLE_PANEL_6) this.state.lastOptimizationResult = null;
+    this.calculateManagedRisk();
+    this.state.lastUpdate = new Date().toISOString();
+    this.updateUI();
+  }
+
+  onCountryToolCoverageClear() {
+    if (Object.keys(this.state.countryToolCoverage || {}).length === 0) return;
+    this.state.countryToolCoverage = {};
+    this.state.isDirty = true;
+    if (ENABLE_PANEL_6) this.state.lastOptimizationResult = null;
+    this.calculateManagedRisk();
+    this.state.lastUpdate = new Date().toISOString();
+    this.updateUI();
+  }
+
+  onCountryCoverageModeChange(mode) {
+    this.state.countryCoverageMode = mode === 'country' ? 'country' : 'band';
+    this.state.isDirty = true;
+    this.updateUI();
+  }
+
+   onSupplierCountChange(count) {
+    if (!ENABLE_PANEL_6) return;
+    this.state.supplierCount = Math.max(1, Math.floor(parseFloat(count) || 1));
+    this.state.isDirty = true;
+    this.state.lastOptimizationResult = null;
+    this.updateUI();
+  }
+
+  onHourlyRateChange(rate) {
+    if (!ENABLE_PANEL_6) return;
     this.state.hourlyRate = Math.max(0, parseFloat(rate) || 0);
     this.state.isDirty = true;
     this.state.lastOptimizationResult = null;
     this.updateUI();
   }
 
-  onToolAnnualProgrammeCostChange(toolIndex, cost) {
-  if (!ENABLE_PANEL_6) return;
-  if (toolIndex >= 0 && toolIndex < this.state.toolAnnualProgrammeCosts.length) {
-    this.state.toolAnnualProgrammeCosts[toolIndex] = Math.max(0, parseFloat(cost) || 0);
-    this.state.isDirty = true;
-    this.state.lastOptimizationResult = null;
-    this.updateUI();
+  onToolAnnualProgrammeCostChange(toolIndex, cost) {
+  if (!ENABLE_PANEL_6) return;
+  if (toolIndex >= 0 && toolIndex < this.state.toolAnnualProgrammeCosts.length) {
+    this.state.toolAnnualProgrammeCosts[toolIndex] = Math.max(0, parseFloat(cost) || 0);
+    this.state.isDirty = true;
+    this.state.lastOptimizationResult = null;
+    this.updateUI();
+  }
+}
+
+onToolPerSupplierCostChange(toolIndex, cost) {
+  if (!ENABLE_PANEL_6) return;
+  if (toolIndex >= 0 && toolIndex < this.state.toolPerSupplierCosts.length) {
+    this.state.toolPerSupplierCosts[toolIndex] = Math.max(0, parseFloat(cost) || 0);
+    this.state.isDirty = true;
+    this.state.lastOptimizationResult = null;
+    this.updateUI();
+  }
+}
+
+onToolInternalHoursChange(toolIndex, hours) {
+  if (!ENABLE_PANEL_6) return;
+  if (toolIndex >= 0 && toolIndex < this.state.toolInternalHours.length) {
+    this.state.toolInternalHours[toolIndex] = Math.max(0, parseFloat(hours) || 0);
+    this.state.isDirty = true;
+    this.state.lastOptimizationResult = null;
+    this.updateUI();
+  }
+}
+
+onToolRemedyInternalHoursChange(toolIndex, hours) {
+  if (!ENABLE_PANEL_6) return;
+  if (toolIndex >= 0 && toolIndex < this.state.toolRemedyInternalHours.length) {
+    this.state.toolRemedyInternalHours[toolIndex] = Math.max(0, parseFloat(hours) || 0);
+    this.state.isDirty = true;
+    this.state.lastOptimizationResult = null;
+    this.updateUI();
+  }
+}
+
+// NEW: SAQ Constraint handler
+onSAQConstraintChange(enabled) {
+  if (!ENABLE_PANEL_6) return;
+  this.state.saqConstraintEnabled = Boolean(enabled);
+  this.state.isDirty = true;
+  this.state.lastOptimizationResult = null;
+  this.updateUI();
+}
+
+// NEW: Social audit constraint handler
+onSocialAuditConstraintChange(enabled) {
+  if (!ENABLE_PANEL_6) return;
+  this.state.socialAuditConstraintEnabled = Boolean(enabled);
+  this.state.isDirty = true;
+  this.state.lastOptimizationResult = null;
+  this.updateUI();
+}
+
+// NEW: Social audit cost reduction handler
+onSocialAuditCostReductionChange(percentage) {
+  if (!ENABLE_PANEL_6) return;
+  const parsed = parseFloat(percentage);
+  const clamped = Number.isFinite(parsed) ? Math.max(0, Math.min(100, parsed)) : 0;
+  this.state.socialAuditCostReduction = clamped;
+  this.state.isDirty = true;
+  this.state.lastOptimizationResult = null;
+  this.state.shouldAutoRunOptimization = false;
+  this.updateUI();
+}
+
+  // Runs in the compute worker. Resolves with the optimisation result, or null when the run was
+  // cancelled or failed; the panel is re-rendered from state once the result is in.
+  async optimizeBudgetAllocation() {
+    if (!ENABLE_PANEL_6) return null;
+
+    this.state.shouldAutoRunOptimization = false;
+    const runInputs = this.getGoalSeekInputs();
+    const runArgs = [
+      this.state.supplierCount,
+      this.state.hourlyRate,
+      this.state.toolAnnualProgrammeCosts,
+      this.state.toolPerSupplierCosts,
+      this.state.toolInternalHours,
+      this.state.toolRemedyInternalHours,
+      this.state.hrddStrategy,
+      this.state.transparencyEffectiveness,
+      this.state.responsivenessStrategy,
+      this.state.responsivenessEffectiveness,
+      this.state.selectedCountries,
+      this.state.countryVolumes,
+      this.state.countryRisks,
+      this.state.focus,
+      this.state.saqConstraintEnabled,
+      this.state.socialAuditConstraintEnabled,
+      this.state.socialAuditCostReduction,
+      null,
+      this.state.countryToolCoverage,
+      this.state.optimizationSeed
+    ];
+
+    let result;
+    try {
+      result = await this.runComputeJob('optimization', 'Optimising tool mix', 'optimizeBudgetAllocation', runArgs);
+    } catch (error) {
+      if (!error.cancelled) console.error('Budget optimisation failed:', error);
+      return null;
+    }
+
+    this.recordOptimizationRun(runInputs, result);
+    // Inputs edited while the optimiser ran make its result stale; the run stays in the log
+    const inputsHash = riskEngine.generateOptimizationStateHash(runInputs);
+    if (inputsHash === riskEngine.generateOptimizationStateHash(this.getGoalSeekInputs())) {
+      this.state.lastOptimizationResult = result || null;
+    }
+    this.updateUI();
+    return result;
+  }
+
+  recordOptimizationRun(inputs, result) {
+    const record = riskEngine.createOptimizationRunRecord(inputs, result);
+    if (!record) return null;
+
+    // An unchanged re-run repeats the cached run with its seed, so it is already recorded
+    const runs = Array.isArray(this.state.optimizationRuns) ? this.state.optimizationRuns : [];
+    if (runs.some(run => run.seed === record.seed && run.inputsHash === record.inputsHash)) {
+      return null;
+    }
+
+    this.state.optimizationRuns = [record, ...runs].slice(0, MAX_OPTIMIZATION_RUNS);
+    this.state.isDirty = true;
+    return record;
+  }
+
+  onOptimizationSeedChange(value) {
+    const parsed = parseInt(value, 10);
+    this.state.optimizationSeed = Number.isFinite(parsed) && parsed >= 0 ? parsed >>> 0 : null;
+    this.state.isDirty = true;
+    this.updateUI();
+  }
+
+  async onOptimizationRunReplay(runId) {
+    const record = (this.state.optimizationRuns || []).find(run => run.id === runId);
+    if (!record) return null;
+
+    let replay;
+    try {
+      replay = await this.runComputeJob('optimization-replay', 'Replaying optimiser run', 'replayOptimizationRun', [record]);
+    } catch (error) {
+      if (error.cancelled) return null;
+      console.error('Optimiser replay failed:', error);
+      replay = null;
+    }
+    if (replay) {
+      const { result, ...summary } = replay;
+      this.state.optimizationReplay = summary;
+    } else {
+      this.state.optimizationReplay = { runId, matches: false, error: 'The recorded inputs could not be optimised.' };
+    }
+    this.updateUI();
+    return replay;
+  }
+
+  onOptimizationRunExport(runId) {
+    const record = (this.state.optimizationRuns || []).find(run => run.id === runId);
+    if (!record) return;
+
+    try {
+      const log = {
+        exportedAt: new Date().toISOString(),
+        type: 'hrdd-optimisation-run',
+        currentInputsHash: riskEngine.hashOptimizationInputs(this.getGoalSeekInputs()),
+        replay: this.state.optimizationReplay?.runId === runId ? { ...this.state.optimizationReplay } : null,
+        run: record
+      };
+      const blob = new Blob([JSON.stringify(log, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `hrdd-optimisation-run-${record.createdAt.split('T')[0]}-${record.seed}.json`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export optimisation run:', error);
+    }
+  }
+
+  getGoalSeekInputs() {
+    return {
+      supplierCount: this.state.supplierCount,
+      hourlyRate: this.state.hourlyRate,
+      toolAnnualProgrammeCosts: this.state.toolAnnualProgrammeCosts,
+      toolPerSupplierCosts: this.state.toolPerSupplierCosts,
+      toolInternalHours: this.state.toolInternalHours,
+      toolRemedyInternalHours: this.state.toolRemedyInternalHours,
+      hrddStrategy: this.state.hrddStrategy,
+      transparencyEffectiveness: this.state.transparencyEffectiveness,
+      responsivenessStrategy: this.state.responsivenessStrategy,
+      responsivenessEffectiveness: this.state.responsivenessEffectiveness,
+      selectedCountries: this.state.selectedCountries,
+      countryVolumes: this.state.countryVolumes,
+      countryRisks: this.state.countryRisks,
+      focus: this.state.focus,
+      enforceSAQConstraint: Boolean(this.state.saqConstraintEnabled),
+      enforceSocialAuditConstraint: Boolean(this.state.socialAuditConstraintEnabled),
+      socialAuditCostReduction: this.state.socialAuditCostReduction,
+      countryToolCoverage: this.state.countryToolCoverage
+    };
+  }
+
+  // Last goal-seek, or null once any cost, strategy or portfolio input has changed
+  getCurrentGoalSeekResult() {
+    const result = ENABLE_PANEL_6 ? this.state.goalSeekResult : null;
+    if (!result) return null;
+    return result.stateHash === riskEngine.generateOptimizationStateHash(this.getGoalSeekInputs()) ? result : null;
   }
-}
 
-onToolPerSupplierCostChange(toolIndex, cost) {
-  if (!ENABLE_PANEL_6) return;
-  if (toolIndex >= 0 && toolIndex < this.state.toolPerSupplierCosts.length) {
-    this.state.toolPerSupplierCosts[toolIndex] = Math.max(0, parseFloat(cost) || 0);
+  async onGoalSeekRun(target = this.state.goalSeekTarget) {
+    if (!ENABLE_PANEL_6) return null;
+    const parsed = parseFloat(target);
+    if (!Number.isFinite(parsed)) return null;
+
+    this.state.goalSeekTarget = Math.max(0, Math.min(100, parsed));
     this.state.isDirty = true;
-    this.state.lastOptimizationResult = null;
+
+    const inputs = this.getGoalSeekInputs();
+    let result;
+    try {
+      result = await this.runComputeJob('goalSeek', 'Goal seek', 'goalSeekStrategy', [this.state.goalSeekTarget, inputs]);
+    } catch (error) {
+      if (error.cancelled) return null;
+      console.error('Goal seek failed:', error);
+      result = null;
+    }
+    this.state.goalSeekResult = result
+      ? { ...result, stateHash: riskEngine.generateOptimizationStateHash(inputs) }
+      : null;
     this.updateUI();
+    return result;
   }
-}
 
-onToolInternalHoursChange(toolIndex, hours) {
-  if (!ENABLE_PANEL_6) return;
-  if (toolIndex >= 0 && toolIndex < this.state.toolInternalHours.length) {
-    this.state.toolInternalHours[toolIndex] = Math.max(0, parseFloat(hours) || 0);
-    this.state.isDirty = true;
+  // Adopt the goal-seek coverage as the Panel 3 strategy, then re-run so the panel reflects it
+  onGoalSeekApply() {
+    const result = this.getCurrentGoalSeekResult();
+    if (!result || !result.feasible) return;
+
+    this.state.hrddStrategy = [...result.allocation];
     this.state.lastOptimizationResult = null;
+    this.state.isDirty = true;
+    this.calculateManagedRisk();
+    this.state.lastUpdate = new Date().toISOString();
     this.updateUI();
+    return this.onGoalSeekRun(result.targetRisk);
   }
-}
 
-onToolRemedyInternalHoursChange(toolIndex, hours) {
-  if (!ENABLE_PANEL_6) return;
-  if (toolIndex >= 0 && toolIndex < this.state.toolRemedyInternalHours.length) {
-    this.state.toolRemedyInternalHours[toolIndex] = Math.max(0, parseFloat(hours) || 0);
-    this.state.isDirty = true;
-    this.state.lastOptimizationResult = null;
-    this.updateUI();
+  // Last frontier, or null once any input it was calculated from has changed
+  getCurrentCostRiskFrontier() {
+    const frontier = ENABLE_PANEL_6 ? this.state.costRiskFrontier : null;
+    if (!frontier) return null;
+    return frontier.stateHash === riskEngine.generateOptimizationStateHash(this.getGoalSeekInputs()) ? frontier : null;
   }
-}
 
-// NEW: SAQ Constraint handler
-onSAQConstraintChange(enabled) {
-  if (!ENABLE_PANEL_6) return;
-  this.state.saqConstraintEnabled = Boolean(enabled);
-  this.state.isDirty = true;
-  this.state.lastOptimizationResult = null;
-  this.updateUI();
-}
+  async onCostRiskFrontierRun() {
+    if (!ENABLE_PANEL_6) return null;
 
-// NEW: Social audit constraint handler
-onSocialAuditConstraintChange(enabled) {
-  if (!ENABLE_PANEL_6) return;
-  this.state.socialAuditConstraintEnabled = Boolean(enabled);
-  this.state.isDirty = true;
-  this.state.lastOptimizationResult = null;
-  this.updateUI();
-}
+    const inputs = this.getGoalSeekInputs();
+    let frontier;
+    try {
+      frontier = await this.runComputeJob('frontier', 'Cost–risk frontier', 'calculateCostRiskFrontier', [inputs]);
+    } catch (error) {
+      if (error.cancelled) return null;
+      console.error('Cost–risk frontier failed:', error);
+      frontier = null;
+    }
+    this.state.costRiskFrontier = frontier
+      ? { ...frontier, stateHash: riskEngine.generateOptimizationStateHash(inputs) }
+      : null;
+    this.updateUI();
+    return frontier;
+  }
 
-// NEW: Social audit cost reduction handler
-onSocialAuditCostReductionChange(percentage) {
-  if (!ENABLE_PANEL_6) return;
-  const parsed = parseFloat(percentage);
-  const clamped = Number.isFinite(parsed) ? Math.max(0, Math.min(100, parsed)) : 0;
-  this.state.socialAuditCostReduction = clamped;
-  this.state.isDirty = true;
-  this.state.lastOptimizationResult = null;
-  this.state.shouldAutoRunOptimization = false;
-  this.updateUI();
-}
+  getCurrentCountryAllocationResult() {
+    const result = ENABLE_PANEL_6 ? this.state.countryAllocationResult : null;
+    if (!result) return null;
+    const hash = riskEngine.generateOptimizationStateHash({ ...this.getGoalSeekInputs(), mode: this.state.countryCoverageMode });
+    return result.stateHash === hash ? result : null;
+  }
 
- optimizeBudgetAllocation() {
-  if (!ENABLE_PANEL_6) return null;
-
-  const result = riskEngine.optimizeBudgetAllocation(
-    this.state.supplierCount,
-    this.state.hourlyRate,
-    this.state.toolAnnualProgrammeCosts,
-    this.state.toolPerSupplierCosts,
-    this.state.toolInternalHours,
-    this.state.toolRemedyInternalHours,
-    this.state.hrddStrategy,
-    this.state.transparencyEffectiveness,
-    this.state.responsivenessStrategy,
-    this.state.responsivenessEffectiveness,
-    this.state.selectedCountries,
-    this.state.countryVolumes,
-    this.state.countryRisks,
-    this.state.focus,
-    this.state.saqConstraintEnabled,
-    this.state.socialAuditConstraintEnabled,
-    this.state.socialAuditCostReduction
-    );
+  async onCountryAllocationRun() {
+    if (!ENABLE_PANEL_6) return null;
 
-    this.state.lastOptimizationResult = result || null;
-    this.state.shouldAutoRunOptimization = false;
+    const inputs = this.getGoalSeekInputs();
+    const mode = this.state.countryCoverageMode;
+    let result;
+    try {
+      result = await this.runComputeJob('countryAllocation', 'Per-country tool mix', 'optimizeCountryAllocation', [inputs, { mode }]);
+    } catch (error) {
+      if (error.cancelled) return null;
+      console.error('Per-country optimisation failed:', error);
+      result = null;
+    }
+    this.state.countryAllocationResult = result
+      ? { ...result, stateHash: riskEngine.generateOptimizationStateHash({ ...inputs, mode }) }
+      : null;
+    this.updateUI();
     return result;
   }
 
+  // Replace all coverage overrides with the optimised per-country or per-band vectors
+  onCountryAllocationApply() {
+    const result = this.getCurrentCountryAllocationResult();
+    if (!result || !result.improved) return;
+
+    this.state.countryToolCoverage = riskEngine.sanitizeCountryToolCoverage(result.countryToolCoverage);
+    this.state.lastOptimizationResult = null;
+    this.state.isDirty = true;
+    this.calculateManagedRisk();
+    this.state.lastUpdate = new Date().toISOString();
+    this.updateUI();
+  }
+
   /* ------------------------------- UI -------------------------------- */
 
   setCurrentPanel(panel) {
@@ -726,6 +1890,7 @@ onSocialAuditCostReductionChange(percentage) {
         lastUpdatedEl.textContent = '';
       }
     }
+    this.updateComputeProgress();
 
     const panelContent = this.containerElement.querySelector('#panelContent');
 
@@ -890,6 +2055,7 @@ updatePanel2Components() {
     // Update map
     UIComponents.createWorldMap('baselineMapContainer', {
       countries: this.state.countries,
+      regions: this.state.regions,
       countryRisks: this.state.countryRisks,
       selectedCountries: this.state.selectedCountries,
       onCountrySelect: this.onCountrySelect,
@@ -902,16 +2068,21 @@ updatePanel2Components() {
     // Update country selection display
     UIComponents.updateSelectedCountriesDisplay(
       this.state.selectedCountries,
-      this.state.countries,
+      this.getPortfolioCountries(),
       this.state.countryVolumes,
       this.onCountrySelect,
-      this.onVolumeChange
+      this.onVolumeChange,
+      {
+        sectors: this.state.sectors,
+        countrySectors: this.state.countrySectors,
+        onSectorChange: this.onCountrySectorsChange
+      }
     );
 
     // Update results panel
     UIComponents.createResultsPanel('resultsPanel', {
       selectedCountries: this.state.selectedCountries,
-      countries: this.state.countries,
+      countries: this.getPortfolioCountries(),
       countryRisks: this.state.countryRisks,
       baselineRisk: this.state.baselineRisk
     });
@@ -1231,6 +2402,7 @@ updatePanel2Components() {
       ? this.state.selectedCountries.length
       : 0;
     const selectedCountryLabel = selectedCountryCount === 1 ? 'country selected' : 'countries selected';
+    const activeComputeJob = this.getActiveComputeJob();
     const summaryRow = `
       <div style="display:flex;align-items:center;justify-content:center;gap:${isMobile ? '6px' : '12px'};font-size:${isMobile ? '11px' : '13px'};color:#475569;flex-wrap:wrap;">
         <span><strong id="hrddCountryCount">${selectedCountryCount}</strong> <span id="hrddCountryCountLabel">${selectedCountryLabel}</span></span>
@@ -1238,6 +2410,17 @@ updatePanel2Components() {
           <span style="opacity:.4;">•</span>
           <span id="hrddLastUpdated">${formattedLastUpdate ? `Updated ${formattedLastUpdate}` : ''}</span>
         </span>
+        <span id="hrddComputeProgress" style="display:${activeComputeJob ? 'inline-flex' : 'none'};align-items:center;gap:${isMobile ? '4px' : '6px'};">
+          <span style="opacity:.4;">•</span>
+          <span style="display:inline-block;width:${isMobile ? '60px' : '90px'};height:6px;background:#e2e8f0;border-radius:9999px;overflow:hidden;">
+            <span id="hrddComputeBar" style="display:block;height:100%;width:${activeComputeJob ? Math.round((Number(activeComputeJob.progress) || 0) * 100) : 0}%;background:#2563eb;transition:width .2s;"></span>
+          </span>
+          <span id="hrddComputeLabel">${activeComputeJob ? this.formatComputeProgress(activeComputeJob) : ''}</span>
+          <button onclick="window.hrddApp.cancelComputeJobs()"
+                  style="padding:2px 8px;border:1px solid #d1d5db;background:white;color:#475569;border-radius:9999px;font-size:${isMobile ? '10px' : '11px'};cursor:pointer;">
+            Cancel
+          </button>
+        </span>
       </div>
     `;
     const contentMaxWidth = isMobile ? '720px' : '1600px';
@@ -1520,16 +2703,32 @@ updatePanel2Components() {
             </div>
           </div>
           <div style="display:grid;grid-template-columns:1fr;gap:16px;">
+            <div id="configurationPanel"></div>
             <div id="globalMapContainer" style="min-height:500px;"></div>
             <div id="weightingsPanel" style="min-height:400px;"></div>
+            <div id="riskBandsPanel"></div>
+            <div id="countryHistoryPanel"></div>
+            ${this.state.availableDatasets.length > 0 ? '<div id="datasetComparisonPanel"></div>' : ''}
           </div>
         </div>
       `);
 
       queueMicrotask(() => {
+        UIComponents.createConfigurationPanel('configurationPanel', {
+          pendingImport: this.state.pendingConfigurationImport,
+          error: this.state.configurationImportError,
+          onExport: this.exportConfiguration,
+          onImportFile: this.onConfigurationFileSelected,
+          onConfirm: this.applyConfigurationImport,
+          onCancel: this.cancelConfigurationImport
+        });
+
         UIComponents.createGlobalRiskMap('globalMapContainer', {
           countries: this.state.countries,
-          countryRisks: this.state.countryRisks,
+          countryRisks: this.state.countryIndexRisks,
+          dataCompleteness: this.state.countryDataCompleteness,
+          imputationStrategy: this.state.imputationStrategy,
+          onCountryClick: this.onHistoryCountryChange,
           title: 'Global Risk Overview',
           height: 500,
           width: 1200
@@ -1537,7 +2736,41 @@ updatePanel2Components() {
 
         UIComponents.createWeightingsPanel('weightingsPanel', {
           weights: this.state.weights,
-          onWeightsChange: this.onWeightsChange
+          indicators: this.state.indicators,
+          onWeightsChange: this.onWeightsChange,
+          imputationStrategy: this.state.imputationStrategy,
+          imputationStrategies: riskEngine.imputationStrategies,
+          onImputationStrategyChange: this.onImputationStrategyChange
+        });
+
+        UIComponents.createRiskBandsPanel('riskBandsPanel', {
+          bands: this.state.riskBands,
+          isDefault: riskEngine.isDefaultRiskBands(this.state.riskBands),
+          error: this.state.riskBandsError,
+          notice: this.state.riskBandsNotice,
+          maxBands: riskEngine.maxRiskBands,
+          onChange: this.onRiskBandsChange,
+          onReset: this.onRiskBandsReset
+        });
+
+        UIComponents.createCountryHistoryPanel('countryHistoryPanel', {
+          countries: this.state.countries,
+          indicators: this.state.indicators,
+          isoCode: this.state.historyCountry,
+          entries: this.state.countryHistory,
+          loading: this.state.countryHistoryLoading,
+          error: this.state.countryHistoryError,
+          onCountryChange: this.onHistoryCountryChange
+        });
+
+        UIComponents.createDatasetComparisonPanel('datasetComparisonPanel', {
+          datasets: this.state.availableDatasets,
+          datasetVersion: this.state.datasetVersion,
+          comparisonDataset: this.state.comparisonDataset,
+          datasetDeltas: this.state.datasetDeltas,
+          selectedCountries: this.state.selectedCountries,
+          onDatasetChange: this.onDatasetChange,
+          onComparisonDatasetChange: this.onComparisonDatasetChange
         });
 
         const resetButton = document.getElementById('resetAppButton');
@@ -1557,6 +2790,7 @@ updatePanel2Components() {
           ${renderPanelDescription(panel)}
           <div style="display:grid;grid-template-columns:1fr;gap:16px;">
             <div id="baselineMapContainer" style="min-height:500px;"></div>
+            <div id="supplierImportPanel"></div>
             <div id="countrySelectionPanel" style="min-height:300px;"></div>
             <div id="resultsPanel" style="min-height:400px;"></div>
           </div>
@@ -1575,6 +2809,7 @@ updatePanel2Components() {
 
         UIComponents.createWorldMap('baselineMapContainer', {
           countries: this.state.countries,
+          regions: this.state.regions,
           countryRisks: this.state.countryRisks,
           selectedCountries: this.state.selectedCountries,
           onCountrySelect: this.onCountrySelect,
@@ -1584,17 +2819,32 @@ updatePanel2Components() {
           width: 1200
         });
 
+        UIComponents.createSupplierImportPanel('supplierImportPanel', {
+          suppliers: this.state.suppliers,
+          volumeBasis: this.state.volumeBasis,
+          volumeBases: supplierImport.volumeBases,
+          importReport: this.state.supplierImportReport,
+          importError: this.state.supplierImportError,
+          countryRisks: this.state.countryRisks,
+          onSupplierImport: this.onSupplierImport,
+          onVolumeBasisChange: this.onVolumeBasisChange,
+          onClearSuppliers: this.onClearSuppliers
+        });
+
         UIComponents.createCountrySelectionPanel('countrySelectionPanel', {
-          countries: this.state.countries,
+          countries: this.getPortfolioCountries(),
           selectedCountries: this.state.selectedCountries,
           countryVolumes: this.state.countryVolumes,
           onCountrySelect: this.onCountrySelect,
-          onVolumeChange: this.onVolumeChange
+          onVolumeChange: this.onVolumeChange,
+          sectors: this.state.sectors,
+          countrySectors: this.state.countrySectors,
+          onSectorChange: this.onCountrySectorsChange
         });
 
         UIComponents.createResultsPanel('resultsPanel', {
           selectedCountries: this.state.selectedCountries,
-          countries: this.state.countries,
+          countries: this.getPortfolioCountries(),
           countryRisks: this.state.countryRisks,
           baselineRisk: this.state.baselineRisk
         });
@@ -1616,6 +2866,7 @@ updatePanel2Components() {
             <div id="transparencyPanel" style="min-height:600px;"></div>
           </div>
           <div id="focusPanel" style="min-height:400px;"></div>
+          <div id="countryCoverageMatrixPanel"></div>
         </div>
       `);
 
@@ -1643,6 +2894,26 @@ updatePanel2Components() {
           onFocusChange: this.onFocusChange,
           focusEffectivenessMetrics: this.state.focusEffectivenessMetrics
         });
+
+        UIComponents.createCountryCoverageMatrixPanel('countryCoverageMatrixPanel', {
+          mode: this.state.countryCoverageMode,
+          selectedCountries: this.state.selectedCountries,
+          countries: this.getPortfolioCountries(),
+          countryRisks: this.state.countryRisks,
+          countryVolumes: this.state.countryVolumes,
+          countryToolCoverage: this.state.countryToolCoverage,
+          modelCoverage: riskEngine.calculateCountrySpecificCoverage(
+            this.state.selectedCountries,
+            this.state.countryVolumes,
+            this.state.countryRisks,
+            this.state.hrddStrategy,
+            this.state.focus,
+            this.state.countryToolCoverage
+          ),
+          onModeChange: this.onCountryCoverageModeChange,
+          onChange: this.onCountryToolCoverageChange,
+          onClearAll: this.onCountryToolCoverageClear
+        });
       });
 
       return html;
@@ -1696,6 +2967,10 @@ updatePanel2Components() {
           <div id="panel5ResultsSection">
             <div id="finalResultsPanel" style="min-height:600px;"></div>
           </div>
+          <div id="sensitivityPanel"></div>
+          <div id="uncertaintyPanel"></div>
+          <div id="assessmentPanel"></div>
+          <div id="scenarioLibraryPanel"></div>
           <div style="display:flex;justify-content:center;align-items:center;">
             <button id="btnGeneratePDF" ${this.state.isGeneratingReport ? 'disabled' : ''} style="padding:10px 24px;border:1px solid #2563eb;background:${this.state.isGeneratingReport ? '#bfdbfe' : '#2563eb'};color:white;border-radius:8px;cursor:${this.state.isGeneratingReport ? 'not-allowed' : 'pointer'};font-weight:600;">
               ${this.state.isGeneratingReport ? 'Generating…' : 'Generate PDF Report'}
@@ -1712,6 +2987,7 @@ updatePanel2Components() {
 
         UIComponents.createWorldMap('panel5BaselineMapContainer', {
           countries: this.state.countries,
+          regions: this.state.regions,
           countryRisks: this.state.countryRisks,
           selectedCountries: this.state.selectedCountries,
           onCountrySelect: this.onCountrySelect,
@@ -1739,7 +3015,7 @@ updatePanel2Components() {
           baselineRisk: this.state.baselineRisk,
           managedRisk: this.state.managedRisk,
           selectedCountries: this.state.selectedCountries,
-          countries: this.state.countries,
+          countries: this.getPortfolioCountries(),
           hrddStrategy: this.state.hrddStrategy,
           transparencyEffectiveness: this.state.transparencyEffectiveness,
           responsivenessStrategy: this.state.responsivenessStrategy,
@@ -1748,7 +3024,58 @@ updatePanel2Components() {
           riskConcentration: this.state.riskConcentration,
           countryVolumes: this.state.countryVolumes,
           countryRisks: this.state.countryRisks,
-          focusEffectivenessMetrics: this.state.focusEffectivenessMetrics
+          focusEffectivenessMetrics: this.state.focusEffectivenessMetrics,
+          countryToolCoverage: this.state.countryToolCoverage
+        });
+
+        UIComponents.createSensitivityPanel('sensitivityPanel', {
+          analysis: this.getSensitivityAnalysis(),
+          perturbation: this.state.sensitivityPerturbation,
+          onPerturbationChange: this.onSensitivityPerturbationChange
+        });
+
+        UIComponents.createUncertaintyPanel('uncertaintyPanel', {
+          settings: this.state.uncertaintySettings,
+          inputs: riskEngine.buildUncertaintyRanges(this.getUncertaintyInputs(), this.state.uncertaintySettings),
+          result: this.getCurrentUncertaintyResult(),
+          isStale: Boolean(this.state.uncertaintyResult) && !this.getCurrentUncertaintyResult(),
+          baselineRisk: this.state.baselineRisk,
+          managedRisk: this.state.managedRisk,
+          selectedCountries: this.state.selectedCountries,
+          countries: this.getPortfolioCountries(),
+          onSettingsChange: this.onUncertaintySettingsChange,
+          onRangeChange: this.onUncertaintyRangeChange,
+          onRun: this.onUncertaintyRun
+        });
+
+        UIComponents.createAssessmentPanel('assessmentPanel', {
+          assessment: this.state.assessment,
+          organisation: this.state.assessmentOrganisation,
+          accessKey: this.state.assessmentAccessKey,
+          assessments: this.state.assessments,
+          status: this.state.assessmentStatus,
+          onOrganisationChange: this.onAssessmentOrganisationChange,
+          onAccessKeyChange: this.onAssessmentKeyChange,
+          onSave: this.onAssessmentSave,
+          onLoad: this.onAssessmentLoad,
+          onDelete: this.onAssessmentDelete,
+          onUnlink: this.onAssessmentUnlink
+        });
+
+        UIComponents.createScenarioLibraryPanel('scenarioLibraryPanel', {
+          scenarios: this.state.scenarios,
+          activeScenarioId: this.state.activeScenarioId,
+          comparedScenarioIds: this.state.comparedScenarioIds,
+          comparison: this.getScenarioComparison(),
+          maxCompared: scenarioLibrary.maxCompared,
+          error: this.state.scenarioError,
+          onSave: this.onScenarioSave,
+          onUpdate: this.onScenarioUpdate,
+          onLoad: this.onScenarioLoad,
+          onClone: this.onScenarioClone,
+          onRename: this.onScenarioRename,
+          onDelete: this.onScenarioDelete,
+          onCompareToggle: this.onScenarioCompareToggle
         });
 
         const btnPDF = document.getElementById('btnGeneratePDF');
@@ -1770,6 +3097,10 @@ updatePanel2Components() {
         <div style="display:flex;flex-direction:column;gap:16px;">
           ${renderPanelDescription(panel)}
           <div id="costAnalysisPanel" style="min-height:800px;"></div>
+          <div id="optimizationRunLogPanel"></div>
+          <div id="costRiskFrontierPanel"></div>
+          <div id="countryAllocationPanel"></div>
+          <div id="goalSeekPanel"></div>
         </div>
       `);
 
@@ -1786,7 +3117,7 @@ updatePanel2Components() {
           responsivenessStrategy: this.state.responsivenessStrategy,
           responsivenessEffectiveness: this.state.responsivenessEffectiveness,
           selectedCountries: this.state.selectedCountries,
-          countries: this.state.countries,
+          countries: this.getPortfolioCountries(),
           countryVolumes: this.state.countryVolumes,
           countryRisks: this.state.countryRisks,
           countryManagedRisks: this.state.countryManagedRisks,
@@ -1808,88 +3139,469 @@ updatePanel2Components() {
           onSocialAuditCostReductionChange: this.onSocialAuditCostReductionChange,
           shouldAutoRunOptimization: this.state.shouldAutoRunOptimization,
           lastOptimizationResult: this.state.lastOptimizationResult,
-          isGeneratingReport: this.state.isGeneratingReport
+          isGeneratingReport: this.state.isGeneratingReport,
+          countryToolCoverage: this.state.countryToolCoverage
+        });
+        this.state.shouldAutoRunOptimization = false;
+
+        UIComponents.createOptimizationRunLogPanel('optimizationRunLogPanel', {
+          runs: this.state.optimizationRuns,
+          seed: this.state.optimizationSeed,
+          currentInputsHash: riskEngine.hashOptimizationInputs(this.getGoalSeekInputs()),
+          replay: this.state.optimizationReplay,
+          onSeedChange: this.onOptimizationSeedChange,
+          onReplay: this.onOptimizationRunReplay,
+          onExport: this.onOptimizationRunExport
+        });
+
+        UIComponents.createCostRiskFrontierPanel('costRiskFrontierPanel', {
+          frontier: this.getCurrentCostRiskFrontier(),
+          isStale: Boolean(this.state.costRiskFrontier) && !this.getCurrentCostRiskFrontier(),
+          hasSelection: this.state.selectedCountries.length > 0,
+          onRun: this.onCostRiskFrontierRun
+        });
+
+        UIComponents.createCountryAllocationPanel('countryAllocationPanel', {
+          mode: this.state.countryCoverageMode,
+          result: this.getCurrentCountryAllocationResult(),
+          isStale: Boolean(this.state.countryAllocationResult) && !this.getCurrentCountryAllocationResult(),
+          hasSelection: this.state.selectedCountries.length > 0,
+          countries: this.getPortfolioCountries(),
+          onModeChange: this.onCountryCoverageModeChange,
+          onRun: this.onCountryAllocationRun,
+          onApply: this.onCountryAllocationApply
+        });
+
+        UIComponents.createGoalSeekPanel('goalSeekPanel', {
+          target: this.state.goalSeekTarget,
+          result: this.getCurrentGoalSeekResult(),
+          isStale: Boolean(this.state.goalSeekResult) && !this.getCurrentGoalSeekResult(),
+          baselineRisk: this.state.baselineRisk,
+          managedRisk: this.state.managedRisk,
+          hasSelection: this.state.selectedCountries.length > 0,
+          saqConstraintEnabled: this.state.saqConstraintEnabled,
+          socialAuditConstraintEnabled: this.state.socialAuditConstraintEnabled,
+          onRun: this.onGoalSeekRun,
+          onApply: this.onGoalSeekApply
+        });
+      });
+
+      return html;
+    }
+
+    return '';
+  }
+
+  /* ------------------------ Export & Reporting ----------------------- */
+
+   async generatePDFReport(request = {}) {
+    if (typeof document === 'undefined') {
+      console.warn('PDF report generation is only available in a browser environment.');
+      return;
+    }
+
+    if (this.state.isGeneratingReport) {
+      return;
+    }
+
+    const options = (request instanceof Event || request === null)
+      ? {}
+      : (typeof request === 'object' ? request : {});
+
+    const includePanel6 = Boolean(options.includePanel6);
+
+    try {
+      this.state.isGeneratingReport = true;
+      this.updateUI();
+
+      await pdfGenerator.generateReport(this, { includePanel6 });
+
+      console.log('PDF generated');
+    } catch (error) {
+      console.error('Failed to generate PDF:', error);
+    } finally {
+      this.state.isGeneratingReport = false;
+      this.updateUI();
+    }
+  }
+
+  exportConfiguration = async () => {
+    try {
+      const config = {
+        exportedAt: new Date().toISOString(),
+        version: '5.0',
+        data: (() => ({
+          countries: this.state.countries,
+          selectedCountries: this.state.selectedCountries,
+          weights: this.state.weights,
+          weightKeys: [...riskEngine.indexFields],
+          imputationStrategy: this.state.imputationStrategy,
+          riskBands: this.state.riskBands,
+          hrddStrategy: this.state.hrddStrategy,
+          countryToolCoverage: this.state.countryToolCoverage,
+          transparencyEffectiveness: this.state.transparencyEffectiveness,
+          responsivenessStrategy: this.state.responsivenessStrategy,
+          responsivenessEffectiveness: this.state.responsivenessEffectiveness,
+          focus: this.state.focus,
+          riskConcentration: this.state.riskConcentration,
+          countryVolumes: this.state.countryVolumes,
+          countrySectors: this.state.countrySectors,
+          suppliers: this.state.suppliers,
+          volumeBasis: this.state.volumeBasis,
+          datasetVersion: this.state.datasetVersion
+        }))()
+      };
+
+      const blob = new Blob([JSON.stringify(config, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `hrdd-risk-config-${new Date().toISOString().split('T')[0]}.json`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+      console.log('Configuration exported');
+    } catch (error) {
+      console.error('Failed to export configuration:', error);
+       }
+  };
+
+  /* ------------------------ Configuration Import ---------------------- */
+
+  // Bring any supported export into the exportConfiguration 5.0 `data` shape:
+  //  - 5.0: AppController.exportConfiguration ({ version, data })
+  //  - 6.1: RiskEngine.exportConfiguration ({ metadata, portfolio, step1..3 })
+  //  - 3.0: the Wix embed's getState download ({ toolVersion, ...state })
+  migrateConfiguration(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('The file does not contain a configuration object');
+    }
+
+    const version = config.version ?? config.metadata?.version ?? config.toolVersion ?? null;
+
+    if (version === '5.0' && config.data && typeof config.data === 'object') {
+      return { version, exportedAt: config.exportedAt || null, data: { ...config.data } };
+    }
+
+    if (version === '6.1' && config.step1 && config.step2 && config.step3) {
+      return {
+        version,
+        exportedAt: config.metadata?.exportDate || null,
+        data: {
+          selectedCountries: config.portfolio?.selectedCountries,
+          countryVolumes: config.portfolio?.countryVolumes,
+          weights: config.step1.weights,
+          weightKeys: config.step1.weightKeys,
+          hrddStrategy: config.step2.hrddStrategy,
+          transparencyEffectiveness: config.step2.transparencyEffectiveness,
+          focus: config.step2.focus,
+          riskConcentration: config.step2.riskConcentration,
+          responsivenessStrategy: config.step3.responsivenessStrategy,
+          responsivenessEffectiveness: config.step3.responsivenessEffectiveness
+        }
+      };
+    }
+
+    if (version === '3.0') {
+      return { version, exportedAt: config.exportDate || null, data: { ...config } };
+    }
+
+    throw new Error(version
+      ? `Unsupported configuration version ${version} (expected 5.0, 6.1 or 3.0)`
+      : 'The file has no configuration version');
+  }
+
+  // Normalise imported values and check them with the engine's validate* methods. Invalid fields
+  // are left out with a warning so the rest of the file can still be applied.
+  validateImportedConfiguration(data) {
+    const partialState = {};
+    const warnings = [];
+    const toNumbers = arr => arr.map(value => (typeof value === 'number' ? value : parseFloat(value)));
+
+    if (Array.isArray(data.weights)) {
+      const weights = this.alignWeightsToIndicators(toNumbers(data.weights), data.weightKeys || null);
+      if (riskEngine.validateWeights(weights)) {
+        partialState.weights = weights;
+        partialState.weightKeys = [...riskEngine.indexFields];
+      } else {
+        warnings.push('Index weightings are outside 0–50 and were not imported.');
+      }
+    }
+
+    if (typeof data.imputationStrategy === 'string') {
+      if (riskEngine.imputationStrategies.some(entry => entry.id === data.imputationStrategy)) {
+        partialState.imputationStrategy = data.imputationStrategy;
+      } else {
+        warnings.push(`Missing-data strategy "${data.imputationStrategy}" is not recognised and was not imported.`);
+      }
+    }
+
+    const checks = [
+      ['hrddStrategy', arr => toNumbers(arr), arr => riskEngine.validateHRDDStrategy(arr), 'HRDD tool coverage'],
+      ['transparencyEffectiveness', arr => this.normalizeTransparencyEffectiveness(arr), arr => riskEngine.validateTransparency(arr), 'Tool transparency effectiveness'],
+      ['responsivenessStrategy', arr => toNumbers(arr), arr => riskEngine.validateResponsiveness(arr), 'Response strategy'],
+      ['responsivenessEffectiveness', arr => this.normalizeResponsivenessEffectiveness(arr), arr => riskEngine.validateResponsivenessEffectiveness(arr), 'Response effectiveness']
+    ];
+    checks.forEach(([key, normalize, validate, label]) => {
+      if (!Array.isArray(data[key])) return;
+      const normalized = normalize(data[key]);
+      if (validate(normalized)) {
+        partialState[key] = normalized;
+      } else {
+        warnings.push(`${label} values are invalid and were not imported.`);
+      }
+    });
+
+    if (data.focus !== undefined) {
+      const focus = parseFloat(data.focus);
+      if (Number.isFinite(focus)) {
+        partialState.focus = this.clamp01(focus);
+      } else {
+        warnings.push('Focus is not a number and was not imported.');
+      }
+    }
+    if (data.riskBands !== undefined) {
+      const riskBands = riskEngine.sanitizeRiskBands(data.riskBands);
+      if (riskBands) {
+        partialState.riskBands = riskBands;
+      } else {
+        warnings.push('Risk bands are invalid and were not imported.');
+      }
+    }
+    if (data.countryToolCoverage !== undefined) {
+      if (data.countryToolCoverage && typeof data.countryToolCoverage === 'object' && !Array.isArray(data.countryToolCoverage)) {
+        partialState.countryToolCoverage = riskEngine.sanitizeCountryToolCoverage(data.countryToolCoverage);
+      } else {
+        warnings.push('Per-country tool coverage is invalid and was not imported.');
+      }
+    }
+    if (data.riskConcentration !== undefined) {
+      const concentration = parseFloat(data.riskConcentration);
+      if (Number.isFinite(concentration) && concentration > 0) {
+        partialState.riskConcentration = concentration;
+      } else {
+        warnings.push('Risk concentration is invalid and was not imported.');
+      }
+    }
+
+    if (Array.isArray(data.selectedCountries)) {
+      const known = new Set(this.getPortfolioCountries().map(country => country.isoCode));
+      const codes = [...new Set(data.selectedCountries
+        .map(code => (typeof code === 'string' ? code.trim().toUpperCase() : ''))
+        .filter(Boolean))];
+      const unknown = known.size > 0 ? codes.filter(code => !known.has(code)) : [];
+      if (unknown.length > 0) {
+        warnings.push(`Countries not in the current dataset were skipped: ${unknown.join(', ')}.`);
+      }
+      partialState.selectedCountries = codes.filter(code => !unknown.includes(code));
+
+      const volumes = {};
+      Object.entries(data.countryVolumes && typeof data.countryVolumes === 'object' ? data.countryVolumes : {})
+        .forEach(([key, value]) => {
+          const isoCode = key.trim().toUpperCase();
+          const parsed = parseFloat(value);
+          if (partialState.selectedCountries.includes(isoCode) && Number.isFinite(parsed) && parsed >= 0) {
+            volumes[isoCode] = parsed;
+          }
         });
-        this.state.shouldAutoRunOptimization = false;
+      partialState.countryVolumes = volumes;
+      partialState.countrySectors = this.normalizeCountrySectors(data.countrySectors);
+    }
+
+    if (Array.isArray(data.suppliers)) {
+      partialState.suppliers = data.suppliers.filter(supplier => supplier && typeof supplier === 'object');
+    }
+    if (supplierImport.volumeBases.some(entry => entry.id === data.volumeBasis)) {
+      partialState.volumeBasis = data.volumeBasis;
+    }
+    if (typeof data.datasetVersion === 'string' && data.datasetVersion !== this.state.datasetVersion) {
+      if (this.state.availableDatasets.includes(data.datasetVersion)) {
+        partialState.datasetVersion = data.datasetVersion;
+      } else {
+        warnings.push(`Dataset ${data.datasetVersion} is not available; the current dataset is kept.`);
+      }
+    }
+
+    const costFields = ['supplierCount', 'hourlyRate', 'toolAnnualProgrammeCosts', 'toolPerSupplierCosts',
+      'toolInternalHours', 'toolRemedyInternalHours', 'saqConstraintEnabled', 'socialAuditConstraintEnabled',
+      'socialAuditCostReduction'];
+    if (ENABLE_PANEL_6) {
+      costFields.forEach(key => {
+        if (data[key] !== undefined) partialState[key] = data[key];
       });
+    }
 
-      return html;
+    if (Array.isArray(data.countries) && data.countries.length > 0) {
+      warnings.push('Country index data stored in the file is ignored; scores come from the selected dataset.');
     }
 
-    return '';
+    return { partialState, warnings };
   }
 
-  /* ------------------------ Export & Reporting ----------------------- */
+  // Field-by-field list of what applying the import would change
+  describeConfigurationChanges(partialState) {
+    const changes = [];
+    const format = value => (Number.isFinite(value) ? `${Math.round(value * 100) / 100}` : String(value ?? '—'));
+    const compareList = (section, labels, current, next) => {
+      next.forEach((value, index) => {
+        if (current?.[index] !== value) {
+          changes.push({ section, label: labels[index] || `#${index + 1}`, current: format(current?.[index]), imported: format(value) });
+        }
+      });
+    };
 
-   async generatePDFReport(request = {}) {
-    if (typeof document === 'undefined') {
-      console.warn('PDF report generation is only available in a browser environment.');
-      return;
+    if (partialState.weights) {
+      compareList('Index weightings', riskEngine.indexLabels, this.state.weights, partialState.weights);
+    }
+    if (partialState.hrddStrategy) {
+      compareList('HRDD tool coverage (%)', riskEngine.hrddStrategyLabels, this.state.hrddStrategy, partialState.hrddStrategy);
+    }
+    if (partialState.transparencyEffectiveness) {
+      compareList('Transparency effectiveness (%)', riskEngine.hrddStrategyLabels, this.state.transparencyEffectiveness, partialState.transparencyEffectiveness);
+    }
+    if (partialState.responsivenessStrategy) {
+      compareList('Response strategy (%)', riskEngine.responsivenessLabels, this.state.responsivenessStrategy, partialState.responsivenessStrategy);
+    }
+    if (partialState.responsivenessEffectiveness) {
+      compareList('Response effectiveness (%)', riskEngine.responsivenessLabels, this.state.responsivenessEffectiveness, partialState.responsivenessEffectiveness);
+    }
+    if (partialState.imputationStrategy && partialState.imputationStrategy !== this.state.imputationStrategy) {
+      const strategyName = id => riskEngine.imputationStrategies.find(entry => entry.id === id)?.name || id;
+      changes.push({
+        section: 'Missing data',
+        label: 'Imputation strategy',
+        current: strategyName(this.state.imputationStrategy),
+        imported: strategyName(partialState.imputationStrategy)
+      });
+    }
+    if (partialState.riskBands && JSON.stringify(partialState.riskBands) !== JSON.stringify(this.state.riskBands)) {
+      const describeBands = bands => riskEngine.getRiskBandDefinitions(bands).map(band => `${band.name} ${band.min}+`).join(', ');
+      changes.push({
+        section: 'Risk bands',
+        label: 'Band names and thresholds',
+        current: describeBands(this.state.riskBands),
+        imported: describeBands(partialState.riskBands)
+      });
+    }
+    if (partialState.focus !== undefined && partialState.focus !== this.state.focus) {
+      changes.push({ section: 'Focus', label: 'Focus on high-risk countries', current: format(this.state.focus), imported: format(partialState.focus) });
+    }
+    if (partialState.countryToolCoverage) {
+      const currentCount = Object.keys(this.state.countryToolCoverage || {}).length;
+      const importedCount = Object.keys(partialState.countryToolCoverage).length;
+      if (currentCount !== importedCount || JSON.stringify(this.state.countryToolCoverage || {}) !== JSON.stringify(partialState.countryToolCoverage)) {
+        changes.push({ section: 'HRDD tool coverage (%)', label: 'Per-country overrides', current: String(currentCount), imported: String(importedCount) });
+      }
     }
 
-    if (this.state.isGeneratingReport) {
-      return;
+    if (partialState.selectedCountries) {
+      const current = new Set(this.state.selectedCountries);
+      const next = new Set(partialState.selectedCountries);
+      const added = partialState.selectedCountries.filter(code => !current.has(code));
+      const removed = this.state.selectedCountries.filter(code => !next.has(code));
+      if (added.length > 0) changes.push({ section: 'Countries', label: 'Added', current: '—', imported: added.join(', ') });
+      if (removed.length > 0) changes.push({ section: 'Countries', label: 'Removed', current: removed.join(', '), imported: '—' });
+
+      partialState.selectedCountries.forEach(code => {
+        const currentVolume = current.has(code) ? (this.state.countryVolumes[code] ?? 10) : null;
+        const importedVolume = partialState.countryVolumes[code] ?? 10;
+        if (currentVolume !== null && currentVolume !== importedVolume) {
+          changes.push({ section: 'Country weightings', label: code, current: format(currentVolume), imported: format(importedVolume) });
+        }
+      });
     }
 
-    const options = (request instanceof Event || request === null)
-      ? {}
-      : (typeof request === 'object' ? request : {});
+    if (partialState.suppliers && partialState.suppliers.length !== this.state.suppliers.length) {
+      changes.push({ section: 'Suppliers', label: 'Supplier rows', current: format(this.state.suppliers.length), imported: format(partialState.suppliers.length) });
+    }
+    if (partialState.datasetVersion) {
+      changes.push({ section: 'Dataset', label: 'Index dataset', current: format(this.state.datasetVersion), imported: partialState.datasetVersion });
+    }
 
-    const includePanel6 = Boolean(options.includePanel6);
+    if (ENABLE_PANEL_6) {
+      ['supplierCount', 'hourlyRate'].forEach(key => {
+        if (partialState[key] !== undefined && partialState[key] !== this.state[key]) {
+          changes.push({ section: 'Cost analysis', label: key === 'supplierCount' ? 'Supplier count' : 'Hourly rate', current: format(this.state[key]), imported: format(partialState[key]) });
+        }
+      });
+      ['toolAnnualProgrammeCosts', 'toolPerSupplierCosts', 'toolInternalHours', 'toolRemedyInternalHours'].forEach(key => {
+        if (Array.isArray(partialState[key]) && JSON.stringify(partialState[key]) !== JSON.stringify(this.state[key])) {
+          changes.push({ section: 'Cost analysis', label: key.replace(/([A-Z])/g, ' $1').toLowerCase(), current: (this.state[key] || []).join(', '), imported: partialState[key].join(', ') });
+        }
+      });
+    }
+
+    return changes;
+  }
 
+  // Parse and validate a configuration object; the result waits in state for confirmation
+  importConfiguration(config, fileName = null) {
     try {
-      this.state.isGeneratingReport = true;
-      this.updateUI();
+      const { version, exportedAt, data } = this.migrateConfiguration(config);
+      const { partialState, warnings } = this.validateImportedConfiguration(data);
+      if (Object.keys(partialState).length === 0) {
+        throw new Error('The file contains no settings that can be imported');
+      }
 
-      await pdfGenerator.generateReport(this, { includePanel6 });
+      this.state.pendingConfigurationImport = {
+        fileName,
+        version,
+        exportedAt,
+        partialState,
+        changes: this.describeConfigurationChanges(partialState),
+        warnings
+      };
+      this.state.configurationImportError = null;
+    } catch (error) {
+      console.error('Configuration import failed:', error);
+      this.state.pendingConfigurationImport = null;
+      this.state.configurationImportError = error.message;
+    }
 
-      console.log('PDF generated');
+    this.updateUI();
+    return this.state.pendingConfigurationImport;
+  }
+
+  async onConfigurationFileSelected(file) {
+    if (!file) return null;
+
+    let config;
+    try {
+      config = JSON.parse(await file.text());
     } catch (error) {
-      console.error('Failed to generate PDF:', error);
-    } finally {
-      this.state.isGeneratingReport = false;
+      this.state.pendingConfigurationImport = null;
+      this.state.configurationImportError = `Could not read ${file.name || 'file'}: ${error.message}`;
       this.updateUI();
+      return null;
     }
+    return this.importConfiguration(config, file.name || null);
   }
 
-  exportConfiguration = async () => {
-    try {
-      const config = {
-        exportedAt: new Date().toISOString(),
-        version: '5.0',
-        data: (() => ({
-          countries: this.state.countries,
-          selectedCountries: this.state.selectedCountries,
-          weights: this.state.weights,
-          hrddStrategy: this.state.hrddStrategy,
-          transparencyEffectiveness: this.state.transparencyEffectiveness,
-          responsivenessStrategy: this.state.responsivenessStrategy,
-          responsivenessEffectiveness: this.state.responsivenessEffectiveness,
-          focus: this.state.focus,
-          riskConcentration: this.state.riskConcentration,
-          countryVolumes: this.state.countryVolumes
-        }))()
-      };
+  async applyConfigurationImport() {
+    const pending = this.state.pendingConfigurationImport;
+    if (!pending) return;
 
-      const blob = new Blob([JSON.stringify(config, null, 2)], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `hrdd-risk-config-${new Date().toISOString().split('T')[0]}.json`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-      console.log('Configuration exported');
-    } catch (error) {
-      console.error('Failed to export configuration:', error);
-       }
-  };
+    const { datasetVersion, ...partialState } = pending.partialState;
+    this.state.pendingConfigurationImport = null;
+    this.state.configurationImportError = null;
+    this.setState(partialState);
+
+    if (datasetVersion) {
+      await this.onDatasetChange(datasetVersion);
+    }
+  }
+
+  cancelConfigurationImport() {
+    this.state.pendingConfigurationImport = null;
+    this.state.configurationImportError = null;
+    this.updateUI();
+  }
 
   /* ----------------------- External Integrations ------------------------ */
 
-  loadSavedState() {
-    const restored = this.restoreState();
+  async loadSavedState() {
+    const restored = await this.restoreState();
     if (restored) {
       this.calculateAllRisks();
       this.calculateBaselineRisk();
@@ -1969,11 +3681,20 @@ updatePanel2Components() {
       countries: Array.isArray(this.state.countries)
         ? this.state.countries.map(country => ({ ...country }))
         : [],
+      availableDatasets: Array.isArray(this.state.availableDatasets) ? [...this.state.availableDatasets] : [],
+      comparisonCountries: Array.isArray(this.state.comparisonCountries)
+        ? this.state.comparisonCountries.map(country => ({ ...country }))
+        : [],
       selectedCountries: Array.isArray(this.state.selectedCountries)
         ? [...this.state.selectedCountries]
         : [],
       weights: Array.isArray(this.state.weights) ? [...this.state.weights] : [],
+      weightKeys: [...riskEngine.indexFields],
+      indicators: Array.isArray(this.state.indicators)
+        ? this.state.indicators.map(indicator => ({ ...indicator }))
+        : [],
       hrddStrategy: Array.isArray(this.state.hrddStrategy) ? [...this.state.hrddStrategy] : [],
+      countryToolCoverage: this.state.countryToolCoverage ? { ...this.state.countryToolCoverage } : {},
       transparencyEffectiveness: Array.isArray(this.state.transparencyEffectiveness)
         ? [...this.state.transparencyEffectiveness]
         : [],
@@ -1985,6 +3706,13 @@ updatePanel2Components() {
         : [],
       countryVolumes: this.state.countryVolumes ? { ...this.state.countryVolumes } : {},
       countryRisks: this.state.countryRisks ? { ...this.state.countryRisks } : {},
+      countryIndexRisks: this.state.countryIndexRisks ? { ...this.state.countryIndexRisks } : {},
+      countryDataCompleteness: this.state.countryDataCompleteness ? { ...this.state.countryDataCompleteness } : {},
+      countrySectors: this.normalizeCountrySectors(this.state.countrySectors),
+      suppliers: Array.isArray(this.state.suppliers)
+        ? this.state.suppliers.map(supplier => ({ ...supplier }))
+        : [],
+      volumeBasis: this.state.volumeBasis,
       countryManagedRisks: this.state.countryManagedRisks ? { ...this.state.countryManagedRisks } : {}
     };
 
@@ -2014,12 +3742,25 @@ updatePanel2Components() {
 
     assignArray('countries', arr => arr.map(country => ({ ...country })));
     assignArray('selectedCountries', arr => Array.from(new Set(arr)));
-    assignArray('weights', arr => [...arr]);
+    assignArray('weights', arr => this.alignWeightsToIndicators(arr, partialState.weightKeys));
+    if (typeof partialState.imputationStrategy === 'string') {
+      this.state.imputationStrategy = riskEngine.sanitizeImputationStrategy(partialState.imputationStrategy);
+    }
+    if (partialState.riskBands && typeof partialState.riskBands === 'object') {
+      this.applyRiskBands(partialState.riskBands);
+    }
     assignArray('hrddStrategy', arr => [...arr]);
     assignArray('transparencyEffectiveness', arr => this.normalizeTransparencyEffectiveness(arr));
     assignArray('responsivenessStrategy', arr => [...arr]);
     assignArray('responsivenessEffectiveness', arr => this.normalizeResponsivenessEffectiveness(arr));
 
+    if (partialState.countryToolCoverage && typeof partialState.countryToolCoverage === 'object') {
+      this.state.countryToolCoverage = riskEngine.sanitizeCountryToolCoverage(partialState.countryToolCoverage);
+    }
+    if (partialState.countryCoverageMode === 'band' || partialState.countryCoverageMode === 'country') {
+      this.state.countryCoverageMode = partialState.countryCoverageMode;
+    }
+
     if (typeof partialState.focus === 'number') {
       this.state.focus = this.clamp01(partialState.focus);
     }
@@ -2044,6 +3785,9 @@ updatePanel2Components() {
       });
       this.state.countryRisks = normalizedRisks;
     }
+    if (partialState.countrySectors && typeof partialState.countrySectors === 'object') {
+      this.state.countrySectors = this.normalizeCountrySectors(partialState.countrySectors);
+    }
     if (partialState.countryManagedRisks && typeof partialState.countryManagedRisks === 'object') {
       const normalizedManaged = {};
       Object.entries(partialState.countryManagedRisks).forEach(([key, value]) => {
@@ -2054,6 +3798,27 @@ updatePanel2Components() {
       this.state.countryManagedRisks = normalizedManaged;
     }
 
+    if (typeof partialState.datasetVersion === 'string' || partialState.datasetVersion === null) {
+      this.state.datasetVersion = partialState.datasetVersion;
+    }
+    assignArray('comparisonCountries', arr => arr.map(country => ({ ...country })));
+    assignArray('suppliers', arr => arr.filter(supplier => supplier && typeof supplier === 'object').map(supplier => ({ ...supplier })));
+    if (supplierImport.volumeBases.some(entry => entry.id === partialState.volumeBasis)) {
+      this.state.volumeBasis = partialState.volumeBasis;
+    }
+    if (this.applyCostState(partialState)) {
+      this.state.lastOptimizationResult = null;
+    }
+    if (typeof partialState.comparisonDataset === 'string' || partialState.comparisonDataset === null) {
+      this.state.comparisonDataset = partialState.comparisonDataset;
+    }
+    if (partialState.uncertaintySettings && typeof partialState.uncertaintySettings === 'object') {
+      this.state.uncertaintySettings = riskEngine.sanitizeUncertaintySettings(partialState.uncertaintySettings);
+    }
+    if (typeof partialState.sensitivityPerturbation === 'number') {
+      this.state.sensitivityPerturbation = Math.max(1, Math.min(100, partialState.sensitivityPerturbation));
+    }
+
     const simpleKeys = [
       'baselineRisk',
       'managedRisk',
@@ -2077,6 +3842,7 @@ updatePanel2Components() {
     this.calculateAllRisks();
     this.calculateBaselineRisk();
     this.calculateManagedRisk();
+    this.calculateDatasetDeltas();
     this.state.lastUpdate = new Date().toISOString();
 
     if (this.containerElement) {
@@ -2109,10 +3875,20 @@ updatePanel2Components() {
     );
 
     this.state.weights = defaultWeights;
+    this.state.imputationStrategy = riskEngine.defaultImputationStrategy;
+    this.applyRiskBands(null);
+    this.state.riskBandsError = null;
+    this.state.riskBandsNotice = null;
     this.state.selectedCountries = [];
     this.state.countryVolumes = {};
     this.state.countryRisks = {};
+    this.state.countryIndexRisks = {};
     this.state.countryManagedRisks = {};
+    this.state.countrySectors = {};
+    this.state.suppliers = [];
+    this.state.volumeBasis = 'spend';
+    this.state.supplierImportReport = null;
+    this.state.supplierImportError = null;
     this.state.baselineRisk = 0;
     this.state.managedRisk = 0;
     this.state.riskConcentration = 1;
@@ -2122,6 +3898,9 @@ updatePanel2Components() {
     this.state.responsivenessStrategy = defaultResponsiveness;
     this.state.responsivenessEffectiveness = defaultResponsivenessEffectiveness;
     this.state.focusEffectivenessMetrics = null;
+    this.state.comparisonDataset = null;
+    this.state.comparisonCountries = [];
+    this.state.datasetDeltas = [];
     this.state.currentPanel = 1;
     this.state.isDirty = false;
     this.state.loading = false;
@@ -2157,6 +3936,7 @@ updatePanel2Components() {
     this.responsivenessTimeout = null;
     this.responsivenessEffectivenessTimeout = null;
     this.focusTimeout = null;
+    this.cancelComputeJobs();
 
     try {
       if (typeof window !== 'undefined' && window.localStorage) {
@@ -2176,6 +3956,11 @@ updatePanel2Components() {
     } else {
       this.updateUI();
     }
+
+    // Switching back to the default dataset reloads countries and recalculates
+    if (this.state.defaultDataset && this.state.datasetVersion !== this.state.defaultDataset) {
+      this.onDatasetChange(this.state.defaultDataset);
+    }
   }
 
   addCountry(isoCode, volume = null) {
@@ -2200,11 +3985,14 @@ updatePanel2Components() {
     // Remove from volumes and managed risks
     const cleanedVolumes = { ...this.state.countryVolumes };
     const cleanedManagedRisks = { ...this.state.countryManagedRisks };
+    const cleanedSectors = { ...this.state.countrySectors };
     delete cleanedVolumes[normalized];
     delete cleanedManagedRisks[normalized];
+    delete cleanedSectors[normalized];
     
     this.state.countryVolumes = cleanedVolumes;
     this.state.countryManagedRisks = cleanedManagedRisks;
+    this.state.countrySectors = cleanedSectors;
 
     // Update selection
     const nextSelection = this.state.selectedCountries.filter(code => code !== normalized);
@@ -2213,156 +4001,325 @@ updatePanel2Components() {
 
   /* ---------------------------- Persistence -------------------------- */
 
-   saveState() {
-    try {
-      const snapshot = {
-        selectedCountries: this.state.selectedCountries,
-        weights: this.state.weights,
-        hrddStrategy: this.state.hrddStrategy,
-        transparencyEffectiveness: this.state.transparencyEffectiveness,
-        responsivenessStrategy: this.state.responsivenessStrategy,
-        responsivenessEffectiveness: this.state.responsivenessEffectiveness,
-        focus: this.state.focus,
-        riskConcentration: this.state.riskConcentration,
-        countryVolumes: this.state.countryVolumes
-      };
+  // The persisted subset of state: written to localStorage and stored as an assessment payload
+  getSavedStateSnapshot() {
+    const snapshot = {
+      selectedCountries: this.state.selectedCountries,
+      weights: this.state.weights,
+      weightKeys: [...riskEngine.indexFields],
+      imputationStrategy: this.state.imputationStrategy,
+      riskBands: this.state.riskBands,
+      hrddStrategy: this.state.hrddStrategy,
+      countryToolCoverage: this.state.countryToolCoverage,
+      countryCoverageMode: this.state.countryCoverageMode,
+      transparencyEffectiveness: this.state.transparencyEffectiveness,
+      responsivenessStrategy: this.state.responsivenessStrategy,
+      responsivenessEffectiveness: this.state.responsivenessEffectiveness,
+      focus: this.state.focus,
+      riskConcentration: this.state.riskConcentration,
+      countryVolumes: this.state.countryVolumes,
+      countrySectors: this.state.countrySectors,
+      suppliers: this.state.suppliers,
+      volumeBasis: this.state.volumeBasis,
+      datasetVersion: this.state.datasetVersion,
+      comparisonDataset: this.state.comparisonDataset,
+      uncertaintySettings: this.state.uncertaintySettings,
+      sensitivityPerturbation: this.state.sensitivityPerturbation
+    };
 
-      if (ENABLE_PANEL_6) {
-        snapshot.supplierCount = this.state.supplierCount;
-        snapshot.hourlyRate = this.state.hourlyRate;
-        snapshot.toolAnnualProgrammeCosts = Array.isArray(this.state.toolAnnualProgrammeCosts) 
-          ? [...this.state.toolAnnualProgrammeCosts] 
-          : [];
-        snapshot.toolPerSupplierCosts = Array.isArray(this.state.toolPerSupplierCosts)
-          ? [...this.state.toolPerSupplierCosts]
-          : [];
-        snapshot.toolInternalHours = Array.isArray(this.state.toolInternalHours)
-          ? [...this.state.toolInternalHours]
-          : [];
-        snapshot.toolRemedyInternalHours = Array.isArray(this.state.toolRemedyInternalHours)
-          ? [...this.state.toolRemedyInternalHours]
-          : [];
-        snapshot.saqConstraintEnabled = Boolean(this.state.saqConstraintEnabled);
-        snapshot.socialAuditConstraintEnabled = Boolean(this.state.socialAuditConstraintEnabled);
-        snapshot.socialAuditCostReduction = Number.isFinite(this.state.socialAuditCostReduction)
-          ? this.state.socialAuditCostReduction
-          : 50;
-      }
-      localStorage.setItem('hrdd_app_state_v5', JSON.stringify(snapshot));
-      this.state.isDirty = false;
+    if (ENABLE_PANEL_6) {
+      snapshot.supplierCount = this.state.supplierCount;
+      snapshot.hourlyRate = this.state.hourlyRate;
+      snapshot.toolAnnualProgrammeCosts = Array.isArray(this.state.toolAnnualProgrammeCosts) 
+        ? [...this.state.toolAnnualProgrammeCosts] 
+        : [];
+      snapshot.toolPerSupplierCosts = Array.isArray(this.state.toolPerSupplierCosts)
+        ? [...this.state.toolPerSupplierCosts]
+        : [];
+      snapshot.toolInternalHours = Array.isArray(this.state.toolInternalHours)
+        ? [...this.state.toolInternalHours]
+        : [];
+      snapshot.toolRemedyInternalHours = Array.isArray(this.state.toolRemedyInternalHours)
+        ? [...this.state.toolRemedyInternalHours]
+        : [];
+      snapshot.saqConstraintEnabled = Boolean(this.state.saqConstraintEnabled);
+      snapshot.socialAuditConstraintEnabled = Boolean(this.state.socialAuditConstraintEnabled);
+      snapshot.socialAuditCostReduction = Number.isFinite(this.state.socialAuditCostReduction)
+        ? this.state.socialAuditCostReduction
+        : 50;
+      snapshot.goalSeekTarget = Number.isFinite(this.state.goalSeekTarget) ? this.state.goalSeekTarget : null;
+      snapshot.optimizationSeed = Number.isFinite(this.state.optimizationSeed) ? this.state.optimizationSeed : null;
+      snapshot.optimizationRuns = Array.isArray(this.state.optimizationRuns) ? this.state.optimizationRuns : [];
+    }
+    return snapshot;
+  }
+
+  // keepalive is only for the final save while the page unloads (destroy); browsers refuse
+  // keepalive bodies over 64 KB, which a supplier list or optimiser run log easily exceeds.
+  // Resolves true once every copy is written.
+  async saveState({ keepalive = false } = {}) {
+    let serialized;
+    let snapshot;
+    try {
+      snapshot = this.getSavedStateSnapshot();
+      serialized = JSON.stringify(snapshot);
+      localStorage.setItem('hrdd_app_state_v5', serialized);
     } catch (e) {
       console.warn('saveState failed:', e);
+      return false;
+    }
+
+    if (!this.state.assessment?.id) {
+      this.state.isDirty = false;
+      return true;
+    }
+
+    // Keep the linked server copy in step; localStorage remains the offline fallback. The state
+    // stays dirty until the server has it, so the auto-save retries a failed sync.
+    try {
+      await dataService.updateAssessment(this.state.assessment.id, { payload: snapshot }, { keepalive });
+    } catch (error) {
+      console.warn('Assessment sync failed:', error);
+      return false;
+    }
+    if (JSON.stringify(this.getSavedStateSnapshot()) === serialized) {
+      this.state.isDirty = false;
+    }
+    return true;
+  }
+
+  // Panel 6 cost inputs shared by restoreState and setState; returns true if anything applied
+  applyCostState(source) {
+    if (!ENABLE_PANEL_6 || !source || typeof source !== 'object') return false;
+    let restored = false;
+
+    if (typeof source.supplierCount === 'number') {
+      this.state.supplierCount = Math.max(1, Math.floor(source.supplierCount));
+      restored = true;
+    }
+    if (typeof source.hourlyRate === 'number') {
+      this.state.hourlyRate = Math.max(0, source.hourlyRate);
+      restored = true;
+    }
+    if (Array.isArray(source.toolAnnualProgrammeCosts)) {
+      this.state.toolAnnualProgrammeCosts = source.toolAnnualProgrammeCosts.map(value =>
+        Math.max(0, Number.isFinite(value) ? value : 0)
+      );
+      restored = true;
+    }
+    if (Array.isArray(source.toolPerSupplierCosts)) {
+      this.state.toolPerSupplierCosts = source.toolPerSupplierCosts.map(value =>
+        Math.max(0, Number.isFinite(value) ? value : 0)
+      );
+      restored = true;
+    }
+    if (Array.isArray(source.toolInternalHours)) {
+      this.state.toolInternalHours = source.toolInternalHours.map(value =>
+        Math.max(0, Number.isFinite(value) ? value : 0)
+      );
+      restored = true;
+    }
+    if (Array.isArray(source.toolRemedyInternalHours)) {
+      this.state.toolRemedyInternalHours = source.toolRemedyInternalHours.map(value =>
+        Math.max(0, Number.isFinite(value) ? value : 0)
+      );
+      restored = true;
+    }
+    if (typeof source.saqConstraintEnabled === 'boolean') {
+      this.state.saqConstraintEnabled = source.saqConstraintEnabled;
+      restored = true;
+    }
+    if (typeof source.socialAuditConstraintEnabled === 'boolean') {
+      this.state.socialAuditConstraintEnabled = source.socialAuditConstraintEnabled;
+      restored = true;
+    }
+    if (typeof source.socialAuditCostReduction === 'number') {
+      this.state.socialAuditCostReduction = Math.max(0, Math.min(100, source.socialAuditCostReduction));
+      restored = true;
+    }
+    if (typeof source.goalSeekTarget === 'number' || source.goalSeekTarget === null) {
+      this.state.goalSeekTarget = Number.isFinite(source.goalSeekTarget)
+        ? Math.max(0, Math.min(100, source.goalSeekTarget))
+        : null;
+    }
+    if (typeof source.optimizationSeed === 'number' || source.optimizationSeed === null) {
+      this.state.optimizationSeed = Number.isFinite(source.optimizationSeed) ? source.optimizationSeed >>> 0 : null;
+    }
+    if (Array.isArray(source.optimizationRuns)) {
+      this.state.optimizationRuns = source.optimizationRuns
+        .filter(run => run && typeof run.id === 'string' && Number.isFinite(run.seed) && run.inputs && typeof run.inputs === 'object')
+        .slice(0, MAX_OPTIMIZATION_RUNS);
     }
+
+    return restored;
   }
 
-  restoreState() {
+  // ID of the server-side assessment to restore: ?assessment= in the URL, else the last linked one
+  getLinkedAssessmentId() {
     try {
-      const raw = localStorage.getItem('hrdd_app_state_v5');
-      if (!raw) return false;
-      const parsed = JSON.parse(raw);
+      const fromUrl = typeof window !== 'undefined' && window.location
+        ? new URLSearchParams(window.location.search).get('assessment')
+        : null;
+      if (fromUrl) return fromUrl;
+      const stored = JSON.parse(localStorage.getItem('hrdd_assessment_v1') || 'null');
+      return stored?.id || null;
+    } catch (error) {
+      return null;
+    }
+  }
 
-      let restored = false;
+  getStoredAssessmentKey() {
+    try {
+      return localStorage.getItem('hrdd_assessment_key_v1') || '';
+    } catch (error) {
+      return '';
+    }
+  }
 
-      if (Array.isArray(parsed.weights)) {
-        this.state.weights = [...parsed.weights];
-        restored = true;
-      }
-      if (Array.isArray(parsed.selectedCountries)) {
-        this.state.selectedCountries = parsed.selectedCountries
-          .map(code => (typeof code === 'string' ? code.trim().toUpperCase() : ''))
-          .filter(Boolean);
-        restored = true;
-      }
-      if (Array.isArray(parsed.hrddStrategy)) {
-        this.state.hrddStrategy = [...parsed.hrddStrategy];
-        restored = true;
-      }
-      if (Array.isArray(parsed.transparencyEffectiveness)) {
-        this.state.transparencyEffectiveness = this.normalizeTransparencyEffectiveness(parsed.transparencyEffectiveness);
-        restored = true;
-      }
-      if (Array.isArray(parsed.responsivenessStrategy)) {
-        this.state.responsivenessStrategy = [...parsed.responsivenessStrategy];
-        restored = true;
-      }
-      if (Array.isArray(parsed.responsivenessEffectiveness)) {
-        this.state.responsivenessEffectiveness = this.normalizeResponsivenessEffectiveness(parsed.responsivenessEffectiveness);
-        restored = true;
+  linkAssessment(assessment) {
+    this.state.assessment = assessment
+      ? {
+        id: assessment.id,
+        organisation: assessment.organisation,
+        name: assessment.name,
+        updatedAt: assessment.updatedAt
       }
-      if (typeof parsed.focus === 'number') {
-        this.state.focus = this.clamp01(parsed.focus);
-        restored = true;
-      }
-      if (ENABLE_PANEL_6) {
-        if (typeof parsed.supplierCount === 'number') {
-          this.state.supplierCount = Math.max(1, Math.floor(parsed.supplierCount));
-          restored = true;
-        }
-        if (typeof parsed.hourlyRate === 'number') {
-          this.state.hourlyRate = Math.max(0, parsed.hourlyRate);
-          restored = true;
-        }
-        if (Array.isArray(parsed.toolAnnualProgrammeCosts)) {
-          this.state.toolAnnualProgrammeCosts = parsed.toolAnnualProgrammeCosts.map(value =>
-            Math.max(0, Number.isFinite(value) ? value : 0)
-          );
-          restored = true;
-        }
-        if (Array.isArray(parsed.toolPerSupplierCosts)) {
-          this.state.toolPerSupplierCosts = parsed.toolPerSupplierCosts.map(value =>
-            Math.max(0, Number.isFinite(value) ? value : 0)
-          );
-          restored = true;
-        }
-        if (Array.isArray(parsed.toolInternalHours)) {
-          this.state.toolInternalHours = parsed.toolInternalHours.map(value =>
-            Math.max(0, Number.isFinite(value) ? value : 0)
-          );
-          restored = true;
-        }
-        if (Array.isArray(parsed.toolRemedyInternalHours)) {
-          this.state.toolRemedyInternalHours = parsed.toolRemedyInternalHours.map(value =>
-            Math.max(0, Number.isFinite(value) ? value : 0)
-          );
-          restored = true;
-        }
-        // NEW: Restore SAQ constraint state
-        if (typeof parsed.saqConstraintEnabled === 'boolean') {
-          this.state.saqConstraintEnabled = parsed.saqConstraintEnabled;
-          restored = true;
-        }
-        if (typeof parsed.socialAuditConstraintEnabled === 'boolean') {
-          this.state.socialAuditConstraintEnabled = parsed.socialAuditConstraintEnabled;
-          restored = true;
-        }
-        if (typeof parsed.socialAuditCostReduction === 'number') {
-          this.state.socialAuditCostReduction = Math.max(0, Math.min(100, parsed.socialAuditCostReduction));
-          restored = true;
-        }
-      }
-      if (typeof parsed.riskConcentration === 'number') {
-        this.state.riskConcentration = parsed.riskConcentration;
-        restored = true;
+      : null;
+    if (this.state.assessment?.organisation) {
+      this.state.assessmentOrganisation = this.state.assessment.organisation;
+    }
+
+    try {
+      if (this.state.assessment) {
+        localStorage.setItem('hrdd_assessment_v1', JSON.stringify(this.state.assessment));
+      } else {
+        localStorage.removeItem('hrdd_assessment_v1');
       }
-      if (parsed.countryVolumes && typeof parsed.countryVolumes === 'object') {
-        const normalizedVolumes = {};
-        Object.entries(parsed.countryVolumes).forEach(([key, value]) => {
-          if (typeof key === 'string') {
-            normalizedVolumes[key.trim().toUpperCase()] = value;
-          }
-        });
-        this.state.countryVolumes = normalizedVolumes;
-        restored = true;
+    } catch (error) {
+      console.warn('Failed to remember linked assessment:', error);
+    }
+  }
+
+  // Restore from the server when an assessment ID is known; localStorage is the offline fallback
+  async restoreState(assessmentId = this.getLinkedAssessmentId()) {
+    if (assessmentId) {
+      try {
+        const assessment = await dataService.getAssessment(assessmentId);
+        const restored = this.applySavedState(assessment?.payload || {});
+        this.linkAssessment(assessment);
+        return restored;
+      } catch (error) {
+        console.warn(`Assessment ${assessmentId} unavailable, restoring local state instead:`, error);
       }
+    }
 
-      this.state.isDirty = false;
-      return restored;
+    try {
+      const raw = localStorage.getItem('hrdd_app_state_v5');
+      if (!raw) return false;
+      return this.applySavedState(JSON.parse(raw));
     } catch (e) {
       console.warn('restoreState failed:', e);
       return false;
     }
   }
 
+  applySavedState(parsed) {
+    if (!parsed || typeof parsed !== 'object') return false;
+
+    let restored = false;
+
+    // Validated against the API's dataset list once it has loaded
+    if (typeof parsed.datasetVersion === 'string') {
+      this.state.datasetVersion = parsed.datasetVersion;
+      restored = true;
+    }
+    if (typeof parsed.comparisonDataset === 'string') {
+      this.state.comparisonDataset = parsed.comparisonDataset;
+      restored = true;
+    }
+    if (Array.isArray(parsed.weights)) {
+      this.state.weights = [...parsed.weights];
+      this.restoredWeightKeys = Array.isArray(parsed.weightKeys) ? [...parsed.weightKeys] : null;
+      restored = true;
+    }
+    if (Array.isArray(parsed.selectedCountries)) {
+      this.state.selectedCountries = parsed.selectedCountries
+        .map(code => (typeof code === 'string' ? code.trim().toUpperCase() : ''))
+        .filter(Boolean);
+      restored = true;
+    }
+    if (Array.isArray(parsed.hrddStrategy)) {
+      this.state.hrddStrategy = [...parsed.hrddStrategy];
+      restored = true;
+    }
+    if (parsed.countryToolCoverage && typeof parsed.countryToolCoverage === 'object') {
+      this.state.countryToolCoverage = riskEngine.sanitizeCountryToolCoverage(parsed.countryToolCoverage);
+      restored = true;
+    }
+    if (parsed.countryCoverageMode === 'band' || parsed.countryCoverageMode === 'country') {
+      this.state.countryCoverageMode = parsed.countryCoverageMode;
+    }
+    if (Array.isArray(parsed.transparencyEffectiveness)) {
+      this.state.transparencyEffectiveness = this.normalizeTransparencyEffectiveness(parsed.transparencyEffectiveness);
+      restored = true;
+    }
+    if (Array.isArray(parsed.responsivenessStrategy)) {
+      this.state.responsivenessStrategy = [...parsed.responsivenessStrategy];
+      restored = true;
+    }
+    if (Array.isArray(parsed.responsivenessEffectiveness)) {
+      this.state.responsivenessEffectiveness = this.normalizeResponsivenessEffectiveness(parsed.responsivenessEffectiveness);
+      restored = true;
+    }
+    if (typeof parsed.focus === 'number') {
+      this.state.focus = this.clamp01(parsed.focus);
+      restored = true;
+    }
+    if (this.applyCostState(parsed)) {
+      restored = true;
+    }
+    if (typeof parsed.riskConcentration === 'number') {
+      this.state.riskConcentration = parsed.riskConcentration;
+      restored = true;
+    }
+    if (parsed.countryVolumes && typeof parsed.countryVolumes === 'object') {
+      const normalizedVolumes = {};
+      Object.entries(parsed.countryVolumes).forEach(([key, value]) => {
+        if (typeof key === 'string') {
+          normalizedVolumes[key.trim().toUpperCase()] = value;
+        }
+      });
+      this.state.countryVolumes = normalizedVolumes;
+      restored = true;
+    }
+    if (parsed.countrySectors && typeof parsed.countrySectors === 'object') {
+      this.state.countrySectors = this.normalizeCountrySectors(parsed.countrySectors);
+      restored = true;
+    }
+    if (Array.isArray(parsed.suppliers)) {
+      this.state.suppliers = parsed.suppliers.filter(supplier => supplier && typeof supplier === 'object');
+      restored = true;
+    }
+    if (supplierImport.volumeBases.some(entry => entry.id === parsed.volumeBasis)) {
+      this.state.volumeBasis = parsed.volumeBasis;
+    }
+    if (typeof parsed.imputationStrategy === 'string') {
+      this.state.imputationStrategy = riskEngine.sanitizeImputationStrategy(parsed.imputationStrategy);
+    }
+    if (parsed.riskBands && typeof parsed.riskBands === 'object') {
+      this.applyRiskBands(parsed.riskBands);
+    }
+    if (parsed.uncertaintySettings && typeof parsed.uncertaintySettings === 'object') {
+      this.state.uncertaintySettings = riskEngine.sanitizeUncertaintySettings(parsed.uncertaintySettings);
+    }
+    if (typeof parsed.sensitivityPerturbation === 'number') {
+      this.state.sensitivityPerturbation = Math.max(1, Math.min(100, parsed.sensitivityPerturbation));
+    }
+
+    this.state.isDirty = false;
+    return restored;
+  }
+
   /* ------------------------------ Cleanup ---------------------------- */
 
  destroy() {
@@ -2373,6 +4330,7 @@ updatePanel2Components() {
     if (this.responsivenessTimeout) clearTimeout(this.responsivenessTimeout);
     if (this.responsivenessEffectivenessTimeout) clearTimeout(this.responsivenessEffectivenessTimeout);
     if (this.focusTimeout) clearTimeout(this.focusTimeout);
+    this.cancelComputeJobs();
 
     if (this.headerResizeObserver) {
       try {
@@ -2388,7 +4346,7 @@ updatePanel2Components() {
       this._headerResizeHandler = null;
     }
 
-    if (this.state.isDirty) this.saveState();
+    if (this.state.isDirty) this.saveState({ keepalive: true });
     if (this._wheelListenerAttached && this._wheelListenerTarget) {
       try {
         this._wheelListenerTarget.removeEventListener('wheel', this.handleWheelScroll);
@@ -0,0 +1,211 @@
+// ComputeService.js - Runs heavy RiskEngine work in a module worker so the embedded page stays
+// responsive, with progress events and cancellation. Falls back to the main thread when
+// workers are unavailable.
+//
+// Messages to the worker:   { type: 'run', id, method, args, config? } | { type: 'cancel', id }
+// Messages from the worker: { type: 'ready' } | { type: 'progress', id, progress, label }
+//                           | { type: 'result', id, result } | { type: 'error', id, message }
+import { riskEngine } from './RiskEngine.js';
+
+const WORKER_START_TIMEOUT_MS = 10000;
+
+const createCancelledError = () => {
+  const error = new Error('Calculation cancelled');
+  error.cancelled = true;
+  return error;
+};
+
+export class ComputeService {
+  constructor() {
+    this.worker = null;
+    this.workerReady = null;
+    this.jobs = new Map();
+    this.postedJobIds = []; // sent to the current worker and unanswered; the worker runs them in order
+    this.nextJobId = 1;
+    this.sentConfigKey = null;
+  }
+
+  isWorkerSupported() {
+    return typeof Worker !== 'undefined' && typeof Blob !== 'undefined' && typeof URL?.createObjectURL === 'function';
+  }
+
+  // Module workers must be same-origin, but the Wix embed loads these files from the API host.
+  // The worker therefore boots from a same-origin blob that imports the real script by absolute
+  // URL, whose own relative imports then resolve against the API host as usual.
+  startWorker() {
+    if (this.workerReady) return this.workerReady;
+    if (!this.isWorkerSupported()) {
+      this.workerReady = Promise.resolve(false);
+      return this.workerReady;
+    }
+
+    this.workerReady = new Promise(resolve => {
+      let bootstrapUrl = null;
+      let worker = null;
+      let settled = false;
+      const settle = ready => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        if (bootstrapUrl) URL.revokeObjectURL(bootstrapUrl);
+        resolve(ready);
+      };
+      const fail = error => {
+        console.warn('Compute worker unavailable, calculating on the main thread:', error?.message || error);
+        if (worker) worker.terminate();
+        this.worker = null;
+        settle(false);
+      };
+      const timer = setTimeout(() => fail(new Error('worker did not start in time')), WORKER_START_TIMEOUT_MS);
+
+      try {
+        const workerUrl = new URL('./RiskEngine.worker.js', import.meta.url).href;
+        bootstrapUrl = URL.createObjectURL(new Blob([`import ${JSON.stringify(workerUrl)};`], { type: 'text/javascript' }));
+        worker = new Worker(bootstrapUrl, { type: 'module' });
+      } catch (error) {
+        fail(error);
+        return;
+      }
+
+      worker.addEventListener('message', event => {
+        const message = event.data || {};
+        if (message.type === 'ready') {
+          this.worker = worker;
+          this.sentConfigKey = null;
+          settle(true);
+          return;
+        }
+        this.handleMessage(message);
+      });
+      worker.addEventListener('error', event => {
+        if (!settled) {
+          fail(event?.error || new Error(event?.message || 'worker failed to load'));
+          return;
+        }
+        console.error('Compute worker failed:', event?.message || event);
+        this.resetWorker();
+        this.rejectAll(new Error(event?.message || 'Calculation worker failed'));
+      });
+    });
+
+    return this.workerReady;
+  }
+
+  resetWorker() {
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+    this.workerReady = null;
+    this.sentConfigKey = null;
+    this.postedJobIds = [];
+  }
+
+  handleMessage({ type, id, progress, label, result, message }) {
+    const job = this.jobs.get(id);
+    if (!job) return;
+
+    if (type === 'progress') {
+      if (typeof job.onProgress === 'function') job.onProgress(progress, label);
+      return;
+    }
+
+    this.jobs.delete(id);
+    this.postedJobIds = this.postedJobIds.filter(postedId => postedId !== id);
+    if (type === 'result') {
+      job.resolve(result);
+    } else if (type === 'error') {
+      job.reject(new Error(message || 'Calculation failed'));
+    }
+  }
+
+  rejectAll(error) {
+    this.jobs.forEach(job => job.reject(error));
+    this.jobs.clear();
+  }
+
+  postJob(job) {
+    // Indicators and sector modifiers only travel when they have changed since the last job
+    const config = riskEngine.getComputeConfig();
+    const configKey = JSON.stringify(config);
+    const message = { type: 'run', id: job.id, method: job.method, args: job.args };
+    if (configKey !== this.sentConfigKey) {
+      message.config = config;
+      this.sentConfigKey = configKey;
+    }
+    this.worker.postMessage(message);
+    this.postedJobIds.push(job.id);
+  }
+
+  // Run riskEngine[method](...args). Returns { id, promise, cancel }; the promise rejects with
+  // an error carrying `cancelled: true` when the job is cancelled.
+  run(method, args = [], { onProgress = null } = {}) {
+    const id = this.nextJobId++;
+    let resolveJob;
+    let rejectJob;
+    const promise = new Promise((resolve, reject) => {
+      resolveJob = resolve;
+      rejectJob = reject;
+    });
+    const job = { id, method, args, onProgress, resolve: resolveJob, reject: rejectJob, cancelled: false };
+    this.jobs.set(id, job);
+
+    this.startWorker().then(ready => {
+      if (job.cancelled || !this.jobs.has(id)) return;
+      if (ready && this.worker) {
+        this.postJob(job);
+        return;
+      }
+      this.runOnMainThread(job);
+    });
+
+    return { id, promise, cancel: () => this.cancel(id) };
+  }
+
+  runOnMainThread(job) {
+    // Yield first so the caller can paint its progress bar before the page blocks
+    setTimeout(() => {
+      if (job.cancelled || !this.jobs.has(job.id)) return;
+      try {
+        const result = riskEngine[job.method](...job.args);
+        if (this.jobs.delete(job.id)) job.resolve(result);
+      } catch (error) {
+        if (this.jobs.delete(job.id)) job.reject(error);
+      }
+    }, 0);
+  }
+
+  // A running calculation cannot be interrupted inside the worker, so cancelling the job the
+  // worker is busy with replaces the worker and re-sends the jobs queued behind it, none of
+  // which had started. A queued job is just dropped, leaving the running one alone.
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return false;
+
+    job.cancelled = true;
+    this.jobs.delete(id);
+    job.reject(createCancelledError());
+
+    const position = this.worker ? this.postedJobIds.indexOf(id) : -1;
+    if (position > 0) {
+      this.postedJobIds.splice(position, 1);
+      this.worker.postMessage({ type: 'cancel', id });
+    } else if (position === 0) {
+      const queued = this.postedJobIds.slice(1).map(queuedId => this.jobs.get(queuedId)).filter(Boolean);
+      this.resetWorker();
+      if (queued.length > 0) {
+        this.startWorker().then(ready => {
+          queued.forEach(other => {
+            if (!this.jobs.has(other.id)) return;
+            if (ready && this.worker) {
+              this.postJob(other);
+            } else {
+              this.runOnMainThread(other);
+            }
+          });
+        });
+      }
+    }
+    return true;
+  }
+}
+
+export const computeService = new ComputeService();
@@ -1,9 +1,12 @@
 // DataService.js - Enhanced API service with full functionality
+import { riskEngine } from './RiskEngine.js';
+
 export class DataService {
   constructor() {
     this.baseURL = 'https://riskmap2-production.up.railway.app/api';
     this.cache = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+    this.assessmentKey = '';
   }
 
   // Enhanced caching mechanism
@@ -50,9 +53,65 @@ export class DataService {
     }
   }
 
-  async getAllCountries() {
+  // Uncached request for endpoints that change server state (assessments)
+  async _request(url, { headers = {}, ...options } = {}) {
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers
+      }
+    });
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error(data?.error || `HTTP error! status: ${response.status} - ${response.statusText}`);
+    }
+    return data;
+  }
+
+  _datasetQuery(dataset) {
+    return dataset ? `?dataset=${encodeURIComponent(dataset)}` : '';
+  }
+
+  // Available index dataset versions: { defaultVersion, versions }
+  async getDatasets() {
+    try {
+      const data = await this._fetchWithCache(`${this.baseURL}/datasets`);
+      return {
+        defaultVersion: data?.defaultVersion || null,
+        versions: Array.isArray(data?.versions) ? data.versions : []
+      };
+    } catch (error) {
+      console.error('Error fetching datasets:', error);
+      throw new Error(`Failed to load datasets: ${error.message}`);
+    }
+  }
+
+  // Indicator columns for a dataset: labels, sources and default weights
+  async getIndicators(dataset = null) {
+    try {
+      const data = await this._fetchWithCache(`${this.baseURL}/indicators${this._datasetQuery(dataset)}`);
+      return Array.isArray(data?.indicators) ? data.indicators : [];
+    } catch (error) {
+      console.error('Error fetching indicators:', error);
+      throw new Error(`Failed to load indicators: ${error.message}`);
+    }
+  }
+
+  // Sector catalogue plus per-country multipliers: { defaultSector, sectors, modifiers }
+  async getSectorModifiers() {
     try {
-      const data = await this._fetchWithCache(`${this.baseURL}/countries`);
+      return await this._fetchWithCache(`${this.baseURL}/sectors`);
+    } catch (error) {
+      console.error('Error fetching sector modifiers:', error);
+      throw new Error(`Failed to load sectors: ${error.message}`);
+    }
+  }
+
+  async getAllCountries(dataset = null) {
+    try {
+      const data = await this._fetchWithCache(`${this.baseURL}/countries${this._datasetQuery(dataset)}`);
       // Handle different response formats from backend
       if (data.countries) return data.countries;
       if (Array.isArray(data)) return data;
@@ -64,26 +123,50 @@ export class DataService {
     }
   }
 
-  async getCountries() {
-    return this.getAllCountries();
+  async getCountries(dataset = null) {
+    return this.getAllCountries(dataset);
+  }
+
+  // Admin-1 regions (states/provinces) carrying their country's scores plus any overrides.
+  // Optional, so a server without regional data just yields none.
+  async getRegions(dataset = null) {
+    try {
+      const data = await this._fetchWithCache(`${this.baseURL}/regions${this._datasetQuery(dataset)}`);
+      return Array.isArray(data) ? data : [];
+    } catch (error) {
+      console.warn('Subnational regions unavailable:', error.message);
+      return [];
+    }
   }
 
-  async getCountry(isoCode) {
+  async getCountry(isoCode, dataset = null) {
     try {
-      return await this._fetchWithCache(`${this.baseURL}/countries/${isoCode}`);
+      return await this._fetchWithCache(`${this.baseURL}/countries/${isoCode}${this._datasetQuery(dataset)}`);
     } catch (error) {
       console.error(`Error fetching country ${isoCode}:`, error);
       throw new Error(`Failed to load country ${isoCode}: ${error.message}`);
     }
   }
 
-  async calculateRisk(countryIsoCode, weights) {
+  // Audit entries (imports, rollbacks, edits) for a country, newest first. Not cached so a
+  // fresh import shows up straight away.
+  async getCountryHistory(isoCode, dataset = null) {
+    const data = await this._request(`${this.baseURL}/countries/${encodeURIComponent(isoCode)}/history${this._datasetQuery(dataset)}`);
+    return Array.isArray(data?.entries) ? data.entries : [];
+  }
+
+  // imputation: 'skip' (default), 'regional-median' or 'worst-case' for missing index scores.
+  // The risk calculations always send the engine's current bands, so results are labelled with
+  // the organisation's own bands and "band:<name>" coverage keys resolve on the server.
+  async calculateRisk(countryIsoCode, weights, imputation = null) {
     try {
       return await this._fetchWithCache(`${this.baseURL}/calculate-risk`, {
         method: 'POST',
         body: JSON.stringify({
           countryIsoCode,
-          weights
+          weights,
+          ...(imputation ? { imputation } : {}),
+          riskBands: riskEngine.getRiskBands()
         })
       });
     } catch (error) {
@@ -92,19 +175,35 @@ export class DataService {
     }
   }
 
-  // Batch calculate risks for multiple countries
-  async calculateMultipleRisks(countryCodes, weights) {
-    const promises = countryCodes.map(code => 
-      this.calculateRisk(code, weights).catch(err => ({
-        error: err.message,
-        countryCode: code
-      }))
-    );
-    return Promise.all(promises);
+  // Batch calculate risks for multiple countries in a single request.
+  // Resolves to { countries, unknownCountries, portfolio, weights } where
+  // portfolio.baselineRisk matches RiskEngine.calculateBaselineRisk. Passing countrySectors
+  // ({ ISO: [sectorId] }) aggregates over country-sector pairs instead. Each country carries
+  // dataCompleteness; imputation selects how missing index scores are treated.
+  async calculateMultipleRisks(countryCodes, weights, countryVolumes = {}, countrySectors = null, imputation = null) {
+    // Sort codes so the same portfolio always hits the same cache entry
+    const codes = [...new Set(Array.isArray(countryCodes) ? countryCodes : [])].sort();
+
+    try {
+      return await this._fetchWithCache(`${this.baseURL}/calculate-risk/batch`, {
+        method: 'POST',
+        body: JSON.stringify({
+          countryCodes: codes,
+          weights,
+          countryVolumes,
+          ...(countrySectors ? { countrySectors } : {}),
+          ...(imputation ? { imputation } : {}),
+          riskBands: riskEngine.getRiskBands()
+        })
+      });
+    } catch (error) {
+      console.error('Error calculating batch risks:', error);
+      throw new Error(`Failed to calculate risks: ${error.message}`);
+    }
   }
 
 // Calculate coverage-based risk with HRDD strategy
-  async calculateCoverageBasedRisk(countryCodes, weights, hrddStrategy, transparencyEffectiveness, responsivenessStrategy, responsivenessEffectiveness, focus) {
+  async calculateCoverageBasedRisk(countryCodes, weights, hrddStrategy, transparencyEffectiveness, responsivenessStrategy, responsivenessEffectiveness, focus, countryVolumes = {}, countryToolCoverage = {}) {
     try {
       return await this._fetchWithCache(`${this.baseURL}/calculate-coverage-risk`, {
         method: 'POST',
@@ -115,7 +214,10 @@ export class DataService {
           transparencyEffectiveness, // Detection rates
           responsivenessStrategy,
           responsivenessEffectiveness,
-          focus
+          focus,
+          countryVolumes, // Portfolio weighting per ISO code (defaults to 10)
+          countryToolCoverage, // Optional coverage vectors per ISO code or "band:<risk band>"
+          riskBands: riskEngine.getRiskBands()
         })
       });
     } catch (error) {
@@ -124,6 +226,79 @@ export class DataService {
     }
   }
 
+  // Saved assessments (server-side copies of the app's saved state). Every request carries the
+  // organisation's access key.
+  setAssessmentKey(key) {
+    this.assessmentKey = typeof key === 'string' ? key.trim() : '';
+  }
+
+  _assessmentHeaders() {
+    return this.assessmentKey ? { Authorization: `Bearer ${this.assessmentKey}` } : {};
+  }
+
+  async listAssessments(organisation) {
+    try {
+      return await this._request(`${this.baseURL}/assessments?organisation=${encodeURIComponent(organisation)}`, {
+        headers: this._assessmentHeaders()
+      });
+    } catch (error) {
+      console.error('Error listing assessments:', error);
+      throw new Error(`Failed to list assessments: ${error.message}`);
+    }
+  }
+
+  async getAssessment(id) {
+    try {
+      return await this._request(`${this.baseURL}/assessments/${encodeURIComponent(id)}`, {
+        headers: this._assessmentHeaders()
+      });
+    } catch (error) {
+      console.error('Error loading assessment:', error);
+      throw new Error(`Failed to load assessment: ${error.message}`);
+    }
+  }
+
+  async createAssessment({ organisation, name, payload }) {
+    try {
+      return await this._request(`${this.baseURL}/assessments`, {
+        method: 'POST',
+        headers: this._assessmentHeaders(),
+        body: JSON.stringify({ organisation, name, payload })
+      });
+    } catch (error) {
+      console.error('Error creating assessment:', error);
+      throw new Error(`Failed to save assessment: ${error.message}`);
+    }
+  }
+
+  // keepalive lets the final save in AppController.destroy() finish while the page unloads;
+  // leave it off for regular saves, as keepalive requests are limited to 64 KB
+  async updateAssessment(id, { name, payload }, { keepalive = false } = {}) {
+    try {
+      return await this._request(`${this.baseURL}/assessments/${encodeURIComponent(id)}`, {
+        method: 'PUT',
+        headers: this._assessmentHeaders(),
+        body: JSON.stringify({ name, payload }),
+        keepalive
+      });
+    } catch (error) {
+      console.error('Error updating assessment:', error);
+      throw new Error(`Failed to save assessment: ${error.message}`);
+    }
+  }
+
+  async deleteAssessment(id) {
+    try {
+      return await this._request(`${this.baseURL}/assessments/${encodeURIComponent(id)}`, {
+        method: 'DELETE',
+        headers: this._assessmentHeaders()
+      });
+    } catch (error) {
+      console.error('Error deleting assessment:', error);
+      throw new Error(`Failed to delete assessment: ${error.message}`);
+    }
+  }
+
   // Health check for API
   async healthCheck() {
     try {
@@ -1,4 +1,6 @@
 // PDFGenerator.js - PDF Report Generation for HRDD Risk Assessment Tool
+import { riskEngine } from './RiskEngine.js';
+
 export class PDFGenerator {
   constructor() {
     this.jsPDFLoaded = false;
@@ -935,6 +937,20 @@ export class PDFGenerator {
       pdf.text(`Risk reduction achieved: ${riskReduction.absolute} (${riskReduction.percentage}%)`, margin + 10, metricsY + 26);
     }
 
+    const uncertainty = typeof appInstance.getCurrentUncertaintyResult === 'function'
+      ? appInstance.getCurrentUncertaintyResult()
+      : null;
+    if (uncertainty) {
+      pdf.setTextColor(71, 85, 105);
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(10);
+      pdf.text(
+        `Managed risk 80% range: ${this.formatRiskValue(uncertainty.managed.p10)} – ${this.formatRiskValue(uncertainty.managed.p90)} (${uncertainty.iterations} simulations)`,
+        margin + 10,
+        metricsY + 34
+      );
+    }
+
     // Footer note
     pdf.setTextColor(100, 116, 139);
     pdf.setFont('helvetica', 'normal');
@@ -1009,6 +1025,323 @@ export class PDFGenerator {
     pdf.text(`Page ${pageNumber}`, pageWidth - margin - 20, margin + 8);
   }
 
+  // Text page listing how many index scores each selected country actually has, so readers
+  // can see which baseline figures rest on incomplete data. Returns pages added (0 when
+  // nothing is selected); long portfolios run over several pages.
+  addDataCompletenessPage(pdf, appInstance, pageNumber) {
+    const state = appInstance?.state || {};
+    const selected = Array.isArray(state.selectedCountries) ? state.selectedCountries : [];
+    const completeness = state.countryDataCompleteness || {};
+    if (selected.length === 0) return 0;
+
+    const pageWidth = 210;
+    const pageHeight = 297;
+    const margin = 20;
+    const contentWidth = pageWidth - 2 * margin;
+    const countryNames = new Map([...(state.countries || []), ...(state.regions || [])]
+      .map(country => [country.isoCode, country.name]));
+    const indexLabels = new Map(riskEngine.indexFields.map((field, index) => [field, riskEngine.indexLabels[index]]));
+    const strategy = riskEngine.imputationStrategies.find(entry => entry.id === state.imputationStrategy)
+      || riskEngine.imputationStrategies[0];
+    const statusLabels = { complete: 'Complete', partial: 'Partial', none: 'No data' };
+    let pagesAdded = 0;
+
+    const drawHeader = () => {
+      pdf.setFillColor(241, 245, 249);
+      pdf.roundedRect(margin - 2, margin - 8, contentWidth + 4, 32, 4, 4, 'F');
+      pdf.setTextColor(30, 41, 59);
+      pdf.setFont('helvetica', 'bold');
+      pdf.setFontSize(15);
+      pdf.text('Panel 2: Baseline Risk', margin, margin + 8);
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(11);
+      pdf.setTextColor(71, 85, 105);
+      pdf.text('Index Data Completeness', margin, margin + 16);
+      pdf.setTextColor(30, 41, 59);
+      pdf.setFontSize(10);
+      pdf.text(`Page ${pageNumber + pagesAdded}`, pageWidth - margin - 20, margin + 8);
+    };
+
+    const newPage = () => {
+      pdf.addPage();
+      drawHeader();
+      pagesAdded += 1;
+      return margin + 34;
+    };
+
+    let y = newPage();
+    pdf.setFontSize(10);
+    const intro = pdf.splitTextToSize(
+      `Missing index scores are treated using: ${strategy.name}. ${strategy.description}`,
+      contentWidth
+    );
+    pdf.text(intro, margin, y);
+    y += intro.length * 5 + 4;
+
+    pdf.setFont('helvetica', 'bold');
+    pdf.text('Country', margin, y);
+    pdf.text('Indices', margin + 60, y);
+    pdf.text('Status', margin + 80, y);
+    pdf.text('Missing', margin + 105, y);
+    pdf.setFont('helvetica', 'normal');
+    y += 6;
+
+    selected.forEach(isoCode => {
+      const entry = completeness[isoCode];
+      const missing = entry && entry.missing.length > 0
+        ? entry.missing.map(field => indexLabels.get(field) || field).join(', ')
+        : '—';
+      const missingLines = pdf.splitTextToSize(missing, contentWidth - 105);
+
+      if (y + missingLines.length * 5 > pageHeight - margin) {
+        y = newPage();
+      }
+
+      pdf.text(String(countryNames.get(isoCode) || isoCode).slice(0, 32), margin, y);
+      pdf.text(entry ? `${entry.available} / ${entry.total}` : '—', margin + 60, y);
+      if (entry?.status === 'none') pdf.setTextColor(185, 28, 28);
+      else if (entry?.status === 'partial') pdf.setTextColor(180, 83, 9);
+      pdf.text(entry ? statusLabels[entry.status] : 'Unknown', margin + 80, y);
+      pdf.setTextColor(30, 41, 59);
+      pdf.text(missingLines, margin + 105, y);
+      y += Math.max(1, missingLines.length) * 5 + 1;
+    });
+
+    return pagesAdded;
+  }
+
+  // Monte Carlo results as error bars on a 0–100 axis: portfolio baseline/managed first,
+  // then one row per selected country. Returns pages added (0 without a current run).
+  addUncertaintyPage(pdf, appInstance, pageNumber) {
+    const result = typeof appInstance?.getCurrentUncertaintyResult === 'function'
+      ? appInstance.getCurrentUncertaintyResult()
+      : null;
+    if (!result) return 0;
+
+    const state = appInstance.state || {};
+    const pageWidth = 210;
+    const pageHeight = 297;
+    const margin = 20;
+    const contentWidth = pageWidth - 2 * margin;
+    const labelWidth = 55;
+    const axisX = margin + labelWidth;
+    const axisWidth = contentWidth - labelWidth;
+    const countryNames = new Map([...(state.countries || []), ...(state.regions || [])]
+      .map(country => [country.isoCode, country.name]));
+    const baselineColor = [100, 116, 139];
+    const managedColor = [37, 99, 235];
+    let pagesAdded = 0;
+
+    const drawHeader = () => {
+      pdf.setFillColor(241, 245, 249);
+      pdf.roundedRect(margin - 2, margin - 8, contentWidth + 4, 32, 4, 4, 'F');
+      pdf.setTextColor(30, 41, 59);
+      pdf.setFont('helvetica', 'bold');
+      pdf.setFontSize(15);
+      pdf.text('Panel 5: Managed Risk', margin, margin + 8);
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(11);
+      pdf.setTextColor(71, 85, 105);
+      pdf.text('Uncertainty (Monte Carlo)', margin, margin + 16);
+      pdf.setTextColor(30, 41, 59);
+      pdf.setFontSize(10);
+      pdf.text(`Page ${pageNumber + pagesAdded}`, pageWidth - margin - 20, margin + 8);
+    };
+
+    const newPage = () => {
+      pdf.addPage();
+      drawHeader();
+      pagesAdded += 1;
+      return margin + 34;
+    };
+
+    const toX = value => axisX + (Math.max(0, Math.min(100, Number(value) || 0)) / 100) * axisWidth;
+
+    const drawErrorBar = (interval, y, color, pointValue = null) => {
+      pdf.setDrawColor(226, 232, 240);
+      pdf.setLineWidth(0.2);
+      pdf.line(axisX, y, axisX + axisWidth, y);
+      pdf.setDrawColor(...color);
+      pdf.setLineWidth(0.6);
+      pdf.line(toX(interval.p10), y, toX(interval.p90), y);
+      pdf.line(toX(interval.p10), y - 1.5, toX(interval.p10), y + 1.5);
+      pdf.line(toX(interval.p90), y - 1.5, toX(interval.p90), y + 1.5);
+      pdf.setFillColor(...color);
+      pdf.circle(toX(interval.p50), y, 1.1, 'F');
+      if (Number.isFinite(pointValue)) {
+        pdf.setDrawColor(17, 24, 39);
+        pdf.setLineWidth(0.3);
+        pdf.line(toX(pointValue), y - 2.2, toX(pointValue), y + 2.2);
+      }
+    };
+
+    const formatInterval = interval =>
+      `P10 ${this.formatRiskValue(interval.p10)}  P50 ${this.formatRiskValue(interval.p50)}  P90 ${this.formatRiskValue(interval.p90)}`;
+
+    let y = newPage();
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(10);
+    const intro = pdf.splitTextToSize(
+      `${result.iterations} simulations with coverage and effectiveness drawn from ${result.distribution} ranges around the Panel 3 and 4 inputs (seed ${result.seed}). `
+      + `Bars run from P10 to P90; the dot is the median and the black tick the point estimate. `
+      + `Risk reduction lies between ${this.formatRiskValue(result.riskReduction.p10)}% and ${this.formatRiskValue(result.riskReduction.p90)}% in 8 of 10 runs.`,
+      contentWidth
+    );
+    pdf.text(intro, margin, y);
+    y += intro.length * 5 + 6;
+
+    const drawAxisLabels = () => {
+      pdf.setFontSize(8);
+      pdf.setTextColor(100, 116, 139);
+      [0, 25, 50, 75, 100].forEach(tick => pdf.text(String(tick), toX(tick), y, { align: 'center' }));
+      pdf.setTextColor(30, 41, 59);
+      y += 6;
+    };
+
+    drawAxisLabels();
+    [
+      { label: 'Baseline risk', interval: result.baseline, point: state.baselineRisk, color: baselineColor },
+      { label: 'Managed risk', interval: result.managed, point: state.managedRisk, color: managedColor }
+    ].forEach(row => {
+      pdf.setFont('helvetica', 'bold');
+      pdf.setFontSize(10);
+      pdf.text(row.label, margin, y + 1);
+      drawErrorBar(row.interval, y, row.color, row.point);
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(8);
+      pdf.text(formatInterval(row.interval), axisX, y + 5);
+      y += 12;
+    });
+
+    y += 4;
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(11);
+    pdf.text('By country', margin, y);
+    y += 6;
+    drawAxisLabels();
+
+    const selected = Array.isArray(state.selectedCountries) ? state.selectedCountries : [];
+    selected.filter(code => result.countries?.[code]).forEach(code => {
+      if (y + 14 > pageHeight - margin) {
+        y = newPage();
+        drawAxisLabels();
+      }
+      const entry = result.countries[code];
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(9);
+      pdf.setTextColor(30, 41, 59);
+      pdf.text(String(countryNames.get(code) || code).slice(0, 30), margin, y + 2);
+      drawErrorBar(entry.baseline, y, baselineColor);
+      drawErrorBar(entry.managed, y + 4, managedColor);
+      pdf.setFontSize(7);
+      pdf.setTextColor(100, 116, 139);
+      pdf.text(`Managed ${formatInterval(entry.managed)}`, margin, y + 6);
+      pdf.setTextColor(30, 41, 59);
+      y += 12;
+    });
+
+    return pagesAdded;
+  }
+
+  // Methodology appendix: the risk bands in force, then one block per index with its weight and
+  // provenance (publisher, edition, licence, original scale and the transformation onto 0–100).
+  // Returns pages added.
+  addMethodologyAppendix(pdf, appInstance, pageNumber) {
+    const state = appInstance?.state || {};
+    const indicators = riskEngine.getIndicators();
+    if (!Array.isArray(indicators) || indicators.length === 0) return 0;
+
+    const pageWidth = 210;
+    const pageHeight = 297;
+    const margin = 20;
+    const contentWidth = pageWidth - 2 * margin;
+    const labelWidth = 48;
+    const weights = Array.isArray(state.weights) ? state.weights : [];
+    const strategy = riskEngine.imputationStrategies.find(entry => entry.id === state.imputationStrategy)
+      || riskEngine.imputationStrategies[0];
+    let pagesAdded = 0;
+
+    const drawHeader = () => {
+      pdf.setFillColor(241, 245, 249);
+      pdf.roundedRect(margin - 2, margin - 8, contentWidth + 4, 32, 4, 4, 'F');
+      pdf.setTextColor(30, 41, 59);
+      pdf.setFont('helvetica', 'bold');
+      pdf.setFontSize(15);
+      pdf.text('Appendix: Methodology', margin, margin + 8);
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(11);
+      pdf.setTextColor(71, 85, 105);
+      pdf.text('Index sources and transformations', margin, margin + 16);
+      pdf.setTextColor(30, 41, 59);
+      pdf.setFontSize(10);
+      pdf.text(`Page ${pageNumber + pagesAdded}`, pageWidth - margin - 20, margin + 8);
+    };
+
+    const newPage = () => {
+      pdf.addPage();
+      drawHeader();
+      pagesAdded += 1;
+      return margin + 34;
+    };
+
+    let y = newPage();
+    pdf.setFontSize(10);
+    const intro = pdf.splitTextToSize(
+      'Baseline country risk is the weighted average of the indices below, each rescaled to 0–100 '
+        + `where higher means greater risk. Missing index scores are treated using: ${strategy.name}.`,
+      contentWidth
+    );
+    pdf.text(intro, margin, y);
+    y += intro.length * 5 + 6;
+
+    pdf.setFont('helvetica', 'bold');
+    pdf.text('Risk bands', margin, y);
+    pdf.setFont('helvetica', 'normal');
+    y += 6;
+    riskEngine.getRiskBandDefinitions().forEach(band => {
+      pdf.setFillColor(band.color);
+      pdf.rect(margin, y - 3, 4, 4, 'F');
+      pdf.text(`${band.name}: ${band.min} to ${band.max}`, margin + 7, y);
+      y += 5;
+    });
+    y += 6;
+
+    indicators.forEach((indicator, index) => {
+      const rows = riskEngine.describeIndicatorProvenance(indicator)
+        .map(row => ({ label: row.label, lines: pdf.splitTextToSize(row.value, contentWidth - labelWidth) }));
+      const weight = Number.isFinite(Number(weights[index])) ? Number(weights[index]) : 0;
+      const blockHeight = 8 + rows.reduce((sum, row) => sum + row.lines.length * 5, 0) + 6;
+
+      if (y + blockHeight > pageHeight - margin) {
+        y = newPage();
+      }
+
+      pdf.setFont('helvetica', 'bold');
+      pdf.text(`${indicator.label || indicator.key} (weight ${weight}%)`, margin, y);
+      pdf.setFont('helvetica', 'normal');
+      y += 6;
+
+      if (rows.length === 0) {
+        pdf.setTextColor(100, 116, 139);
+        pdf.text('No provenance recorded for this index.', margin, y);
+        pdf.setTextColor(30, 41, 59);
+        y += 5;
+      }
+
+      rows.forEach(row => {
+        pdf.setTextColor(71, 85, 105);
+        pdf.text(row.label, margin, y);
+        pdf.setTextColor(30, 41, 59);
+        pdf.text(row.lines, margin + labelWidth, y);
+        y += row.lines.length * 5;
+      });
+
+      y += 6;
+    });
+
+    return pagesAdded;
+  }
+
  async generateReport(appInstance, options = {}) {
     const modal = this.createLoadingModal();
 
@@ -1073,10 +1406,20 @@ export class PDFGenerator {
           currentPageNumber += validSections.length;
         }
 
+        if (panelNumber === 2) {
+          currentPageNumber += this.addDataCompletenessPage(pdf, appInstance, currentPageNumber);
+        }
+        if (panelNumber === 5) {
+          currentPageNumber += this.addUncertaintyPage(pdf, appInstance, currentPageNumber);
+        }
+
         // Add a small delay between panels
         await new Promise(resolve => setTimeout(resolve, 500));
       }
 
+      this.updateProgress('Adding methodology appendix...');
+      currentPageNumber += this.addMethodologyAppendix(pdf, appInstance, currentPageNumber);
+
       this.updateProgress('Finalizing PDF...');
 
       // Generate filename with timestamp
@@ -1,8 +1,124 @@
 // RiskEngine.js - Enhanced with SAQ Coverage Constraint
+import { isoCrosswalk } from './IsoCrosswalk.js';
+
 export class RiskEngine {
   constructor() {
-    // Step 1: Default weightings for the 5 input columns
-    this.defaultWeights = [20, 20, 20, 20, 20]; // ITUC, Corruption, Freedom, WJP, Walkfree
+    // Step 1: Risk indicators (input columns) and their default weightings.
+    // The indicator set is data-driven: the API describes each dataset's columns and
+    // setIndicators() replaces these built-in five (mirroring public/datasets/indicators.json)
+    this.builtInIndicators = [
+      {
+        key: 'itucRightsRating',
+        label: 'International Trade Union Confederation - Global Rights Index',
+        shortLabel: 'ITUC',
+        description: 'Measures the overall protection of internationally recognised core labour rights.',
+        sourceLabel: 'ITUC Global Rights Index',
+        url: 'https://www.ituc-csi.org/global-rights-index',
+        sourceName: 'International Trade Union Confederation - Global Rights Index',
+        sourceUrl: 'https://www.ituc-csi.org/global-rights-index',
+        defaultWeight: 20,
+        provenance: {
+          publisher: 'International Trade Union Confederation (ITUC)',
+          edition: '2025',
+          url: 'https://www.ituc-csi.org/global-rights-index',
+          licence: 'See the publisher\'s terms of use; cite the source when reproducing scores',
+          originalScale: 'Rating 1–5+ (1 = sporadic violations of rights, 5+ = no guarantee of rights due to breakdown of the rule of law)',
+          transformation: 'Rating converted to a 0–100 risk score; higher means worse (5+ = 100)'
+        }
+      },
+      {
+        key: 'corruptionIndex',
+        label: 'Transparency International - Corruption Perceptions Index',
+        shortLabel: 'Corruption',
+        description: 'Uses Transparency International data to capture perceived corruption in public institutions.',
+        sourceLabel: 'Transparency International – Corruption Perceptions Index',
+        url: 'https://www.transparency.org/en/cpi',
+        sourceName: 'Transparency International - Corruption Perceptions Index',
+        sourceUrl: 'https://www.transparency.org/en/cpi/2024',
+        defaultWeight: 20,
+        provenance: {
+          publisher: 'Transparency International',
+          edition: '2024',
+          url: 'https://www.transparency.org/en/cpi/2024',
+          licence: 'CC BY-ND 4.0',
+          originalScale: 'Corruption Perceptions Index 0–100 (100 = very clean)',
+          transformation: 'Inverted: 100 - CPI score'
+        }
+      },
+      {
+        key: 'freedomRating',
+        label: 'Freedom House - Global Freedom Scores',
+        shortLabel: 'Freedom',
+        description: 'Captures democratic freedoms and labour rights performance using Freedom House data.',
+        sourceLabel: 'Freedom House Global Freedom Scores',
+        url: 'https://freedomhouse.org/reports/freedom-world',
+        sourceName: 'Freedom House - Global Freedom Scores',
+        sourceUrl: 'https://freedomhouse.org/report/freedom-world',
+        defaultWeight: 20,
+        provenance: {
+          publisher: 'Freedom House',
+          edition: '2025',
+          url: 'https://freedomhouse.org/report/freedom-world',
+          licence: 'See the publisher\'s terms of use; cite the source when reproducing scores',
+          originalScale: 'Global Freedom Score 0–100 (100 = most free)',
+          transformation: 'Inverted: 100 - Global Freedom Score'
+        }
+      },
+      {
+        key: 'wjpIndex',
+        label: 'World Justice Project - Rule of Law Index (using 4.8: Fundamental Labour Rights)',
+        shortLabel: 'WJP',
+        description: 'Reflects fundamental labour rights performance from the World Justice Project Rule of Law Index.',
+        sourceLabel: 'WJP Rule of Law Index – Fundamental Rights',
+        url: 'https://worldjusticeproject.org/rule-of-law-index/global/2024/Fundamental%20Rights/',
+        sourceName: 'World Justice Project - Rule of Law Index – Fundamental Rights',
+        sourceUrl: 'https://worldjusticeproject.org/rule-of-law-index/global/2024/Fundamental%20Rights/',
+        defaultWeight: 20,
+        provenance: {
+          publisher: 'World Justice Project',
+          edition: '2024',
+          url: 'https://worldjusticeproject.org/rule-of-law-index/global/2024/Fundamental%20Rights/',
+          licence: 'See the publisher\'s terms of use; cite the source when reproducing scores',
+          originalScale: 'Factor 4.8 (Fundamental labour rights) score 0–1 (1 = strongest adherence)',
+          transformation: 'Inverted and rescaled: (1 - score) × 100'
+        }
+      },
+      {
+        key: 'walkfreeSlaveryIndex',
+        label: 'Walk Free - Global Slavery Index',
+        shortLabel: 'Walk Free',
+        description: 'Captures vulnerability to modern slavery using Walk Free’s Global Slavery Index.',
+        sourceLabel: 'Walk Free Global Slavery Index',
+        url: 'https://www.walkfree.org/global-slavery-index/',
+        sourceName: 'Walk Free Global Slavery Index – Country Profiles',
+        sourceUrl: 'https://www.walkfree.org/global-slavery-index/',
+        defaultWeight: 20,
+        provenance: {
+          publisher: 'Walk Free',
+          edition: '2023',
+          url: 'https://www.walkfree.org/global-slavery-index/',
+          licence: 'See the publisher\'s terms of use; cite the source when reproducing scores',
+          originalScale: 'Vulnerability to modern slavery 0–100 (100 = most vulnerable)',
+          transformation: 'None: used as published'
+        }
+      }
+    ];
+    this.setIndicators(this.builtInIndicators);
+
+    // Sector overlays: multipliers on a country's weighted score per sector, optionally
+    // overridden per country. 'general' (×1) applies when no sector is chosen.
+    this.defaultSectorId = 'general';
+    this.setSectorModifiers(null);
+
+    // Missing index scores are null (a score of 0 is a real score). The strategy decides
+    // whether a gap is dropped and its weight shared out, or filled in.
+    this.imputationStrategies = [
+      { id: 'skip', name: 'Skip and reweight', description: 'Leave missing indices out and spread their weight over the indices that are available.' },
+      { id: 'regional-median', name: 'Regional median', description: 'Use the median score of countries in the same region for a missing index.' },
+      { id: 'worst-case', name: 'Worst case', description: 'Treat a missing index as the highest risk score (100).' }
+    ];
+    this.defaultImputationStrategy = 'skip';
+    this.worstCaseScore = 100;
     
     // Step 2: HRDD Strategy defaults - representing supplier base coverage percentages
     this.defaultHRDDStrategy = [0, 5, 5, 65, 100, 0]; // Coverage percentages: Worker voice is rare, trusting approaches are common
@@ -49,16 +165,219 @@ export class RiskEngine {
       'Follow up only on crisis situations'
     ];
     
-    // Risk band definitions
-    this.riskBands = {
+    // Risk band definitions. Organisations can replace them (setRiskBands); each band runs
+    // from its min up to the next band's min, and the top band runs to 100.
+    this.defaultRiskBands = {
       'Low': { min: 0, max: 19.99, color: '#22c55e' }, // Green
       'Medium': { min: 20, max: 39.99, color: '#eab308' }, // Yellow
       'Medium High': { min: 40, max: 59.99, color: '#f97316' }, // Orange
       'High': { min: 60, max: 79.99, color: '#ef4444' }, // Red
       'Very High': { min: 80, max: 100, color: '#991b1b' } // Dark Red
     };
+    this.riskBands = this.getDefaultRiskBands();
+    this.maxRiskBands = 10;
+
+    // Long-running methods call reportProgress; the compute worker sets a reporter that posts
+    // progress events, and on the main thread it stays null
+    this.progressReporter = null;
+    this.progressRange = [0, 1];
    }
 
+  // Replace the active indicator set. defaultWeights, indexFields and indexLabels are derived
+  // from it so everything weighting-related follows the dataset's columns.
+  setIndicators(indicators) {
+    const usable = (Array.isArray(indicators) ? indicators : [])
+      .filter(indicator => indicator && typeof indicator.key === 'string' && indicator.key.trim())
+      .map(indicator => {
+        const defaultWeight = Number(indicator.defaultWeight);
+        const label = indicator.label || indicator.shortLabel || indicator.key;
+        return {
+          ...indicator,
+          label,
+          shortLabel: indicator.shortLabel || label,
+          defaultWeight: Number.isFinite(defaultWeight) && defaultWeight >= 0 ? defaultWeight : 20
+        };
+      });
+
+    this.indicators = usable.length > 0 ? usable : this.builtInIndicators.map(indicator => ({ ...indicator }));
+    this.indexFields = this.indicators.map(indicator => indicator.key);
+    this.indexLabels = this.indicators.map(indicator => indicator.shortLabel);
+    this.defaultWeights = this.indicators.map(indicator => indicator.defaultWeight);
+    return this.getIndicators();
+  }
+
+  getIndicators() {
+    return this.indicators.map(indicator => ({ ...indicator }));
+  }
+
+  // Labelled provenance lines for an indicator (info popovers and the PDF methodology appendix).
+  // Fields the metadata does not supply are left out.
+  describeIndicatorProvenance(indicator) {
+    const provenance = indicator?.provenance || {};
+    return [
+      ['Publisher', provenance.publisher],
+      ['Edition', provenance.edition],
+      ['Source', provenance.url || indicator?.sourceUrl || indicator?.url],
+      ['Licence', provenance.licence],
+      ['Original scale', provenance.originalScale],
+      ['Transformation to 0–100', provenance.transformation]
+    ]
+      .filter(([, value]) => typeof value === 'string' && value.trim())
+      .map(([label, value]) => ({ label, value }));
+  }
+
+  // Load the sector-by-country modifier table ({ sectors: [{ id, name, defaultModifier }],
+  // modifiers: { ISO: { sectorId: multiplier } } }) served by /api/sectors
+  setSectorModifiers(table) {
+    const sanitizeModifier = (value, fallback) => {
+      const parsed = Number(value);
+      return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+    };
+
+    const sectors = (Array.isArray(table?.sectors) ? table.sectors : [])
+      .filter(sector => sector && typeof sector.id === 'string' && sector.id.trim())
+      .map(sector => ({
+        id: sector.id.trim(),
+        name: sector.name || sector.id,
+        defaultModifier: sanitizeModifier(sector.defaultModifier, 1)
+      }));
+
+    if (!sectors.some(sector => sector.id === this.defaultSectorId)) {
+      sectors.unshift({ id: this.defaultSectorId, name: 'General / mixed', defaultModifier: 1 });
+    }
+
+    const modifiers = {};
+    const rawModifiers = (table?.modifiers && typeof table.modifiers === 'object') ? table.modifiers : {};
+    Object.entries(rawModifiers).forEach(([isoCode, bySector]) => {
+      if (!bySector || typeof bySector !== 'object') return;
+      const normalizedIso = isoCode.trim().toUpperCase();
+      modifiers[normalizedIso] = {};
+      Object.entries(bySector).forEach(([sectorId, value]) => {
+        const modifier = sanitizeModifier(value, null);
+        if (modifier !== null) {
+          modifiers[normalizedIso][sectorId] = modifier;
+        }
+      });
+    });
+
+    this.sectors = sectors;
+    this.sectorModifiers = modifiers;
+    return this.getSectors();
+  }
+
+  getSectors() {
+    return this.sectors.map(sector => ({ ...sector }));
+  }
+
+  // Loaded data the calculations depend on, so a worker-side engine can be brought in line
+  getComputeConfig() {
+    return {
+      indicators: this.getIndicators(),
+      sectorModifiers: { sectors: this.getSectors(), modifiers: this.sectorModifiers },
+      riskBands: this.getRiskBands()
+    };
+  }
+
+  applyComputeConfig(config) {
+    if (!config || typeof config !== 'object') return;
+    if (Array.isArray(config.indicators)) {
+      this.setIndicators(config.indicators);
+    }
+    if (config.sectorModifiers && typeof config.sectorModifiers === 'object') {
+      this.setSectorModifiers(config.sectorModifiers);
+    }
+    if (config.riskBands) {
+      this.setRiskBands(config.riskBands);
+    }
+  }
+
+  // fraction is 0–1 within the current range; nested runs (a frontier level, a seeding pass)
+  // narrow the range so their progress maps onto their share of the outer job
+  reportProgress(fraction, label = '') {
+    if (typeof this.progressReporter !== 'function') return;
+    const [start, end] = this.progressRange;
+    const safeFraction = Math.max(0, Math.min(1, Number(fraction) || 0));
+    this.progressReporter(start + (end - start) * safeFraction, label);
+  }
+
+  runWithProgressRange(from, to, task) {
+    const outer = this.progressRange;
+    const [start, end] = outer;
+    this.progressRange = [start + (end - start) * from, start + (end - start) * to];
+    try {
+      return task();
+    } finally {
+      this.progressRange = outer;
+    }
+  }
+
+  // Admin-1 regions ('IN-MH') use the multipliers of their country
+  getSectorModifier(sectorId, isoCode) {
+    const countryCode = typeof isoCode === 'string' && isoCode.includes('-')
+      ? isoCrosswalk.toAlpha3(isoCode.split('-')[0]) || isoCode
+      : isoCode;
+    const countryModifiers = this.sectorModifiers[countryCode] || {};
+    if (Number.isFinite(countryModifiers[sectorId])) {
+      return countryModifiers[sectorId];
+    }
+    const sector = this.sectors.find(entry => entry.id === sectorId);
+    return sector ? sector.defaultModifier : 1;
+  }
+
+  // Step 1: Expand the selection into country-sector pairs. A country's volume is shared
+  // equally between its sectors; countries without sectors form a single 'general' pair.
+  buildPortfolioPairs(selectedCountries, countryVolumes, countryRisks, countrySectors) {
+    const safeVolumes = (countryVolumes && typeof countryVolumes === 'object') ? countryVolumes : {};
+    const safeRisks = (countryRisks && typeof countryRisks === 'object') ? countryRisks : {};
+    const safeSectors = (countrySectors && typeof countrySectors === 'object') ? countrySectors : {};
+    const knownSectors = new Set(this.sectors.map(sector => sector.id));
+    const pairs = [];
+
+    (Array.isArray(selectedCountries) ? selectedCountries : []).forEach(countryCode => {
+      const volume = typeof safeVolumes[countryCode] === 'number' ? safeVolumes[countryCode] : 10;
+      const countryRisk = typeof safeRisks[countryCode] === 'number' ? safeRisks[countryCode] : 0;
+      const chosen = Array.isArray(safeSectors[countryCode])
+        ? [...new Set(safeSectors[countryCode].filter(sectorId => knownSectors.has(sectorId)))]
+        : [];
+      const sectorIds = chosen.length > 0 ? chosen : [this.defaultSectorId];
+
+      sectorIds.forEach(sectorId => {
+        const modifier = this.getSectorModifier(sectorId, countryCode);
+        pairs.push({
+          countryCode,
+          sectorId,
+          volume: volume / sectorIds.length,
+          countryRisk,
+          modifier,
+          risk: Math.max(0, Math.min(100, countryRisk * modifier))
+        });
+      });
+    });
+
+    return pairs;
+  }
+
+  // Step 1: Volume-weighted sector-adjusted risk per selected country, for the country-level
+  // steps (maps, managed risk) that follow the pair-level baseline
+  calculateSectorAdjustedRisks(selectedCountries, countryVolumes, countryRisks, countrySectors) {
+    const totals = {};
+    this.buildPortfolioPairs(selectedCountries, countryVolumes, countryRisks, countrySectors).forEach(pair => {
+      const entry = totals[pair.countryCode] || { volume: 0, volumeRisk: 0, modifiers: [] };
+      entry.volume += pair.volume;
+      entry.volumeRisk += pair.volume * pair.risk;
+      entry.modifiers.push(pair.risk);
+      totals[pair.countryCode] = entry;
+    });
+
+    return Object.entries(totals).reduce((acc, [countryCode, entry]) => {
+      // Zero-volume countries still get a risk: the plain average of their pairs
+      acc[countryCode] = entry.volume > 0
+        ? entry.volumeRisk / entry.volume
+        : entry.modifiers.reduce((sum, risk) => sum + risk, 0) / entry.modifiers.length;
+      return acc;
+    }, {});
+  }
+
   generateOptimizationStateHash(state) {
     const normalizeValue = (value) => {
       if (Array.isArray(value)) {
@@ -93,6 +412,17 @@ export class RiskEngine {
     return parts.join('|');
   }
 
+  // Short fingerprint of an optimiser input set (FNV-1a over the state hash) for run records
+  hashOptimizationInputs(inputs) {
+    const text = this.generateOptimizationStateHash(inputs);
+    let hash = 0x811c9dc5;
+    for (let index = 0; index < text.length; index++) {
+      hash ^= text.charCodeAt(index);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+  }
+
   // MODIFIED: Further reduced maximum focus exponent for stronger rank preservation
   getFocusExponent(focus = 0) {
     const safeFocus = Number.isFinite(focus) ? Math.max(0, Math.min(1, focus)) : 0;
@@ -249,8 +579,70 @@ export class RiskEngine {
     return conservationFactors;
   }
 
+  // Explicit coverage vectors keyed by ISO code or by risk band ("band:High"). A country uses its
+  // own vector first, then its band's, and otherwise the global strategy adjusted for focus.
+  getCoverageBandKey(score) {
+    return `band:${this.getRiskBand(score)}`;
+  }
+
+  sanitizeCountryToolCoverage(countryToolCoverage) {
+    const toolCount = Array.isArray(this.hrddStrategyLabels) ? this.hrddStrategyLabels.length : 6;
+    const sanitized = {};
+    if (!countryToolCoverage || typeof countryToolCoverage !== 'object') {
+      return sanitized;
+    }
+
+    Object.entries(countryToolCoverage).forEach(([rawKey, vector]) => {
+      if (typeof rawKey !== 'string' || !Array.isArray(vector)) return;
+      const trimmed = rawKey.trim();
+      const key = trimmed.startsWith('band:') ? trimmed : trimmed.toUpperCase();
+      if (!key || key === 'band:') return;
+      sanitized[key] = Array.from({ length: toolCount }, (_, index) => {
+        const value = Number(vector[index]);
+        return Number.isFinite(value) ? Math.max(0, Math.min(100, value)) : 0;
+      });
+    });
+    return sanitized;
+  }
+
+  resolveCountryToolCoverage(countryToolCoverage, countryCode, countryRisk) {
+    if (!countryToolCoverage || typeof countryToolCoverage !== 'object') return null;
+    if (Array.isArray(countryToolCoverage[countryCode])) {
+      return countryToolCoverage[countryCode];
+    }
+    const bandVector = countryToolCoverage[this.getCoverageBandKey(countryRisk)];
+    return Array.isArray(bandVector) ? bandVector : null;
+  }
+
+  // Volume-weighted coverage actually deployed across the portfolio, used to cost a plan
+  // that mixes the global strategy with country or band vectors
+  calculateEffectiveToolCoverage(selectedCountries, countryVolumes, countryRisks, hrddStrategy, countryToolCoverage = null) {
+    const toolCount = Array.isArray(this.hrddStrategyLabels) ? this.hrddStrategyLabels.length : 6;
+    const globalStrategy = Array.from({ length: toolCount }, (_, index) => {
+      const value = Array.isArray(hrddStrategy) ? Number(hrddStrategy[index]) : NaN;
+      return Number.isFinite(value) ? Math.max(0, Math.min(100, value)) : 0;
+    });
+    if (!Array.isArray(selectedCountries) || selectedCountries.length === 0) {
+      return globalStrategy;
+    }
+
+    const effective = new Array(toolCount).fill(0);
+    let totalVolume = 0;
+    selectedCountries.forEach(countryCode => {
+      const volume = Number.isFinite(countryVolumes?.[countryCode]) ? countryVolumes[countryCode] : 10;
+      const vector = this.resolveCountryToolCoverage(countryToolCoverage, countryCode, countryRisks?.[countryCode] || 0)
+        || globalStrategy;
+      vector.forEach((value, index) => {
+        effective[index] += (Number(value) || 0) * volume;
+      });
+      totalVolume += volume;
+    });
+
+    return totalVolume > 0 ? effective.map(value => value / totalVolume) : globalStrategy;
+  }
+
   // MODIFIED: Country-specific coverage calculation with gradual boost
-  calculateCountrySpecificCoverage(selectedCountries, countryVolumes, countryRisks, hrddStrategy, focus = 0.6) {
+  calculateCountrySpecificCoverage(selectedCountries, countryVolumes, countryRisks, hrddStrategy, focus = 0.6, countryToolCoverage = null) {
     if (!Array.isArray(selectedCountries) || selectedCountries.length === 0) {
       return {};
     }
@@ -265,7 +657,8 @@ export class RiskEngine {
     if (baselineRisk <= 0) {
       const evenCoverage = {};
       selectedCountries.forEach(countryCode => {
-        evenCoverage[countryCode] = [...hrddStrategy];
+        const explicit = this.resolveCountryToolCoverage(countryToolCoverage, countryCode, safeRisks[countryCode] || 0);
+        evenCoverage[countryCode] = [...(explicit || hrddStrategy)];
       });
       return evenCoverage;
     }
@@ -280,6 +673,13 @@ export class RiskEngine {
     selectedCountries.forEach(countryCode => {
       const countryRisk = safeRisks[countryCode] || 0;
       const countryVolume = safeVolumes[countryCode] || 10;
+
+      // An explicit vector is a decision about that country, so focus and conservation do not apply
+      const explicitCoverage = this.resolveCountryToolCoverage(countryToolCoverage, countryCode, countryRisk);
+      if (explicitCoverage) {
+        countrySpecificCoverage[countryCode] = explicitCoverage.map(value => Math.max(0, Math.min(100, Number(value) || 0)));
+        return;
+      }
       
       // Calculate biased risk ratio
       const rawRiskRatio = baselineRisk > 0 ? countryRisk / baselineRisk : 1;
@@ -415,7 +815,8 @@ export class RiskEngine {
     transparencyEffectiveness,
     responsivenessStrategy,
     responsivenessEffectiveness,
-    focus = this.defaultFocus ?? 0
+    focus = this.defaultFocus ?? 0,
+    countryToolCoverage = null
   ) {
     const safeSelected = Array.isArray(selectedCountries) ? selectedCountries : [];
     if (safeSelected.length === 0) {
@@ -444,7 +845,7 @@ export class RiskEngine {
 
     // Calculate country-specific coverage distribution
     const countrySpecificCoverage = this.calculateCountrySpecificCoverage(
-      safeSelected, countryVolumes, countryRisks, hrddStrategy, sanitizedFocus
+      safeSelected, countryVolumes, countryRisks, hrddStrategy, sanitizedFocus, countryToolCoverage
     );
 
      // Calculate sustained remedy and good conduct effectiveness
@@ -621,56 +1022,259 @@ const finalManagedRisk = managedRisk; // Use original calculation, corrections w
     return Math.max(0, numericValue);
   }
 
-  // Step 1: Calculate weighted risk score for a country
-  calculateWeightedRisk(countryData, weights = this.defaultWeights) {
-    const values = [
-      countryData.itucRightsRating,
-      countryData.corruptionIndex,
-      countryData.freedomRating,
-      countryData.wjpIndex,
-      countryData.walkfreeSlaveryIndex
-    ];
+  // An index score, or null when the dataset has no value (blank, null or non-numeric)
+  getIndexScore(countryData, field) {
+    const value = countryData ? countryData[field] : null;
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    const parsed = typeof value === 'number' ? value : Number(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+
+  sanitizeImputationStrategy(strategy) {
+    return this.imputationStrategies.some(entry => entry.id === strategy)
+      ? strategy
+      : this.defaultImputationStrategy;
+  }
+
+  // Index-based risk and data completeness for every country and region record. Imputation
+  // medians come from imputationCountries (the dataset's countries, without regions).
+  calculatePortfolioIndexRisks(records = [], weights = this.defaultWeights, imputationStrategy = this.defaultImputationStrategy, imputationCountries = records) {
+    const imputation = this.buildImputation(imputationStrategy, imputationCountries);
+    const countryIndexRisks = {};
+    const countryDataCompleteness = {};
+    const safeRecords = Array.isArray(records) ? records : [];
+
+    safeRecords.forEach((country, index) => {
+      if (!country || typeof country !== 'object' || !country.isoCode) return;
+      countryIndexRisks[country.isoCode] = this.calculateWeightedRisk(country, weights, this.indexFields, imputation);
+      countryDataCompleteness[country.isoCode] = this.getDataCompleteness(country, weights);
+      if (index % 50 === 0) {
+        this.reportProgress(index / safeRecords.length, 'Recalculating country risks');
+      }
+    });
+
+    return { countryIndexRisks, countryDataCompleteness };
+  }
+
+  // Prepare what calculateWeightedRisk needs to fill gaps. Regional medians are taken over
+  // the whole dataset (countries carry a `region`); the global median covers countries
+  // without a region or regions with no score for that index.
+  buildImputation(strategy, countries = [], indicatorFields = this.indexFields) {
+    const safeStrategy = this.sanitizeImputationStrategy(strategy);
+    const imputation = { strategy: safeStrategy, regionalMedians: {}, globalMedians: {} };
+    if (safeStrategy !== 'regional-median') {
+      return imputation;
+    }
+
+    const median = values => {
+      if (values.length === 0) return null;
+      const sorted = [...values].sort((a, b) => a - b);
+      const middle = Math.floor(sorted.length / 2);
+      return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    };
+
+    const safeCountries = Array.isArray(countries) ? countries.filter(Boolean) : [];
+    indicatorFields.forEach(field => {
+      const byRegion = {};
+      const all = [];
+      safeCountries.forEach(country => {
+        const score = this.getIndexScore(country, field);
+        if (score === null) return;
+        all.push(score);
+        if (country.region) {
+          (byRegion[country.region] = byRegion[country.region] || []).push(score);
+        }
+      });
+
+      imputation.globalMedians[field] = median(all);
+      Object.entries(byRegion).forEach(([region, scores]) => {
+        imputation.regionalMedians[region] = imputation.regionalMedians[region] || {};
+        imputation.regionalMedians[region][field] = median(scores);
+      });
+    });
+
+    return imputation;
+  }
+
+  // Value used in place of a missing index score, or null to skip it
+  imputeIndexScore(countryData, field, imputation) {
+    if (imputation?.strategy === 'worst-case') {
+      return this.worstCaseScore;
+    }
+    if (imputation?.strategy === 'regional-median') {
+      const regional = countryData?.region ? imputation.regionalMedians?.[countryData.region]?.[field] : null;
+      if (Number.isFinite(regional)) return regional;
+      const global = imputation.globalMedians?.[field];
+      return Number.isFinite(global) ? global : null;
+    }
+    return null;
+  }
+
+  // Which weighted indices have a score for a country. `status` is 'complete', 'partial' or 'none';
+  // `weightCoverage` is the share of the total weight that rests on real scores.
+  getDataCompleteness(countryData, weights = this.defaultWeights, indicatorFields = this.indexFields) {
+    const safeWeights = Array.isArray(weights) ? weights : this.defaultWeights;
+    const missing = [];
+    let totalWeight = 0;
+    let availableWeight = 0;
+
+    indicatorFields.forEach((field, index) => {
+      const weight = Number.isFinite(safeWeights[index]) && safeWeights[index] > 0 ? safeWeights[index] : 0;
+      const hasScore = this.getIndexScore(countryData, field) !== null;
+      totalWeight += weight;
+      if (hasScore) {
+        availableWeight += weight;
+      } else {
+        missing.push(field);
+      }
+    });
+
+    const available = indicatorFields.length - missing.length;
+    let status = 'partial';
+    if (missing.length === 0) status = 'complete';
+    else if (available === 0) status = 'none';
+
+    return {
+      status,
+      available,
+      total: indicatorFields.length,
+      missing,
+      weightCoverage: totalWeight > 0 ? availableWeight / totalWeight : 0
+    };
+  }
 
+  // Step 1: Calculate weighted risk score for a country. Missing scores (null) are skipped and
+  // their weight reweighted over the rest unless `imputation` (see buildImputation) fills them.
+  calculateWeightedRisk(countryData, weights = this.defaultWeights, indicatorFields = this.indexFields, imputation = null) {
+    const safeWeights = Array.isArray(weights) ? weights : this.defaultWeights;
     let weightedSum = 0;
     let totalWeight = 0;
 
-    // Only include values that are greater than 0 (ignore zero values)
-    for (let i = 0; i < values.length; i++) {
-      if (values[i] > 0) {
-        weightedSum += values[i] * weights[i];
-        totalWeight += weights[i];
+    for (let i = 0; i < indicatorFields.length; i++) {
+      const weight = Number.isFinite(safeWeights[i]) && safeWeights[i] > 0 ? safeWeights[i] : 0;
+      if (weight === 0) continue;
+
+      let value = this.getIndexScore(countryData, indicatorFields[i]);
+      if (value === null) {
+        value = this.imputeIndexScore(countryData, indicatorFields[i], imputation);
+      }
+      if (value !== null) {
+        weightedSum += value * weight;
+        totalWeight += weight;
       }
     }
 
     return totalWeight > 0 ? weightedSum / totalWeight : 0;
   }
 
-  // Step 1: Calculate portfolio risk metrics including baseline risk and concentration factor
-  calculatePortfolioMetrics(selectedCountries, countryVolumes, countryRisks) {
+  // Step 1: Compare each country's weighted score between two dataset versions (e.g. 2024 vs 2025).
+  // Index-level changes are included so a movement in the overall score can be explained. An
+  // index no country has a score for in one version was not collected for that edition: its
+  // changes are flagged unavailable on that side rather than left as blanks.
+  calculateDatasetDeltas(currentCountries, previousCountries, weights = this.defaultWeights, imputationStrategy = null) {
+    const toLookup = list => (Array.isArray(list) ? list : []).reduce((acc, country) => {
+      if (country && typeof country.isoCode === 'string') {
+        acc.set(country.isoCode.trim().toUpperCase(), country);
+      }
+      return acc;
+    }, new Map());
+
+    const current = toLookup(currentCountries);
+    const previous = toLookup(previousCountries);
+    const isoCodes = new Set([...current.keys(), ...previous.keys()]);
+    const currentImputation = this.buildImputation(imputationStrategy, Array.from(current.values()));
+    const previousImputation = this.buildImputation(imputationStrategy, Array.from(previous.values()));
+    const scoredFields = lookup => new Set(this.indexFields.filter(field => (
+      Array.from(lookup.values()).some(country => this.getIndexScore(country, field) !== null)
+    )));
+    const currentFields = scoredFields(current);
+    const previousFields = scoredFields(previous);
+
+    const deltas = Array.from(isoCodes).map(isoCode => {
+      const currentCountry = current.get(isoCode) || null;
+      const previousCountry = previous.get(isoCode) || null;
+      const currentScore = currentCountry
+        ? this.calculateWeightedRisk(currentCountry, weights, this.indexFields, currentImputation)
+        : null;
+      const previousScore = previousCountry
+        ? this.calculateWeightedRisk(previousCountry, weights, this.indexFields, previousImputation)
+        : null;
+
+      let status = 'changed';
+      if (!previousCountry) status = 'added';
+      else if (!currentCountry) status = 'removed';
+
+      const indexChanges = this.indexFields.map((field, index) => {
+        const currentValue = this.getIndexScore(currentCountry, field);
+        const previousValue = this.getIndexScore(previousCountry, field);
+        return {
+          field,
+          label: this.indexLabels[index],
+          current: currentValue,
+          previous: previousValue,
+          delta: currentValue !== null && previousValue !== null ? currentValue - previousValue : null,
+          availableInCurrent: currentFields.has(field),
+          availableInPrevious: previousFields.has(field)
+        };
+      });
+
+      return {
+        isoCode,
+        name: (currentCountry || previousCountry).name || isoCode,
+        status,
+        currentScore,
+        previousScore,
+        delta: currentScore !== null && previousScore !== null ? currentScore - previousScore : null,
+        currentBand: currentScore !== null ? this.getRiskBand(currentScore) : null,
+        previousBand: previousScore !== null ? this.getRiskBand(previousScore) : null,
+        indexChanges
+      };
+    });
+
+    // Largest movers first; countries only present in one version go last
+    return deltas.sort((a, b) => {
+      if (a.delta === null && b.delta === null) return a.name.localeCompare(b.name);
+      if (a.delta === null) return 1;
+      if (b.delta === null) return -1;
+      return Math.abs(b.delta) - Math.abs(a.delta);
+    });
+  }
+
+  // Step 1: Calculate portfolio risk metrics including baseline risk and concentration factor.
+  // With countrySectors ({ ISO: [sectorId] }) the aggregation runs over country-sector pairs,
+  // applying each sector's modifier to the country's weighted score.
+  calculatePortfolioMetrics(selectedCountries, countryVolumes, countryRisks, countrySectors = null) {
     if (!Array.isArray(selectedCountries) || selectedCountries.length === 0) {
       return {
         baselineRisk: 0,
         totalVolume: 0,
         weightedRisk: 0,
         weightedRiskSquares: 0,
-        riskConcentration: 1
+        riskConcentration: 1,
+        pairs: []
       };
     }
 
     const safeVolumes = (countryVolumes && typeof countryVolumes === 'object') ? countryVolumes : {};
     const safeRisks = (countryRisks && typeof countryRisks === 'object') ? countryRisks : {};
 
-    const portfolioEntries = [];
+    const portfolioEntries = countrySectors
+      ? this.buildPortfolioPairs(selectedCountries, countryVolumes, countryRisks, countrySectors)
+      : selectedCountries.map(countryCode => ({
+        countryCode,
+        sectorId: null,
+        volume: typeof safeVolumes[countryCode] === 'number' ? safeVolumes[countryCode] : 10,
+        risk: typeof safeRisks[countryCode] === 'number' ? safeRisks[countryCode] : 0
+      }));
+
     let totalVolumeRisk = 0;
     let totalVolume = 0;
 
-    selectedCountries.forEach(countryCode => {
-      const volume = typeof safeVolumes[countryCode] === 'number' ? safeVolumes[countryCode] : 10;
-      const risk = typeof safeRisks[countryCode] === 'number' ? safeRisks[countryCode] : 0;
-
-      totalVolumeRisk += volume * risk;
-      totalVolume += volume;
-      portfolioEntries.push({ countryCode, volume, risk });
+    portfolioEntries.forEach(entry => {
+      totalVolumeRisk += entry.volume * entry.risk;
+      totalVolume += entry.volume;
     });
 
     const baselineRisk = totalVolume > 0 ? totalVolumeRisk / totalVolume : 0;
@@ -692,17 +1296,18 @@ const finalManagedRisk = managedRisk; // Use original calculation, corrections w
       totalVolume,
       weightedRisk: totalVolumeRisk,
       weightedRiskSquares,
-      riskConcentration
+      riskConcentration,
+      pairs: portfolioEntries
     };
   }
 
   // Step 1: Calculate baseline risk for portfolio (sumproduct of volumes and risks)
-  calculateBaselineRisk(selectedCountries, countryVolumes, countryRisks) {
-    return this.calculatePortfolioMetrics(selectedCountries, countryVolumes, countryRisks).baselineRisk;
+  calculateBaselineRisk(selectedCountries, countryVolumes, countryRisks, countrySectors = null) {
+    return this.calculatePortfolioMetrics(selectedCountries, countryVolumes, countryRisks, countrySectors).baselineRisk;
   }
 
    // Step 1: Generate a detailed baseline summary for the current selection
-  generateBaselineSummary(selectedCountries, countries, countryRisks, countryVolumes) {
+  generateBaselineSummary(selectedCountries, countries, countryRisks, countryVolumes, countrySectors = null) {
     const safeSelected = Array.isArray(selectedCountries)
       ? selectedCountries
         .map(code => typeof code === 'string' ? code.trim().toUpperCase() : '')
@@ -761,15 +1366,18 @@ const finalManagedRisk = managedRisk; // Use original calculation, corrections w
       return emptySummary();
     }
 
-    const metrics = this.calculatePortfolioMetrics(validSelected, countryVolumes, countryRisks);
+    const metrics = this.calculatePortfolioMetrics(validSelected, countryVolumes, countryRisks, countrySectors);
     const baselineRisk = Number.isFinite(metrics?.baselineRisk) ? metrics.baselineRisk : 0;
     const totalVolume = Number.isFinite(metrics?.totalVolume) ? metrics.totalVolume : 0;
     const riskConcentration = Number.isFinite(metrics?.riskConcentration) && metrics.riskConcentration > 0
       ? metrics.riskConcentration
       : 1;
+    const breakdownRisks = countrySectors
+      ? this.calculateSectorAdjustedRisks(validSelected, countryVolumes, countryRisks, countrySectors)
+      : safeCountryRisks;
 
     const countryBreakdown = validSelected.map(code => {
-      const risk = Number.isFinite(safeCountryRisks[code]) ? safeCountryRisks[code] : 0;
+      const risk = Number.isFinite(breakdownRisks[code]) ? breakdownRisks[code] : 0;
       const volume = typeof safeCountryVolumes[code] === 'number' ? safeCountryVolumes[code] : 10;
       const countryInfo = countryLookup[code] || {};
       const portfolioShare = totalVolume > 0 ? (volume / totalVolume) * 100 : 0;
@@ -894,13 +1502,13 @@ const finalManagedRisk = managedRisk; // Use original calculation, corrections w
   }
 
   // Calculate overall transparency effectiveness using country-specific coverage
-  calculateTransparencyEffectiveness(hrddCoverage, transparencyEffectiveness, selectedCountries = null, countryVolumes = null, countryRisks = null, focus = 0.6) {
+  calculateTransparencyEffectiveness(hrddCoverage, transparencyEffectiveness, selectedCountries = null, countryVolumes = null, countryRisks = null, focus = 0.6, countryToolCoverage = null) {
     if (!selectedCountries || !countryVolumes || !countryRisks) {
       return this.calculateOriginalTransparencyEffectiveness(hrddCoverage, transparencyEffectiveness);
     }
 
     const countrySpecificCoverage = this.calculateCountrySpecificCoverage(
-      selectedCountries, countryVolumes, countryRisks, hrddCoverage, focus
+      selectedCountries, countryVolumes, countryRisks, hrddCoverage, focus, countryToolCoverage
     );
 
     if (Object.keys(countrySpecificCoverage).length === 0) {
@@ -1225,7 +1833,8 @@ const finalManagedRisk = managedRisk; // Use original calculation, corrections w
     riskConcentration = 1,
     selectedCountries = null,
     countryVolumes = null,
-    countryRisks = null
+    countryRisks = null,
+    countryToolCoverage = null
   ) {
     // If we have country-specific data, use the detailed calculation
     if (selectedCountries && countryVolumes && countryRisks) {
@@ -1237,7 +1846,8 @@ const finalManagedRisk = managedRisk; // Use original calculation, corrections w
         transparencyEffectiveness,
         responsivenessStrategy,
         responsivenessEffectiveness,
-        focus
+        focus,
+        countryToolCoverage
       );
       return details.managedRisk;
     }
@@ -1273,34 +1883,119 @@ const finalManagedRisk = managedRisk; // Use original calculation, corrections w
     return ((baselineRisk - managedRisk) / baselineRisk) * 100;
   }
 
-  // Determine risk band based on score
-  getRiskBand(score) {
-    for (const [band, definition] of Object.entries(this.riskBands)) {
-      if (score >= definition.min && score <= definition.max) {
-        return band;
-      }
+  getDefaultRiskBands() {
+    return this.cloneRiskBands(this.defaultRiskBands);
+  }
+
+  getRiskBands() {
+    return this.cloneRiskBands(this.riskBands);
+  }
+
+  cloneRiskBands(bands) {
+    return Object.fromEntries(Object.entries(bands).map(([name, definition]) => [name, { ...definition }]));
+  }
+
+  // Accepts { name: { min, color } } or [{ name, min, color }]. Returns bands keyed by name in
+  // ascending order with each max derived from the next band's min, or null when the
+  // definition is unusable: 2–10 uniquely named bands, the lowest starting at 0, strictly
+  // increasing thresholds below 100 and hex colours.
+  sanitizeRiskBands(bands) {
+    const entries = Array.isArray(bands)
+      ? bands.map(band => [band?.name, band])
+      : bands && typeof bands === 'object'
+        ? Object.entries(bands)
+        : [];
+    if (entries.length < 2 || entries.length > this.maxRiskBands) return null;
+
+    const parsed = [];
+    const names = new Set();
+    for (const [rawName, definition] of entries) {
+      const name = typeof rawName === 'string' ? rawName.trim().slice(0, 40) : '';
+      const min = Number(definition?.min);
+      const color = typeof definition?.color === 'string' ? definition.color.trim().toLowerCase() : '';
+      // Names are shown in legends and panels as HTML, so markup characters are refused
+      if (!name || name === 'Unknown' || /[<>"]/.test(name) || names.has(name.toLowerCase())) return null;
+      if (!Number.isFinite(min) || min < 0 || min >= 100) return null;
+      if (!/^#([0-9a-f]{3}|[0-9a-f]{6})$/.test(color)) return null;
+      names.add(name.toLowerCase());
+      const hex = color.length === 4 ? `#${[...color.slice(1)].map(digit => digit + digit).join('')}` : color;
+      parsed.push({ name, min: Math.round(min * 100) / 100, color: hex });
+    }
+
+    parsed.sort((a, b) => a.min - b.min);
+    if (parsed[0].min !== 0) return null;
+    if (parsed.some((band, index) => index > 0 && band.min <= parsed[index - 1].min)) return null;
+
+    return Object.fromEntries(parsed.map((band, index) => [band.name, {
+      min: band.min,
+      max: index < parsed.length - 1 ? Math.round((parsed[index + 1].min - 0.01) * 100) / 100 : 100,
+      color: band.color
+    }]));
+  }
+
+  // Replace the active bands; anything invalid (or null) restores the defaults
+  setRiskBands(bands) {
+    this.riskBands = this.sanitizeRiskBands(bands) || this.getDefaultRiskBands();
+    return this.getRiskBands();
+  }
+
+  isDefaultRiskBands(bands = this.riskBands) {
+    return JSON.stringify(this.sanitizeRiskBands(bands)) === JSON.stringify(this.sanitizeRiskBands(this.defaultRiskBands));
+  }
+
+  // Run a synchronous calculation against another organisation's bands (the server shares one
+  // engine between requests), restoring the active bands afterwards
+  withRiskBands(bands, task) {
+    const active = this.riskBands;
+    this.riskBands = this.sanitizeRiskBands(bands) || active;
+    try {
+      return task();
+    } finally {
+      this.riskBands = active;
     }
-    return 'Unknown';
+  }
+
+  // Determine risk band based on score. Bands are treated as half-open ranges
+  // starting at each band's min so fractional scores (e.g. 19.995) never fall
+  // between two bands; scores above the top band stay in the top band.
+  getRiskBand(score, bands = this.riskBands) {
+    if (!Number.isFinite(score) || score < 0) {
+      return 'Unknown';
+    }
+
+    let matchedBand = 'Unknown';
+    Object.entries(bands)
+      .sort(([, a], [, b]) => a.min - b.min)
+      .forEach(([band, definition]) => {
+        if (score >= definition.min) {
+          matchedBand = band;
+        }
+      });
+    return matchedBand;
   }
 
   // Get color for risk score
-  getRiskColor(score) {
-    const band = this.getRiskBand(score);
-    return this.riskBands[band]?.color || '#64748b';
+  getRiskColor(score, bands = this.riskBands) {
+    const band = this.getRiskBand(score, bands);
+    return bands[band]?.color || '#64748b';
   }
 
   // Get all risk band definitions for legend
-  getRiskBandDefinitions() {
-    return Object.entries(this.riskBands).map(([name, definition]) => ({
-      name,
-      range: `${definition.min}-${definition.max === 100 ? '100' : Math.floor(definition.max)}`,
-      color: definition.color
-    }));
+  getRiskBandDefinitions(bands = this.riskBands) {
+    return Object.entries(bands)
+      .sort(([, a], [, b]) => a.min - b.min)
+      .map(([name, definition]) => ({
+        name,
+        min: definition.min,
+        max: definition.max,
+        range: `${definition.min}-${definition.max === 100 ? '100' : Math.floor(definition.max)}`,
+        color: definition.color
+      }));
   }
 
   // Validation methods
   validateWeights(weights) {
-    if (!Array.isArray(weights) || weights.length !== 5) {
+    if (!Array.isArray(weights) || weights.length !== this.indexFields.length) {
       return false;
     }
     
@@ -1359,24 +2054,17 @@ const finalManagedRisk = managedRisk; // Use original calculation, corrections w
     );
   }
 
-  // Get gradient colors for map visualization
-  getGradientColors() {
-    return [
-      '#22c55e',
-      '#84cc16',
-      '#eab308',
-      '#f59e0b',
-      '#f97316',
-      '#ef4444',
-      '#dc2626',
-      '#991b1b'
-    ];
+  // Get gradient colors for map visualization, lowest band first
+  getGradientColors(bands = this.riskBands) {
+    return this.getRiskBandDefinitions(bands).map(band => band.color);
   }
 
-  // Convert risk score to color index for gradient
-  getColorIndex(score, maxIndex = 7) {
-    const normalizedScore = Math.max(0, Math.min(100, score)) / 100;
-    return Math.floor(normalizedScore * maxIndex);
+  // Index into getGradientColors() of the band the score falls in, so uneven thresholds pick
+  // the same colour as getRiskColor
+  getColorIndex(score, bands = this.riskBands) {
+    const clampedScore = Number.isFinite(score) ? Math.max(0, Math.min(100, score)) : 0;
+    const band = this.getRiskBand(clampedScore, bands);
+    return Math.max(0, this.getRiskBandDefinitions(bands).findIndex(definition => definition.name === band));
   }
 
   // Get strategy effectiveness breakdown with country-specific coverage
@@ -1389,7 +2077,8 @@ const finalManagedRisk = managedRisk; // Use original calculation, corrections w
     riskConcentration = 1,
     selectedCountries = null,
     countryVolumes = null,
-    countryRisks = null
+    countryRisks = null,
+    countryToolCoverage = null
   ) {
     const sanitizedFocus = Number.isFinite(focus) ? Math.max(0, Math.min(1, focus)) : 0;
     const sanitizedConcentration = Number.isFinite(riskConcentration) && riskConcentration > 0
@@ -1441,12 +2130,13 @@ const finalManagedRisk = managedRisk; // Use original calculation, corrections w
         safeSelectedCountries,
         countryVolumes,
         countryRisks,
-        sanitizedFocus
+        sanitizedFocus,
+        countryToolCoverage
       )
       : this.calculateOriginalTransparencyEffectiveness(normalizedStrategy, normalizedTransparency);
 
     const countrySpecificCoverage = safeSelectedCountries.length > 0 && countryVolumes && countryRisks
-      ? this.calculateCountrySpecificCoverage(safeSelectedCountries, countryVolumes, countryRisks, normalizedStrategy, sanitizedFocus)
+      ? this.calculateCountrySpecificCoverage(safeSelectedCountries, countryVolumes, countryRisks, normalizedStrategy, sanitizedFocus, countryToolCoverage)
       : null;
 
     const sustainedRemedyOutcome = this.calculateSustainedRemedyEffectiveness(
@@ -1587,7 +2277,8 @@ const finalManagedRisk = managedRisk; // Use original calculation, corrections w
     focus = 0,
     riskConcentration = 1,
     countryVolumes = null,
-    countryRisks = null
+    countryRisks = null,
+    countryToolCoverage = null
   ) {
     const safeSelectedCountries = Array.isArray(selectedCountries) ? selectedCountries : [];
 
@@ -1601,7 +2292,8 @@ const finalManagedRisk = managedRisk; // Use original calculation, corrections w
         transparencyEffectiveness,
         responsivenessStrategy,
         responsivenessEffectiveness,
-        focus
+        focus,
+        countryToolCoverage
       );
 
       const riskReduction = this.calculateRiskReduction(details.baselineRisk, details.managedRisk);
@@ -1614,7 +2306,8 @@ const finalManagedRisk = managedRisk; // Use original calculation, corrections w
         details.riskConcentration,
         selectedCountries,
         countryVolumes,
-        countryRisks
+        countryRisks,
+        countryToolCoverage
       );
 
       const stageBreakdown = details.stageBreakdown || this.calculateStageBreakdown(
@@ -1720,7 +2413,13 @@ const finalManagedRisk = managedRisk; // Use original calculation, corrections w
       step1: {
         weights: state.weights,
         baselineRisk: state.baselineRisk,
-        weightLabels: ['ITUC Rights Rating', 'Corruption Index', 'Freedom Rating', 'WJP Index', 'Walk Free Slavery Index']
+        weightKeys: [...this.indexFields],
+        weightLabels: this.indicators.map(indicator => indicator.label),
+        indicatorProvenance: this.indicators.map(indicator => ({
+          key: indicator.key,
+          label: indicator.label,
+          ...(indicator.provenance || {})
+        }))
       },
       step2: {
         hrddStrategy: state.hrddStrategy,
@@ -1754,49 +2453,539 @@ const finalManagedRisk = managedRisk; // Use original calculation, corrections w
   }
 
 
-  // Panel 6 Budget Analysis Methods (conditionally available)
-  // Panel 6 Budget Analysis Methods (conditionally available)
+  // Headline figures for a saved scenario (the app's saved-state subset), computed from its
+  // weights and the given country records (the loaded dataset) so it can be compared without
+  // loading it. Older scenarios stored their own countries, which take precedence.
+  summarizeScenario(state, countries = null) {
+    const safeState = state && typeof state === 'object' ? state : {};
+    const selectedCountries = Array.isArray(safeState.selectedCountries) ? safeState.selectedCountries : [];
+    const countryVolumes = safeState.countryVolumes || {};
+    const countrySectors = safeState.countrySectors || {};
+    const weightKeys = Array.isArray(safeState.weightKeys) && safeState.weightKeys.length > 0
+      ? safeState.weightKeys
+      : this.indexFields;
+    const focus = Number.isFinite(safeState.focus) ? safeState.focus : this.defaultFocus;
+    const countryToolCoverage = this.sanitizeCountryToolCoverage(safeState.countryToolCoverage);
+
+    const countryRecords = Array.isArray(safeState.countries) && safeState.countries.length > 0
+      ? safeState.countries
+      : countries;
+    let indexRisks = safeState.countryIndexRisks || safeState.countryRisks || {};
+    if (Array.isArray(countryRecords) && countryRecords.length > 0) {
+      const selectedSet = new Set(selectedCountries);
+      const imputation = this.buildImputation(safeState.imputationStrategy, countryRecords, weightKeys);
+      indexRisks = {};
+      countryRecords.forEach(country => {
+        if (country && selectedSet.has(country.isoCode)) {
+          indexRisks[country.isoCode] = this.calculateWeightedRisk(country, safeState.weights, weightKeys, imputation);
+        }
+      });
+    }
 
-// Default cost assumptions - grouped together for easy modification
-getDefaultCostAssumptions() {
-  return {
-    // Panel 3 Tool Costs (6 tools)
-    toolAnnualProgrammeCosts: [12000, 0, 0, 40000, 0, 0], // Fixed annual programme costs
-    toolPerSupplierCosts: [120, 250, 1200, 0, 10, 10],     // Variable per-supplier costs  
-    toolInternalHours: [3, 6, 20, 4, 2, 1],        // Internal hours per supplier per tool
-    
-    // Panel 4 Remedy utilisation costs (per tool)
-    toolRemedyInternalHours: [0, 10, 10, 6, 2, 2],    // Internal hours per supplier to apply each tool's findings
-    
-    // General defaults
-    defaultSupplierCount: 250,
-    defaultHourlyRate: 40
-  };
-}
+    const countryRisks = {
+      ...indexRisks,
+      ...this.calculateSectorAdjustedRisks(selectedCountries, countryVolumes, indexRisks, countrySectors)
+    };
+    const baselineRisk = this.calculateBaselineRisk(selectedCountries, countryVolumes, indexRisks, countrySectors);
+    const details = this.calculateManagedRiskDetails(
+      selectedCountries,
+      countryVolumes,
+      countryRisks,
+      safeState.hrddStrategy || this.defaultHRDDStrategy,
+      safeState.transparencyEffectiveness || this.defaultTransparencyEffectiveness,
+      safeState.responsivenessStrategy || this.defaultResponsivenessStrategy,
+      safeState.responsivenessEffectiveness || this.defaultResponsivenessEffectiveness,
+      focus,
+      countryToolCoverage
+    );
 
-  calculateBudgetAnalysis(
-    supplierCount,
-    hourlyRate,
-    toolAnnualProgrammeCosts,
-    toolPerSupplierCosts,
-    toolInternalHours,
-    toolRemedyInternalHours,
-    hrddStrategy,
-    transparencyEffectiveness,
-    responsivenessStrategy,
-    responsivenessEffectiveness,
-    selectedCountries,
-    countryVolumes,
-    countryRisks,
-    focus
-  ) {
+    const hasBudgetInputs = Number.isFinite(safeState.supplierCount) && Array.isArray(safeState.toolPerSupplierCosts);
+    const budget = hasBudgetInputs
+      ? this.calculateBudgetAnalysis(
+        safeState.supplierCount,
+        safeState.hourlyRate,
+        safeState.toolAnnualProgrammeCosts,
+        safeState.toolPerSupplierCosts,
+        safeState.toolInternalHours,
+        safeState.toolRemedyInternalHours,
+        this.calculateEffectiveToolCoverage(
+          selectedCountries, countryVolumes, countryRisks,
+          safeState.hrddStrategy || this.defaultHRDDStrategy, countryToolCoverage
+        ),
+        safeState.transparencyEffectiveness || this.defaultTransparencyEffectiveness,
+        safeState.responsivenessStrategy || this.defaultResponsivenessStrategy,
+        safeState.responsivenessEffectiveness || this.defaultResponsivenessEffectiveness,
+        selectedCountries,
+        countryVolumes,
+        countryRisks,
+        focus
+      )
+      : null;
 
-    // Check if Panel 6 is enabled (this will be available globally)
-    if (typeof window !== 'undefined' && window.hrddApp && !window.hrddApp.ENABLE_PANEL_6) {
-      return null;
-    }
+    return {
+      countriesSelected: selectedCountries.length,
+      datasetVersion: safeState.datasetVersion || null,
+      baselineRisk,
+      baselineBand: this.getRiskBand(baselineRisk),
+      managedRisk: details.managedRisk,
+      managedBand: this.getRiskBand(details.managedRisk),
+      riskReduction: this.calculateRiskReduction(baselineRisk, details.managedRisk),
+      stageBreakdown: details.stageBreakdown || null,
+      budget: budget
+        ? {
+          totalBudget: budget.totalBudget,
+          totalExternalCost: budget.totalExternalCost,
+          totalInternalCost: budget.totalInternalCost,
+          costPerSupplier: budget.costPerSupplier,
+          supplierCount: budget.supplierCount
+        }
+        : null
+    };
+  }
 
-    // NOTE: Social audit cost adjustments are intentionally excluded here so baseline
+  // Monte Carlo uncertainty (Panel 5). Every coverage and effectiveness input gets a range
+  // around its point value; index scores can optionally be perturbed as well so the baseline
+  // carries uncertainty too.
+  getDefaultUncertaintySettings() {
+    return {
+      iterations: 500,
+      distribution: 'triangular',  // 'triangular' (peaks at the entered value) | 'uniform'
+      coverageSpread: 10,          // ± percentage points on Panel 3 coverage
+      effectivenessSpread: 10,     // ± percentage points on Panel 3/4 effectiveness
+      indexSpread: 0,              // ± points on each selected country's risk score
+      seed: null,                  // null = new random seed per run
+      ranges: {}                   // { 'hrddStrategy.0': { min, max } } per-input overrides
+    };
+  }
+
+  sanitizeUncertaintySettings(settings) {
+    const defaults = this.getDefaultUncertaintySettings();
+    const source = settings && typeof settings === 'object' ? settings : {};
+    const clampNumber = (value, min, max, fallback) => {
+      const numeric = Number(value);
+      return Number.isFinite(numeric) ? Math.max(min, Math.min(max, numeric)) : fallback;
+    };
+
+    const ranges = {};
+    if (source.ranges && typeof source.ranges === 'object') {
+      Object.entries(source.ranges).forEach(([key, range]) => {
+        const min = Number(range?.min);
+        const max = Number(range?.max);
+        if (this.getUncertaintyInputGroups().some(group => key.startsWith(`${group.key}.`))
+          && Number.isFinite(min) && Number.isFinite(max)) {
+          ranges[key] = {
+            min: Math.max(0, Math.min(100, Math.min(min, max))),
+            max: Math.max(0, Math.min(100, Math.max(min, max)))
+          };
+        }
+      });
+    }
+
+    const seed = Number(source.seed);
+    return {
+      iterations: Math.round(clampNumber(source.iterations, 50, 5000, defaults.iterations)),
+      distribution: source.distribution === 'uniform' ? 'uniform' : 'triangular',
+      coverageSpread: clampNumber(source.coverageSpread, 0, 50, defaults.coverageSpread),
+      effectivenessSpread: clampNumber(source.effectivenessSpread, 0, 50, defaults.effectivenessSpread),
+      indexSpread: clampNumber(source.indexSpread, 0, 30, defaults.indexSpread),
+      seed: source.seed !== null && source.seed !== '' && Number.isFinite(seed) ? Math.floor(seed) >>> 0 : null,
+      ranges
+    };
+  }
+
+  getUncertaintyInputGroups() {
+    return [
+      { key: 'hrddStrategy', name: 'Coverage', labels: this.hrddStrategyLabels, spread: 'coverageSpread' },
+      { key: 'transparencyEffectiveness', name: 'Detection effectiveness', labels: this.hrddStrategyLabels, spread: 'effectivenessSpread' },
+      { key: 'responsivenessStrategy', name: 'Sustained remedy', labels: this.hrddStrategyLabels, spread: 'effectivenessSpread' },
+      { key: 'responsivenessEffectiveness', name: 'Good conduct', labels: this.hrddStrategyLabels, spread: 'effectivenessSpread' }
+    ];
+  }
+
+  // One entry per uncertain input: its point value (mode) and the range sampled around it
+  buildUncertaintyRanges(inputs, settings) {
+    const safeSettings = this.sanitizeUncertaintySettings(settings);
+    const entries = [];
+
+    this.getUncertaintyInputGroups().forEach(group => {
+      const values = Array.isArray(inputs?.[group.key]) ? inputs[group.key] : [];
+      values.forEach((rawValue, index) => {
+        const mode = Math.max(0, Math.min(100, Number(rawValue) || 0));
+        const key = `${group.key}.${index}`;
+        const spread = safeSettings[group.spread];
+        const custom = safeSettings.ranges[key];
+        const min = custom ? Math.min(custom.min, mode) : Math.max(0, mode - spread);
+        const max = custom ? Math.max(custom.max, mode) : Math.min(100, mode + spread);
+        entries.push({
+          key,
+          group: group.key,
+          groupName: group.name,
+          index,
+          label: group.labels[index] || `Tool ${index + 1}`,
+          mode,
+          min,
+          max,
+          custom: Boolean(custom)
+        });
+      });
+    });
+
+    return entries;
+  }
+
+  // Small seedable generator (mulberry32) so a run can be repeated exactly
+  createRandomGenerator(seed = Date.now()) {
+    let state = (Number(seed) >>> 0) || 1;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  sampleRange(random, { min, mode, max }, distribution = 'triangular') {
+    if (!(max > min)) return mode;
+    const u = random();
+    if (distribution === 'uniform') {
+      return min + u * (max - min);
+    }
+    const split = (mode - min) / (max - min);
+    return u < split
+      ? min + Math.sqrt(u * (max - min) * (mode - min))
+      : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+  }
+
+  // Linear interpolation between order statistics; values must be sorted ascending
+  calculatePercentile(sortedValues, percentile) {
+    if (!Array.isArray(sortedValues) || sortedValues.length === 0) return 0;
+    const position = (sortedValues.length - 1) * Math.max(0, Math.min(1, percentile));
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+  }
+
+  summarizeDistribution(values) {
+    const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+    const mean = sorted.length > 0 ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length : 0;
+    return {
+      p10: this.calculatePercentile(sorted, 0.1),
+      p50: this.calculatePercentile(sorted, 0.5),
+      p90: this.calculatePercentile(sorted, 0.9),
+      mean
+    };
+  }
+
+  runMonteCarloSimulation({
+    selectedCountries,
+    countryVolumes,
+    countryRisks,
+    hrddStrategy,
+    transparencyEffectiveness,
+    responsivenessStrategy,
+    responsivenessEffectiveness,
+    focus = this.defaultFocus,
+    countryToolCoverage = null
+  } = {}, settings = {}) {
+    const safeSelected = Array.isArray(selectedCountries) ? selectedCountries : [];
+    if (safeSelected.length === 0) return null;
+
+    const safeSettings = this.sanitizeUncertaintySettings(settings);
+    const seed = safeSettings.seed ?? (Math.floor(Math.random() * 4294967296) >>> 0);
+    const random = this.createRandomGenerator(seed);
+    const safeCountryRisks = countryRisks && typeof countryRisks === 'object' ? countryRisks : {};
+    const ranges = this.buildUncertaintyRanges({
+      hrddStrategy,
+      transparencyEffectiveness,
+      responsivenessStrategy,
+      responsivenessEffectiveness
+    }, safeSettings);
+
+    const baselineSamples = [];
+    const managedSamples = [];
+    const reductionSamples = [];
+    const countrySamples = {};
+    safeSelected.forEach(code => {
+      countrySamples[code] = { baseline: [], managed: [] };
+    });
+
+    for (let iteration = 0; iteration < safeSettings.iterations; iteration++) {
+      if (iteration % 50 === 0) {
+        this.reportProgress(iteration / safeSettings.iterations, 'Running simulations');
+      }
+      const sampled = {
+        hrddStrategy: [],
+        transparencyEffectiveness: [],
+        responsivenessStrategy: [],
+        responsivenessEffectiveness: []
+      };
+      ranges.forEach(range => {
+        sampled[range.group][range.index] = this.sampleRange(random, range, safeSettings.distribution);
+      });
+
+      const sampledRisks = { ...safeCountryRisks };
+      if (safeSettings.indexSpread > 0) {
+        safeSelected.forEach(code => {
+          const risk = Number(safeCountryRisks[code]);
+          if (!Number.isFinite(risk)) return;
+          sampledRisks[code] = this.sampleRange(random, {
+            min: Math.max(0, risk - safeSettings.indexSpread),
+            mode: risk,
+            max: Math.min(100, risk + safeSettings.indexSpread)
+          }, safeSettings.distribution);
+        });
+      }
+
+      const details = this.calculateManagedRiskDetails(
+        safeSelected,
+        countryVolumes,
+        sampledRisks,
+        sampled.hrddStrategy,
+        sampled.transparencyEffectiveness,
+        sampled.responsivenessStrategy,
+        sampled.responsivenessEffectiveness,
+        focus,
+        countryToolCoverage
+      );
+
+      baselineSamples.push(details.baselineRisk);
+      managedSamples.push(details.managedRisk);
+      reductionSamples.push(this.calculateRiskReduction(details.baselineRisk, details.managedRisk));
+      safeSelected.forEach(code => {
+        const baseline = Number(sampledRisks[code]);
+        const managed = Number(details.countryManagedRisks?.[code]);
+        if (Number.isFinite(baseline)) countrySamples[code].baseline.push(baseline);
+        if (Number.isFinite(managed)) countrySamples[code].managed.push(managed);
+      });
+    }
+
+    const countries = {};
+    safeSelected.forEach(code => {
+      countries[code] = {
+        baseline: this.summarizeDistribution(countrySamples[code].baseline),
+        managed: this.summarizeDistribution(countrySamples[code].managed)
+      };
+    });
+
+    return {
+      iterations: safeSettings.iterations,
+      distribution: safeSettings.distribution,
+      seed,
+      settings: safeSettings,
+      inputs: ranges,
+      baseline: this.summarizeDistribution(baselineSamples),
+      managed: this.summarizeDistribution(managedSamples),
+      riskReduction: this.summarizeDistribution(reductionSamples),
+      countries,
+      stateHash: this.getUncertaintyStateHash({
+        selectedCountries: safeSelected,
+        countryVolumes,
+        countryRisks: safeCountryRisks,
+        hrddStrategy,
+        transparencyEffectiveness,
+        responsivenessStrategy,
+        responsivenessEffectiveness,
+        focus,
+        countryToolCoverage
+      })
+    };
+  }
+
+  // One-at-a-time sensitivity (Panel 5 tornado). Each weight, coverage, effectiveness value and
+  // the focus level is moved ±perturbation% of its own value while everything else is held, and
+  // inputs are ranked by how far portfolio managed risk swings. Inputs at 0 cannot move.
+  runSensitivityAnalysis({
+    countries = [],
+    selectedCountries,
+    countryVolumes,
+    countrySectors,
+    weights = this.defaultWeights,
+    imputation = null,
+    hrddStrategy,
+    transparencyEffectiveness,
+    responsivenessStrategy,
+    responsivenessEffectiveness,
+    focus = this.defaultFocus,
+    countryToolCoverage = null
+  } = {}, { perturbation = 10 } = {}) {
+    const safeSelected = Array.isArray(selectedCountries) ? selectedCountries : [];
+    if (safeSelected.length === 0) return null;
+
+    const step = Math.max(1, Math.min(100, Number(perturbation) || 10)) / 100;
+    const selectedSet = new Set(safeSelected);
+    const selectedRecords = (Array.isArray(countries) ? countries : [])
+      .filter(country => country && selectedSet.has(country.isoCode));
+
+    const calculateRisks = weightValues => {
+      const indexRisks = {};
+      selectedRecords.forEach(country => {
+        indexRisks[country.isoCode] = this.calculateWeightedRisk(country, weightValues, this.indexFields, imputation);
+      });
+      return {
+        ...indexRisks,
+        ...this.calculateSectorAdjustedRisks(safeSelected, countryVolumes, indexRisks, countrySectors)
+      };
+    };
+
+    const baseInputs = {
+      weights: Array.isArray(weights) ? [...weights] : [...this.defaultWeights],
+      hrddStrategy: [...(hrddStrategy || this.defaultHRDDStrategy)],
+      transparencyEffectiveness: [...(transparencyEffectiveness || this.defaultTransparencyEffectiveness)],
+      responsivenessStrategy: [...(responsivenessStrategy || this.defaultResponsivenessStrategy)],
+      responsivenessEffectiveness: [...(responsivenessEffectiveness || this.defaultResponsivenessEffectiveness)],
+      focus: Number.isFinite(focus) ? Math.max(0, Math.min(1, focus)) : this.defaultFocus
+    };
+    const baseRisks = calculateRisks(baseInputs.weights);
+
+    const evaluate = (inputs, risks) => this.calculateManagedRiskDetails(
+      safeSelected,
+      countryVolumes,
+      risks,
+      inputs.hrddStrategy,
+      inputs.transparencyEffectiveness,
+      inputs.responsivenessStrategy,
+      inputs.responsivenessEffectiveness,
+      inputs.focus,
+      countryToolCoverage
+    ).managedRisk;
+
+    const baseManagedRisk = evaluate(baseInputs, baseRisks);
+
+    const inputGroups = [
+      { key: 'weights', name: 'Weighting', labels: this.indexLabels, max: Infinity },
+      { key: 'hrddStrategy', name: 'Coverage', labels: this.hrddStrategyLabels, max: 100 },
+      { key: 'transparencyEffectiveness', name: 'Detection', labels: this.hrddStrategyLabels, max: 100 },
+      { key: 'responsivenessStrategy', name: 'Sustained remedy', labels: this.hrddStrategyLabels, max: 100 },
+      { key: 'responsivenessEffectiveness', name: 'Good conduct', labels: this.hrddStrategyLabels, max: 100 }
+    ];
+
+    const entries = [];
+    const addEntry = (entry, buildInputs) => {
+      const perturbed = [entry.baseValue * (1 - step), entry.baseValue * (1 + step)]
+        .map(value => Math.max(0, Math.min(entry.max, value)));
+      const [lowRisk, highRisk] = perturbed.map(value => {
+        const inputs = buildInputs(value);
+        return evaluate(inputs, inputs.weights === baseInputs.weights ? baseRisks : calculateRisks(inputs.weights));
+      });
+      entries.push({
+        key: entry.key,
+        group: entry.group,
+        groupName: entry.groupName,
+        label: entry.label,
+        baseValue: entry.baseValue,
+        lowValue: perturbed[0],
+        highValue: perturbed[1],
+        lowRisk,
+        highRisk,
+        swing: Math.abs(highRisk - lowRisk)
+      });
+    };
+
+    inputGroups.forEach(group => {
+      baseInputs[group.key].forEach((rawValue, index) => {
+        const baseValue = Number(rawValue) || 0;
+        addEntry({
+          key: `${group.key}.${index}`,
+          group: group.key,
+          groupName: group.name,
+          label: group.labels[index] || `Input ${index + 1}`,
+          baseValue,
+          max: group.max
+        }, value => {
+          const values = [...baseInputs[group.key]];
+          values[index] = value;
+          return { ...baseInputs, [group.key]: values };
+        });
+      });
+    });
+
+    addEntry({
+      key: 'focus',
+      group: 'focus',
+      groupName: 'Focus',
+      label: 'Focus on higher-risk countries',
+      baseValue: baseInputs.focus,
+      max: 1
+    }, value => ({ ...baseInputs, focus: value }));
+
+    entries.sort((a, b) => b.swing - a.swing);
+
+    return {
+      perturbation: step * 100,
+      baseManagedRisk,
+      entries
+    };
+  }
+
+  // Identifies the point inputs a simulation was run against, so results can be flagged stale
+  getUncertaintyStateHash({
+    selectedCountries,
+    countryVolumes,
+    countryRisks,
+    hrddStrategy,
+    transparencyEffectiveness,
+    responsivenessStrategy,
+    responsivenessEffectiveness,
+    focus,
+    countryToolCoverage = null
+  } = {}) {
+    const selected = Array.isArray(selectedCountries) ? selectedCountries : [];
+    const pick = source => selected.reduce((acc, code) => {
+      acc[code] = source?.[code] ?? null;
+      return acc;
+    }, {});
+    return this.generateOptimizationStateHash({
+      selectedCountries: selected,
+      countryVolumes: pick(countryVolumes),
+      countryRisks: pick(countryRisks),
+      hrddStrategy,
+      transparencyEffectiveness,
+      responsivenessStrategy,
+      responsivenessEffectiveness,
+      focus,
+      countryToolCoverage: countryToolCoverage || {}
+    });
+  }
+
+
+  // Panel 6 Budget Analysis Methods (conditionally available)
+  // Panel 6 Budget Analysis Methods (conditionally available)
+
+// Default cost assumptions - grouped together for easy modification
+getDefaultCostAssumptions() {
+  return {
+    // Panel 3 Tool Costs (6 tools)
+    toolAnnualProgrammeCosts: [12000, 0, 0, 40000, 0, 0], // Fixed annual programme costs
+    toolPerSupplierCosts: [120, 250, 1200, 0, 10, 10],     // Variable per-supplier costs  
+    toolInternalHours: [3, 6, 20, 4, 2, 1],        // Internal hours per supplier per tool
+    
+    // Panel 4 Remedy utilisation costs (per tool)
+    toolRemedyInternalHours: [0, 10, 10, 6, 2, 2],    // Internal hours per supplier to apply each tool's findings
+    
+    // General defaults
+    defaultSupplierCount: 250,
+    defaultHourlyRate: 40
+  };
+}
+
+  calculateBudgetAnalysis(
+    supplierCount,
+    hourlyRate,
+    toolAnnualProgrammeCosts,
+    toolPerSupplierCosts,
+    toolInternalHours,
+    toolRemedyInternalHours,
+    hrddStrategy,
+    transparencyEffectiveness,
+    responsivenessStrategy,
+    responsivenessEffectiveness,
+    selectedCountries,
+    countryVolumes,
+    countryRisks,
+    focus
+  ) {
+    // NOTE: Social audit cost adjustments are intentionally excluded here so baseline
     // budget calculations remain unchanged. The optimization routine applies any
     // enforced constraints and cost reductions separately when evaluating scenarios.
     const safeSupplierCount = Math.max(1, Math.floor(supplierCount || 1));
@@ -1985,13 +3174,11 @@ getDefaultCostAssumptions() {
   focus,
   enforceSAQConstraint = false,
   enforceSocialAuditConstraint = false,
-  socialAuditCostReduction = 50
+  socialAuditCostReduction = 50,
+  targetBudgetOverride = null,
+  countryToolCoverage = null,
+  seed = null
 ) {
-  // Check if Panel 6 is enabled
-  if (typeof window !== 'undefined' && window.hrddApp && !window.hrddApp.ENABLE_PANEL_6) {
-    return null;
-  }
-
   // VALIDATION: Check for valid inputs
   if (!Array.isArray(selectedCountries) || selectedCountries.length === 0) {
     console.warn('Optimization skipped: No countries selected');
@@ -2007,23 +3194,31 @@ getDefaultCostAssumptions() {
   }
 
 
+    // Countries with their own coverage are costed at that coverage, as they are scored
+    const effectiveCoverage = allocation => this.calculateEffectiveToolCoverage(
+      selectedCountries, countryVolumes, countryRisks, allocation, countryToolCoverage
+    );
+
     const currentBudget = this.calculateBudgetAnalysis(
       supplierCount, hourlyRate, toolAnnualProgrammeCosts, toolPerSupplierCosts,
-      toolInternalHours, toolRemedyInternalHours, hrddStrategy, transparencyEffectiveness,
+      toolInternalHours, toolRemedyInternalHours, effectiveCoverage(hrddStrategy), transparencyEffectiveness,
       responsivenessStrategy, responsivenessEffectiveness, selectedCountries,
       countryVolumes, countryRisks, focus
     );
 
     if (!currentBudget) return null;
 
-    const targetBudget = currentBudget.totalBudget;
+    // The cost–risk frontier supplies its own budget level; otherwise spend what the current plan costs
+    const targetBudget = Number.isFinite(targetBudgetOverride) && targetBudgetOverride > 0
+      ? targetBudgetOverride
+      : currentBudget.totalBudget;
     const budgetTolerance = Math.max(100, targetBudget * 0.02);
     const minImprovementThreshold = 0.1;
 
     const currentDetails = this.calculateManagedRiskDetails(
       selectedCountries, countryVolumes, countryRisks,
       hrddStrategy, transparencyEffectiveness,
-      responsivenessStrategy, responsivenessEffectiveness, focus
+      responsivenessStrategy, responsivenessEffectiveness, focus, countryToolCoverage
     );
 
     const currentRiskReduction = currentDetails.baselineRisk - currentDetails.managedRisk;
@@ -2031,19 +3226,31 @@ getDefaultCostAssumptions() {
       ? (currentRiskReduction / currentDetails.baselineRisk * 100)
       : 0;
 
+    // Seeded so a recorded run can be replayed exactly. An unpinned seed stays out of the state
+    // hash: an unchanged re-run reuses the cached run's seed, so it repeats that run (same
+    // evaluations and trajectory) and is reported as already optimised. A pinned seed must
+    // also match the cached run's.
+    const pinnedSeed = Number.isFinite(Number(seed)) && seed !== null ? (Number(seed) >>> 0) : null;
+
     const currentStateHash = this.generateOptimizationStateHash({
       supplierCount, hourlyRate, toolAnnualProgrammeCosts, toolPerSupplierCosts,
       toolInternalHours, toolRemedyInternalHours, hrddStrategy, transparencyEffectiveness,
       responsivenessStrategy, responsivenessEffectiveness, selectedCountries,
       countryVolumes, countryRisks, focus, enforceSAQConstraint, enforceSocialAuditConstraint,
-      socialAuditCostReduction
+      socialAuditCostReduction,
+      ...(targetBudget !== currentBudget.totalBudget ? { targetBudget } : {}),
+      ...(countryToolCoverage && Object.keys(countryToolCoverage).length > 0 ? { countryToolCoverage } : {})
     });
 
     const previousOptimizationState =
       this.lastOptimizationState && this.lastOptimizationState.stateHash === currentStateHash
+        && (pinnedSeed === null || this.lastOptimizationState.results?.seed === pinnedSeed)
         ? this.lastOptimizationState
         : null;
     const previousResults = previousOptimizationState?.results || null;
+    const runSeed = pinnedSeed ?? (Number.isFinite(previousResults?.seed)
+      ? previousResults.seed
+      : (Math.floor(Math.random() * 4294967296) >>> 0));
     const isReOptimization = Boolean(previousResults);
 
     const toolCount = Array.isArray(this.hrddStrategyLabels)
@@ -2109,10 +3316,12 @@ getDefaultCostAssumptions() {
     });
 
     const calculateCost = (allocation) => {
-      return clampAllocation(allocation).reduce((sum, coverage, index) => {
+      return effectiveCoverage(clampAllocation(allocation)).reduce((sum, coverage, index) => {
         return sum + coverage * toolCostPerPercent[index];
       }, 0);
     };
+    // What the per-country overrides cost on their own; scaling the global mix cannot change it
+    const overrideCost = calculateCost([]);
 
     const normalizeToBudget = (allocation) => {
       let normalized = clampAllocation(allocation);
@@ -2129,10 +3338,10 @@ getDefaultCostAssumptions() {
 
       for (let attempt = 0; attempt < 8; attempt++) {
         const cost = calculateCost(normalized);
-        if (Math.abs(cost - targetBudget) <= budgetTolerance || cost === 0) {
+        if (Math.abs(cost - targetBudget) <= budgetTolerance || cost - overrideCost <= 0) {
           break;
         }
-        const ratio = targetBudget / cost;
+        const ratio = Math.max(0, (targetBudget - overrideCost) / (cost - overrideCost));
         normalized = normalized.map(value => Math.max(0, Math.min(100, value * ratio)));
         if (enforceSAQConstraint) {
           normalized = this.enforceSAQConstraint(normalized);
@@ -2153,7 +3362,7 @@ getDefaultCostAssumptions() {
       const details = this.calculateManagedRiskDetails(
         selectedCountries, countryVolumes, countryRisks,
         candidate, transparencyEffectiveness,
-        responsivenessStrategy, responsivenessEffectiveness, focus
+        responsivenessStrategy, responsivenessEffectiveness, focus, countryToolCoverage
       );
 
       const riskReduction = details.baselineRisk - details.managedRisk;
@@ -2187,12 +3396,28 @@ getDefaultCostAssumptions() {
     let bestEvaluation = evaluateAllocation(currentAllocation);
     let evaluations = 1;
 
-    const considerCandidate = (allocation) => {
+    // The trajectory logs each new best
+    const random = this.createRandomGenerator(runSeed);
+    const roundLog = value => Math.round(value * 10000) / 10000;
+    const fitnessTrajectory = [];
+    const logBest = phase => {
+      fitnessTrajectory.push({
+        evaluation: evaluations,
+        phase,
+        fitness: roundLog(bestEvaluation.fitness),
+        managedRisk: roundLog(bestEvaluation.details.managedRisk),
+        cost: Math.round(bestEvaluation.cost)
+      });
+    };
+    logBest('Start');
+
+    const considerCandidate = (allocation, phase) => {
       const evaluated = evaluateAllocation(allocation);
       evaluations += 1;
       if (evaluated.fitness + 1e-6 < bestEvaluation.fitness) {
         bestEvaluation = evaluated;
         currentAllocation = evaluated.allocation;
+        logBest(phase);
         return true;
       }
       return false;
@@ -2201,7 +3426,8 @@ getDefaultCostAssumptions() {
     const stepSizes = [12, 8, 5, 3, 2, 1];
     const directions = [-1, 1];
 
-    stepSizes.forEach(step => {
+    stepSizes.forEach((step, stepIndex) => {
+      this.reportProgress(0.8 * stepIndex / stepSizes.length, 'Hill-climbing tool coverage');
       let improved = true;
       let iteration = 0;
       const maxIterations = 120;
@@ -2214,7 +3440,7 @@ getDefaultCostAssumptions() {
           for (const direction of directions) {
             const candidate = [...currentAllocation];
             candidate[index] = Math.max(0, Math.min(100, candidate[index] + direction * step));
-            if (considerCandidate(candidate)) {
+            if (considerCandidate(candidate, 'Focused hill-climb')) {
               improved = true;
               break;
             }
@@ -2225,12 +3451,13 @@ getDefaultCostAssumptions() {
     });
 
     const randomAttempts = 60;
+    this.reportProgress(0.8, 'Testing random perturbations');
     for (let attempt = 0; attempt < randomAttempts; attempt++) {
       const candidate = currentAllocation.map(value => {
-        const noise = (Math.random() - 0.5) * 20;
+        const noise = (random() - 0.5) * 20;
         return Math.max(0, Math.min(100, value + noise));
       });
-      considerCandidate(candidate);
+      considerCandidate(candidate, 'Random perturbations');
     }
 
     const optimizedDetails = bestEvaluation.details;
@@ -2279,6 +3506,9 @@ getDefaultCostAssumptions() {
         currentEffectiveness: baselineEffectiveness,
         optimizedEffectiveness: baselineEffectiveness,
         improvement: 0,
+        evaluations,
+        seed: runSeed,
+        fitnessTrajectory,
          insight: `No meaningful improvement found after testing ${evaluations} tool mixes within the current budget of ${targetBudget.toLocaleString()}.${enforceSAQConstraint ? ' SAQ constraint (100% coverage) was enforced.' : ''}${auditConstraintSummary} Consider updating tool effectiveness assumptions or increasing the budget.`,
         budgetUtilization: targetBudget > 0 ? 100 : 0,
         budgetConstraintMet: true,
@@ -2356,6 +3586,8 @@ getDefaultCostAssumptions() {
       socialAuditCostReductionApplied: enforceSocialAuditConstraint ? socialAuditReduction : 0,
       socialAuditCoverageTarget: enforceSocialAuditConstraint ? auditCoverageForSummary : null,
       evaluations,
+      seed: runSeed,
+      fitnessTrajectory,
       toolChanges: bestEvaluation.allocation.map((alloc, i) => ({
         tool: this.hrddStrategyLabels[i] || `Tool ${i + 1}`,
         current: hrddStrategy[i],
@@ -2372,6 +3604,809 @@ getDefaultCostAssumptions() {
 
     return finalResult;
   }
+
+  // Audit record of one optimiser run. `inputs` uses the goal-seek input shape (plus an optional
+  // targetBudget) and is stored in full so replayOptimizationRun can repeat the run without the
+  // rest of the assessment.
+  createOptimizationRunRecord(inputs = {}, result = null) {
+    if (!result || !Number.isFinite(result.seed)) return null;
+
+    const createdAt = new Date().toISOString();
+    const round = value => (Number.isFinite(value) ? Math.round(value * 10000) / 10000 : null);
+    const snapshot = JSON.parse(JSON.stringify(inputs || {}));
+
+    return {
+      id: `run_${Date.now().toString(36)}_${result.seed.toString(16)}`,
+      createdAt,
+      inputsHash: this.hashOptimizationInputs(snapshot),
+      seed: result.seed,
+      evaluations: result.evaluations,
+      validSolutionsFound: result.validSolutionsFound,
+      algorithmsUsed: Array.isArray(result.algorithmsUsed) ? [...result.algorithmsUsed] : [],
+      fitnessTrajectory: Array.isArray(result.fitnessTrajectory)
+        ? result.fitnessTrajectory.map(entry => ({ ...entry }))
+        : [],
+      inputs: snapshot,
+      outcome: {
+        currentManagedRisk: round(result.currentManagedRisk),
+        optimizedManagedRisk: round(result.optimizedManagedRisk),
+        optimizedToolAllocation: (result.optimizedToolAllocation || []).map(round),
+        finalBudget: round(result.finalBudget),
+        targetBudget: round(result.targetBudget)
+      }
+    };
+  }
+
+  // Re-run a recorded optimisation with its stored inputs and seed and check it lands in the same place
+  replayOptimizationRun(record) {
+    if (!record || !record.inputs || typeof record.inputs !== 'object' || !Number.isFinite(record.seed)) {
+      return null;
+    }
+
+    const inputs = record.inputs;
+    // A cached result for the same inputs would be returned instead of a fresh run
+    const cachedState = this.lastOptimizationState;
+    this.lastOptimizationState = null;
+    let result;
+    try {
+      result = this.optimizeBudgetAllocation(
+        inputs.supplierCount, inputs.hourlyRate, inputs.toolAnnualProgrammeCosts, inputs.toolPerSupplierCosts,
+        inputs.toolInternalHours, inputs.toolRemedyInternalHours, inputs.hrddStrategy, inputs.transparencyEffectiveness,
+        inputs.responsivenessStrategy, inputs.responsivenessEffectiveness, inputs.selectedCountries,
+        inputs.countryVolumes, inputs.countryRisks, inputs.focus,
+        Boolean(inputs.enforceSAQConstraint), Boolean(inputs.enforceSocialAuditConstraint),
+        inputs.socialAuditCostReduction ?? 50, inputs.targetBudget ?? null,
+        inputs.countryToolCoverage || null, record.seed
+      );
+    } finally {
+      this.lastOptimizationState = cachedState;
+    }
+    if (!result) return null;
+
+    const replayed = this.createOptimizationRunRecord(inputs, result);
+    const recordedAllocation = record.outcome?.optimizedToolAllocation || [];
+    const allocationMatches = replayed.outcome.optimizedToolAllocation.length === recordedAllocation.length
+      && replayed.outcome.optimizedToolAllocation.every((value, index) => value === recordedAllocation[index]);
+    const inputsMatch = replayed.inputsHash === record.inputsHash;
+    const trajectoryMatches = JSON.stringify(replayed.fitnessTrajectory) === JSON.stringify(record.fitnessTrajectory || []);
+
+    return {
+      runId: record.id,
+      replayedAt: replayed.createdAt,
+      inputsMatch,
+      allocationMatches,
+      evaluationsMatch: replayed.evaluations === record.evaluations,
+      trajectoryMatches,
+      matches: inputsMatch && allocationMatches && trajectoryMatches && replayed.evaluations === record.evaluations,
+      outcome: replayed.outcome,
+      evaluations: replayed.evaluations,
+      result
+    };
+  }
+
+  // Cost–risk frontier (Panel 6): runs optimizeBudgetAllocation at several multiples of the
+  // current spend. For each level the current plan is first rescaled to that budget (tools held
+  // by an enforced constraint stay put) and the optimizer then rebalances it within that budget.
+  calculateCostRiskFrontier({
+    supplierCount,
+    hourlyRate,
+    toolAnnualProgrammeCosts,
+    toolPerSupplierCosts,
+    toolInternalHours,
+    toolRemedyInternalHours,
+    hrddStrategy,
+    transparencyEffectiveness,
+    responsivenessStrategy,
+    responsivenessEffectiveness,
+    selectedCountries,
+    countryVolumes,
+    countryRisks,
+    focus,
+    enforceSAQConstraint = false,
+    enforceSocialAuditConstraint = false,
+    socialAuditCostReduction = 50,
+    countryToolCoverage = null
+  } = {}, budgetLevels = [0.5, 0.75, 1, 1.5, 2]) {
+    if (!Array.isArray(selectedCountries) || selectedCountries.length === 0) {
+      console.warn('Frontier skipped: No countries selected');
+      return null;
+    }
+
+    const toolCount = Array.isArray(this.hrddStrategyLabels) ? this.hrddStrategyLabels.length : 6;
+    const currentAllocation = Array.from({ length: toolCount }, (_, index) => {
+      const value = Array.isArray(hrddStrategy) ? hrddStrategy[index] : 0;
+      return Number.isFinite(value) ? Math.max(0, Math.min(100, value)) : 0;
+    });
+    const fixedTools = new Set([
+      ...(enforceSAQConstraint ? [4, 5] : []),
+      ...(enforceSocialAuditConstraint ? [2, 3] : [])
+    ]);
+
+    const auditReductionFactor = enforceSocialAuditConstraint
+      ? Math.max(0, 1 - Math.max(0, Math.min(100, Number(socialAuditCostReduction) || 0)) / 100)
+      : 1;
+
+    // Priced as goalSeekStrategy does, so the current plan and every point share one basis
+    const budgetFor = allocation => {
+      const budget = this.calculateBudgetAnalysis(
+        supplierCount, hourlyRate, toolAnnualProgrammeCosts, toolPerSupplierCosts,
+        toolInternalHours, toolRemedyInternalHours,
+        this.calculateEffectiveToolCoverage(selectedCountries, countryVolumes, countryRisks, allocation, countryToolCoverage),
+        transparencyEffectiveness,
+        responsivenessStrategy, responsivenessEffectiveness, selectedCountries,
+        countryVolumes, countryRisks, focus
+      );
+      const auditCost = budget.toolDeployments
+        .filter(tool => tool.toolIndex === 2 || tool.toolIndex === 3)
+        .reduce((sum, tool) => sum + tool.totalCost, 0);
+      return budget.totalBudget - auditCost * (1 - auditReductionFactor);
+    };
+
+    const currentBudget = budgetFor(currentAllocation);
+    const currentDetails = this.calculateManagedRiskDetails(
+      selectedCountries, countryVolumes, countryRisks,
+      currentAllocation, transparencyEffectiveness,
+      responsivenessStrategy, responsivenessEffectiveness, focus, countryToolCoverage
+    );
+
+    // Scale the free tools until the plan costs targetBudget (or they hit 0% / 100%)
+    const scaleToBudget = targetBudget => {
+      let allocation = [...currentAllocation];
+      const hasFreeCoverage = allocation.some((value, index) => !fixedTools.has(index) && value > 0);
+      if (!hasFreeCoverage && targetBudget > currentBudget) {
+        allocation = allocation.map((value, index) => (fixedTools.has(index) ? value : 1));
+      }
+      for (let attempt = 0; attempt < 12; attempt++) {
+        const cost = budgetFor(allocation);
+        if (cost <= 0 || Math.abs(cost - targetBudget) <= Math.max(100, targetBudget * 0.01)) break;
+        const fixedCost = budgetFor(allocation.map((value, index) => (fixedTools.has(index) ? value : 0)));
+        const freeCost = cost - fixedCost;
+        if (freeCost <= 0) break;
+        const ratio = Math.max(0, (targetBudget - fixedCost) / freeCost);
+        const next = allocation.map((value, index) => (fixedTools.has(index)
+          ? value
+          : Math.max(0, Math.min(100, value * ratio))));
+        if (next.every((value, index) => Math.abs(value - allocation[index]) < 1e-6)) break;
+        allocation = next;
+      }
+      return allocation;
+    };
+
+    // The frontier must not disturb the cached result of the main Panel 6 optimisation
+    const savedOptimizationState = this.lastOptimizationState;
+    const points = [];
+    try {
+      budgetLevels.forEach((level, levelIndex) => {
+        const targetBudget = currentBudget * level;
+        const startingAllocation = level === 1 ? currentAllocation : scaleToBudget(targetBudget);
+        this.lastOptimizationState = null;
+        const optimized = this.runWithProgressRange(levelIndex / budgetLevels.length, (levelIndex + 1) / budgetLevels.length, () =>
+          this.optimizeBudgetAllocation(
+            supplierCount, hourlyRate, toolAnnualProgrammeCosts, toolPerSupplierCosts,
+            toolInternalHours, toolRemedyInternalHours, startingAllocation, transparencyEffectiveness,
+            responsivenessStrategy, responsivenessEffectiveness, selectedCountries,
+            countryVolumes, countryRisks, focus, enforceSAQConstraint,
+            enforceSocialAuditConstraint, socialAuditCostReduction, budgetFor(startingAllocation),
+            countryToolCoverage
+          ));
+        const allocation = optimized?.optimizedToolAllocation || startingAllocation;
+        const managedRisk = Number.isFinite(optimized?.optimizedManagedRisk)
+          ? optimized.optimizedManagedRisk
+          : this.calculateManagedRiskDetails(
+            selectedCountries, countryVolumes, countryRisks,
+            allocation, transparencyEffectiveness,
+            responsivenessStrategy, responsivenessEffectiveness, focus, countryToolCoverage
+          ).managedRisk;
+        const budget = budgetFor(allocation);
+
+        points.push({
+          level,
+          targetBudget,
+          budget,
+          budgetReached: Math.abs(budget - targetBudget) <= Math.max(100, targetBudget * 0.05),
+          managedRisk,
+          riskReduction: this.calculateRiskReduction(currentDetails.baselineRisk, managedRisk),
+          allocation: allocation.map(value => Math.round(value * 10) / 10),
+          toolChanges: allocation.map((coverage, index) => ({
+            tool: this.hrddStrategyLabels[index] || `Tool ${index + 1}`,
+            current: currentAllocation[index],
+            optimized: coverage,
+            change: coverage - currentAllocation[index]
+          }))
+        });
+      });
+    } finally {
+      this.lastOptimizationState = savedOptimizationState;
+    }
+
+    // A point is dominated when a cheaper point already reaches a lower risk
+    points.sort((a, b) => a.budget - b.budget);
+    let lowestRisk = Infinity;
+    points.forEach(point => {
+      point.dominated = point.managedRisk > lowestRisk + 1e-6;
+      lowestRisk = Math.min(lowestRisk, point.managedRisk);
+    });
+
+    return {
+      baselineRisk: currentDetails.baselineRisk,
+      current: {
+        budget: currentBudget,
+        managedRisk: currentDetails.managedRisk,
+        allocation: currentAllocation
+      },
+      points,
+      saqConstraintEnforced: enforceSAQConstraint,
+      socialAuditConstraintEnforced: enforceSocialAuditConstraint
+    };
+  }
+
+  // Goal-seek (Panel 6): the inverse of optimizeBudgetAllocation. Finds the cheapest tool
+  // coverage whose managed risk is at or below targetRisk, holding the Panel 3/4 effectiveness
+  // values fixed. Coverage is bought greedily by risk reduction per dollar, then trimmed back
+  // while the target still holds. When even full coverage misses the target the result says so
+  // and reports the lowest risk reachable.
+  goalSeekStrategy(targetRisk, {
+    supplierCount,
+    hourlyRate,
+    toolAnnualProgrammeCosts,
+    toolPerSupplierCosts,
+    toolInternalHours,
+    toolRemedyInternalHours,
+    hrddStrategy,
+    transparencyEffectiveness,
+    responsivenessStrategy,
+    responsivenessEffectiveness,
+    selectedCountries,
+    countryVolumes,
+    countryRisks,
+    focus,
+    enforceSAQConstraint = false,
+    enforceSocialAuditConstraint = false,
+    socialAuditCostReduction = 50,
+    countryToolCoverage = null
+  } = {}) {
+    if (!Array.isArray(selectedCountries) || selectedCountries.length === 0) {
+      console.warn('Goal-seek skipped: No countries selected');
+      return null;
+    }
+    const target = Number(targetRisk);
+    if (!Number.isFinite(target) || target < 0) {
+      console.warn('Goal-seek skipped: Invalid target risk');
+      return null;
+    }
+
+    const toolCount = Array.isArray(this.hrddStrategyLabels) ? this.hrddStrategyLabels.length : 6;
+    const currentAllocation = Array.from({ length: toolCount }, (_, index) => {
+      const value = Array.isArray(hrddStrategy) ? hrddStrategy[index] : 0;
+      return Number.isFinite(value) ? Math.max(0, Math.min(100, value)) : 0;
+    });
+    const auditCoverageTarget = Math.max(0, Math.min(100, currentAllocation[2] + currentAllocation[3]));
+    const auditReductionFactor = enforceSocialAuditConstraint
+      ? Math.max(0, 1 - Math.max(0, Math.min(100, Number(socialAuditCostReduction) || 0)) / 100)
+      : 1;
+    const tolerance = 1e-6;
+    let evaluations = 0;
+
+    const applyConstraints = allocation => {
+      let constrained = allocation.map(value => Math.max(0, Math.min(100, value)));
+      if (enforceSAQConstraint) constrained = this.enforceSAQConstraint(constrained);
+      if (enforceSocialAuditConstraint) {
+        constrained = this.enforceSocialAuditConstraint(constrained, auditCoverageTarget);
+      }
+      return constrained;
+    };
+
+    // Same cost basis as the optimizer: audit tools are discounted while that constraint holds,
+    // and countries with their own coverage are costed at that coverage, as they are scored
+    const evaluate = allocation => {
+      evaluations += 1;
+      const budget = this.calculateBudgetAnalysis(
+        supplierCount, hourlyRate, toolAnnualProgrammeCosts, toolPerSupplierCosts,
+        toolInternalHours, toolRemedyInternalHours,
+        this.calculateEffectiveToolCoverage(selectedCountries, countryVolumes, countryRisks, allocation, countryToolCoverage),
+        transparencyEffectiveness,
+        responsivenessStrategy, responsivenessEffectiveness, selectedCountries,
+        countryVolumes, countryRisks, focus
+      );
+      const auditCost = budget.toolDeployments
+        .filter(tool => tool.toolIndex === 2 || tool.toolIndex === 3)
+        .reduce((sum, tool) => sum + tool.totalCost, 0);
+      const details = this.calculateManagedRiskDetails(
+        selectedCountries, countryVolumes, countryRisks,
+        allocation, transparencyEffectiveness,
+        responsivenessStrategy, responsivenessEffectiveness, focus, countryToolCoverage
+      );
+      return {
+        allocation,
+        cost: budget.totalBudget - auditCost * (1 - auditReductionFactor),
+        managedRisk: details.managedRisk,
+        details,
+        budget
+      };
+    };
+
+    const meetsTarget = evaluation => evaluation.managedRisk <= target + tolerance;
+
+    // Moves that keep the constraints intact: free tools go up or down on their own, tools
+    // inside an enforced pair trade coverage with their partner
+    const pairedTools = new Map();
+    if (enforceSAQConstraint) {
+      pairedTools.set(4, 5);
+      pairedTools.set(5, 4);
+    }
+    if (enforceSocialAuditConstraint) {
+      pairedTools.set(2, 3);
+      pairedTools.set(3, 2);
+    }
+    const buildMoves = (allocation, step, direction) => {
+      const moves = [];
+      for (let index = 0; index < toolCount; index++) {
+        const candidate = [...allocation];
+        if (pairedTools.has(index)) {
+          if (direction < 0) continue;
+          const partner = pairedTools.get(index);
+          const amount = Math.min(step, candidate[partner]);
+          if (amount <= 0 || candidate[index] >= 100) continue;
+          candidate[index] += amount;
+          candidate[partner] -= amount;
+        } else {
+          candidate[index] = Math.max(0, Math.min(100, candidate[index] + direction * step));
+          if (candidate[index] === allocation[index]) continue;
+        }
+        moves.push(candidate);
+      }
+      return moves;
+    };
+
+    const current = evaluate(applyConstraints(currentAllocation));
+    const ceiling = evaluate(applyConstraints(currentAllocation.map((value, index) =>
+      (pairedTools.has(index) ? value : 100))));
+
+    // Greedy ascent from the cheapest allowed mix
+    let best = evaluate(applyConstraints(currentAllocation.map((value, index) =>
+      (pairedTools.has(index) ? value : 0))));
+    const ascentStep = 5;
+    const ascentStart = best.managedRisk;
+    for (let guard = 0; guard < 400 && !meetsTarget(best); guard++) {
+      this.reportProgress(0.6 * (ascentStart - best.managedRisk) / Math.max(1e-6, ascentStart - target), 'Adding coverage');
+      let chosen = null;
+      let chosenScore = -Infinity;
+      buildMoves(best.allocation, ascentStep, 1).forEach(candidate => {
+        const evaluated = evaluate(candidate);
+        const riskGain = best.managedRisk - evaluated.managedRisk;
+        const extraCost = evaluated.cost - best.cost;
+        if (riskGain <= tolerance) return;
+        const score = extraCost <= 0 ? Infinity : riskGain / extraCost;
+        if (score > chosenScore || (score === chosenScore && evaluated.cost < chosen.cost)) {
+          chosen = evaluated;
+          chosenScore = score;
+        }
+      });
+      if (!chosen) break;
+      best = chosen;
+    }
+
+    if (!meetsTarget(best) && meetsTarget(ceiling)) {
+      best = ceiling;
+    }
+
+    if (!meetsTarget(best)) {
+      const lowest = [best, ceiling, current].reduce((a, b) => (b.managedRisk < a.managedRisk ? b : a));
+      return {
+        feasible: false,
+        targetRisk: target,
+        baselineRisk: current.details.baselineRisk,
+        currentManagedRisk: current.managedRisk,
+        currentBudget: current.cost,
+        bestAchievableRisk: lowest.managedRisk,
+        bestAchievableAllocation: lowest.allocation,
+        bestAchievableBudget: lowest.cost,
+        evaluations,
+        saqConstraintEnforced: enforceSAQConstraint,
+        socialAuditConstraintEnforced: enforceSocialAuditConstraint,
+        insight: `A managed risk of ${target.toFixed(1)} cannot be reached by changing tool coverage alone. The lowest reachable with the current effectiveness assumptions${enforceSAQConstraint || enforceSocialAuditConstraint ? ' and constraints' : ''} is ${lowest.managedRisk.toFixed(1)}. Improve tool effectiveness (Panels 3 and 4), focus, or relax the constraints.`
+      };
+    }
+
+    // Trim: cut coverage wherever the target still holds and the cost falls
+    [10, 5, 2, 1, 0.5].forEach((step, stepIndex) => {
+      this.reportProgress(0.6 + 0.4 * stepIndex / 5, 'Trimming cost');
+      let improved = true;
+      for (let guard = 0; improved && guard < 200; guard++) {
+        improved = false;
+        const candidates = [
+          ...buildMoves(best.allocation, step, -1),
+          ...buildMoves(best.allocation, step, 1)
+        ];
+        for (const candidate of candidates) {
+          const evaluated = evaluate(candidate);
+          if (meetsTarget(evaluated) && evaluated.cost < best.cost - 0.01) {
+            best = evaluated;
+            improved = true;
+            break;
+          }
+        }
+      }
+    });
+
+    const roundedAllocation = best.allocation.map(value => Math.round(value * 10) / 10);
+    return {
+      feasible: true,
+      targetRisk: target,
+      baselineRisk: current.details.baselineRisk,
+      currentManagedRisk: current.managedRisk,
+      currentBudget: current.cost,
+      achievedManagedRisk: best.managedRisk,
+      minimumBudget: best.cost,
+      allocation: roundedAllocation,
+      budgetBreakdown: best.budget,
+      countryManagedRisks: best.details.countryManagedRisks,
+      budgetChange: best.cost - current.cost,
+      evaluations,
+      saqConstraintEnforced: enforceSAQConstraint,
+      socialAuditConstraintEnforced: enforceSocialAuditConstraint,
+      toolChanges: roundedAllocation.map((coverage, index) => ({
+        tool: this.hrddStrategyLabels[index] || `Tool ${index + 1}`,
+        current: currentAllocation[index],
+        required: coverage,
+        change: coverage - currentAllocation[index]
+      })),
+      insight: Math.abs(best.cost - current.cost) < 1
+        ? 'The current coverage is already the cheapest mix found that reaches the target.'
+        : best.cost < current.cost
+        ? `The target is reachable for ${Math.round(current.cost - best.cost).toLocaleString()} less than the current plan.`
+        : `Reaching the target needs ${Math.round(best.cost - current.cost).toLocaleString()} more per year than the current plan.`
+    };
+  }
+
+  // Per-country optimal mix (Panel 6). Countries are grouped by risk band (mode 'band') or kept
+  // apart (mode 'country'); each group gets its own coverage vector, and coverage is traded
+  // between groups and tools while the annual spend stays at what today's plan costs.
+  optimizeCountryAllocation(inputs = {}, { mode = 'band', maxEvaluations = 5000 } = {}) {
+    const {
+      supplierCount,
+      hourlyRate,
+      toolAnnualProgrammeCosts,
+      toolPerSupplierCosts,
+      toolInternalHours,
+      toolRemedyInternalHours,
+      hrddStrategy,
+      transparencyEffectiveness,
+      responsivenessStrategy,
+      responsivenessEffectiveness,
+      selectedCountries,
+      countryVolumes,
+      countryRisks,
+      focus,
+      enforceSAQConstraint = false,
+      enforceSocialAuditConstraint = false,
+      socialAuditCostReduction = 50,
+      countryToolCoverage = null
+    } = inputs;
+    if (!Array.isArray(selectedCountries) || selectedCountries.length === 0) {
+      console.warn('Country allocation skipped: No countries selected');
+      return null;
+    }
+
+    const safeMode = mode === 'country' ? 'country' : 'band';
+    const toolCount = Array.isArray(this.hrddStrategyLabels) ? this.hrddStrategyLabels.length : 6;
+    const globalStrategy = Array.from({ length: toolCount }, (_, index) => {
+      const value = Array.isArray(hrddStrategy) ? hrddStrategy[index] : 0;
+      return Number.isFinite(value) ? Math.max(0, Math.min(100, value)) : 0;
+    });
+    const safeRisks = countryRisks && typeof countryRisks === 'object' ? countryRisks : {};
+    const volumeOf = code => (Number.isFinite(countryVolumes?.[code]) ? countryVolumes[code] : 10);
+    const auditReductionFactor = enforceSocialAuditConstraint
+      ? Math.max(0, 1 - Math.max(0, Math.min(100, Number(socialAuditCostReduction) || 0)) / 100)
+      : 1;
+    const tolerance = 1e-6;
+
+    const groupMap = new Map();
+    selectedCountries.forEach(code => {
+      const risk = safeRisks[code] || 0;
+      const key = safeMode === 'country' ? code : this.getCoverageBandKey(risk);
+      if (!groupMap.has(key)) {
+        groupMap.set(key, {
+          key,
+          label: safeMode === 'country' ? code : this.getRiskBand(risk),
+          countries: [],
+          volume: 0
+        });
+      }
+      const group = groupMap.get(key);
+      group.countries.push(code);
+      group.volume += volumeOf(code);
+    });
+    const groups = [...groupMap.values()];
+    const totalVolume = groups.reduce((sum, group) => sum + group.volume, 0) || 1;
+    groups.forEach(group => {
+      group.share = group.volume / totalVolume;
+    });
+
+    // Start each group from the coverage the model applies to its countries today
+    const modelCoverage = this.calculateCountrySpecificCoverage(
+      selectedCountries, countryVolumes, safeRisks, globalStrategy, focus, countryToolCoverage
+    );
+    const startVectors = groups.map(group => {
+      const vector = new Array(toolCount).fill(0);
+      group.countries.forEach(code => {
+        const coverage = modelCoverage[code] || globalStrategy;
+        coverage.forEach((value, index) => {
+          vector[index] += (value * volumeOf(code)) / (group.volume || 1);
+        });
+      });
+      return vector;
+    });
+    const auditTargets = startVectors.map(vector => Math.max(0, Math.min(100, vector[2] + vector[3])));
+    const currentVectors = startVectors.map(vector => [...vector]);
+
+    // Per-country search starts from the per-band optimum when that beats today's coverage, so
+    // it never ends up behind the coarser band answer
+    let bandSeed = null;
+    if (safeMode === 'country') {
+      bandSeed = this.runWithProgressRange(0, 0.25, () =>
+        this.optimizeCountryAllocation(inputs, { mode: 'band', maxEvaluations: Math.floor(maxEvaluations / 4) }));
+      if (bandSeed?.improved) {
+        groups.forEach((group, groupIndex) => {
+          const bandVector = bandSeed.countryToolCoverage[this.getCoverageBandKey(safeRisks[group.key] || 0)];
+          if (Array.isArray(bandVector)) startVectors[groupIndex] = [...bandVector];
+        });
+      }
+    }
+
+    const applyConstraints = (vector, groupIndex) => {
+      let constrained = vector.map(value => Math.max(0, Math.min(100, value)));
+      if (enforceSAQConstraint) constrained = this.enforceSAQConstraint(constrained);
+      if (enforceSocialAuditConstraint) {
+        constrained = this.enforceSocialAuditConstraint(constrained, auditTargets[groupIndex]);
+      }
+      return constrained;
+    };
+
+    // Priced like goalSeekStrategy, on the volume-weighted coverage deployed across all groups
+    const costOf = vectors => {
+      const effective = new Array(toolCount).fill(0);
+      vectors.forEach((vector, groupIndex) => {
+        vector.forEach((value, index) => {
+          effective[index] += value * groups[groupIndex].share;
+        });
+      });
+      const budget = this.calculateBudgetAnalysis(
+        supplierCount, hourlyRate, toolAnnualProgrammeCosts, toolPerSupplierCosts,
+        toolInternalHours, toolRemedyInternalHours, effective, transparencyEffectiveness,
+        responsivenessStrategy, responsivenessEffectiveness, selectedCountries,
+        countryVolumes, safeRisks, focus
+      );
+      const auditCost = budget.toolDeployments
+        .filter(tool => tool.toolIndex === 2 || tool.toolIndex === 3)
+        .reduce((sum, tool) => sum + tool.totalCost, 0);
+      return budget.totalBudget - auditCost * (1 - auditReductionFactor);
+    };
+
+    const toCoverageMap = vectors => groups.reduce((acc, group, groupIndex) => {
+      acc[group.key] = vectors[groupIndex];
+      return acc;
+    }, {});
+
+    const evaluate = vectors => {
+      evaluations += 1;
+      const details = this.calculateManagedRiskDetails(
+        selectedCountries, countryVolumes, safeRisks,
+        globalStrategy, transparencyEffectiveness,
+        responsivenessStrategy, responsivenessEffectiveness, focus, toCoverageMap(vectors)
+      );
+      return { vectors, cost: costOf(vectors), managedRisk: details.managedRisk, details };
+    };
+
+    const currentDetails = this.calculateManagedRiskDetails(
+      selectedCountries, countryVolumes, safeRisks,
+      globalStrategy, transparencyEffectiveness,
+      responsivenessStrategy, responsivenessEffectiveness, focus, countryToolCoverage
+    );
+    const budget = costOf(groups.map((group, groupIndex) => {
+      const vector = new Array(toolCount).fill(0);
+      group.countries.forEach(code => {
+        const coverage = this.resolveCountryToolCoverage(countryToolCoverage, code, safeRisks[code] || 0) || globalStrategy;
+        coverage.forEach((value, index) => {
+          vector[index] += (value * volumeOf(code)) / (group.volume || 1);
+        });
+      });
+      return vector;
+    }));
+    const budgetTolerance = Math.max(100, budget * 0.01);
+
+    const pairedTools = new Map();
+    if (enforceSAQConstraint) {
+      pairedTools.set(4, 5);
+      pairedTools.set(5, 4);
+    }
+    if (enforceSocialAuditConstraint) {
+      pairedTools.set(2, 3);
+      pairedTools.set(3, 2);
+    }
+
+    // One move changes one tool for one group; paired tools trade with their partner
+    const buildMoves = (vector, groupIndex, step) => {
+      const moves = [];
+      for (let index = 0; index < toolCount; index++) {
+        [1, -1].forEach(direction => {
+          const candidate = [...vector];
+          if (pairedTools.has(index)) {
+            if (direction < 0) return;
+            const partner = pairedTools.get(index);
+            const amount = Math.min(step, candidate[partner], 100 - candidate[index]);
+            if (amount <= 0) return;
+            candidate[index] += amount;
+            candidate[partner] -= amount;
+          } else {
+            candidate[index] = Math.max(0, Math.min(100, candidate[index] + direction * step));
+            if (candidate[index] === vector[index]) return;
+          }
+          moves.push({ groupIndex, vector: candidate });
+        });
+      }
+      return moves;
+    };
+
+    const withMoves = (state, moves) => {
+      const vectors = state.vectors.map(vector => [...vector]);
+      moves.forEach(move => {
+        vectors[move.groupIndex] = applyConstraints(move.vector, move.groupIndex);
+      });
+      return vectors;
+    };
+
+    let evaluations = bandSeed ? bandSeed.evaluations : 0;
+    const start = evaluate(startVectors.map((vector, groupIndex) => applyConstraints(vector, groupIndex)));
+    let best = start;
+    const withinBudget = state => state.cost <= budget + budgetTolerance;
+    const improves = state => withinBudget(state) && state.managedRisk < best.managedRisk - tolerance;
+
+    const scoreGroup = (groupIndex, step) => buildMoves(best.vectors[groupIndex], groupIndex, step).map(move => {
+      const evaluated = evaluate(withMoves(best, [move]));
+      return {
+        move,
+        riskChange: evaluated.managedRisk - best.managedRisk,
+        costChange: evaluated.cost - best.cost
+      };
+    });
+
+    // Moves for different groups barely interact, so several are applied together where possible
+    // and only the groups that changed are re-scored; every accepted state is evaluated exactly
+    const batchSize = Math.max(1, Math.ceil(groups.length / 4));
+    const pickDistinct = (entries, count, accept = () => true) => {
+      const used = new Set();
+      const picked = [];
+      let costChange = 0;
+      for (const entry of entries) {
+        if (picked.length >= count) break;
+        if (used.has(entry.move.groupIndex) || !accept(costChange + entry.costChange)) continue;
+        used.add(entry.move.groupIndex);
+        picked.push(entry);
+        costChange += entry.costChange;
+      }
+      return picked;
+    };
+    const firstAccepted = (moveSets, accept) => {
+      for (const moves of moveSets) {
+        if (moves.length === 0) continue;
+        const candidate = evaluate(withMoves(best, moves));
+        if (accept(candidate)) return { state: candidate, moves };
+      }
+      return null;
+    };
+
+    const chooseNext = scored => {
+      const sells = scored
+        .filter(entry => entry.costChange < 0)
+        .sort((a, b) => a.riskChange / -a.costChange - b.riskChange / -b.costChange);
+
+      if (!withinBudget(best)) {
+        // Over budget: give up the coverage that costs least risk per dollar saved
+        const excess = best.cost - budget;
+        const picked = pickDistinct(sells, batchSize, costChange => costChange > -excess - budgetTolerance);
+        return firstAccepted(
+          [picked.map(entry => entry.move), sells.slice(0, 1).map(entry => entry.move)],
+          candidate => candidate.cost < best.cost
+        );
+      }
+
+      const slack = budget + budgetTolerance - best.cost;
+      const freeGains = scored
+        .filter(entry => entry.riskChange < -tolerance && entry.costChange <= Math.max(0, slack))
+        .filter(entry => entry.costChange <= 0)
+        .sort((a, b) => a.riskChange - b.riskChange);
+      const buys = scored
+        .filter(entry => entry.riskChange < -tolerance && entry.costChange > 0)
+        .sort((a, b) => b.riskChange / b.costChange - a.riskChange / a.costChange);
+      const affordable = pickDistinct(buys, batchSize, costChange => costChange <= slack);
+
+      // Fund the best buys with the cheapest sells in other groups
+      const pairMoves = count => {
+        const used = new Set();
+        const moves = [];
+        for (let i = 0, j = 0; moves.length < count * 2 && i < buys.length && j < sells.length;) {
+          const buy = buys[i];
+          const sell = sells[j];
+          if (used.has(buy.move.groupIndex)) { i += 1; continue; }
+          if (used.has(sell.move.groupIndex) || sell.move.groupIndex === buy.move.groupIndex) { j += 1; continue; }
+          used.add(buy.move.groupIndex);
+          used.add(sell.move.groupIndex);
+          moves.push(buy.move, sell.move);
+          i += 1;
+          j += 1;
+        }
+        return moves;
+      };
+
+      return firstAccepted([
+        pickDistinct(freeGains, batchSize).map(entry => entry.move),
+        freeGains.slice(0, 1).map(entry => entry.move),
+        affordable.map(entry => entry.move),
+        affordable.slice(0, 1).map(entry => entry.move),
+        batchSize > 1 ? pairMoves(batchSize) : [],
+        pairMoves(1)
+      ], improves);
+    };
+
+    const searchStart = bandSeed ? 0.25 : 0;
+    [20, 10, 5, 2].forEach((step, stepIndex) => {
+      this.reportProgress(searchStart + (1 - searchStart) * stepIndex / 4, 'Rebalancing tools between groups');
+      let scores = groups.map((_, groupIndex) => scoreGroup(groupIndex, step));
+      let fresh = true;
+      for (let guard = 0; guard < 400 && evaluations < maxEvaluations; guard++) {
+        const next = chooseNext(scores.flat());
+        if (!next) {
+          // Scores for untouched groups are from an earlier state; refresh them once before stopping
+          if (fresh) break;
+          scores = groups.map((_, groupIndex) => scoreGroup(groupIndex, step));
+          fresh = true;
+          continue;
+        }
+        best = next.state;
+        const changed = new Set(next.moves.map(move => move.groupIndex));
+        changed.forEach(groupIndex => {
+          scores[groupIndex] = scoreGroup(groupIndex, step);
+        });
+        fresh = changed.size === groups.length;
+      }
+    });
+
+    const round = value => Math.round(value * 10) / 10;
+    const optimizedVectors = best.vectors.map(vector => vector.map(round));
+    const groupRisk = (details, group) => group.countries.reduce((sum, code) =>
+      sum + (details.countryManagedRisks?.[code] ?? (safeRisks[code] || 0)) * volumeOf(code), 0) / (group.volume || 1);
+    const improvement = currentDetails.managedRisk - best.managedRisk;
+
+    return {
+      mode: safeMode,
+      baselineRisk: currentDetails.baselineRisk,
+      currentManagedRisk: currentDetails.managedRisk,
+      optimizedManagedRisk: best.managedRisk,
+      budget,
+      optimizedCost: best.cost,
+      evaluations,
+      evaluationLimitReached: evaluations >= maxEvaluations,
+      improved: improvement > 0.05,
+      groups: groups.map((group, groupIndex) => ({
+        key: group.key,
+        label: group.label,
+        countries: [...group.countries],
+        share: group.share,
+        current: currentVectors[groupIndex].map(round),
+        optimized: optimizedVectors[groupIndex],
+        currentManagedRisk: groupRisk(currentDetails, group),
+        optimizedManagedRisk: groupRisk(best.details, group)
+      })),
+      countryToolCoverage: toCoverageMap(optimizedVectors),
+      countryManagedRisks: best.details.countryManagedRisks,
+      saqConstraintEnforced: enforceSAQConstraint,
+      socialAuditConstraintEnforced: enforceSocialAuditConstraint,
+      insight: improvement > 0.05
+        ? `Giving each ${safeMode === 'country' ? 'country' : 'risk band'} its own tool mix lowers managed risk from ${currentDetails.managedRisk.toFixed(1)} to ${best.managedRisk.toFixed(1)} for the same annual spend.`
+        : `No ${safeMode === 'country' ? 'per-country' : 'per-band'} mix was found that beats the current plan at the same annual spend.${enforceSAQConstraint ? ' With the SAQ constraint every group has to keep 100% SAQ coverage, which the current plan only applies on average.' : ''}`
+    };
+  }
 }
 
 export const riskEngine = new RiskEngine();
\ No newline at end of file
@@ -0,0 +1,81 @@
+// RiskEngine.worker.js - Module worker that runs the heavy RiskEngine methods off the page's
+// main thread. Started and driven by ComputeService.js; see there for the message protocol.
+import { riskEngine } from './RiskEngine.js';
+
+// Only these engine methods can be called from the page
+const WORKER_METHODS = new Set([
+  'optimizeBudgetAllocation',
+  'replayOptimizationRun',
+  'calculateCostRiskFrontier',
+  'goalSeekStrategy',
+  'optimizeCountryAllocation',
+  'runMonteCarloSimulation',
+  'calculatePortfolioIndexRisks'
+]);
+
+const PROGRESS_INTERVAL_MS = 100;
+
+let activeJobId = null;
+let lastProgressAt = 0;
+
+// Runs wait here for a turn of the event loop, so a cancel sent while an earlier job was
+// running is seen before the cancelled job starts
+const queuedJobs = [];
+const cancelledJobIds = new Set();
+let drainScheduled = false;
+
+riskEngine.progressReporter = (progress, label) => {
+  const now = Date.now();
+  if (activeJobId === null || now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+  lastProgressAt = now;
+  self.postMessage({ type: 'progress', id: activeJobId, progress, label });
+};
+
+function runJob({ id, method, args, config }) {
+  // Later jobs only carry config when it changed, so apply it even for a cancelled job
+  if (config) riskEngine.applyComputeConfig(config);
+  if (cancelledJobIds.delete(id)) return;
+
+  if (!WORKER_METHODS.has(method) || typeof riskEngine[method] !== 'function') {
+    self.postMessage({ type: 'error', id, message: `Unknown calculation: ${method}` });
+    return;
+  }
+
+  activeJobId = id;
+  lastProgressAt = 0;
+  try {
+    const result = riskEngine[method](...(Array.isArray(args) ? args : []));
+    self.postMessage({ type: 'result', id, result });
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: error?.message || String(error) });
+  } finally {
+    activeJobId = null;
+  }
+}
+
+function drainQueue() {
+  drainScheduled = false;
+  const job = queuedJobs.shift();
+  if (job) runJob(job);
+  if (queuedJobs.length > 0) scheduleDrain();
+}
+
+function scheduleDrain() {
+  if (drainScheduled) return;
+  drainScheduled = true;
+  setTimeout(drainQueue, 0);
+}
+
+self.addEventListener('message', event => {
+  const message = event.data || {};
+  if (message.type === 'cancel') {
+    if (queuedJobs.some(job => job.id === message.id)) cancelledJobIds.add(message.id);
+    return;
+  }
+  if (message.type !== 'run') return;
+
+  queuedJobs.push(message);
+  scheduleDrain();
+});
+
+self.postMessage({ type: 'ready' });
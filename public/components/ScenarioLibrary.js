@@ -0,0 +1,102 @@
+// ScenarioLibrary.js - Named scenarios kept in localStorage alongside the working state
+export class ScenarioLibrary {
+  constructor() {
+    this.storageKey = 'hrdd_scenarios_v1';
+    this.maxCompared = 4;
+  }
+
+  _read() {
+    try {
+      const raw = typeof localStorage !== 'undefined' ? localStorage.getItem(this.storageKey) : null;
+      const parsed = raw ? JSON.parse(raw) : [];
+      return Array.isArray(parsed) ? parsed.filter(entry => entry && entry.id && entry.state) : [];
+    } catch (error) {
+      console.warn('Failed to read scenario library:', error);
+      return [];
+    }
+  }
+
+  _write(scenarios) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(scenarios));
+    } catch (error) {
+      // Usually the storage quota; the caller reports it and the library stays as it was
+      throw new Error(`Could not save scenarios: ${error.message}`);
+    }
+  }
+
+  _createId() {
+    return `scn_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  _uniqueName(name, scenarios, excludeId = null) {
+    const base = (typeof name === 'string' && name.trim()) ? name.trim() : 'Untitled scenario';
+    const taken = new Set(scenarios.filter(entry => entry.id !== excludeId).map(entry => entry.name));
+    if (!taken.has(base)) return base;
+
+    let suffix = 2;
+    while (taken.has(`${base} (${suffix})`)) suffix += 1;
+    return `${base} (${suffix})`;
+  }
+
+  // Metadata only; states are loaded on demand with get()
+  list() {
+    return this._read().map(({ id, name, createdAt, updatedAt }) => ({ id, name, createdAt, updatedAt }));
+  }
+
+  get(id) {
+    return this._read().find(entry => entry.id === id) || null;
+  }
+
+  save(name, state) {
+    const scenarios = this._read();
+    const now = new Date().toISOString();
+    const scenario = {
+      id: this._createId(),
+      name: this._uniqueName(name, scenarios),
+      createdAt: now,
+      updatedAt: now,
+      state
+    };
+    this._write([...scenarios, scenario]);
+    return scenario;
+  }
+
+  update(id, state) {
+    const scenarios = this._read();
+    const scenario = scenarios.find(entry => entry.id === id);
+    if (!scenario) return null;
+
+    scenario.state = state;
+    scenario.updatedAt = new Date().toISOString();
+    this._write(scenarios);
+    return scenario;
+  }
+
+  clone(id, name = null) {
+    const source = this.get(id);
+    if (!source) return null;
+    return this.save(name || `${source.name} copy`, JSON.parse(JSON.stringify(source.state)));
+  }
+
+  rename(id, name) {
+    const scenarios = this._read();
+    const scenario = scenarios.find(entry => entry.id === id);
+    if (!scenario || typeof name !== 'string' || !name.trim()) return null;
+
+    scenario.name = this._uniqueName(name, scenarios, id);
+    scenario.updatedAt = new Date().toISOString();
+    this._write(scenarios);
+    return scenario;
+  }
+
+  remove(id) {
+    const scenarios = this._read();
+    const remaining = scenarios.filter(entry => entry.id !== id);
+    if (remaining.length === scenarios.length) return false;
+    this._write(remaining);
+    return true;
+  }
+}
+
+export const scenarioLibrary = new ScenarioLibrary();
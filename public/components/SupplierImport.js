@@ -0,0 +1,255 @@
+// SupplierImport.js - Supplier list import (CSV/XLSX) that builds the Panel 2 portfolio
+import { isoCrosswalk } from './IsoCrosswalk.js';
+
+export class SupplierImport {
+  constructor() {
+    this.xlsxLoadingPromise = null;
+
+    // Accepted header spellings for each supplier field (compared case/space-insensitively)
+    this.columnAliases = {
+      name: ['name', 'supplier', 'supplier name', 'supplier_name', 'vendor', 'vendor name'],
+      isoCode: ['iso', 'iso code', 'iso_code', 'isocode', 'country iso', 'country_iso', 'country code', 'iso3', 'iso2'],
+      spend: ['spend', 'annual spend', 'annual_spend', 'spend usd', 'purchase value', 'value'],
+      headcount: ['headcount', 'workers', 'employees', 'worker count', 'workforce'],
+      tier: ['tier', 'supplier tier', 'supply chain tier']
+    };
+
+    this.volumeBases = [
+      { id: 'spend', label: 'Spend' },
+      { id: 'headcount', label: 'Workers (headcount)' },
+      { id: 'suppliers', label: 'Supplier count' }
+    ];
+  }
+
+  // SheetJS is only needed for Excel uploads, so it is fetched on first use
+  loadXlsxLibrary() {
+    if (typeof window !== 'undefined' && window.XLSX) {
+      return Promise.resolve(window.XLSX);
+    }
+
+    if (!this.xlsxLoadingPromise) {
+      this.xlsxLoadingPromise = new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = 'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js';
+        script.onload = () => (window.XLSX ? resolve(window.XLSX) : reject(new Error('XLSX library failed to load')));
+        script.onerror = () => {
+          this.xlsxLoadingPromise = null;
+          reject(new Error('Failed to load XLSX library'));
+        };
+        document.head.appendChild(script);
+      });
+    }
+
+    return this.xlsxLoadingPromise;
+  }
+
+  // Split CSV text into rows of cells, honouring quoted fields, escaped quotes and embedded newlines
+  parseCsv(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const delimiter = this.detectDelimiter(source);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < source.length; i += 1) {
+      const char = source[i];
+
+      if (inQuotes) {
+        if (char === '"' && source[i + 1] === '"') {
+          cell += '"';
+          i += 1;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[i + 1] === '\n') i += 1;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const candidates = [',', ';', '\t'];
+    return candidates.reduce((best, candidate) =>
+      firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+    , ',');
+  }
+
+  // Read a File into rows of cells; the first row is the header
+  async readFile(file) {
+    if (!file) {
+      throw new Error('No file selected');
+    }
+
+    const name = (file.name || '').toLowerCase();
+    if (name.endsWith('.xlsx') || name.endsWith('.xls')) {
+      const XLSX = await this.loadXlsxLibrary();
+      const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+      const sheet = workbook.Sheets[workbook.SheetNames[0]];
+      if (!sheet) {
+        throw new Error('The workbook has no sheets');
+      }
+      return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' });
+    }
+
+    return this.parseCsv(await file.text());
+  }
+
+  mapColumns(headerRow) {
+    const normalize = value => String(value ?? '').trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+    const headers = (Array.isArray(headerRow) ? headerRow : []).map(normalize);
+    const mapping = {};
+
+    Object.entries(this.columnAliases).forEach(([field, aliases]) => {
+      const normalizedAliases = aliases.map(normalize);
+      const index = headers.findIndex(header => normalizedAliases.includes(header));
+      if (index !== -1) {
+        mapping[field] = index;
+      }
+    });
+
+    return mapping;
+  }
+
+  parseNumber(value) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : null;
+    }
+    const cleaned = String(value ?? '').replace(/[^0-9.\-]/g, '');
+    if (!cleaned) return null;
+    const parsed = parseFloat(cleaned);
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+
+  // Turn raw rows into supplier records plus a validation report. Rows with unknown ISO codes,
+  // missing fields or duplicates (same name and country) are reported and left out.
+  buildSuppliers(rows, countries) {
+    const safeRows = Array.isArray(rows) ? rows : [];
+    const knownCountries = new Map(
+      (Array.isArray(countries) ? countries : []).map(country => [country.isoCode, country.name])
+    );
+    const report = {
+      totalRows: 0,
+      imported: 0,
+      missingColumns: [],
+      unknownIsoCodes: [],
+      duplicates: [],
+      invalidRows: [],
+      negativeValues: []
+    };
+
+    const mapping = this.mapColumns(safeRows[0]);
+    report.missingColumns = ['name', 'isoCode'].filter(field => mapping[field] === undefined);
+    if (report.missingColumns.length > 0) {
+      return { suppliers: [], report };
+    }
+
+    const suppliers = [];
+    const seen = new Map();
+    const cellAt = (row, field) => (mapping[field] === undefined ? '' : row[mapping[field]]);
+
+    safeRows.slice(1).forEach((row, index) => {
+      const line = index + 2;
+      if (!Array.isArray(row) || row.every(cell => String(cell ?? '').trim() === '')) {
+        return;
+      }
+      report.totalRows += 1;
+
+      const name = String(cellAt(row, 'name') ?? '').trim();
+      // Alpha-2, numeric codes and country names are accepted as well as alpha-3
+      const rawIsoCode = String(cellAt(row, 'isoCode') ?? '').trim();
+      const isoCode = isoCrosswalk.toAlpha3(rawIsoCode) || rawIsoCode.toUpperCase();
+
+      if (!name || !isoCode) {
+        report.invalidRows.push({ line, name, isoCode, reason: !name ? 'Missing supplier name' : 'Missing ISO code' });
+        return;
+      }
+
+      if (!knownCountries.has(isoCode)) {
+        report.unknownIsoCodes.push({ line, name, isoCode });
+        return;
+      }
+
+      const key = `${name.toLowerCase()}|${isoCode}`;
+      if (seen.has(key)) {
+        report.duplicates.push({ line, name, isoCode, duplicateOfLine: seen.get(key) });
+        return;
+      }
+      seen.set(key, line);
+
+      const spend = this.parseNumber(cellAt(row, 'spend'));
+      const headcount = this.parseNumber(cellAt(row, 'headcount'));
+      if ((spend !== null && spend < 0) || (headcount !== null && headcount < 0)) {
+        report.negativeValues.push({ line, name, isoCode });
+      }
+
+      const tierValue = String(cellAt(row, 'tier') ?? '').trim();
+      suppliers.push({
+        id: `S${line}`,
+        line,
+        name,
+        isoCode,
+        country: knownCountries.get(isoCode),
+        spend: spend !== null ? Math.max(0, spend) : null,
+        headcount: headcount !== null ? Math.max(0, headcount) : null,
+        tier: tierValue || null
+      });
+    });
+
+    report.imported = suppliers.length;
+    return { suppliers, report };
+  }
+
+  // Aggregate supplier rows into { selectedCountries, countryVolumes } on the chosen basis
+  calculateCountryVolumes(suppliers, basis = 'spend') {
+    const countryVolumes = {};
+    (Array.isArray(suppliers) ? suppliers : []).forEach(supplier => {
+      let value = 1;
+      if (basis === 'spend') value = supplier.spend || 0;
+      if (basis === 'headcount') value = supplier.headcount || 0;
+      countryVolumes[supplier.isoCode] = (countryVolumes[supplier.isoCode] || 0) + value;
+    });
+
+    return {
+      selectedCountries: Object.keys(countryVolumes).sort(),
+      countryVolumes
+    };
+  }
+
+  // Pick the first basis the file actually has data for
+  suggestVolumeBasis(suppliers) {
+    const safeSuppliers = Array.isArray(suppliers) ? suppliers : [];
+    if (safeSuppliers.some(supplier => supplier.spend > 0)) return 'spend';
+    if (safeSuppliers.some(supplier => supplier.headcount > 0)) return 'headcount';
+    return 'suppliers';
+  }
+
+  async importFile(file, countries) {
+    const rows = await this.readFile(file);
+    const result = this.buildSuppliers(rows, countries);
+    return { ...result, fileName: file?.name || null };
+  }
+}
+
+export const supplierImport = new SupplierImport();
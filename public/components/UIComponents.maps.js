@@ -1,7 +1,10 @@
 import { riskEngine } from './RiskEngine.js';
+import { isoCrosswalk } from './IsoCrosswalk.js';
 
 let d3LoadingPromise = null;
 let topojsonLoadingPromise = null;
+// Country drilled into per map container, kept across re-renders after a selection
+const regionDrillDownState = new Map();
 
 function getContrastingTextColor(hexColor) {
   if (typeof hexColor !== 'string') {
@@ -380,37 +383,31 @@ function getCountryId(countryData) {
     properties.iso_a3,
     properties.ADM0_A3,
     properties.adm0_a3,
-    properties.A3_UN,
-    properties.a3_un,
-    properties.ABBREV,
-    properties.abbrev
+    properties.ISO_A2,
+    properties.iso_a2,
+    properties.ISO_N3,
+    properties.iso_n3
   ];
 
   for (const candidate of isoCandidates) {
     if (typeof candidate !== 'string') continue;
     const trimmed = candidate.trim();
     if (!trimmed || trimmed === '-99') continue;
-    if (/^[A-Z]{3}$/i.test(trimmed)) {
-      return trimmed.toUpperCase();
-    }
+    const alpha3 = isoCrosswalk.toAlpha3(trimmed);
+    if (alpha3) return alpha3;
   }
 
+  // world-atlas geometries carry only the ISO numeric code as their id
   const id = countryData.id;
-  if (typeof id === 'string') {
-    const trimmed = id.trim();
-    if (/^[A-Z]{3}$/i.test(trimmed)) {
-      return trimmed.toUpperCase();
-    }
-    if (/^\d+$/.test(trimmed)) {
-      return null;
+  if (typeof id === 'string' || typeof id === 'number') {
+    const alpha3 = isoCrosswalk.toAlpha3(id);
+    if (alpha3) return alpha3;
+    if (typeof id === 'string' && /^[A-Z]{3}$/i.test(id.trim())) {
+      return id.trim().toUpperCase();
     }
   }
 
-  if (typeof id === 'number') {
-    return null;
-  }
-
-  return typeof id === 'string' ? id.toUpperCase() : null;
+  return null;
 }
 
 function normalizeCountryName(name) {
@@ -440,6 +437,8 @@ function resolveCountryCodeFromName(feature, metadataMap, nameLookup = new Map()
     if (!normalized) continue;
     const directMatch = nameLookup.get(normalized);
     if (directMatch) return directMatch;
+    const crosswalkMatch = isoCrosswalk.toAlpha3(candidate);
+    if (crosswalkMatch) return crosswalkMatch;
   }
   return null;
 }
@@ -451,6 +450,55 @@ function getFeatureIsoCode(feature, metadataMap, nameLookup) {
   return resolveCountryCodeFromName(feature, metadataMap, nameLookup);
 }
 
+// Tag each feature with its alpha-3 code and return the dataset countries that have no
+// geometry on this map, so they can still be offered some other way
+function assignFeatureIsoCodes(features, metadataMap, nameLookup) {
+  const mapped = new Set();
+  features.forEach(feature => {
+    feature.__isoCode = getFeatureIsoCode(feature, metadataMap, nameLookup);
+    if (feature.__isoCode) mapped.add(feature.__isoCode);
+  });
+
+  return Array.from(metadataMap.values()).filter(country => country && !mapped.has(country.isoCode));
+}
+
+// Lists dataset countries the map cannot draw; with onSelect they become buttons so they
+// remain selectable
+function renderMissingGeometryNote(containerId, missingCountries, { onSelect = null, selectedCountries = [] } = {}) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  if (!Array.isArray(missingCountries) || missingCountries.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const selectedSet = new Set(selectedCountries);
+  const sorted = [...missingCountries].sort((a, b) => String(a.name).localeCompare(String(b.name)));
+
+  container.innerHTML = `
+    <div style="margin-top: 12px; padding: 10px 12px; border: 1px dashed #cbd5e1; border-radius: 8px; background-color: #f8fafc; text-align: left;">
+      <div style="font-size: 12px; color: #475569; margin-bottom: ${onSelect ? '8px' : '4px'};">
+        ${sorted.length} ${sorted.length === 1 ? 'country is' : 'countries are'} too small for this map or have no shape in it${onSelect ? ' - select them here:' : ':'}
+      </div>
+      <div style="display: flex; flex-wrap: wrap; gap: 6px;">
+        ${sorted.map(country => onSelect ? `
+          <button type="button" data-missing-iso="${country.isoCode}"
+                  style="padding: 3px 8px; font-size: 12px; border-radius: 9999px; cursor: pointer; border: 1px solid ${selectedSet.has(country.isoCode) ? '#1d4ed8' : '#cbd5e1'}; background-color: ${selectedSet.has(country.isoCode) ? '#dbeafe' : 'white'}; color: #1f2937;">
+            ${country.name || country.isoCode}
+          </button>
+        ` : `<span style="font-size: 12px; color: #334155;">${country.name || country.isoCode}</span>`).join(onSelect ? '' : ', ')}
+      </div>
+    </div>
+  `;
+
+  if (onSelect) {
+    container.querySelectorAll('[data-missing-iso]').forEach(button => {
+      button.addEventListener('click', () => onSelect(button.dataset.missingIso));
+    });
+  }
+}
+
 function createManagedRiskDisplay(selectedCountries, managedRisk, managedRisksByCountry = null, fallbackRisks = {}) {
   const managedRiskDisplay = {};
   selectedCountries.forEach(countryCode => {
@@ -518,7 +566,22 @@ function disableMouseWheelZoom(svg) {
     .on('DOMMouseScroll.zoom', null);
 }
 
-function showMapTooltip(event, countryData, countryRisks, countryMetadata = new Map(), nameLookup = new Map(), mapType = 'baseline') {
+// Index coverage line for a country, e.g. "Data: 3 of 5 indices (missing scores: regional median)"
+function describeDataCompleteness(completeness, imputationStrategy) {
+  if (!completeness || !Number.isFinite(completeness.total) || completeness.total === 0) {
+    return '';
+  }
+
+  const colors = { complete: '#86efac', partial: '#fcd34d', none: '#fca5a5' };
+  const strategy = riskEngine.imputationStrategies.find(entry => entry.id === imputationStrategy);
+  const treatment = completeness.status === 'complete' || !strategy
+    ? ''
+    : ` <span style="color: #cbd5e1;">(missing scores: ${strategy.name.toLowerCase()})</span>`;
+
+  return `<span style="color: ${colors[completeness.status] || '#e5e7eb'};">Data: ${completeness.available} of ${completeness.total} indices</span>${treatment}`;
+}
+
+function showMapTooltip(event, countryData, countryRisks, countryMetadata = new Map(), nameLookup = new Map(), mapType = 'baseline', options = {}) {
   const countryId = countryData.__isoCode;
   const countryName = countryMetadata.get(countryId)?.name || countryData.properties?.NAME || countryId || 'Unknown';
   const risk = countryId ? countryRisks[countryId] : undefined;
@@ -545,11 +608,14 @@ function showMapTooltip(event, countryData, countryRisks, countryMetadata = new
   const riskLabel = mapType === 'managed' ? 'Managed Risk (Coverage-Based)' :
                     mapType === 'global' ? 'Global Risk' : 'Baseline Risk';
 
+  const completenessLine = describeDataCompleteness(options.completeness, options.imputationStrategy);
+
   tooltip.html(`
     <strong>${countryName}</strong><br/>
     ${risk !== undefined ?
       `${riskLabel}: ${risk.toFixed(1)}<br/>Risk Band: ${riskEngine.getRiskBand(risk)}` :
       'No data available'}
+    ${completenessLine ? `<br/>${completenessLine}` : ''}
   `)
   .style('left', (pageX + 10) + 'px')
   .style('top', (pageY - 10) + 'px');
@@ -876,9 +942,7 @@ function renderCostAnalysisD3Map(worldData, {
     const metadataMap = new Map(countries.map(country => [country.isoCode, country]));
     const nameLookup = buildCountryNameLookup(metadataMap);
 
-    features.forEach(feature => {
-      feature.__isoCode = getFeatureIsoCode(feature, metadataMap, nameLookup);
-    });
+    assignFeatureIsoCodes(features, metadataMap, nameLookup);
 
     const countryGroup = mapGroup.append('g').attr('class', 'countries');
 
@@ -1085,7 +1149,7 @@ function createFallbackComparisonMap(containerId, { countries, countryRisks, sel
   createSimpleMapGrid(containerId, { countries, countryRisks, selectedCountries, title, interactive: false, mapType });
 }
 
-function renderGlobalD3Map(worldData, { container, countries, countryRisks, width, height }) {
+function renderGlobalD3Map(worldData, { container, countries, countryRisks, dataCompleteness = {}, imputationStrategy = null, onCountryClick = null, width, height }) {
   const wrapper = document.getElementById(container);
   if (!wrapper) return;
   wrapper.innerHTML = '';
@@ -1122,9 +1186,7 @@ function renderGlobalD3Map(worldData, { container, countries, countryRisks, widt
     const metadataMap = new Map(countries.map(country => [country.isoCode, country]));
     const nameLookup = buildCountryNameLookup(metadataMap);
 
-    features.forEach(feature => {
-      feature.__isoCode = getFeatureIsoCode(feature, metadataMap, nameLookup);
-    });
+    const missingGeometry = assignFeatureIsoCodes(features, metadataMap, nameLookup);
 
     const countryGroup = mapGroup.append('g').attr('class', 'countries');
 
@@ -1135,7 +1197,7 @@ function renderGlobalD3Map(worldData, { container, countries, countryRisks, widt
       .attr('class', 'country')
       .attr('data-iso-code', d => d.__isoCode || '')
       .attr('d', path)
-      .style('cursor', 'default')
+      .style('cursor', d => (onCountryClick && d.__isoCode ? 'pointer' : 'default'))
       .style('fill', d => {
         const countryId = d.__isoCode;
         const risk = countryRisks[countryId];
@@ -1146,12 +1208,16 @@ function renderGlobalD3Map(worldData, { container, countries, countryRisks, widt
       .style('stroke-width', 0.6)
       .style('fill-opacity', 1)
       .style('opacity', 1)
-       .on('click', (event) => {
+       .on('click', (event, d) => {
         hideMapTooltip();
         event.preventDefault();
         event.stopPropagation();
+        if (onCountryClick && d.__isoCode) onCountryClick(d.__isoCode);
       })
-      .on('mouseover', (event, d) => showMapTooltip(event, d, countryRisks, metadataMap, nameLookup, 'global'))
+      .on('mouseover', (event, d) => showMapTooltip(event, d, countryRisks, metadataMap, nameLookup, 'global', {
+        completeness: dataCompleteness?.[d.__isoCode],
+        imputationStrategy
+      }))
       .on('mouseout', () => hideMapTooltip());
 
     const zoom = d3.zoom()
@@ -1163,9 +1229,11 @@ function renderGlobalD3Map(worldData, { container, countries, countryRisks, widt
    svg.call(zoom);
     disableMouseWheelZoom(svg);
     addZoomControls(svg, zoom);
+    return missingGeometry;
   } catch (error) {
     console.warn('D3 global map rendering failed, using fallback:', error);
      createSimpleMapGrid(container, { countries, countryRisks, interactive: false, mapType: 'global' });
+    return [];
   }
 }
 
@@ -1184,9 +1252,7 @@ function renderComparisonD3Map(worldData, { container, countries, countryRisks,
     const metadataMap = new Map(countries.map(country => [country.isoCode, country]));
     const nameLookup = buildCountryNameLookup(metadataMap);
 
-    features.forEach(feature => {
-      feature.__isoCode = getFeatureIsoCode(feature, metadataMap, nameLookup);
-    });
+    assignFeatureIsoCodes(features, metadataMap, nameLookup);
 
     const selectedSet = new Set(selectedCountries);
     const selectedFeatures = features.filter(feature =>
@@ -1351,7 +1417,7 @@ function renderComparisonD3Map(worldData, { container, countries, countryRisks,
   }
 }
 
-function renderD3Map(worldData, { container, countries, countryRisks, selectedCountries, onCountrySelect, width, height, mapType }) {
+function renderD3Map(worldData, { container, countries, countryRisks, selectedCountries, onCountrySelect, width, height, mapType, regions = [], drillDownIso = null }) {
   const wrapper = document.getElementById(container);
   if (!wrapper) return;
   wrapper.innerHTML = '';
@@ -1398,9 +1464,7 @@ function renderD3Map(worldData, { container, countries, countryRisks, selectedCo
     const metadataMap = new Map(countries.map(country => [country.isoCode, country]));
     const nameLookup = buildCountryNameLookup(metadataMap);
 
-    features.forEach(feature => {
-      feature.__isoCode = getFeatureIsoCode(feature, metadataMap, nameLookup);
-    });
+    const missingGeometry = assignFeatureIsoCodes(features, metadataMap, nameLookup);
 
     const countryGroup = mapGroup.append('g').attr('class', 'countries');
 
@@ -1455,15 +1519,65 @@ function renderD3Map(worldData, { container, countries, countryRisks, selectedCo
       .on('mouseover', (event, d) => showMapTooltip(event, d, safeCountryRisks, metadataMap, nameLookup, mapType))
       .on('mouseout', () => hideMapTooltip());
 
+    const drillDownFeature = drillDownIso
+      ? features.find(feature => feature.__isoCode === drillDownIso)
+      : null;
+    const drillDownRegions = drillDownFeature && Array.isArray(regions)
+      ? regions.filter(region => region.parentIsoCode === drillDownIso && Array.isArray(region.location))
+      : [];
+
+    const regionMetadata = new Map(drillDownRegions.map(region => [region.isoCode, region]));
+    const regionGroup = mapGroup.append('g').attr('class', 'regions');
+    const regionRadius = 5;
+
+    regionGroup.selectAll('circle.region')
+      .data(drillDownRegions)
+      .enter()
+      .append('circle')
+      .attr('class', 'region')
+      .attr('data-iso-code', d => d.isoCode)
+      .attr('cx', d => projection(d.location)[0])
+      .attr('cy', d => projection(d.location)[1])
+      .attr('r', regionRadius)
+      .style('cursor', 'pointer')
+      .style('fill', d => {
+        const risk = safeCountryRisks[d.isoCode];
+        return risk !== undefined ? riskEngine.getRiskColor(risk) : '#e5e7eb';
+      })
+      .style('fill-opacity', d => (!hasSelections || selectedSet.has(d.isoCode) ? 0.95 : 0.55))
+      .style('stroke', d => (selectedSet.has(d.isoCode) ? '#111827' : '#ffffff'))
+      .style('stroke-width', d => (selectedSet.has(d.isoCode) ? 2 : 1))
+      .on('click', (event, d) => {
+        event.stopPropagation();
+        hideMapTooltip();
+        if (onCountrySelect) onCountrySelect(d.isoCode);
+      })
+      .on('mouseover', (event, d) => showMapTooltip(event, { __isoCode: d.isoCode }, safeCountryRisks, regionMetadata, nameLookup, mapType))
+      .on('mouseout', () => hideMapTooltip());
+
     const zoom = d3.zoom()
-      .scaleExtent([0.5, 10])
+      .scaleExtent([0.5, 40])
       .on('zoom', (event) => {
         mapGroup.attr('transform', event.transform);
+        // Keep region markers a constant size on screen
+        regionGroup.selectAll('circle.region')
+          .attr('r', regionRadius / event.transform.k)
+          .style('stroke-width', d => (selectedSet.has(d.isoCode) ? 2 : 1) / event.transform.k);
       });
 
      svg.call(zoom);
     disableMouseWheelZoom(svg);
     addZoomControls(svg, zoom);
+
+    if (drillDownFeature) {
+      const [[x0, y0], [x1, y1]] = path.bounds(drillDownFeature);
+      const scale = Math.min(40, 0.85 / Math.max((x1 - x0) / calculatedWidth, (y1 - y0) / containerHeight));
+      svg.call(zoom.transform, d3.zoomIdentity
+        .translate(calculatedWidth / 2, containerHeight / 2)
+        .scale(scale)
+        .translate(-(x0 + x1) / 2, -(y0 + y1) / 2));
+    }
+    return missingGeometry;
   } catch (error) {
     console.warn('D3 map rendering failed, using fallback:', error);
     createSimpleMapGrid(container, {
@@ -1472,16 +1586,27 @@ function renderD3Map(worldData, { container, countries, countryRisks, selectedCo
       selectedCountries: safeSelectedCountries,
       onCountrySelect
     });
+    return [];
   }
 }
 
-export async function createGlobalRiskMap(containerId, { countries, countryRisks, title, height = 500, width = 960 }) {
+export async function createGlobalRiskMap(containerId, {
+  countries,
+  countryRisks,
+  dataCompleteness = {},
+  imputationStrategy = null,
+  onCountryClick = null,
+  title,
+  height = 500,
+  width = 960
+}) {
   const container = document.getElementById(containerId);
   if (!container) return;
 
   const loadingId = `${containerId}-loading`;
   const mapWrapperId = `${containerId}-map-wrapper`;
   const legendId = `${containerId}-legend`;
+  const missingId = `${containerId}-missing`;
 
   container.innerHTML = `
     <div class="global-risk-map-container" style="background: white; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); text-align: center;">
@@ -1494,6 +1619,7 @@ export async function createGlobalRiskMap(containerId, { countries, countryRisks
       </div>
       <div class="risk-legend" id="${legendId}" style="display: flex; flex-wrap: wrap; gap: 12px; justify-content: center;">
       </div>
+      <div id="${missingId}"></div>
     </div>
   `;
 
@@ -1511,15 +1637,19 @@ export async function createGlobalRiskMap(containerId, { countries, countryRisks
       }
     }
 
-    renderGlobalD3Map(worldData, {
+    const missingGeometry = renderGlobalD3Map(worldData, {
       container: mapWrapperId,
       countries,
       countryRisks: safeCountryRisks,
+      dataCompleteness,
+      imputationStrategy,
+      onCountryClick,
       width,
       height: Math.max(height, 400)
     });
 
     createMapLegend(legendId);
+    renderMissingGeometryNote(missingId, missingGeometry, { onSelect: onCountryClick });
 
     const loadingElement = document.getElementById(loadingId);
     if (loadingElement) loadingElement.remove();
@@ -1679,7 +1809,40 @@ export async function createComparisonMap(containerId, { countries, countryRisks
   }
 }
 
-export async function createWorldMap(containerId, { countries, countryRisks, selectedCountries, onCountrySelect, title, subtitle = null, mapType = 'baseline', managedRisk = null, height = 500, width = 960 }) {
+// Buttons for the countries that have admin-1 regions; the active one is drawn zoomed in
+function renderRegionDrillDownBar(containerId, regions, countries, activeIso, onChange) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const parents = [...new Set((Array.isArray(regions) ? regions : []).map(region => region.parentIsoCode).filter(Boolean))];
+  if (parents.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const countryNames = new Map((countries || []).map(country => [country.isoCode, country.name]));
+  const buttonStyle = active => `padding: 4px 10px; font-size: 12px; border-radius: 9999px; cursor: pointer; border: 1px solid ${active ? '#1d4ed8' : '#cbd5e1'}; background-color: ${active ? '#dbeafe' : 'white'}; color: #1f2937;`;
+
+  container.innerHTML = `
+    <div style="display: flex; flex-wrap: wrap; gap: 6px; align-items: center; justify-content: center; margin-bottom: 12px;">
+      <span style="font-size: 12px; color: #475569;">States and provinces:</span>
+      ${parents
+        .sort((a, b) => String(countryNames.get(a) || a).localeCompare(String(countryNames.get(b) || b)))
+        .map(iso => `
+          <button type="button" data-drill-iso="${iso}" style="${buttonStyle(iso === activeIso)}">
+            ${countryNames.get(iso) || iso}
+          </button>
+        `).join('')}
+      ${activeIso ? `<button type="button" data-drill-iso="" style="${buttonStyle(false)}">Back to world</button>` : ''}
+    </div>
+  `;
+
+  container.querySelectorAll('[data-drill-iso]').forEach(button => {
+    button.addEventListener('click', () => onChange(button.dataset.drillIso || null));
+  });
+}
+
+export async function createWorldMap(containerId, { countries, countryRisks, selectedCountries, onCountrySelect, title, subtitle = null, mapType = 'baseline', managedRisk = null, height = 500, width = 960, regions = [] }) {
   const container = document.getElementById(containerId);
   if (!container) return;
 
@@ -1687,6 +1850,9 @@ export async function createWorldMap(containerId, { countries, countryRisks, sel
   const mapWrapperId = `${containerId}-map-wrapper`;
   const legendId = `${containerId}-legend`;
 
+  const missingId = `${containerId}-missing`;
+  const drillDownId = `${containerId}-drilldown`;
+
   const displayTitle = mapType === 'managed' ?
   `${title} - Managed Risk (Coverage-Based): ${managedRisk ? managedRisk.toFixed(1) : 'N/A'}` :
   title;
@@ -1701,10 +1867,12 @@ export async function createWorldMap(containerId, { countries, countryRisks, sel
         <div>Loading interactive coverage-based risk map...</div>
         <div style="font-size: 14px; margin-top: 8px;">Click on countries to select them for your portfolio risk assessment.</div>
       </div>
+      <div id="${drillDownId}"></div>
       <div id="${mapWrapperId}" style="width: 100%; display: flex; justify-content: center; margin-bottom: 16px;">
       </div>
       <div class="risk-legend" id="${legendId}" style="display: flex; flex-wrap: wrap; gap: 12px; justify-content: center;">
       </div>
+      <div id="${missingId}"></div>
     </div>
   `;
 
@@ -1727,18 +1895,39 @@ export async function createWorldMap(containerId, { countries, countryRisks, sel
       createManagedRiskDisplay(safeSelectedCountries, managedRisk) :
       safeCountryRisks;
 
-    renderD3Map(worldData, {
-      container: mapWrapperId,
-      countries,
-      countryRisks: displayRisks,
-      selectedCountries: safeSelectedCountries,
-      onCountrySelect,
-      width,
-      height: Math.max(height, 600),
-      mapType
-    });
+    const safeRegions = Array.isArray(regions) ? regions : [];
+    const drawMap = () => {
+      const drillDownIso = regionDrillDownState.get(containerId) || null;
+      renderRegionDrillDownBar(drillDownId, safeRegions, countries, drillDownIso, iso => {
+        if (iso) {
+          regionDrillDownState.set(containerId, iso);
+        } else {
+          regionDrillDownState.delete(containerId);
+        }
+        hideMapTooltip();
+        drawMap();
+      });
+      return renderD3Map(worldData, {
+        container: mapWrapperId,
+        countries,
+        countryRisks: displayRisks,
+        selectedCountries: safeSelectedCountries,
+        onCountrySelect,
+        width,
+        height: Math.max(height, 600),
+        mapType,
+        regions: safeRegions,
+        drillDownIso
+      });
+    };
+
+    const missingGeometry = drawMap();
 
      createMapLegend(legendId);
+    renderMissingGeometryNote(missingId, missingGeometry, {
+      onSelect: onCountrySelect,
+      selectedCountries: safeSelectedCountries
+    });
 
     const loadingElement = document.getElementById(loadingId);
     if (loadingElement) loadingElement.remove();
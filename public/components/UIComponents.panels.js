@@ -90,6 +90,8 @@ function estimateSliderThumbSize(rangeInput, sliderRect) {
 const isMobileView = () => (typeof window !== 'undefined' ? window.innerWidth <= 768 : false);
 
 let sliderStylesInjected = false;
+let countryCoverageMatrixOpen = false;
+let riskBandsDraft = null; // Unapplied edits in the risk bands editor, kept across re-renders
 function ensureSliderResponsiveStyles() {
   if (sliderStylesInjected || typeof document === 'undefined') {
     return;
@@ -750,6 +752,184 @@ export function createHRDDStrategyPanel(containerId, { strategy, onStrategyChang
   schedulePanel3Alignment();
 }
 
+// Panel 3 advanced editor: explicit tool coverage per risk band or per selected country
+export function createCountryCoverageMatrixPanel(containerId, {
+  mode = 'band',
+  selectedCountries = [],
+  countries = [],
+  countryRisks = {},
+  countryVolumes = {},
+  countryToolCoverage = {},
+  modelCoverage = {},
+  onModeChange,
+  onChange,
+  onClearAll
+}) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const labels = riskEngine.hrddStrategyLabels;
+  const overrides = countryToolCoverage && typeof countryToolCoverage === 'object' ? countryToolCoverage : {};
+  const overrideCount = Object.keys(overrides).length;
+  const volumeOf = code => (Number.isFinite(countryVolumes?.[code]) ? countryVolumes[code] : 10);
+  const nameOf = code => countries.find(country => country.isoCode === code)?.name || code;
+
+  // Placeholder for a row without an override: the volume-weighted coverage the model currently deploys
+  const averageCoverage = codes => {
+    const totalVolume = codes.reduce((sum, code) => sum + volumeOf(code), 0);
+    return labels.map((_, toolIndex) => (totalVolume > 0
+      ? codes.reduce((sum, code) => sum + (modelCoverage[code]?.[toolIndex] || 0) * volumeOf(code), 0) / totalVolume
+      : null));
+  };
+
+  const rows = mode === 'country'
+    ? [...selectedCountries]
+      .sort((a, b) => (countryRisks[b] || 0) - (countryRisks[a] || 0))
+      .map(code => ({
+        key: code,
+        label: nameOf(code),
+        detail: `Risk ${(countryRisks[code] || 0).toFixed(1)}`,
+        color: riskEngine.getRiskColor(countryRisks[code] || 0),
+        placeholder: averageCoverage([code])
+      }))
+    : riskEngine.getRiskBandDefinitions().map(band => {
+      const codes = selectedCountries.filter(code => riskEngine.getRiskBand(countryRisks[code] || 0) === band.name);
+      return {
+        key: `band:${band.name}`,
+        label: band.name,
+        detail: `${band.range} · ${codes.length} ${codes.length === 1 ? 'country' : 'countries'}`,
+        color: band.color,
+        placeholder: averageCoverage(codes)
+      };
+    });
+
+  const shadowedCount = mode === 'band'
+    ? Object.keys(overrides).filter(key => !key.startsWith('band:') && selectedCountries.includes(key)).length
+    : 0;
+  const hiddenCount = mode === 'country'
+    ? Object.keys(overrides).filter(key => key.startsWith('band:')).length
+    : 0;
+
+  const cellStyle = 'padding: 6px 4px; border-bottom: 1px solid #f3f4f6;';
+  const rowsHtml = rows.map((row, rowIndex) => {
+    const vector = Array.isArray(overrides[row.key]) ? overrides[row.key] : null;
+    return `
+      <tr style="background-color: ${vector ? '#eff6ff' : 'white'};">
+        <td style="${cellStyle} white-space: nowrap;">
+          <span style="display: inline-block; width: 10px; height: 10px; border-radius: 2px; background-color: ${row.color}; margin-right: 6px;"></span>
+          <strong style="color: #1f2937;">${escapeHtml(row.label)}</strong>
+          <div style="font-size: 11px; color: #6b7280;">${escapeHtml(row.detail)}</div>
+        </td>
+        ${labels.map((_, toolIndex) => `
+          <td style="${cellStyle} text-align: center;">
+            <input type="number" min="0" max="100" step="1" id="countryCoverage-${rowIndex}-${toolIndex}"
+                   data-row="${rowIndex}" data-tool="${toolIndex}"
+                   value="${vector ? Math.round(vector[toolIndex] * 10) / 10 : ''}"
+                   placeholder="${Number.isFinite(row.placeholder[toolIndex]) ? Math.round(row.placeholder[toolIndex]) : ''}"
+                   style="width: 56px; padding: 4px; border: 1px solid ${vector ? '#93c5fd' : '#d1d5db'}; border-radius: 4px; text-align: right; font-size: 12px;">
+          </td>
+        `).join('')}
+        <td style="${cellStyle} text-align: right;">
+          ${vector ? `<button type="button" data-clear-row="${rowIndex}" style="padding: 3px 8px; font-size: 11px; background: white; border: 1px solid #d1d5db; border-radius: 4px; cursor: pointer; color: #374151;">Clear</button>` : ''}
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  container.innerHTML = `
+    <div class="country-coverage-matrix-panel" style="background: white; padding: 20px 24px; border-radius: 12px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); border: 1px solid #e5e7eb;">
+      <details id="countryCoverageMatrixDetails" ${countryCoverageMatrixOpen ? 'open' : ''}>
+        <summary style="cursor: pointer; font-size: 16px; font-weight: 600; color: #1f2937;">
+          Advanced: tool coverage by ${mode === 'country' ? 'country' : 'risk band'}
+          <span style="font-size: 12px; font-weight: 500; color: ${overrideCount > 0 ? '#1d4ed8' : '#6b7280'}; margin-left: 8px;">
+            ${overrideCount > 0 ? `${overrideCount} override${overrideCount === 1 ? '' : 's'} active` : 'Using the global strategy'}
+          </span>
+        </summary>
+        <p style="font-size: 13px; color: #4b5563; margin: 12px 0; line-height: 1.5;">
+          Set coverage directly for a risk band or a country. A country uses its own row first, then its band's row;
+          anything left blank follows the sliders above with the focus setting applied. Placeholders show the coverage
+          the model currently deploys. Focus does not adjust rows you set here.
+        </p>
+        <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 12px; margin-bottom: 12px;">
+          <label style="font-size: 13px; color: #374151;">
+            Edit by
+            <select id="countryCoverageModeSelect" style="margin-left: 6px; padding: 4px 8px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 13px;">
+              <option value="band" ${mode === 'band' ? 'selected' : ''}>Risk band</option>
+              <option value="country" ${mode === 'country' ? 'selected' : ''}>Country</option>
+            </select>
+          </label>
+          <button type="button" id="countryCoverageClearAll" ${overrideCount > 0 ? '' : 'disabled'}
+                  style="padding: 5px 10px; font-size: 12px; background: white; border: 1px solid #d1d5db; border-radius: 4px; color: ${overrideCount > 0 ? '#b91c1c' : '#9ca3af'}; cursor: ${overrideCount > 0 ? 'pointer' : 'not-allowed'};">
+            Clear all overrides
+          </button>
+        </div>
+        ${shadowedCount > 0 ? `<p style="font-size: 12px; color: #92400e; margin: 0 0 8px 0;">${shadowedCount} selected ${shadowedCount === 1 ? 'country has its own row, which takes' : 'countries have their own rows, which take'} precedence over the band rows. Switch to country view to edit ${shadowedCount === 1 ? 'it' : 'them'}.</p>` : ''}
+        ${hiddenCount > 0 ? `<p style="font-size: 12px; color: #92400e; margin: 0 0 8px 0;">${hiddenCount} risk band ${hiddenCount === 1 ? 'row also applies' : 'rows also apply'} to countries left blank here. Switch to band view to edit ${hiddenCount === 1 ? 'it' : 'them'}.</p>` : ''}
+        ${rows.length > 0 ? `
+          <div style="overflow-x: auto;">
+            <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+              <thead>
+                <tr style="color: #6b7280; text-align: center;">
+                  <th style="padding: 6px 4px; border-bottom: 2px solid #e5e7eb; text-align: left;">${mode === 'country' ? 'Country' : 'Risk band'}</th>
+                  ${labels.map(label => `<th style="padding: 6px 4px; border-bottom: 2px solid #e5e7eb; font-weight: 600; min-width: 64px;">${escapeHtml(label)} (%)</th>`).join('')}
+                  <th style="padding: 6px 4px; border-bottom: 2px solid #e5e7eb;"></th>
+                </tr>
+              </thead>
+              <tbody>${rowsHtml}</tbody>
+            </table>
+          </div>
+        ` : '<p style="font-size: 13px; color: #6b7280; margin: 0;">Select countries in Panel 2 to set coverage for them.</p>'}
+      </details>
+    </div>
+  `;
+
+  const details = document.getElementById('countryCoverageMatrixDetails');
+  if (details) {
+    details.addEventListener('toggle', () => {
+      countryCoverageMatrixOpen = details.open;
+    });
+  }
+
+  const modeSelect = document.getElementById('countryCoverageModeSelect');
+  if (modeSelect && onModeChange) {
+    modeSelect.addEventListener('change', event => onModeChange(event.target.value));
+  }
+
+  const clearAll = document.getElementById('countryCoverageClearAll');
+  if (clearAll && onClearAll) {
+    clearAll.addEventListener('click', () => onClearAll());
+  }
+
+  if (!onChange) return;
+
+  container.querySelectorAll('input[data-row]').forEach(input => {
+    input.addEventListener('change', () => {
+      const rowIndex = Number(input.getAttribute('data-row'));
+      const toolIndex = Number(input.getAttribute('data-tool'));
+      const row = rows[rowIndex];
+      if (!row) return;
+
+      // Editing one cell of a blank row starts the override from what the model deploys today
+      const existing = Array.isArray(overrides[row.key]) ? overrides[row.key] : row.placeholder.map(value => Math.round(value || 0));
+      const parsed = parseFloat(input.value);
+      if (!Number.isFinite(parsed)) {
+        input.value = Array.isArray(overrides[row.key]) ? existing[toolIndex] : '';
+        return;
+      }
+      const vector = [...existing];
+      vector[toolIndex] = Math.max(0, Math.min(100, parsed));
+      onChange(row.key, vector);
+    });
+  });
+
+  container.querySelectorAll('[data-clear-row]').forEach(button => {
+    button.addEventListener('click', () => {
+      const row = rows[Number(button.getAttribute('data-clear-row'))];
+      if (row) onChange(row.key, null);
+    });
+  });
+}
+
 // ENHANCED: Focus panel with more detailed guidance and effectiveness tracking
 export function createFocusPanel(containerId, { focus, onFocusChange, focusEffectivenessMetrics = null }) {
   const container = document.getElementById(containerId);
@@ -1304,7 +1484,7 @@ export function createResponsivenessEffectivenessPanel(containerId, { effectiven
 }
 
 // ENHANCED: Final results panel with comprehensive focus analysis
-export function createFinalResultsPanel(containerId, { baselineRisk, managedRisk, selectedCountries, countries, hrddStrategy, transparencyEffectiveness, responsivenessStrategy, responsivenessEffectiveness, focus = 0, riskConcentration = 1, countryVolumes, countryRisks, focusEffectivenessMetrics = null }) {
+export function createFinalResultsPanel(containerId, { baselineRisk, managedRisk, selectedCountries, countries, hrddStrategy, transparencyEffectiveness, responsivenessStrategy, responsivenessEffectiveness, focus = 0, riskConcentration = 1, countryVolumes, countryRisks, focusEffectivenessMetrics = null, countryToolCoverage = null }) {
   const container = document.getElementById(containerId);
   if (!container) return;
 
@@ -1319,7 +1499,8 @@ export function createFinalResultsPanel(containerId, { baselineRisk, managedRisk
     focus,
     riskConcentration,
     countryVolumes,
-    countryRisks
+    countryRisks,
+    countryToolCoverage
   ) || {};
 
   const ensureNumber = (value, fallback = 0) => {
@@ -1828,7 +2009,7 @@ export function createFinalResultsPanel(containerId, { baselineRisk, managedRisk
   });
 }
 
-export function createCountrySelectionPanel(containerId, { countries, selectedCountries, countryVolumes, onCountrySelect, onVolumeChange }) {
+export function createCountrySelectionPanel(containerId, { countries, selectedCountries, countryVolumes, onCountrySelect, onVolumeChange, sectors, countrySectors, onSectorChange }) {
   const container = document.getElementById(containerId);
   if (!container) return;
 
@@ -1869,7 +2050,9 @@ export function createCountrySelectionPanel(containerId, { countries, selectedCo
         <ul style="font-size: 14px; margin: 0; padding-left: 16px; line-height: 1.5;">
           <li>Click countries on the map above to select them</li>
           <li>Or use the dropdown to add countries</li>
+          <li>Where offered, add individual states or provinces; they use the national index scores unless regional evidence overrides them</li>
           <li>Set weighting for each country (higher = more of your supply chain is here, more influence on risk)</li>
+          <li>Optionally add the sectors you source from in each country; the weighting is shared equally between them</li>
           <li>Click 'Remove' to deselect countries</li>
         </ul>
       </div>
@@ -1877,8 +2060,9 @@ export function createCountrySelectionPanel(containerId, { countries, selectedCo
  `;
 
   const countrySelect = document.getElementById('countrySelect');
-  const sortedCountries = countries
-    .filter(country => !safeSelectedCountries.includes(country.isoCode))
+  const availableCountries = countries.filter(country => !safeSelectedCountries.includes(country.isoCode));
+  const sortedCountries = availableCountries
+    .filter(country => !country.parentIsoCode)
     .sort((a, b) => a.name.localeCompare(b.name));
 
   sortedCountries.forEach(country => {
@@ -1888,6 +2072,32 @@ export function createCountrySelectionPanel(containerId, { countries, selectedCo
     countrySelect.appendChild(option);
   });
 
+  // Admin-1 regions follow the countries, grouped under their country
+  const regionGroups = new Map();
+  availableCountries
+    .filter(country => country.parentIsoCode)
+    .forEach(region => {
+      const label = region.parentName || region.parentIsoCode;
+      if (!regionGroups.has(label)) regionGroups.set(label, []);
+      regionGroups.get(label).push(region);
+    });
+
+  [...regionGroups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([parentName, regions]) => {
+      const group = document.createElement('optgroup');
+      group.label = `${parentName}: states and provinces`;
+      regions
+        .sort((a, b) => (a.regionName || a.name).localeCompare(b.regionName || b.name))
+        .forEach(region => {
+          const option = document.createElement('option');
+          option.value = region.isoCode;
+          option.textContent = region.regionName || region.name;
+          group.appendChild(option);
+        });
+      countrySelect.appendChild(group);
+    });
+
    countrySelect.addEventListener('change', (e) => {
     if (e.target.value && onCountrySelect) {
       onCountrySelect(e.target.value);
@@ -1903,7 +2113,894 @@ export function createCountrySelectionPanel(containerId, { countries, selectedCo
     });
   }
 
-  updateSelectedCountriesDisplay(safeSelectedCountries, countries, countryVolumes, onCountrySelect, onVolumeChange);
+  updateSelectedCountriesDisplay(safeSelectedCountries, countries, countryVolumes, onCountrySelect, onVolumeChange, {
+    sectors,
+    countrySectors,
+    onSectorChange
+  });
+}
+
+// Supplier names and codes come from uploaded files, so escape them before templating
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export function createSupplierImportPanel(containerId, {
+  suppliers,
+  volumeBasis,
+  volumeBases,
+  importReport,
+  importError,
+  countryRisks,
+  onSupplierImport,
+  onVolumeBasisChange,
+  onClearSuppliers
+}) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const safeSuppliers = Array.isArray(suppliers) ? suppliers : [];
+  const safeBases = Array.isArray(volumeBases) ? volumeBases : [];
+  const safeRisks = (countryRisks && typeof countryRisks === 'object') ? countryRisks : {};
+  const hasSuppliers = safeSuppliers.length > 0;
+  const formatNumber = value => (Number.isFinite(value) ? value.toLocaleString() : '—');
+
+  const byCountry = new Map();
+  safeSuppliers.forEach(supplier => {
+    if (!byCountry.has(supplier.isoCode)) {
+      byCountry.set(supplier.isoCode, { country: supplier.country || supplier.isoCode, suppliers: [], spend: 0, headcount: 0 });
+    }
+    const entry = byCountry.get(supplier.isoCode);
+    entry.suppliers.push(supplier);
+    entry.spend += supplier.spend || 0;
+    entry.headcount += supplier.headcount || 0;
+  });
+
+  const missingBasisCount = volumeBasis === 'spend' || volumeBasis === 'headcount'
+    ? safeSuppliers.filter(supplier => !(supplier[volumeBasis] > 0)).length
+    : 0;
+
+  const reportIssueList = (title, entries, describe) => {
+    if (!Array.isArray(entries) || entries.length === 0) return '';
+    return `
+      <details style="margin-top: 8px;">
+        <summary style="cursor: pointer; font-size: 13px; font-weight: 600; color: #92400e;">${title} (${entries.length})</summary>
+        <ul style="margin: 6px 0 0 0; padding-left: 18px; font-size: 12px; color: #78350f; line-height: 1.6; max-height: 180px; overflow-y: auto;">
+          ${entries.map(entry => `<li>${describe(entry)}</li>`).join('')}
+        </ul>
+      </details>
+    `;
+  };
+
+  const report = importReport && typeof importReport === 'object' ? importReport : null;
+  const reportHtml = report ? `
+    <div style="margin-top: 16px; padding: 12px 16px; border-radius: 8px; background-color: ${report.imported > 0 ? '#f0fdf4' : '#fef2f2'}; border: 1px solid ${report.imported > 0 ? '#bbf7d0' : '#fecaca'};">
+      <div style="font-size: 13px; color: #1f2937;">
+        <strong>${escapeHtml(report.fileName || 'Upload')}</strong>: ${report.imported} of ${report.totalRows} rows imported.
+      </div>
+      ${Array.isArray(report.missingColumns) && report.missingColumns.length > 0 ? `
+        <div style="font-size: 13px; color: #b91c1c; margin-top: 6px;">
+          Required column(s) not found: ${report.missingColumns.map(field => (field === 'isoCode' ? 'country ISO' : 'supplier name')).join(', ')}.
+        </div>
+      ` : ''}
+      ${reportIssueList('Unknown ISO codes', report.unknownIsoCodes, entry =>
+        `Row ${entry.line}: ${escapeHtml(entry.name)} — "${escapeHtml(entry.isoCode)}" is not in the index dataset`)}
+      ${reportIssueList('Duplicate rows', report.duplicates, entry =>
+        `Row ${entry.line}: ${escapeHtml(entry.name)} (${escapeHtml(entry.isoCode)}) duplicates row ${entry.duplicateOfLine}`)}
+      ${reportIssueList('Incomplete rows', report.invalidRows, entry =>
+        `Row ${entry.line}: ${escapeHtml(entry.reason)}`)}
+      ${reportIssueList('Negative values set to 0', report.negativeValues, entry =>
+        `Row ${entry.line}: ${escapeHtml(entry.name)} (${escapeHtml(entry.isoCode)})`)}
+    </div>
+  ` : '';
+
+  const drillDownHtml = hasSuppliers ? `
+    <div style="margin-top: 16px; display: flex; flex-direction: column; gap: 6px;">
+      ${[...byCountry.entries()]
+        .sort((a, b) => b[1].suppliers.length - a[1].suppliers.length)
+        .map(([isoCode, entry]) => `
+          <details style="border: 1px solid #e5e7eb; border-radius: 6px; padding: 8px 12px;">
+            <summary style="cursor: pointer; font-size: 13px; color: #1f2937;">
+              <strong>${escapeHtml(entry.country)}</strong> (${escapeHtml(isoCode)}) —
+              ${entry.suppliers.length} supplier${entry.suppliers.length === 1 ? '' : 's'},
+              spend ${formatNumber(entry.spend)}, workers ${formatNumber(entry.headcount)}${Number.isFinite(safeRisks[isoCode]) ? `, risk ${safeRisks[isoCode].toFixed(1)}` : ''}
+            </summary>
+            <table style="width: 100%; margin-top: 8px; border-collapse: collapse; font-size: 12px;">
+              <thead>
+                <tr style="text-align: left; color: #6b7280;">
+                  <th style="padding: 4px;">Supplier</th>
+                  <th style="padding: 4px; text-align: right;">Spend</th>
+                  <th style="padding: 4px; text-align: right;">Workers</th>
+                  <th style="padding: 4px;">Tier</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${entry.suppliers.map(supplier => `
+                  <tr style="border-top: 1px solid #f3f4f6;">
+                    <td style="padding: 4px;">${escapeHtml(supplier.name)}</td>
+                    <td style="padding: 4px; text-align: right;">${formatNumber(supplier.spend)}</td>
+                    <td style="padding: 4px; text-align: right;">${formatNumber(supplier.headcount)}</td>
+                    <td style="padding: 4px;">${escapeHtml(supplier.tier ?? '—')}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </details>
+        `).join('')}
+    </div>
+  ` : '';
+
+  container.innerHTML = `
+    <div class="supplier-import-panel" style="background: white; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);">
+      <div style="display: flex; align-items: center; justify-content: space-between; gap: 12px; flex-wrap: wrap;">
+        <h2 style="font-size: 20px; font-weight: bold; margin: 0; color: #1f2937;">Supplier Import</h2>
+        ${hasSuppliers ? `
+          <button id="clearSuppliersButton" style="padding: 8px 14px; background-color: #f3f4f6; color: #374151; border: 1px solid #d1d5db; border-radius: 6px; cursor: pointer; font-size: 13px; font-weight: 500;">
+            Clear supplier list
+          </button>
+        ` : ''}
+      </div>
+      <p style="font-size: 13px; color: #4b5563; margin: 8px 0 16px 0; line-height: 1.5;">
+        Upload a CSV or Excel file with columns for supplier name, country ISO code, spend, headcount and tier.
+        Countries and weightings are filled in from the list; only name and ISO code are required.
+      </p>
+
+      <div style="display: flex; align-items: center; gap: 16px; flex-wrap: wrap;">
+        <input type="file" id="supplierFileInput" accept=".csv,.txt,.xlsx,.xls" style="font-size: 13px;">
+        <label style="display: flex; align-items: center; gap: 8px; font-size: 13px; color: #374151;">
+          Weight countries by:
+          <select id="supplierVolumeBasis" ${hasSuppliers ? '' : 'disabled'} style="padding: 6px 10px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 13px; background-color: white;">
+            ${safeBases.map(basis => `
+              <option value="${basis.id}" ${basis.id === volumeBasis ? 'selected' : ''}>${basis.label}</option>
+            `).join('')}
+          </select>
+        </label>
+      </div>
+
+      ${importError ? `
+        <div style="margin-top: 12px; font-size: 13px; color: #b91c1c;">${escapeHtml(importError)}</div>
+      ` : ''}
+      ${hasSuppliers ? `
+        <div style="margin-top: 12px; font-size: 13px; color: #1f2937;">
+          ${safeSuppliers.length} suppliers across ${byCountry.size} countries.
+          ${missingBasisCount > 0 ? `<span style="color: #92400e;">${missingBasisCount} supplier${missingBasisCount === 1 ? ' has' : 's have'} no ${volumeBasis === 'spend' ? 'spend' : 'headcount'} value and add nothing to the weighting.</span>` : ''}
+        </div>
+      ` : ''}
+      ${reportHtml}
+      ${drillDownHtml}
+    </div>
+  `;
+
+  const fileInput = document.getElementById('supplierFileInput');
+  if (fileInput) {
+    fileInput.addEventListener('change', (e) => {
+      const file = e.target.files && e.target.files[0];
+      if (file && onSupplierImport) onSupplierImport(file);
+    });
+  }
+
+  const basisSelect = document.getElementById('supplierVolumeBasis');
+  if (basisSelect) {
+    basisSelect.addEventListener('change', (e) => {
+      if (onVolumeBasisChange) onVolumeBasisChange(e.target.value);
+    });
+  }
+
+  const clearButton = document.getElementById('clearSuppliersButton');
+  if (clearButton) {
+    clearButton.addEventListener('click', () => {
+      if (onClearSuppliers) onClearSuppliers();
+    });
+  }
+}
+
+export function createAssessmentPanel(containerId, {
+  assessment,
+  organisation,
+  accessKey,
+  assessments,
+  status,
+  onOrganisationChange,
+  onAccessKeyChange,
+  onSave,
+  onLoad,
+  onDelete,
+  onUnlink
+}) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const safeAssessments = Array.isArray(assessments) ? assessments : [];
+  const linked = assessment && assessment.id ? assessment : null;
+  const formatDate = value => {
+    try {
+      return value ? new Date(value).toLocaleString() : '';
+    } catch (dateError) {
+      return '';
+    }
+  };
+  const buttonStyle = (background, color = 'white', border = background) =>
+    `padding: 7px 12px; background-color: ${background}; color: ${color}; border: 1px solid ${border}; border-radius: 6px; cursor: pointer; font-size: 13px; font-weight: 500;`;
+
+  container.innerHTML = `
+    <div class="assessment-panel" style="background: white; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);">
+      <h2 style="font-size: 20px; font-weight: bold; margin: 0 0 8px 0; color: #1f2937;">Saved Assessments</h2>
+      <p style="font-size: 13px; color: #4b5563; margin: 0 0 16px 0; line-height: 1.5;">
+        Store this assessment on the server so it can be reopened on another device.
+        Listing, opening and saving need your organisation's access key.
+        Your work is still kept in this browser if the server is unavailable.
+      </p>
+
+      <div style="padding: 12px 16px; border-radius: 8px; background-color: ${linked ? '#eff6ff' : '#f9fafb'}; border: 1px solid ${linked ? '#bfdbfe' : '#e5e7eb'}; font-size: 13px; color: #1f2937; display: flex; align-items: center; justify-content: space-between; gap: 12px; flex-wrap: wrap;">
+        <span>
+          ${linked
+            ? `Linked to <strong>${escapeHtml(linked.name)}</strong> (${escapeHtml(linked.organisation)}) · ID <code>${escapeHtml(linked.id)}</code>`
+            : 'Not linked to a server assessment — changes are saved in this browser only.'}
+        </span>
+        ${linked ? `<button type="button" id="assessmentUnlinkButton" style="${buttonStyle('white', '#374151', '#d1d5db')}">Work locally</button>` : ''}
+      </div>
+
+      <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 8px; margin-top: 16px;">
+        <input type="text" id="assessmentOrganisationInput" value="${escapeHtml(organisation || '')}" placeholder="Organisation"
+               style="padding: 8px 10px; border: 1px solid #d1d5db; border-radius: 6px; font-size: 13px;">
+        <input type="password" id="assessmentAccessKeyInput" value="${escapeHtml(accessKey || '')}" placeholder="Organisation access key" autocomplete="off"
+               style="padding: 8px 10px; border: 1px solid #d1d5db; border-radius: 6px; font-size: 13px;">
+        <input type="text" id="assessmentNameInput" value="${escapeHtml(linked?.name || '')}" placeholder="Assessment name"
+               style="padding: 8px 10px; border: 1px solid #d1d5db; border-radius: 6px; font-size: 13px;">
+      </div>
+      <div style="display: flex; gap: 8px; margin-top: 8px; flex-wrap: wrap;">
+        <button type="button" id="assessmentSaveButton" style="${buttonStyle('#2563eb')}">${linked ? 'Save changes' : 'Save to server'}</button>
+        ${linked ? `<button type="button" id="assessmentSaveAsButton" style="${buttonStyle('white', '#1f2937', '#d1d5db')}">Save as new</button>` : ''}
+      </div>
+
+      ${status?.message ? `
+        <div style="margin-top: 12px; font-size: 13px; color: ${status.type === 'error' ? '#b91c1c' : '#15803d'};">${escapeHtml(status.message)}</div>
+      ` : ''}
+
+      ${safeAssessments.length > 0 ? `
+        <div style="margin-top: 16px; display: flex; flex-direction: column; gap: 6px;">
+          ${safeAssessments.map(entry => `
+            <div style="display: flex; align-items: center; justify-content: space-between; gap: 8px; padding: 8px 12px; border: 1px solid #e5e7eb; border-radius: 6px; font-size: 13px;">
+              <span><strong>${escapeHtml(entry.name)}</strong> <span style="color: #6b7280;">updated ${escapeHtml(formatDate(entry.updatedAt))}</span></span>
+              <span style="display: flex; gap: 6px;">
+                <button type="button" data-assessment-load="${escapeHtml(entry.id)}" style="${buttonStyle('#2563eb')} padding: 4px 10px; font-size: 12px;">Load</button>
+                <button type="button" data-assessment-delete="${escapeHtml(entry.id)}" style="${buttonStyle('#ef4444')} padding: 4px 10px; font-size: 12px;">Delete</button>
+              </span>
+            </div>
+          `).join('')}
+        </div>
+      ` : (organisation ? '<div style="margin-top: 16px; font-size: 13px; color: #6b7280;">No saved assessments for this organisation yet.</div>' : '')}
+    </div>
+  `;
+
+  const organisationInput = document.getElementById('assessmentOrganisationInput');
+  const accessKeyInput = document.getElementById('assessmentAccessKeyInput');
+  const nameInput = document.getElementById('assessmentNameInput');
+
+  if (organisationInput) {
+    organisationInput.addEventListener('change', () => {
+      if (onOrganisationChange) onOrganisationChange(organisationInput.value);
+    });
+  }
+
+  if (accessKeyInput) {
+    accessKeyInput.addEventListener('change', () => {
+      if (onAccessKeyChange) onAccessKeyChange(accessKeyInput.value);
+    });
+  }
+
+  const saveButton = document.getElementById('assessmentSaveButton');
+  if (saveButton) {
+    saveButton.addEventListener('click', () => {
+      if (onSave) onSave({ name: nameInput ? nameInput.value : '' });
+    });
+  }
+
+  const saveAsButton = document.getElementById('assessmentSaveAsButton');
+  if (saveAsButton) {
+    saveAsButton.addEventListener('click', () => {
+      if (onSave) onSave({ name: nameInput ? nameInput.value : '', asNew: true });
+    });
+  }
+
+  const unlinkButton = document.getElementById('assessmentUnlinkButton');
+  if (unlinkButton) {
+    unlinkButton.addEventListener('click', () => {
+      if (onUnlink) onUnlink();
+    });
+  }
+
+  container.querySelectorAll('[data-assessment-load]').forEach(button => {
+    button.addEventListener('click', () => {
+      if (onLoad) onLoad(button.getAttribute('data-assessment-load'));
+    });
+  });
+
+  container.querySelectorAll('[data-assessment-delete]').forEach(button => {
+    button.addEventListener('click', () => {
+      if (typeof window !== 'undefined' && typeof window.confirm === 'function'
+        && !window.confirm('Delete this assessment from the server? This cannot be undone.')) {
+        return;
+      }
+      if (onDelete) onDelete(button.getAttribute('data-assessment-delete'));
+    });
+  });
+}
+
+export function createConfigurationPanel(containerId, {
+  pendingImport,
+  error,
+  onExport,
+  onImportFile,
+  onConfirm,
+  onCancel
+}) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const buttonStyle = (background, color = 'white', border = background) =>
+    `padding: 7px 12px; background-color: ${background}; color: ${color}; border: 1px solid ${border}; border-radius: 6px; cursor: pointer; font-size: 13px; font-weight: 500;`;
+  const changes = Array.isArray(pendingImport?.changes) ? pendingImport.changes : [];
+  const warnings = Array.isArray(pendingImport?.warnings) ? pendingImport.warnings : [];
+
+  container.innerHTML = `
+    <div class="configuration-panel" style="background: white; padding: 16px 20px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);">
+      <div style="display: flex; align-items: center; justify-content: space-between; gap: 12px; flex-wrap: wrap;">
+        <div>
+          <h3 style="font-size: 16px; font-weight: 600; margin: 0; color: #1f2937;">Configuration file</h3>
+          <p style="font-size: 12px; color: #6b7280; margin: 4px 0 0 0;">Export your settings as JSON, or import a file exported from this tool (versions 5.0, 6.1 and 3.0).</p>
+        </div>
+        <div style="display: flex; gap: 8px;">
+          <button type="button" id="configurationExportButton" style="${buttonStyle('white', '#1f2937', '#d1d5db')}">Export configuration</button>
+          <button type="button" id="configurationImportButton" style="${buttonStyle('#2563eb')}">Import configuration…</button>
+          <input type="file" id="configurationImportInput" accept=".json,application/json" style="display: none;">
+        </div>
+      </div>
+
+      ${error ? `<div style="margin-top: 12px; font-size: 13px; color: #b91c1c;">${escapeHtml(error)}</div>` : ''}
+
+      ${pendingImport ? `
+        <div style="margin-top: 16px; padding: 12px 16px; border: 1px solid #bfdbfe; background-color: #eff6ff; border-radius: 8px;">
+          <div style="font-size: 13px; color: #1f2937; margin-bottom: 8px;">
+            <strong>${escapeHtml(pendingImport.fileName || 'Imported configuration')}</strong>
+            · version ${escapeHtml(pendingImport.version)}
+            ${pendingImport.exportedAt ? ` · exported ${escapeHtml(new Date(pendingImport.exportedAt).toLocaleString())}` : ''}
+          </div>
+          ${warnings.length > 0 ? `
+            <ul style="margin: 0 0 8px 0; padding-left: 18px; font-size: 12px; color: #92400e;">
+              ${warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('')}
+            </ul>
+          ` : ''}
+          ${changes.length > 0 ? `
+            <div style="max-height: 280px; overflow-y: auto; border: 1px solid #e5e7eb; border-radius: 6px; background: white;">
+              <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+                <thead>
+                  <tr style="background-color: #f9fafb; text-align: left;">
+                    <th style="padding: 6px 8px;">Section</th>
+                    <th style="padding: 6px 8px;">Setting</th>
+                    <th style="padding: 6px 8px; text-align: right;">Current</th>
+                    <th style="padding: 6px 8px; text-align: right;">Imported</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${changes.map(change => `
+                    <tr style="border-top: 1px solid #f3f4f6;">
+                      <td style="padding: 6px 8px; color: #6b7280;">${escapeHtml(change.section)}</td>
+                      <td style="padding: 6px 8px;">${escapeHtml(change.label)}</td>
+                      <td style="padding: 6px 8px; text-align: right;">${escapeHtml(change.current)}</td>
+                      <td style="padding: 6px 8px; text-align: right; font-weight: 600;">${escapeHtml(change.imported)}</td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+            </div>
+          ` : '<div style="font-size: 13px; color: #4b5563;">The file matches your current settings.</div>'}
+          <div style="display: flex; gap: 8px; margin-top: 12px;">
+            <button type="button" id="configurationConfirmButton" style="${buttonStyle('#16a34a')}">Apply ${changes.length} change${changes.length === 1 ? '' : 's'}</button>
+            <button type="button" id="configurationCancelButton" style="${buttonStyle('white', '#374151', '#d1d5db')}">Cancel</button>
+          </div>
+        </div>
+      ` : ''}
+    </div>
+  `;
+
+  const exportButton = document.getElementById('configurationExportButton');
+  if (exportButton) {
+    exportButton.addEventListener('click', () => {
+      if (onExport) onExport();
+    });
+  }
+
+  const importInput = document.getElementById('configurationImportInput');
+  const importButton = document.getElementById('configurationImportButton');
+  if (importButton && importInput) {
+    importButton.addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+      const file = importInput.files && importInput.files[0];
+      if (file && onImportFile) onImportFile(file);
+      importInput.value = '';
+    });
+  }
+
+  const confirmButton = document.getElementById('configurationConfirmButton');
+  if (confirmButton) {
+    confirmButton.addEventListener('click', () => {
+      if (onConfirm) onConfirm();
+    });
+  }
+
+  const cancelButton = document.getElementById('configurationCancelButton');
+  if (cancelButton) {
+    cancelButton.addEventListener('click', () => {
+      if (onCancel) onCancel();
+    });
+  }
+}
+
+export function createScenarioLibraryPanel(containerId, {
+  scenarios,
+  activeScenarioId,
+  comparedScenarioIds,
+  comparison,
+  maxCompared = 4,
+  error,
+  onSave,
+  onUpdate,
+  onLoad,
+  onClone,
+  onRename,
+  onDelete,
+  onCompareToggle
+}) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const safeScenarios = Array.isArray(scenarios) ? scenarios : [];
+  const compared = new Set(Array.isArray(comparedScenarioIds) ? comparedScenarioIds : []);
+  const safeComparison = Array.isArray(comparison) ? comparison : [];
+  const formatScore = value => (Number.isFinite(value) ? value.toFixed(1) : '—');
+  const formatCurrency = value => (Number.isFinite(value) ? `$${Math.round(value).toLocaleString()}` : '—');
+  const formatDate = value => {
+    try {
+      return new Date(value).toLocaleString();
+    } catch (dateError) {
+      return '';
+    }
+  };
+
+  const buttonStyle = (background, color = 'white', border = background) =>
+    `padding: 5px 10px; background-color: ${background}; color: ${color}; border: 1px solid ${border}; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 500;`;
+
+  const scenarioRows = safeScenarios.map(scenario => `
+    <div style="display: flex; align-items: center; gap: 10px; flex-wrap: wrap; padding: 10px 12px; border: 1px solid ${scenario.id === activeScenarioId ? '#93c5fd' : '#e5e7eb'}; border-radius: 6px; background-color: ${scenario.id === activeScenarioId ? '#eff6ff' : 'white'};">
+      <label style="display: flex; align-items: center; gap: 6px; font-size: 12px; color: #374151;" title="Include in comparison">
+        <input type="checkbox" data-compare-scenario="${escapeHtml(scenario.id)}" ${compared.has(scenario.id) ? 'checked' : ''}>
+        Compare
+      </label>
+      <input type="text" value="${escapeHtml(scenario.name)}" data-rename-scenario="${escapeHtml(scenario.id)}" aria-label="Scenario name"
+             style="flex: 1; min-width: 160px; padding: 6px 8px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 13px;">
+      <span style="font-size: 11px; color: #6b7280;">${scenario.id === activeScenarioId ? 'Loaded · ' : ''}saved ${escapeHtml(formatDate(scenario.updatedAt))}</span>
+      <div style="display: flex; gap: 6px;">
+        <button type="button" data-scenario-action="load" data-scenario-id="${escapeHtml(scenario.id)}" style="${buttonStyle('#2563eb')}">Load</button>
+        <button type="button" data-scenario-action="update" data-scenario-id="${escapeHtml(scenario.id)}" style="${buttonStyle('white', '#1f2937', '#d1d5db')}" title="Overwrite with the current settings">Save current</button>
+        <button type="button" data-scenario-action="clone" data-scenario-id="${escapeHtml(scenario.id)}" style="${buttonStyle('white', '#1f2937', '#d1d5db')}">Clone</button>
+        <button type="button" data-scenario-action="delete" data-scenario-id="${escapeHtml(scenario.id)}" style="${buttonStyle('#ef4444')}">Delete</button>
+      </div>
+    </div>
+  `).join('');
+
+  const comparisonRows = [
+    { label: 'Countries selected', value: summary => `${summary.countriesSelected}` },
+    { label: 'Dataset', value: summary => escapeHtml(summary.datasetVersion || 'default') },
+    { label: 'Baseline risk', value: summary => `<strong>${formatScore(summary.baselineRisk)}</strong> <span style="color: #6b7280;">${escapeHtml(summary.baselineBand)}</span>` },
+    { label: 'Managed risk', value: summary => `<strong>${formatScore(summary.managedRisk)}</strong> <span style="color: #6b7280;">${escapeHtml(summary.managedBand)}</span>` },
+    { label: 'Risk reduction', value: summary => `${formatScore(summary.riskReduction)}%` },
+    { label: 'Detection stage', value: summary => formatScore(-(summary.stageBreakdown?.detection?.reduction ?? NaN)) },
+    { label: 'Sustained remedy stage', value: summary => formatScore(-(summary.stageBreakdown?.sustainedRemedy?.reduction ?? NaN)) },
+    { label: 'Good conduct stage', value: summary => formatScore(-(summary.stageBreakdown?.conduct?.reduction ?? NaN)) },
+    { label: 'Focus effect', value: summary => formatScore(-(summary.stageBreakdown?.focus?.reduction ?? NaN)) },
+    { label: 'Annual budget (Panel 6)', value: summary => formatCurrency(summary.budget?.totalBudget) },
+    { label: 'External / internal cost', value: summary => summary.budget
+      ? `${formatCurrency(summary.budget.totalExternalCost)} / ${formatCurrency(summary.budget.totalInternalCost)}`
+      : '—' },
+    { label: 'Cost per supplier', value: summary => formatCurrency(summary.budget?.costPerSupplier) }
+  ];
+
+  const comparisonHtml = safeComparison.length >= 2 ? `
+    <div style="margin-top: 20px; overflow-x: auto;">
+      <h3 style="font-size: 16px; font-weight: 600; color: #1f2937; margin: 0 0 8px 0;">Scenario comparison</h3>
+      <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+        <thead>
+          <tr>
+            <th style="text-align: left; padding: 8px; border-bottom: 2px solid #e5e7eb; color: #6b7280; font-weight: 500;"></th>
+            ${safeComparison.map(entry => `
+              <th style="text-align: right; padding: 8px; border-bottom: 2px solid #e5e7eb; color: #1f2937;">${escapeHtml(entry.name)}</th>
+            `).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${comparisonRows.map(row => `
+            <tr style="border-bottom: 1px solid #f3f4f6;">
+              <td style="padding: 6px 8px; color: #374151;">${row.label}</td>
+              ${safeComparison.map(entry => `<td style="padding: 6px 8px; text-align: right;">${row.value(entry.summary)}</td>`).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <p style="font-size: 12px; color: #6b7280; margin: 8px 0 0 0;">Stage rows show the change in risk points contributed by each stage of the managed-risk calculation.</p>
+    </div>
+  ` : (safeScenarios.length > 1 ? `
+    <p style="font-size: 13px; color: #6b7280; margin: 16px 0 0 0;">Tick two to ${maxCompared} scenarios to compare them side by side.</p>
+  ` : '');
+
+  container.innerHTML = `
+    <div class="scenario-library-panel" style="background: white; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);">
+      <h2 style="font-size: 20px; font-weight: bold; margin: 0 0 8px 0; color: #1f2937;">Scenarios</h2>
+      <p style="font-size: 13px; color: #4b5563; margin: 0 0 16px 0; line-height: 1.5;">
+        Save the current settings as a named scenario to try alternatives without losing your plan.
+        Scenarios are stored in this browser.
+      </p>
+      <div style="display: flex; gap: 8px; flex-wrap: wrap; margin-bottom: 16px;">
+        <input type="text" id="scenarioNameInput" placeholder="Scenario name, e.g. Worker voice in Bangladesh"
+               style="flex: 1; min-width: 220px; padding: 8px 10px; border: 1px solid #d1d5db; border-radius: 6px; font-size: 13px;">
+        <button type="button" id="scenarioSaveButton" style="${buttonStyle('#16a34a')} padding: 8px 14px; font-size: 13px;">Save as new scenario</button>
+      </div>
+      ${error ? `<div style="font-size: 13px; color: #b91c1c; margin-bottom: 12px;">${escapeHtml(error)}</div>` : ''}
+      <div style="display: flex; flex-direction: column; gap: 8px;">
+        ${scenarioRows || '<div style="font-size: 13px; color: #6b7280;">No saved scenarios yet.</div>'}
+      </div>
+      ${comparisonHtml}
+    </div>
+  `;
+
+  const nameInput = document.getElementById('scenarioNameInput');
+  const saveButton = document.getElementById('scenarioSaveButton');
+  const submitSave = () => {
+    if (onSave) onSave(nameInput ? nameInput.value : '');
+  };
+  if (saveButton) saveButton.addEventListener('click', submitSave);
+  if (nameInput) {
+    nameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') submitSave();
+    });
+  }
+
+  const handlers = { load: onLoad, update: onUpdate, clone: onClone, delete: onDelete };
+  container.querySelectorAll('[data-scenario-action]').forEach(button => {
+    button.addEventListener('click', () => {
+      const action = button.getAttribute('data-scenario-action');
+      const id = button.getAttribute('data-scenario-id');
+      if (action === 'delete' && typeof window !== 'undefined' && typeof window.confirm === 'function'
+        && !window.confirm('Delete this scenario? This cannot be undone.')) {
+        return;
+      }
+      if (typeof handlers[action] === 'function') handlers[action](id);
+    });
+  });
+
+  container.querySelectorAll('[data-rename-scenario]').forEach(input => {
+    input.addEventListener('change', () => {
+      const name = input.value.trim();
+      if (name && onRename) onRename(input.getAttribute('data-rename-scenario'), name);
+    });
+  });
+
+  container.querySelectorAll('[data-compare-scenario]').forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      if (onCompareToggle) onCompareToggle(checkbox.getAttribute('data-compare-scenario'), checkbox.checked);
+    });
+  });
+}
+
+export function createSensitivityPanel(containerId, { analysis, perturbation = 10, onPerturbationChange, visibleRows = 12 }) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const entries = Array.isArray(analysis?.entries) ? analysis.entries : [];
+  const baseRisk = Number(analysis?.baseManagedRisk) || 0;
+  const maxDelta = entries.reduce((max, entry) => Math.max(
+    max,
+    Math.abs(entry.lowRisk - baseRisk),
+    Math.abs(entry.highRisk - baseRisk)
+  ), 0) || 1;
+  const lowColor = '#3b82f6';
+  const highColor = '#f97316';
+  const formatValue = (entry, value) => (entry.group === 'focus'
+    ? `${Math.round(value * 100)}%`
+    : (entry.group === 'weights' ? value.toFixed(1) : `${value.toFixed(0)}%`));
+  const formatDelta = value => `${value >= 0 ? '+' : '−'}${Math.abs(value).toFixed(2)}`;
+
+  // Bars grow from the centre line (current managed risk) towards the risk each change produces
+  const renderBar = (risk, color) => {
+    const delta = risk - baseRisk;
+    const width = (Math.abs(delta) / maxDelta) * 50;
+    const left = delta < 0 ? 50 - width : 50;
+    return `<div style="position: absolute; top: 3px; bottom: 3px; left: ${left}%; width: ${Math.max(width, delta === 0 ? 0 : 0.5)}%; background-color: ${color}; opacity: 0.85;"></div>`;
+  };
+
+  const renderRow = entry => `
+    <div style="display: grid; grid-template-columns: minmax(160px, 32%) 1fr 110px; gap: 10px; align-items: center; padding: 3px 0;">
+      <div style="font-size: 12px; color: #1f2937; line-height: 1.3;">
+        <span style="color: #6b7280;">${escapeHtml(entry.groupName)}:</span> ${escapeHtml(entry.label)}
+        <div style="font-size: 11px; color: #9ca3af;">${formatValue(entry, entry.lowValue)} · ${formatValue(entry, entry.baseValue)} · ${formatValue(entry, entry.highValue)}</div>
+      </div>
+      <div style="position: relative; height: 22px; background-color: #f8fafc; border-radius: 3px;">
+        ${renderBar(entry.lowRisk, lowColor)}
+        ${renderBar(entry.highRisk, highColor)}
+        <div style="position: absolute; top: 0; bottom: 0; left: 50%; width: 1px; background-color: #111827;"></div>
+      </div>
+      <div style="font-size: 11px; color: #374151; text-align: right;">
+        <span style="color: ${lowColor};">${formatDelta(entry.lowRisk - baseRisk)}</span> /
+        <span style="color: ${highColor};">${formatDelta(entry.highRisk - baseRisk)}</span>
+      </div>
+    </div>
+  `;
+
+  const topEntries = entries.slice(0, visibleRows);
+  const remainingEntries = entries.slice(visibleRows);
+
+  container.innerHTML = `
+    <div class="sensitivity-panel" style="background: white; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);">
+      <h2 style="font-size: 20px; font-weight: bold; margin: 0 0 8px 0; color: #1f2937;">Which Assumptions Matter Most?</h2>
+      <p style="font-size: 13px; color: #4b5563; margin: 0 0 12px 0; line-height: 1.5;">
+        Each input is lowered and raised by the same percentage of its value while everything else stays put.
+        The longest bars are the assumptions most worth backing with evidence. Inputs set to 0 show no bar.
+      </p>
+      <div style="display: flex; flex-wrap: wrap; gap: 16px; align-items: center; margin-bottom: 12px; font-size: 12px; color: #374151;">
+        <label style="display: flex; align-items: center; gap: 6px;">
+          Change each input by ±
+          <input type="number" id="sensitivityPerturbationInput" min="1" max="100" step="1" value="${perturbation}"
+                 style="width: 60px; padding: 4px 6px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 12px;">
+          %
+        </label>
+        <span><span style="display: inline-block; width: 10px; height: 10px; background-color: ${lowColor}; margin-right: 4px;"></span>Input lowered</span>
+        <span><span style="display: inline-block; width: 10px; height: 10px; background-color: ${highColor}; margin-right: 4px;"></span>Input raised</span>
+        <span>Centre line = current managed risk ${analysis ? baseRisk.toFixed(1) : '—'}</span>
+      </div>
+      ${entries.length === 0 ? '<div style="font-size: 13px; color: #6b7280;">Select countries in Panel 2 to see which inputs drive managed risk.</div>' : `
+        <div>${topEntries.map(renderRow).join('')}</div>
+        ${remainingEntries.length > 0 ? `
+          <details style="margin-top: 8px;">
+            <summary style="cursor: pointer; font-size: 13px; color: #1d4ed8;">Show the other ${remainingEntries.length} inputs</summary>
+            <div style="margin-top: 4px;">${remainingEntries.map(renderRow).join('')}</div>
+          </details>
+        ` : ''}
+        <p style="font-size: 11px; color: #6b7280; margin: 8px 0 0 0;">Right-hand figures are the change in portfolio managed risk (points) when the input is lowered / raised.</p>
+      `}
+    </div>
+  `;
+
+  const perturbationInput = document.getElementById('sensitivityPerturbationInput');
+  if (perturbationInput && onPerturbationChange) {
+    perturbationInput.addEventListener('change', () => onPerturbationChange(perturbationInput.value));
+  }
+}
+
+// Horizontal 0–100 error bar: whisker from P10 to P90, dot at P50 and a tick at the point estimate
+function renderIntervalBar(interval, pointValue, color) {
+  if (!interval) return '';
+  const clampPercent = value => Math.max(0, Math.min(100, Number(value) || 0));
+  const low = clampPercent(interval.p10);
+  const high = clampPercent(interval.p90);
+  const median = clampPercent(interval.p50);
+  const point = Number.isFinite(pointValue) ? clampPercent(pointValue) : null;
+
+  return `
+    <div style="position: relative; height: 18px; background-color: #f8fafc; border: 1px solid #e5e7eb; border-radius: 4px;">
+      <div style="position: absolute; top: 8px; left: ${low}%; width: ${Math.max(0.3, high - low)}%; height: 2px; background-color: ${color};"></div>
+      <div style="position: absolute; top: 3px; left: ${low}%; width: 2px; height: 12px; margin-left: -1px; background-color: ${color};"></div>
+      <div style="position: absolute; top: 3px; left: ${high}%; width: 2px; height: 12px; margin-left: -1px; background-color: ${color};"></div>
+      <div style="position: absolute; top: 4px; left: ${median}%; width: 10px; height: 10px; margin-left: -5px; border-radius: 50%; background-color: ${color}; border: 1px solid white;"></div>
+      ${point !== null ? `<div title="Point estimate" style="position: absolute; top: 0; left: ${point}%; width: 1px; height: 16px; background-color: #111827;"></div>` : ''}
+    </div>
+  `;
+}
+
+export function createUncertaintyPanel(containerId, {
+  settings,
+  inputs = [],
+  result = null,
+  isStale = false,
+  baselineRisk,
+  managedRisk,
+  selectedCountries = [],
+  countries = [],
+  onSettingsChange,
+  onRangeChange,
+  onRun
+}) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const safeSettings = settings || riskEngine.getDefaultUncertaintySettings();
+  const safeSelected = Array.isArray(selectedCountries) ? selectedCountries : [];
+  const countryNames = new Map((countries || []).map(country => [country.isoCode, country.name]));
+  const formatScore = value => (Number.isFinite(value) ? value.toFixed(1) : '—');
+  const formatInterval = interval => (interval ? `${formatScore(interval.p10)} – ${formatScore(interval.p90)}` : '—');
+  const baselineColor = '#64748b';
+  const managedColor = '#2563eb';
+  const inputStyle = 'width: 70px; padding: 4px 6px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 12px;';
+
+  const settingsHtml = `
+    <div style="display: flex; flex-wrap: wrap; gap: 12px; align-items: flex-end; margin-bottom: 12px;">
+      <label style="display: flex; flex-direction: column; gap: 4px; font-size: 12px; color: #374151;">
+        Simulations
+        <input type="number" min="50" max="5000" step="50" data-uncertainty-setting="iterations" value="${safeSettings.iterations}" style="${inputStyle} width: 80px;">
+      </label>
+      <label style="display: flex; flex-direction: column; gap: 4px; font-size: 12px; color: #374151;">
+        Distribution
+        <select data-uncertainty-setting="distribution" style="padding: 4px 6px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 12px;">
+          <option value="triangular" ${safeSettings.distribution === 'triangular' ? 'selected' : ''}>Triangular (most likely = your value)</option>
+          <option value="uniform" ${safeSettings.distribution === 'uniform' ? 'selected' : ''}>Uniform across the range</option>
+        </select>
+      </label>
+      <label style="display: flex; flex-direction: column; gap: 4px; font-size: 12px; color: #374151;">
+        Coverage ± pts
+        <input type="number" min="0" max="50" step="1" data-uncertainty-setting="coverageSpread" value="${safeSettings.coverageSpread}" style="${inputStyle}">
+      </label>
+      <label style="display: flex; flex-direction: column; gap: 4px; font-size: 12px; color: #374151;">
+        Effectiveness ± pts
+        <input type="number" min="0" max="50" step="1" data-uncertainty-setting="effectivenessSpread" value="${safeSettings.effectivenessSpread}" style="${inputStyle}">
+      </label>
+      <label style="display: flex; flex-direction: column; gap: 4px; font-size: 12px; color: #374151;">
+        Country risk ± pts
+        <input type="number" min="0" max="30" step="1" data-uncertainty-setting="indexSpread" value="${safeSettings.indexSpread}" style="${inputStyle}">
+      </label>
+      <label style="display: flex; flex-direction: column; gap: 4px; font-size: 12px; color: #374151;">
+        Seed (optional)
+        <input type="number" min="0" step="1" data-uncertainty-setting="seed" value="${safeSettings.seed ?? ''}" placeholder="random" style="${inputStyle} width: 90px;">
+      </label>
+      <button type="button" id="uncertaintyRunButton" ${safeSelected.length === 0 ? 'disabled' : ''}
+              style="padding: 8px 14px; background-color: ${safeSelected.length === 0 ? '#bfdbfe' : '#2563eb'}; color: white; border: none; border-radius: 6px; cursor: ${safeSelected.length === 0 ? 'not-allowed' : 'pointer'}; font-size: 13px; font-weight: 600;">
+        Run simulation
+      </button>
+    </div>
+  `;
+
+  const rangesHtml = `
+    <details style="margin-bottom: 16px;">
+      <summary style="cursor: pointer; font-size: 13px; color: #1d4ed8;">Input ranges (${inputs.filter(entry => entry.custom).length} set individually)</summary>
+      <div style="overflow-x: auto; margin-top: 8px;">
+        <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+          <thead>
+            <tr style="color: #6b7280; text-align: left;">
+              <th style="padding: 6px; border-bottom: 2px solid #e5e7eb;">Input</th>
+              <th style="padding: 6px; border-bottom: 2px solid #e5e7eb;">Tool</th>
+              <th style="padding: 6px; border-bottom: 2px solid #e5e7eb;">Low</th>
+              <th style="padding: 6px; border-bottom: 2px solid #e5e7eb;">Your value</th>
+              <th style="padding: 6px; border-bottom: 2px solid #e5e7eb;">High</th>
+              <th style="padding: 6px; border-bottom: 2px solid #e5e7eb;"></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${inputs.map(entry => `
+              <tr style="border-bottom: 1px solid #f3f4f6;">
+                <td style="padding: 4px 6px; color: #374151;">${escapeHtml(entry.groupName)}</td>
+                <td style="padding: 4px 6px; color: #374151;">${escapeHtml(entry.label)}</td>
+                <td style="padding: 4px 6px;"><input type="number" min="0" max="100" step="1" data-range-key="${escapeHtml(entry.key)}" data-range-bound="min" value="${Math.round(entry.min * 10) / 10}" style="${inputStyle}"></td>
+                <td style="padding: 4px 6px; color: #111827;">${formatScore(entry.mode)}</td>
+                <td style="padding: 4px 6px;"><input type="number" min="0" max="100" step="1" data-range-key="${escapeHtml(entry.key)}" data-range-bound="max" value="${Math.round(entry.max * 10) / 10}" style="${inputStyle}"></td>
+                <td style="padding: 4px 6px;">${entry.custom ? `<button type="button" data-range-reset="${escapeHtml(entry.key)}" style="padding: 2px 8px; font-size: 11px; border: 1px solid #d1d5db; background: white; border-radius: 4px; cursor: pointer;">Use default</button>` : ''}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    </details>
+  `;
+
+  let resultsHtml = '';
+  if (result) {
+    const summaryCard = (label, interval, pointValue, color) => `
+      <div style="flex: 1; min-width: 200px; padding: 12px 14px; border: 1px solid #e5e7eb; border-radius: 8px; background-color: #f9fafb;">
+        <div style="font-size: 12px; color: #6b7280; margin-bottom: 4px;">${label}</div>
+        <div style="font-size: 22px; font-weight: 700; color: ${color};">${formatScore(interval.p50)}</div>
+        <div style="font-size: 12px; color: #374151; margin-bottom: 8px;">80% range ${formatInterval(interval)} · your figure ${formatScore(pointValue)}</div>
+        ${renderIntervalBar(interval, pointValue, color)}
+      </div>
+    `;
+
+    resultsHtml = `
+      <div style="display: flex; gap: 12px; flex-wrap: wrap; margin-bottom: 12px;">
+        ${summaryCard('Baseline risk (P50)', result.baseline, baselineRisk, baselineColor)}
+        ${summaryCard('Managed risk (P50)', result.managed, managedRisk, managedColor)}
+      </div>
+      <p style="font-size: 13px; color: #374151; margin: 0 0 16px 0;">
+        Risk reduction is between <strong>${formatScore(result.riskReduction.p10)}%</strong> and <strong>${formatScore(result.riskReduction.p90)}%</strong>
+        in 8 out of 10 simulations (median ${formatScore(result.riskReduction.p50)}%).
+        ${result.iterations} runs, ${result.distribution} ranges, seed ${result.seed}.
+      </p>
+      <div style="overflow-x: auto;">
+        <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+          <thead>
+            <tr style="color: #6b7280; text-align: left;">
+              <th style="padding: 6px; border-bottom: 2px solid #e5e7eb;">Country</th>
+              <th style="padding: 6px; border-bottom: 2px solid #e5e7eb; width: 30%;">Baseline P10–P90</th>
+              <th style="padding: 6px; border-bottom: 2px solid #e5e7eb; width: 30%;">Managed P10–P90</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${safeSelected.filter(code => result.countries?.[code]).map(code => {
+              const entry = result.countries[code];
+              return `
+                <tr style="border-bottom: 1px solid #f3f4f6;">
+                  <td style="padding: 6px; color: #1f2937;">${escapeHtml(countryNames.get(code) || code)}</td>
+                  <td style="padding: 6px;">
+                    ${renderIntervalBar(entry.baseline, null, baselineColor)}
+                    <div style="font-size: 11px; color: #6b7280; margin-top: 2px;">${formatInterval(entry.baseline)} (P50 ${formatScore(entry.baseline.p50)})</div>
+                  </td>
+                  <td style="padding: 6px;">
+                    ${renderIntervalBar(entry.managed, null, managedColor)}
+                    <div style="font-size: 11px; color: #6b7280; margin-top: 2px;">${formatInterval(entry.managed)} (P50 ${formatScore(entry.managed.p50)})</div>
+                  </td>
+                </tr>
+              `;
+            }).join('')}
+          </tbody>
+        </table>
+      </div>
+      <p style="font-size: 11px; color: #6b7280; margin: 8px 0 0 0;">Bars run from P10 to P90 on a 0–100 scale; the dot is the median and the black tick your point estimate.</p>
+    `;
+  } else if (isStale) {
+    resultsHtml = '<div style="font-size: 13px; color: #92400e; background-color: #fef3c7; padding: 10px 12px; border-radius: 6px;">Your inputs have changed since the last simulation. Run it again to update the ranges.</div>';
+  } else {
+    resultsHtml = '<div style="font-size: 13px; color: #6b7280;">Run the simulation to see how much the baseline and managed risk figures could vary.</div>';
+  }
+
+  container.innerHTML = `
+    <div class="uncertainty-panel" style="background: white; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);">
+      <h2 style="font-size: 20px; font-weight: bold; margin: 0 0 8px 0; color: #1f2937;">How Confident Are These Figures?</h2>
+      <p style="font-size: 13px; color: #4b5563; margin: 0 0 16px 0; line-height: 1.5;">
+        The coverage and effectiveness values in Panels 3 and 4 are estimates. Give each a range and the tool
+        re-runs the calculation many times with values drawn from those ranges, reporting the spread of outcomes
+        (P10 = 1 in 10 runs is lower, P90 = 1 in 10 is higher).
+      </p>
+      ${settingsHtml}
+      ${rangesHtml}
+      ${resultsHtml}
+    </div>
+  `;
+
+  container.querySelectorAll('[data-uncertainty-setting]').forEach(field => {
+    field.addEventListener('change', () => {
+      const key = field.getAttribute('data-uncertainty-setting');
+      const value = key === 'distribution'
+        ? field.value
+        : (key === 'seed' && field.value.trim() === '' ? null : parseFloat(field.value));
+      if (onSettingsChange) onSettingsChange({ [key]: value });
+    });
+  });
+
+  container.querySelectorAll('[data-range-key]').forEach(field => {
+    field.addEventListener('change', () => {
+      const key = field.getAttribute('data-range-key');
+      const entry = inputs.find(item => item.key === key);
+      if (!entry || !onRangeChange) return;
+      const value = parseFloat(field.value);
+      if (!Number.isFinite(value)) return;
+      const bound = field.getAttribute('data-range-bound');
+      onRangeChange(key, {
+        min: bound === 'min' ? value : entry.min,
+        max: bound === 'max' ? value : entry.max
+      });
+    });
+  });
+
+  container.querySelectorAll('[data-range-reset]').forEach(button => {
+    button.addEventListener('click', () => {
+      if (onRangeChange) onRangeChange(button.getAttribute('data-range-reset'), null);
+    });
+  });
+
+  const runButton = document.getElementById('uncertaintyRunButton');
+  if (runButton && onRun) {
+    runButton.addEventListener('click', () => onRun());
+  }
 }
 
 export function createResultsPanel(containerId, { selectedCountries, countries, countryRisks, baselineRisk }) {
@@ -1954,72 +3051,40 @@ export function createResultsPanel(containerId, { selectedCountries, countries,
   updateRiskBreakdown(selectedCountries, countries, countryRisks);
 }
 
-export function createWeightingsPanel(containerId, { weights, onWeightsChange }) {
+export function createWeightingsPanel(containerId, {
+  weights,
+  onWeightsChange,
+  indicators,
+  imputationStrategy,
+  imputationStrategies,
+  onImputationStrategyChange
+}) {
   const container = document.getElementById(containerId);
   if (!container) return;
 
   ensureSliderResponsiveStyles();
 
-  const weightFactors = [
-    {
-      label: 'International Trade Union Confederation - Global Rights Index',
-      description: 'Measures the overall protection of internationally recognised core labour rights.',
-      sourceLabel: 'ITUC Global Rights Index',
-      url: 'https://www.ituc-csi.org/global-rights-index'
-    },
-    {
-      label: 'Transparency International - Corruption Perceptions Index',
-      description: 'Uses Transparency International data to capture perceived corruption in public institutions.',
-      sourceLabel: 'Transparency International – Corruption Perceptions Index',
-      url: 'https://www.transparency.org/en/cpi'
-    },
-     {
-      label: 'Freedom House - Global Freedom Scores',
-      description: 'Captures democratic freedoms and labour rights performance using Freedom House data.',
-      sourceLabel: 'Freedom House Global Freedom Scores',
-      url: 'https://freedomhouse.org/reports/freedom-world'
-    },
-    {
-      label: 'World Justice Project - Rule of Law Index (using 4.8: Fundamental Labour Rights)',
-      description: 'Reflects fundamental labour rights performance from the World Justice Project Rule of Law Index.',
-      sourceLabel: 'WJP Rule of Law Index – Fundamental Rights',
-      url: 'https://worldjusticeproject.org/rule-of-law-index/global/2024/Fundamental%20Rights/'
-    },
-    {
-      label: 'Walk Free - Global Slavery Index',
-      description: 'Captures vulnerability to modern slavery using Walk Free’s Global Slavery Index.',
-      sourceLabel: 'Walk Free Global Slavery Index',
-      url: 'https://www.walkfree.org/global-slavery-index/'
-    }
-  ];
-
-  const indexSources = [
-    {
-      name: 'International Trade Union Confederation - Global Rights Index',
-      url: 'https://www.ituc-csi.org/global-rights-index'
-    },
-    {
-      name: 'Transparency International - Corruption Perceptions Index',
-      url: 'https://www.transparency.org/en/cpi/2024'
-    },
-    {
-      name: 'Freedom House - Global Freedom Scores',
-      url: 'https://freedomhouse.org/report/freedom-world'
-    },
-    {
-      name: 'World Justice Project - Rule of Law Index – Fundamental Rights',
-      url: 'https://worldjusticeproject.org/rule-of-law-index/global/2024/Fundamental%20Rights/'
-    },
-    {
-      name: 'Walk Free Global Slavery Index – Country Profiles',
-      url: 'https://www.walkfree.org/global-slavery-index/'
-    }
-  ];
+  // One slider per indicator column of the active dataset
+  const weightFactors = (Array.isArray(indicators) && indicators.length > 0 ? indicators : riskEngine.getIndicators())
+    .map(indicator => ({
+      label: indicator.label || indicator.shortLabel || indicator.key,
+      description: indicator.description || '',
+      sourceLabel: indicator.sourceLabel || '',
+      url: indicator.url || '',
+      sourceName: indicator.sourceName || indicator.label || indicator.key,
+      sourceUrl: indicator.sourceUrl || indicator.url || '',
+      provenance: riskEngine.describeIndicatorProvenance(indicator)
+    }));
+
+  const indexSources = weightFactors
+    .filter(factor => factor.sourceUrl)
+    .map(factor => ({ name: factor.sourceName, url: factor.sourceUrl }));
 
   let localWeights = Array.isArray(weights) ? [...weights] : new Array(weightFactors.length).fill(0);
   if (localWeights.length < weightFactors.length) {
     localWeights = [...localWeights, ...new Array(weightFactors.length - localWeights.length).fill(0)];
   }
+  localWeights = localWeights.slice(0, weightFactors.length);
 
   const defaultWeights = Array.isArray(riskEngine.defaultWeights) ? riskEngine.defaultWeights : null;
 
@@ -2034,120 +3099,589 @@ export function createWeightingsPanel(containerId, { weights, onWeightsChange })
   };
 
   container.innerHTML = `
-    <div class="weightings-panel" style="background: white; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);">
-       <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 24px;">
-        <h2 style="font-size: 20px; font-weight: bold; color: #1f2937;">Risk Factor Weightings</h2>
-        <button id="resetWeights" style="padding: 10px 20px; background-color: #6b7280; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 14px; font-weight: 500;">
-          Reset to Default
-        </button>
+    <div class="weightings-panel" style="background: white; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);">
+       <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 24px;">
+        <h2 style="font-size: 20px; font-weight: bold; color: #1f2937;">Risk Factor Weightings</h2>
+        <button id="resetWeights" style="padding: 10px 20px; background-color: #6b7280; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 14px; font-weight: 500;">
+          Reset to Default
+        </button>
+      </div>
+
+      <div style="display: ${indexSources.length > 0 ? 'block' : 'none'}; margin-bottom: 20px; padding: 16px; border-radius: 10px; border: 1px solid #bfdbfe; background: linear-gradient(135deg, #eff6ff 0%, #e0f2fe 100%);">
+        <h3 style="font-size: 15px; font-weight: 600; color: #1d4ed8; margin: 0 0 12px 0;">Click below to visit the sources of the index data</h3>
+        <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: 12px;">
+          ${indexSources.map(source => `
+            <a href="${source.url}" target="_blank" rel="noopener noreferrer"
+               style="display: flex; align-items: center; justify-content: space-between; gap: 8px; padding: 12px 14px; border-radius: 8px; background-color: rgba(255, 255, 255, 0.92); text-decoration: none; border: 1px solid rgba(59, 130, 246, 0.25); box-shadow: 0 4px 8px rgba(15, 23, 42, 0.08);">
+              <span style="font-size: 13px; font-weight: 600; color: #1d4ed8;">${source.name}</span>
+              <span aria-hidden="true" style="font-size: 14px; color: #1d4ed8;">↗</span>
+            </a>
+          `).join('')}
+        </div>
+      </div>
+
+      <div id="weightsContainer" style="margin-bottom: 20px;"></div>
+
+      <div style="background-color: #f9fafb; border: 1px solid #e5e7eb; color: #374151; padding: 16px; border-radius: 8px;">
+        <div style="font-size: 14px; font-weight: 500;">Total Weighting: <span id="totalWeights">${localWeights.reduce((sum, w) => sum + w, 0)}</span>%</div>
+        <div style="font-size: 12px; color: #6b7280; margin-top: 4px;">Suggested range: 100% (but can exceed to reflect emphasis)</div>
+      </div>
+
+      ${Array.isArray(imputationStrategies) && imputationStrategies.length > 0 ? `
+        <div style="margin-top: 16px; padding: 16px; border: 1px solid #e5e7eb; border-radius: 8px;">
+          <label for="imputationStrategySelect" style="display: block; font-size: 14px; font-weight: 600; color: #1f2937; margin-bottom: 4px;">Missing index data</label>
+          <div style="font-size: 12px; color: #6b7280; margin-bottom: 8px;">Some countries have no score for one or more indices. Choose how those gaps are treated.</div>
+          <select id="imputationStrategySelect" style="padding: 6px 10px; border: 1px solid #d1d5db; border-radius: 6px; font-size: 13px;">
+            ${imputationStrategies.map(strategy => `
+              <option value="${strategy.id}" ${strategy.id === imputationStrategy ? 'selected' : ''}>${strategy.name}</option>
+            `).join('')}
+          </select>
+          <div style="font-size: 12px; color: #4b5563; margin-top: 6px;">
+            ${(imputationStrategies.find(strategy => strategy.id === imputationStrategy) || imputationStrategies[0]).description}
+          </div>
+        </div>
+      ` : ''}
+    </div>
+  `;
+
+  const imputationSelect = document.getElementById('imputationStrategySelect');
+  if (imputationSelect) {
+    imputationSelect.addEventListener('change', () => {
+      if (onImputationStrategyChange) onImputationStrategyChange(imputationSelect.value);
+    });
+  }
+
+  const weightsContainer = document.getElementById('weightsContainer');
+  weightFactors.forEach((factor, index) => {
+    const weightValue = Number.isFinite(Number(localWeights[index])) ? Number(localWeights[index]) : 0;
+    const weightControl = document.createElement('div');
+    weightControl.style.cssText = 'margin-bottom: 16px; padding: 16px; border: 1px solid #e5e7eb; border-radius: 8px; background-color: #f9fafb;';
+    weightControl.innerHTML = `
+      <div style="display: flex; align-items: center; justify-content: space-between; gap: 12px; margin-bottom: 6px;">
+        <label style="display: flex; align-items: center; gap: 6px; font-size: 14px; font-weight: 600; color: #1f2937; margin: 0;">
+          ${factor.label}
+          ${factor.provenance.length > 0 ? `
+            <button type="button" id="weightInfo_${index}" aria-expanded="false" title="About this index"
+                    style="width: 20px; height: 20px; padding: 0; border-radius: 9999px; border: 1px solid #93c5fd; background-color: #eff6ff; color: #1d4ed8; font-size: 12px; font-weight: 700; line-height: 18px; cursor: pointer;">i</button>
+          ` : ''}
+        </label>
+        ${factor.url ? `
+        <a href="${factor.url}" target="_blank" rel="noopener noreferrer"
+           style="font-size: 12px; color: #2563eb; font-weight: 600; text-decoration: none; display: inline-flex; align-items: center; gap: 4px;">
+          <span>${factor.sourceLabel || 'Source'}</span>
+          <span aria-hidden="true" style="font-size: 14px;">↗</span>
+        </a>` : ''}
+      </div>
+      ${factor.description ? `<div style="font-size: 12px; color: #6b7280; margin-bottom: 8px;">${factor.description}</div>` : ''}
+      ${factor.provenance.length > 0 ? `
+        <div id="weightInfoPanel_${index}" style="display: none; margin-bottom: 10px; padding: 10px 12px; border: 1px solid #bfdbfe; background-color: #eff6ff; border-radius: 6px; font-size: 12px; color: #1f2937;">
+          ${factor.provenance.map(row => `
+            <div style="display: flex; gap: 8px; margin-bottom: 4px;">
+              <span style="flex: 0 0 150px; color: #4b5563; font-weight: 600;">${escapeHtml(row.label)}</span>
+              <span style="flex: 1 1 auto; word-break: break-word;">${row.label === 'Source'
+                ? `<a href="${escapeHtml(row.value)}" target="_blank" rel="noopener noreferrer" style="color: #2563eb;">${escapeHtml(row.value)}</a>`
+                : escapeHtml(row.value)}</span>
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+       <div class="hrdd-slider-control hrdd-slider-control--stack-mobile hrdd-slider-control--with-input" style="display: flex; align-items: center; gap: 10px; flex-wrap: wrap;">
+        <div class="hrdd-slider-track" style="flex: 1 1 220px; min-width: min(220px, 100%); max-width: 100%; position: relative; display: flex; align-items: center;">
+          <input class="hrdd-slider-input" type="range" min="0" max="100" value="${weightValue}" id="weight_${index}" style="width: 100%; height: 8px; border-radius: 4px; background-color: #d1d5db;">
+        </div>
+        <div class="hrdd-slider-value-group" style="display: flex; align-items: center; gap: 8px;">
+          <input type="number" min="0" max="100" value="${weightValue}" id="weightNum_${index}" style="width: 64px; flex: 0 0 64px; padding: 6px 8px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 13px; text-align: center;">
+        </div>
+      </div>
+    `;
+    weightsContainer.appendChild(weightControl);
+
+    const rangeInput = document.getElementById(`weight_${index}`);
+    const numberInput = document.getElementById(`weightNum_${index}`);
+    const infoButton = document.getElementById(`weightInfo_${index}`);
+    const infoPanel = document.getElementById(`weightInfoPanel_${index}`);
+    if (infoButton && infoPanel) {
+      infoButton.addEventListener('click', event => {
+        event.preventDefault();
+        const open = infoPanel.style.display === 'none';
+        infoPanel.style.display = open ? 'block' : 'none';
+        infoButton.setAttribute('aria-expanded', open ? 'true' : 'false');
+      });
+    }
+
+    const defaultWeightValue = defaultWeights && Number.isFinite(defaultWeights[index])
+      ? defaultWeights[index]
+      : weightValue;
+    attachDefaultSliderMarker(rangeInput, defaultWeightValue);
+
+    const updateWeightValue = (value, options = {}) => {
+      const numeric = parseEditableNumber(value);
+      if (numeric === null) {
+        if (options.source === 'range') {
+          numberInput.value = `${localWeights[index]}`;
+        }
+        return;
+      }
+
+      const newValue = Math.max(0, Math.min(100, numeric));
+      localWeights[index] = newValue;
+      rangeInput.value = `${newValue}`;
+
+      const activeElement = typeof document !== 'undefined' ? document.activeElement : null;
+      const editing = options.source === 'number' && activeElement === numberInput;
+      const trimmedCurrent = typeof numberInput.value === 'string' ? numberInput.value.trim() : '';
+
+      if (!editing || trimmedCurrent === '' || trimmedCurrent !== `${newValue}`) {
+        numberInput.value = `${newValue}`;
+      }
+
+      updateWeights();
+    };
+
+    rangeInput.addEventListener('input', (e) => updateWeightValue(e.target.value, { source: 'range' }));
+    numberInput.addEventListener('input', (e) => updateWeightValue(e.target.value, { source: 'number' }));
+    numberInput.addEventListener('blur', () => {
+      if (numberInput.value.trim() === '') {
+        numberInput.value = `${localWeights[index]}`;
+        rangeInput.value = `${localWeights[index]}`;
+      } else {
+        updateWeightValue(numberInput.value, { source: 'number' });
+      }
+    });
+  });
+
+  const resetButton = document.getElementById('resetWeights');
+  resetButton.addEventListener('click', () => {
+    localWeights = [...riskEngine.defaultWeights];
+    localWeights.forEach((weight, index) => {
+      document.getElementById(`weight_${index}`).value = weight;
+      document.getElementById(`weightNum_${index}`).value = weight;
+    });
+    updateWeights();
+  });
+}
+
+// Organisation risk bands: names, lower thresholds and colours. Edits stay in a draft until
+// applied; the controller validates them through riskEngine.sanitizeRiskBands. Each row keeps
+// `from`, the applied band it started as, so the controller can follow renames.
+export function createRiskBandsPanel(containerId, {
+  bands,
+  isDefault = true,
+  error = null,
+  notice = null,
+  maxBands = 10,
+  onChange,
+  onReset
+}) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const applied = riskEngine.getRiskBandDefinitions(bands || riskEngine.getRiskBands())
+    .map(({ name, min, color }) => ({ name, min, color }));
+  if (riskBandsDraft) {
+    // A draft that has been applied (or matches the active bands) is no longer pending
+    const sanitizedDraft = riskEngine.sanitizeRiskBands(riskBandsDraft);
+    const draftRows = sanitizedDraft
+      ? riskEngine.getRiskBandDefinitions(sanitizedDraft).map(({ name, min, color }) => ({ name, min, color }))
+      : null;
+    if (draftRows && JSON.stringify(draftRows) === JSON.stringify(applied)) {
+      riskBandsDraft = null;
+    }
+  }
+  const rows = riskBandsDraft || applied.map(row => ({ ...row, from: row.name }));
+  const buttonStyle = (background, color = 'white', border = background) =>
+    `padding: 7px 12px; background-color: ${background}; color: ${color}; border: 1px solid ${border}; border-radius: 6px; cursor: pointer; font-size: 13px; font-weight: 500;`;
+  const rowMax = index => (index < rows.length - 1 ? Number(rows[index + 1].min) : 100);
+
+  container.innerHTML = `
+    <div class="risk-bands-panel" style="background: white; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);">
+      <div style="display: flex; align-items: center; justify-content: space-between; gap: 12px; flex-wrap: wrap; margin-bottom: 8px;">
+        <h2 style="font-size: 20px; font-weight: bold; margin: 0; color: #1f2937;">Risk Bands</h2>
+        <span style="font-size: 12px; color: #6b7280;">${isDefault ? 'Default bands' : 'Organisation bands'}</span>
+      </div>
+      <p style="font-size: 13px; color: #4b5563; margin: 0 0 16px 0; line-height: 1.5;">
+        Name the bands your policy uses, the score each one starts at and its colour. Maps, legends,
+        panels, the PDF report and per-band tool coverage all follow these bands, and they are saved with the assessment.
+      </p>
+
+      <div style="display: flex; height: 14px; border-radius: 9999px; overflow: hidden; border: 1px solid #e5e7eb; margin-bottom: 12px;">
+        ${rows.map((row, index) => `
+          <div title="${escapeHtml(row.name)}" style="flex: 0 0 ${Math.max(0, rowMax(index) - Number(row.min))}%; background-color: ${escapeHtml(row.color)};"></div>
+        `).join('')}
+      </div>
+
+      <div style="display: flex; flex-direction: column; gap: 6px;">
+        ${rows.map((row, index) => `
+          <div style="display: grid; grid-template-columns: 44px minmax(120px, 1fr) 90px 70px 32px; gap: 8px; align-items: center; font-size: 13px;">
+            <input type="color" id="riskBandColor_${index}" value="${escapeHtml(row.color)}" style="width: 40px; height: 30px; padding: 0; border: 1px solid #d1d5db; border-radius: 4px;">
+            <input type="text" id="riskBandName_${index}" value="${escapeHtml(row.name)}" maxlength="40" placeholder="Band name"
+                   style="padding: 6px 8px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 13px;">
+            <input type="number" id="riskBandMin_${index}" value="${escapeHtml(String(row.min))}" min="0" max="99.99" step="0.01" ${index === 0 ? 'disabled' : ''}
+                   style="padding: 6px 8px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 13px; text-align: right;${index === 0 ? ' background-color: #f3f4f6;' : ''}">
+            <span style="color: #6b7280;">to ${index < rows.length - 1 ? '&lt; ' : ''}${escapeHtml(String(rowMax(index)))}</span>
+            <button type="button" data-risk-band-remove="${index}" ${rows.length <= 2 ? 'disabled' : ''} title="Remove band"
+                    style="${buttonStyle('white', rows.length <= 2 ? '#d1d5db' : '#ef4444', '#e5e7eb')} padding: 4px 8px;">×</button>
+          </div>
+        `).join('')}
+      </div>
+
+      ${error ? `<div style="margin-top: 12px; font-size: 13px; color: #b91c1c;">${escapeHtml(error)}</div>` : ''}
+      ${notice && !error ? `<div style="margin-top: 12px; font-size: 13px; color: #b45309;">${escapeHtml(notice)}</div>` : ''}
+
+      <div style="display: flex; gap: 8px; margin-top: 16px; flex-wrap: wrap;">
+        <button type="button" id="riskBandAddButton" ${rows.length >= maxBands ? 'disabled' : ''} style="${buttonStyle('white', '#1f2937', '#d1d5db')}">Add band</button>
+        <button type="button" id="riskBandApplyButton" style="${buttonStyle('#2563eb')}">Apply bands</button>
+        <button type="button" id="riskBandResetButton" ${isDefault && !riskBandsDraft ? 'disabled' : ''} style="${buttonStyle('white', '#374151', '#d1d5db')}">Reset to defaults</button>
+      </div>
+    </div>
+  `;
+
+  const readRows = () => rows.map((row, index) => ({
+    name: document.getElementById(`riskBandName_${index}`)?.value ?? row.name,
+    min: index === 0 ? 0 : parseFloat(document.getElementById(`riskBandMin_${index}`)?.value),
+    color: document.getElementById(`riskBandColor_${index}`)?.value ?? row.color,
+    from: row.from ?? null
+  }));
+  const rerender = nextRows => {
+    riskBandsDraft = nextRows;
+    createRiskBandsPanel(containerId, { bands, isDefault, error, notice, maxBands, onChange, onReset });
+  };
+
+  container.querySelectorAll('input').forEach(input => {
+    input.addEventListener('change', () => {
+      riskBandsDraft = readRows();
+    });
+  });
+
+  container.querySelectorAll('[data-risk-band-remove]').forEach(button => {
+    button.addEventListener('click', () => {
+      const index = parseInt(button.getAttribute('data-risk-band-remove'), 10);
+      const next = readRows().filter((_, rowIndex) => rowIndex !== index);
+      if (next.length > 0) next[0].min = 0;
+      rerender(next);
+    });
+  });
+
+  const addButton = document.getElementById('riskBandAddButton');
+  if (addButton) {
+    addButton.addEventListener('click', () => {
+      const current = readRows();
+      const last = current[current.length - 1];
+      const lastMin = Number.isFinite(last?.min) ? last.min : 0;
+      current.push({ name: `Band ${current.length + 1}`, min: Math.round((lastMin + (100 - lastMin) / 2) * 100) / 100, color: '#64748b', from: null });
+      rerender(current);
+    });
+  }
+
+  const applyButton = document.getElementById('riskBandApplyButton');
+  if (applyButton) {
+    applyButton.addEventListener('click', () => {
+      // Rejected edits stay on screen next to the error
+      riskBandsDraft = readRows();
+      if (onChange) onChange(riskBandsDraft);
+    });
+  }
+
+  const resetButton = document.getElementById('riskBandResetButton');
+  if (resetButton) {
+    resetButton.addEventListener('click', () => {
+      riskBandsDraft = null;
+      if (onReset) onReset();
+    });
+  }
+}
+
+export function createCountryHistoryPanel(containerId, {
+  countries,
+  indicators,
+  isoCode,
+  entries,
+  loading,
+  error,
+  onCountryChange
+}) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const safeCountries = (Array.isArray(countries) ? countries : [])
+    .filter(country => country && country.isoCode)
+    .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+  const safeEntries = Array.isArray(entries) ? entries : [];
+  const fieldLabels = new Map((Array.isArray(indicators) ? indicators : [])
+    .map(indicator => [indicator.key, indicator.shortLabel || indicator.label || indicator.key]));
+  fieldLabels.set('name', 'Country name');
+  fieldLabels.set('country', 'Country record');
+  const actionLabels = { import: 'Import', rollback: 'Rollback', edit: 'Edit' };
+
+  const formatValue = value => (value === null || value === undefined ? '<span style="color: #9ca3af;">no data</span>' : escapeHtml(value));
+  const formatDate = value => {
+    try {
+      return value ? new Date(value).toLocaleString() : '';
+    } catch (dateError) {
+      return '';
+    }
+  };
+
+  let body = '';
+  if (!isoCode) {
+    body = '<div style="font-size: 13px; color: #6b7280;">Pick a country, or click it on the map above, to see how its index data has changed.</div>';
+  } else if (loading) {
+    body = '<div style="font-size: 13px; color: #6b7280;">Loading history…</div>';
+  } else if (error) {
+    body = `<div style="font-size: 13px; color: #b91c1c;">${escapeHtml(error)}</div>`;
+  } else if (safeEntries.length === 0) {
+    body = '<div style="font-size: 13px; color: #6b7280;">No recorded changes for this country.</div>';
+  } else {
+    body = `
+      <div style="max-height: 320px; overflow-y: auto; border: 1px solid #e5e7eb; border-radius: 6px;">
+        <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+          <thead>
+            <tr style="background-color: #f9fafb; text-align: left;">
+              <th style="padding: 6px 8px;">When</th>
+              <th style="padding: 6px 8px;">Dataset</th>
+              <th style="padding: 6px 8px;">Field</th>
+              <th style="padding: 6px 8px; text-align: right;">Old</th>
+              <th style="padding: 6px 8px; text-align: right;">New</th>
+              <th style="padding: 6px 8px;">Change</th>
+              <th style="padding: 6px 8px;">By</th>
+              <th style="padding: 6px 8px;">Source</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${safeEntries.map(entry => `
+              <tr style="border-top: 1px solid #f3f4f6;">
+                <td style="padding: 6px 8px; white-space: nowrap;">${escapeHtml(formatDate(entry.changedAt))}</td>
+                <td style="padding: 6px 8px;">${escapeHtml(entry.dataset)}</td>
+                <td style="padding: 6px 8px;">${escapeHtml(fieldLabels.get(entry.field) || entry.field)}</td>
+                <td style="padding: 6px 8px; text-align: right;">${formatValue(entry.oldValue)}</td>
+                <td style="padding: 6px 8px; text-align: right; font-weight: 600;">${formatValue(entry.newValue)}</td>
+                <td style="padding: 6px 8px;">${escapeHtml(actionLabels[entry.action] || entry.action)}</td>
+                <td style="padding: 6px 8px;">${escapeHtml(entry.changedBy)}</td>
+                <td style="padding: 6px 8px; color: #6b7280;">${escapeHtml(entry.source || '')}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  container.innerHTML = `
+    <div class="country-history-panel" style="background: white; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);">
+      <h2 style="font-size: 20px; font-weight: bold; color: #1f2937; margin: 0 0 8px 0;">Index Data History</h2>
+      <p style="font-size: 13px; color: #6b7280; margin: 0 0 16px 0; line-height: 1.5;">
+        Every import, correction and rollback of a country's index scores is logged with who made it and the file it came from.
+      </p>
+      <select id="historyCountrySelect" style="padding: 8px 12px; border: 1px solid #d1d5db; border-radius: 6px; font-size: 14px; min-width: 220px; margin-bottom: 12px;">
+        <option value="">Select a country…</option>
+        ${safeCountries.map(country => `
+          <option value="${escapeHtml(country.isoCode)}" ${country.isoCode === isoCode ? 'selected' : ''}>${escapeHtml(country.name)}</option>
+        `).join('')}
+      </select>
+      ${body}
+    </div>
+  `;
+
+  const select = document.getElementById('historyCountrySelect');
+  if (select) {
+    select.addEventListener('change', () => {
+      if (onCountryChange) onCountryChange(select.value);
+    });
+  }
+}
+
+export function createDatasetComparisonPanel(containerId, {
+  datasets,
+  datasetVersion,
+  comparisonDataset,
+  datasetDeltas,
+  selectedCountries,
+  onDatasetChange,
+  onComparisonDatasetChange
+}) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const safeDatasets = Array.isArray(datasets) ? datasets : [];
+  const safeDeltas = Array.isArray(datasetDeltas) ? datasetDeltas : [];
+  const selectedSet = new Set(Array.isArray(selectedCountries) ? selectedCountries : []);
+  const comparisonOptions = safeDatasets.filter(version => version !== datasetVersion);
+  const initialRowLimit = 20;
+
+  // Indices one of the two versions has no scores for; every row shares the same set
+  const sampleChanges = safeDeltas.length > 0 ? safeDeltas[0].indexChanges : [];
+  const unavailableNotes = [
+    { version: comparisonDataset, labels: sampleChanges.filter(change => !change.availableInPrevious).map(change => change.label) },
+    { version: datasetVersion, labels: sampleChanges.filter(change => !change.availableInCurrent).map(change => change.label) }
+  ].filter(note => note.labels.length > 0);
+  let showAll = false;
+  let selectedOnly = false;
+
+  const formatDelta = value => {
+    if (!Number.isFinite(value)) return '—';
+    const rounded = Math.round(value * 10) / 10;
+    return `${rounded > 0 ? '+' : ''}${rounded.toFixed(1)}`;
+  };
+
+  // Higher scores mean higher risk, so increases are shown in red
+  const deltaColor = value => {
+    if (!Number.isFinite(value) || Math.abs(value) < 0.05) return '#6b7280';
+    return value > 0 ? '#dc2626' : '#16a34a';
+  };
+
+  container.innerHTML = `
+    <div class="dataset-comparison-panel" style="background: white; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);">
+      <h2 style="font-size: 20px; font-weight: bold; color: #1f2937; margin: 0 0 8px 0;">Index Data Versions</h2>
+      <p style="font-size: 13px; color: #6b7280; margin: 0 0 16px 0; line-height: 1.5;">
+        Choose which edition of the indices drives the analysis, and compare it with another edition to see why a country's risk moved under your current weightings.
+      </p>
+
+      <div style="display: flex; flex-wrap: wrap; gap: 16px; margin-bottom: 16px;">
+        <label style="display: flex; flex-direction: column; gap: 6px; font-size: 13px; font-weight: 600; color: #374151;">
+          Dataset in use
+          <select id="datasetVersionSelect" style="padding: 8px 12px; border: 1px solid #d1d5db; border-radius: 6px; font-size: 14px; min-width: 160px;">
+            ${safeDatasets.map(version => `
+              <option value="${version}" ${version === datasetVersion ? 'selected' : ''}>${version}</option>
+            `).join('')}
+          </select>
+        </label>
+        <label style="display: flex; flex-direction: column; gap: 6px; font-size: 13px; font-weight: 600; color: #374151;">
+          Compare with
+          <select id="comparisonDatasetSelect" style="padding: 8px 12px; border: 1px solid #d1d5db; border-radius: 6px; font-size: 14px; min-width: 160px;" ${comparisonOptions.length === 0 ? 'disabled' : ''}>
+            <option value="">${comparisonOptions.length === 0 ? 'No other versions available' : 'No comparison'}</option>
+            ${comparisonOptions.map(version => `
+              <option value="${version}" ${version === comparisonDataset ? 'selected' : ''}>${version}</option>
+            `).join('')}
+          </select>
+        </label>
       </div>
 
-      <div style="margin-bottom: 20px; padding: 16px; border-radius: 10px; border: 1px solid #bfdbfe; background: linear-gradient(135deg, #eff6ff 0%, #e0f2fe 100%);">
-        <h3 style="font-size: 15px; font-weight: 600; color: #1d4ed8; margin: 0 0 12px 0;">Click below to visit the sources of the index data</h3>
-        <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: 12px;">
-          ${indexSources.map(source => `
-            <a href="${source.url}" target="_blank" rel="noopener noreferrer"
-               style="display: flex; align-items: center; justify-content: space-between; gap: 8px; padding: 12px 14px; border-radius: 8px; background-color: rgba(255, 255, 255, 0.92); text-decoration: none; border: 1px solid rgba(59, 130, 246, 0.25); box-shadow: 0 4px 8px rgba(15, 23, 42, 0.08);">
-              <span style="font-size: 13px; font-weight: 600; color: #1d4ed8;">${source.name}</span>
-              <span aria-hidden="true" style="font-size: 14px; color: #1d4ed8;">↗</span>
-            </a>
-          `).join('')}
+      <div id="datasetDeltaControls" style="display: ${comparisonDataset ? 'flex' : 'none'}; flex-wrap: wrap; align-items: center; justify-content: space-between; gap: 12px; margin-bottom: 8px;">
+        <div style="font-size: 14px; font-weight: 600; color: #374151;">
+          Change in weighted risk score: ${datasetVersion || ''} vs ${comparisonDataset || ''}
         </div>
+        <label style="display: inline-flex; align-items: center; gap: 6px; font-size: 13px; color: #4b5563; ${selectedSet.size === 0 ? 'opacity: 0.5;' : ''}">
+          <input type="checkbox" id="datasetDeltaSelectedOnly" ${selectedSet.size === 0 ? 'disabled' : ''}>
+          Only countries selected in Panel 2
+        </label>
       </div>
-
-      <div id="weightsContainer" style="margin-bottom: 20px;"></div>
-
-      <div style="background-color: #f9fafb; border: 1px solid #e5e7eb; color: #374151; padding: 16px; border-radius: 8px;">
-        <div style="font-size: 14px; font-weight: 500;">Total Weighting: <span id="totalWeights">${localWeights.reduce((sum, w) => sum + w, 0)}</span>%</div>
-        <div style="font-size: 12px; color: #6b7280; margin-top: 4px;">Suggested range: 100% (but can exceed to reflect emphasis)</div>
+      ${comparisonDataset && unavailableNotes.length > 0 ? `
+        <div style="padding: 10px 12px; margin-bottom: 8px; background-color: #fffbeb; border: 1px solid #fde68a; border-radius: 6px; font-size: 12px; color: #92400e; line-height: 1.5;">
+          ${unavailableNotes.map(note => `
+            <div>Not available in ${note.version}: ${note.labels.join(', ')}. No changes can be shown for ${note.labels.length === 1 ? 'this index' : 'these indices'}, and ${note.version} scores are weighted over the remaining indices.</div>
+          `).join('')}
+        </div>
+      ` : ''}
+      <div id="datasetDeltaList"></div>
+      <div style="text-align: center; margin-top: 12px;">
+        <button id="datasetDeltaShowAll" style="display: none; padding: 8px 16px; background-color: #f3f4f6; color: #374151; border: 1px solid #d1d5db; border-radius: 6px; cursor: pointer; font-size: 13px; font-weight: 500;"></button>
       </div>
     </div>
   `;
 
-  const weightsContainer = document.getElementById('weightsContainer');
-  weightFactors.forEach((factor, index) => {
-    const weightValue = Number.isFinite(Number(localWeights[index])) ? Number(localWeights[index]) : 0;
-    const weightControl = document.createElement('div');
-    weightControl.style.cssText = 'margin-bottom: 16px; padding: 16px; border: 1px solid #e5e7eb; border-radius: 8px; background-color: #f9fafb;';
-    weightControl.innerHTML = `
-      <div style="display: flex; align-items: center; justify-content: space-between; gap: 12px; margin-bottom: 6px;">
-        <label style="display: block; font-size: 14px; font-weight: 600; color: #1f2937; margin: 0;">
-          ${factor.label}
-        </label>
-        <a href="${factor.url}" target="_blank" rel="noopener noreferrer"
-           style="font-size: 12px; color: #2563eb; font-weight: 600; text-decoration: none; display: inline-flex; align-items: center; gap: 4px;">
-          <span>${factor.sourceLabel}</span>
-          <span aria-hidden="true" style="font-size: 14px;">↗</span>
-        </a>
-      </div>
-      <div style="font-size: 12px; color: #6b7280; margin-bottom: 8px;">${factor.description}</div>
-       <div class="hrdd-slider-control hrdd-slider-control--stack-mobile hrdd-slider-control--with-input" style="display: flex; align-items: center; gap: 10px; flex-wrap: wrap;">
-        <div class="hrdd-slider-track" style="flex: 1 1 220px; min-width: min(220px, 100%); max-width: 100%; position: relative; display: flex; align-items: center;">
-          <input class="hrdd-slider-input" type="range" min="0" max="100" value="${weightValue}" id="weight_${index}" style="width: 100%; height: 8px; border-radius: 4px; background-color: #d1d5db;">
-        </div>
-        <div class="hrdd-slider-value-group" style="display: flex; align-items: center; gap: 8px;">
-          <input type="number" min="0" max="100" value="${weightValue}" id="weightNum_${index}" style="width: 64px; flex: 0 0 64px; padding: 6px 8px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 13px; text-align: center;">
-        </div>
-      </div>
-    `;
-    weightsContainer.appendChild(weightControl);
+  const list = document.getElementById('datasetDeltaList');
+  const showAllButton = document.getElementById('datasetDeltaShowAll');
 
-    const rangeInput = document.getElementById(`weight_${index}`);
-    const numberInput = document.getElementById(`weightNum_${index}`);
+  const renderDeltaRows = () => {
+    if (!list) return;
 
-    const defaultWeightValue = defaultWeights && Number.isFinite(defaultWeights[index])
-      ? defaultWeights[index]
-      : weightValue;
-    attachDefaultSliderMarker(rangeInput, defaultWeightValue);
+    if (!comparisonDataset) {
+      list.innerHTML = '';
+      if (showAllButton) showAllButton.style.display = 'none';
+      return;
+    }
 
-    const updateWeightValue = (value, options = {}) => {
-      const numeric = parseEditableNumber(value);
-      if (numeric === null) {
-        if (options.source === 'range') {
-          numberInput.value = `${localWeights[index]}`;
-        }
-        return;
-      }
+    const rows = selectedOnly ? safeDeltas.filter(entry => selectedSet.has(entry.isoCode)) : safeDeltas;
+    if (rows.length === 0) {
+      list.innerHTML = '<p style="color: #6b7280; font-style: italic; text-align: center; padding: 16px;">No countries to compare</p>';
+      if (showAllButton) showAllButton.style.display = 'none';
+      return;
+    }
 
-      const newValue = Math.max(0, Math.min(100, numeric));
-      localWeights[index] = newValue;
-      rangeInput.value = `${newValue}`;
+    const visibleRows = showAll ? rows : rows.slice(0, initialRowLimit);
+    list.innerHTML = visibleRows.map(entry => {
+      const currentColor = Number.isFinite(entry.currentScore) ? riskEngine.getRiskColor(entry.currentScore) : '#6b7280';
+      let statusNote = '';
+      if (entry.status === 'added') statusNote = `Not in ${comparisonDataset}`;
+      if (entry.status === 'removed') statusNote = `Not in ${datasetVersion}`;
+      const bandChanged = entry.currentBand && entry.previousBand && entry.currentBand !== entry.previousBand;
+
+      const indexDetails = entry.indexChanges.map(change => {
+        let unavailable = null;
+        if (change.availableInPrevious === false) unavailable = comparisonDataset;
+        else if (change.availableInCurrent === false) unavailable = datasetVersion;
+        return `
+          <div style="display: flex; justify-content: space-between; gap: 8px; font-size: 12px; color: #4b5563; padding: 2px 0;">
+            <span>${change.label}</span>
+            ${unavailable ? `
+              <span style="font-style: italic; color: #9ca3af;">Not available in ${unavailable}</span>
+            ` : `
+              <span>
+                ${change.previous !== null ? change.previous : '—'} → ${change.current !== null ? change.current : '—'}
+                <strong style="color: ${deltaColor(change.delta)}; margin-left: 6px;">${formatDelta(change.delta)}</strong>
+              </span>
+            `}
+          </div>
+        `;
+      }).join('');
 
-      const activeElement = typeof document !== 'undefined' ? document.activeElement : null;
-      const editing = options.source === 'number' && activeElement === numberInput;
-      const trimmedCurrent = typeof numberInput.value === 'string' ? numberInput.value.trim() : '';
+      return `
+        <details style="border-bottom: 1px solid #e5e7eb; padding: 10px 12px;">
+          <summary style="display: flex; justify-content: space-between; align-items: center; gap: 12px; cursor: pointer; list-style: none;">
+            <div style="flex: 1;">
+              <span style="font-weight: 500;">${entry.name}</span>
+              <span style="font-size: 12px; color: #6b7280; margin-left: 8px;">(${entry.isoCode})</span>
+              ${statusNote ? `<span style="font-size: 12px; color: #9ca3af; margin-left: 8px;">${statusNote}</span>` : ''}
+            </div>
+            <div style="display: flex; align-items: center; gap: 10px; font-size: 13px;">
+              <span style="color: #6b7280;">${Number.isFinite(entry.previousScore) ? entry.previousScore.toFixed(1) : '—'} → <span style="font-weight: 600; color: ${currentColor};">${Number.isFinite(entry.currentScore) ? entry.currentScore.toFixed(1) : '—'}</span></span>
+              <span style="font-weight: 700; min-width: 48px; text-align: right; color: ${deltaColor(entry.delta)};">${formatDelta(entry.delta)}</span>
+            </div>
+          </summary>
+          <div style="margin-top: 8px; padding: 8px 12px; background-color: #f9fafb; border-radius: 6px;">
+            ${bandChanged ? `<div style="font-size: 12px; font-weight: 600; color: #374151; margin-bottom: 6px;">Risk band: ${entry.previousBand} → ${entry.currentBand}</div>` : ''}
+            ${indexDetails}
+          </div>
+        </details>
+      `;
+    }).join('');
 
-      if (!editing || trimmedCurrent === '' || trimmedCurrent !== `${newValue}`) {
-        numberInput.value = `${newValue}`;
-      }
+    if (showAllButton) {
+      const hiddenCount = rows.length - initialRowLimit;
+      showAllButton.style.display = hiddenCount > 0 ? 'inline-block' : 'none';
+      showAllButton.textContent = showAll ? 'Show largest changes only' : `Show all ${rows.length} countries`;
+    }
+  };
 
-      updateWeights();
-    };
+  renderDeltaRows();
 
-    rangeInput.addEventListener('input', (e) => updateWeightValue(e.target.value, { source: 'range' }));
-    numberInput.addEventListener('input', (e) => updateWeightValue(e.target.value, { source: 'number' }));
-    numberInput.addEventListener('blur', () => {
-      if (numberInput.value.trim() === '') {
-        numberInput.value = `${localWeights[index]}`;
-        rangeInput.value = `${localWeights[index]}`;
-      } else {
-        updateWeightValue(numberInput.value, { source: 'number' });
-      }
+  const datasetSelect = document.getElementById('datasetVersionSelect');
+  if (datasetSelect && onDatasetChange) {
+    datasetSelect.addEventListener('change', (e) => onDatasetChange(e.target.value));
+  }
+
+  const comparisonSelect = document.getElementById('comparisonDatasetSelect');
+  if (comparisonSelect && onComparisonDatasetChange) {
+    comparisonSelect.addEventListener('change', (e) => onComparisonDatasetChange(e.target.value || null));
+  }
+
+  const selectedOnlyToggle = document.getElementById('datasetDeltaSelectedOnly');
+  if (selectedOnlyToggle) {
+    selectedOnlyToggle.addEventListener('change', (e) => {
+      selectedOnly = e.target.checked;
+      renderDeltaRows();
     });
-  });
+  }
 
-  const resetButton = document.getElementById('resetWeights');
-  resetButton.addEventListener('click', () => {
-    localWeights = [...riskEngine.defaultWeights];
-    localWeights.forEach((weight, index) => {
-      document.getElementById(`weight_${index}`).value = weight;
-      document.getElementById(`weightNum_${index}`).value = weight;
+  if (showAllButton) {
+    showAllButton.addEventListener('click', () => {
+      showAll = !showAll;
+      renderDeltaRows();
     });
-    updateWeights();
-  });
+  }
 }
 
-export function updateSelectedCountriesDisplay(selectedCountries, countries, countryVolumes, onCountrySelect, onVolumeChange) {
+export function updateSelectedCountriesDisplay(selectedCountries, countries, countryVolumes, onCountrySelect, onVolumeChange, sectorOptions = {}) {
   const container = document.getElementById('selectedCountries');
   if (!container) return;
 
@@ -2158,6 +3692,15 @@ export function updateSelectedCountriesDisplay(selectedCountries, countries, cou
 
   const safeCountries = Array.isArray(countries) ? countries : [];
   const safeVolumes = (countryVolumes && typeof countryVolumes === 'object') ? countryVolumes : {};
+  const { onSectorChange } = sectorOptions || {};
+  const safeSectors = Array.isArray(sectorOptions?.sectors) ? sectorOptions.sectors : [];
+  const safeCountrySectors = (sectorOptions?.countrySectors && typeof sectorOptions.countrySectors === 'object')
+    ? sectorOptions.countrySectors
+    : {};
+  const defaultSectorId = riskEngine.defaultSectorId;
+  const sectorLookup = new Map(safeSectors.map(sector => [sector.id, sector]));
+  const showSectors = typeof onSectorChange === 'function'
+    && safeSectors.some(sector => sector.id !== defaultSectorId);
 
   const clearButton = document.getElementById('clearSelectedCountriesButton');
   if (clearButton) {
@@ -2195,9 +3738,27 @@ export function updateSelectedCountriesDisplay(selectedCountries, countries, cou
     const volume = safeVolumes[countryCode] ?? 10;
     let currentVolume = Number.isFinite(Number(volume)) ? Number(volume) : 10;
 
+    const chosenSectors = Array.isArray(safeCountrySectors[countryCode])
+      ? safeCountrySectors[countryCode].filter(sectorId => sectorLookup.has(sectorId))
+      : [];
+    const availableSectors = safeSectors.filter(sector => !chosenSectors.includes(sector.id));
+    const sectorChips = chosenSectors.length > 0
+      ? chosenSectors.map(sectorId => {
+        const sector = sectorLookup.get(sectorId);
+        const modifier = riskEngine.getSectorModifier(sectorId, countryCode);
+        return `
+          <span style="display: inline-flex; align-items: center; gap: 6px; font-size: 12px; color: #1e3a8a; background-color: #dbeafe; padding: 3px 8px; border-radius: 999px;">
+            ${sector.name} <span style="color: #475569;">×${modifier.toFixed(2)}</span>
+            <button type="button" data-remove-sector="${sectorId}" aria-label="Remove ${sector.name}"
+                    style="border: none; background: none; color: #1e3a8a; cursor: pointer; font-size: 13px; line-height: 1; padding: 0;">×</button>
+          </span>
+        `;
+      }).join('')
+      : `<span style="font-size: 12px; color: #6b7280;">${sectorLookup.get(defaultSectorId)?.name || 'General'} (no sector adjustment)</span>`;
+
      const countryItem = document.createElement('div');
     countryItem.style.cssText = `
-      display: flex; align-items: center; justify-content: space-between; padding: 16px;
+      display: flex; align-items: center; justify-content: space-between; flex-wrap: wrap; gap: 12px; padding: 16px;
       ${index > 0 ? 'border-top: 1px solid #e5e7eb;' : ''}
       background-color: ${index % 2 === 0 ? '#ffffff' : '#f9fafb'};
     `;
@@ -2211,6 +3772,13 @@ export function updateSelectedCountriesDisplay(selectedCountries, countries, cou
         <div style="width: 8px; height: 8px; border-radius: 50%; background-color: #22c55e;"></div>
         <span style="font-weight: 500; color: #1f2937;">${country?.name || countryCode}</span>
         <span style="font-size: 12px; color: #6b7280; background-color: #f3f4f6; padding: 2px 6px; border-radius: 3px;">${countryCode}</span>
+        ${country?.parentIsoCode ? `
+          <span style="font-size: 11px; color: #92400e; background-color: #fef3c7; padding: 2px 6px; border-radius: 3px;">
+            ${country.regionType || 'Region'} · ${Array.isArray(country.overrides) && country.overrides.length > 0
+              ? `${country.overrides.length} regional score${country.overrides.length === 1 ? '' : 's'}, rest national`
+              : 'national scores'}
+          </span>
+        ` : ''}
       </div>
       <div style="display: flex; align-items: center; gap: 12px;">
         <div style="display: flex; align-items: center; gap: 6px;">
@@ -2223,10 +3791,40 @@ export function updateSelectedCountriesDisplay(selectedCountries, countries, cou
           Remove
         </button>
       </div>
+      ${showSectors ? `
+        <div id="sectors_${countryCode}" style="flex-basis: 100%; display: flex; align-items: center; gap: 8px; flex-wrap: wrap; padding-left: 20px;">
+          <span style="font-size: 13px; color: #6b7280; font-weight: 500;">Sectors:</span>
+          ${sectorChips}
+          ${availableSectors.length > 0 ? `
+            <select data-add-sector="${countryCode}" style="padding: 4px 8px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 12px; background-color: white;">
+              <option value="">Add sector...</option>
+              ${availableSectors.map(sector => `<option value="${sector.id}">${sector.name}</option>`).join('')}
+            </select>
+          ` : ''}
+        </div>
+      ` : ''}
     `;
 
     countryList.appendChild(countryItem);
 
+    if (showSectors) {
+      const addSectorSelect = countryItem.querySelector('[data-add-sector]');
+      if (addSectorSelect) {
+        addSectorSelect.addEventListener('change', (e) => {
+          if (e.target.value) {
+            onSectorChange(countryCode, [...chosenSectors, e.target.value]);
+          }
+        });
+      }
+
+      countryItem.querySelectorAll('[data-remove-sector]').forEach(button => {
+        button.addEventListener('click', () => {
+          const sectorId = button.getAttribute('data-remove-sector');
+          onSectorChange(countryCode, chosenSectors.filter(id => id !== sectorId));
+        });
+      });
+    }
+
     // **FIX: Add event listeners after DOM insertion**
     const volumeInput = document.getElementById(`volume_${countryCode}`);
     const removeButton = document.getElementById(`remove_${countryCode}`);
@@ -2366,7 +3964,8 @@ export function createCostAnalysisPanel(containerId, options) {
     onSocialAuditCostReductionChange,
      shouldAutoRunOptimization = false,
     lastOptimizationResult = null,
-    isGeneratingReport = false
+    isGeneratingReport = false,
+    countryToolCoverage = null
   } = options;
 
   const mobile = isMobileView();
@@ -2376,6 +3975,11 @@ export function createCostAnalysisPanel(containerId, options) {
   const enforceSocialAuditConstraint = Boolean(socialAuditConstraintEnabled);
   const socialAuditReduction = Math.max(0, Math.min(100, parseFloat(socialAuditCostReduction) || 0));
 
+  // Per-country overrides change what is actually deployed, so cost the effective coverage
+  const costedStrategy = riskEngine.calculateEffectiveToolCoverage(
+    selectedCountries, countryVolumes, countryRisks, hrddStrategy, countryToolCoverage
+  );
+
   // Calculate current budget and effectiveness
    const budgetData = riskEngine.calculateBudgetAnalysis(
     supplierCount,
@@ -2384,7 +3988,7 @@ export function createCostAnalysisPanel(containerId, options) {
     toolPerSupplierCosts,
     toolInternalHours,
     toolRemedyInternalHours,
-    hrddStrategy,
+    costedStrategy,
     transparencyEffectiveness,
     responsivenessStrategy,
     responsivenessEffectiveness,
@@ -2502,11 +4106,12 @@ export function createCostAnalysisPanel(containerId, options) {
   const costPerSupplier = sanitizedSupplierCount > 0
     ? Math.round(totalBudget / sanitizedSupplierCount)
     : 0;
-  let optimization = null;
+  const optimization = lastOptimizationResult && typeof lastOptimizationResult === 'object'
+    ? lastOptimizationResult
+    : null;
   if (shouldAutoRunOptimization && typeof optimizeBudgetAllocation === 'function') {
-    optimization = optimizeBudgetAllocation();
-  } else if (lastOptimizationResult && typeof lastOptimizationResult === 'object') {
-    optimization = lastOptimizationResult;
+    // Runs in the compute worker; the controller re-renders this panel when the result arrives
+    optimizeBudgetAllocation();
   }
 
   const getOptimizedRiskMap = (result) => {
@@ -2854,7 +4459,8 @@ export function createCostAnalysisPanel(containerId, options) {
           transparencyEffectiveness,
           responsivenessStrategy,
           responsivenessEffectiveness,
-          focus
+          focus,
+          countryToolCoverage
          )}
        </div>
       </div>
@@ -3050,6 +4656,559 @@ const updateRiskSummaryValues = (baseline, managed, optimized) => {
   });
 }
 
+// Panel 6 optimiser run log: seed for the next run, recorded runs with replay and export
+export function createOptimizationRunLogPanel(containerId, {
+  runs = [],
+  seed = null,
+  currentInputsHash = null,
+  replay = null,
+  onSeedChange,
+  onReplay,
+  onExport
+}) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const formatScore = value => (Number.isFinite(value) ? value.toFixed(1) : '—');
+  const formatDate = value => {
+    try {
+      return new Date(value).toLocaleString();
+    } catch (error) {
+      return value || '—';
+    }
+  };
+
+  // Best fitness against evaluation count, as a small inline chart
+  const renderSparkline = trajectory => {
+    if (!Array.isArray(trajectory) || trajectory.length < 2) return '';
+    const width = 90;
+    const height = 24;
+    const maxEvaluation = Math.max(...trajectory.map(entry => entry.evaluation), 1);
+    const fitness = trajectory.map(entry => entry.fitness);
+    const top = Math.max(...fitness);
+    const bottom = Math.min(...fitness);
+    const span = top - bottom || 1;
+    const points = trajectory.map(entry => {
+      const x = (entry.evaluation / maxEvaluation) * width;
+      const y = ((top - entry.fitness) / span) * (height - 4) + 2;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+    points.push(`${width},${points[points.length - 1].split(',')[1]}`);
+    return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" style="vertical-align: middle;"><polyline points="${points.join(' ')}" fill="none" stroke="#2563eb" stroke-width="1.5"/></svg>`;
+  };
+
+  const replayHtml = run => {
+    if (!replay || replay.runId !== run.id) return '';
+    if (replay.error) {
+      return `<div style="font-size: 12px; color: #b91c1c; margin-top: 4px;">${escapeHtml(replay.error)}</div>`;
+    }
+    if (replay.matches) {
+      return `<div style="font-size: 12px; color: #166534; margin-top: 4px;">Replayed exactly: same allocation, trajectory and ${replay.evaluations.toLocaleString()} evaluations.</div>`;
+    }
+    const differences = [
+      replay.inputsMatch ? null : 'stored inputs no longer match their hash',
+      replay.allocationMatches ? null : 'allocation differs',
+      replay.trajectoryMatches ? null : 'fitness trajectory differs',
+      replay.evaluationsMatch ? null : `${replay.evaluations.toLocaleString()} evaluations`
+    ].filter(Boolean);
+    return `<div style="font-size: 12px; color: #b45309; margin-top: 4px;">Replay did not match: ${escapeHtml(differences.join(', '))}. Managed risk ${formatScore(replay.outcome?.optimizedManagedRisk)}.</div>`;
+  };
+
+  const buttonStyle = 'padding: 4px 10px; font-size: 12px; background: white; border: 1px solid #d1d5db; border-radius: 4px; cursor: pointer; color: #374151;';
+  const rowsHtml = runs.map(run => `
+    <tr style="border-bottom: 1px solid #f3f4f6; vertical-align: top;">
+      <td style="padding: 8px; color: #1f2937;">
+        ${escapeHtml(formatDate(run.createdAt))}
+        ${replayHtml(run)}
+      </td>
+      <td style="padding: 8px; font-family: monospace;">${run.seed}</td>
+      <td style="padding: 8px; font-family: monospace;">
+        ${escapeHtml(run.inputsHash)}
+        ${run.inputsHash === currentInputsHash ? '<div style="font-family: inherit; font-size: 11px; color: #166534;">current settings</div>' : ''}
+      </td>
+      <td style="padding: 8px; text-align: right;">${Number.isFinite(run.evaluations) ? run.evaluations.toLocaleString() : '—'}</td>
+      <td style="padding: 8px; text-align: right; white-space: nowrap;">${formatScore(run.outcome?.currentManagedRisk)} → <strong>${formatScore(run.outcome?.optimizedManagedRisk)}</strong></td>
+      <td style="padding: 8px;">${renderSparkline(run.fitnessTrajectory)}</td>
+      <td style="padding: 8px; font-size: 12px; color: #4b5563;">${escapeHtml((run.algorithmsUsed || []).join(', '))}</td>
+      <td style="padding: 8px; text-align: right; white-space: nowrap;">
+        <button type="button" data-replay-run="${escapeHtml(run.id)}" style="${buttonStyle}">Replay</button>
+        <button type="button" data-export-run="${escapeHtml(run.id)}" style="${buttonStyle}">Export log</button>
+      </td>
+    </tr>
+  `).join('');
+
+  container.innerHTML = `
+    <div class="optimization-run-log-panel" style="background: white; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);">
+      <h2 style="font-size: 20px; font-weight: bold; margin: 0 0 8px 0; color: #1f2937;">Optimiser Run Log</h2>
+      <p style="font-size: 13px; color: #4b5563; margin: 0 0 12px 0; line-height: 1.5;">
+        Each optimiser run is recorded with a fingerprint of its inputs, the random seed behind its perturbation phase,
+        the number of tool mixes evaluated and how the best result improved. Replay re-runs a record from its stored
+        inputs to confirm it reaches the same answer.
+      </p>
+      <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 8px; margin-bottom: 16px;">
+        <label for="optimizationSeedInput" style="font-size: 13px; color: #374151;">Seed for the next run</label>
+        <input type="number" id="optimizationSeedInput" min="0" step="1" value="${Number.isFinite(seed) ? seed : ''}" placeholder="Random"
+               style="width: 140px; padding: 4px 8px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 13px;">
+        <span style="font-size: 12px; color: #6b7280;">Leave blank for a new random seed each run.</span>
+      </div>
+      ${runs.length > 0 ? `
+        <div style="overflow-x: auto;">
+          <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+            <thead>
+              <tr style="color: #6b7280; text-align: left;">
+                <th style="padding: 6px 8px; border-bottom: 2px solid #e5e7eb;">Run</th>
+                <th style="padding: 6px 8px; border-bottom: 2px solid #e5e7eb;">Seed</th>
+                <th style="padding: 6px 8px; border-bottom: 2px solid #e5e7eb;">Inputs hash</th>
+                <th style="padding: 6px 8px; border-bottom: 2px solid #e5e7eb; text-align: right;">Evaluations</th>
+                <th style="padding: 6px 8px; border-bottom: 2px solid #e5e7eb; text-align: right;">Managed risk</th>
+                <th style="padding: 6px 8px; border-bottom: 2px solid #e5e7eb;">Best fitness</th>
+                <th style="padding: 6px 8px; border-bottom: 2px solid #e5e7eb;">Algorithms</th>
+                <th style="padding: 6px 8px; border-bottom: 2px solid #e5e7eb;"></th>
+              </tr>
+            </thead>
+            <tbody>${rowsHtml}</tbody>
+          </table>
+        </div>
+      ` : '<p style="font-size: 13px; color: #6b7280; margin: 0;">No optimiser runs recorded yet. Run the optimisation above to add one.</p>'}
+    </div>
+  `;
+
+  const seedInput = document.getElementById('optimizationSeedInput');
+  if (seedInput && onSeedChange) {
+    seedInput.addEventListener('change', event => onSeedChange(event.target.value));
+  }
+
+  container.querySelectorAll('[data-replay-run]').forEach(button => {
+    button.addEventListener('click', () => onReplay && onReplay(button.getAttribute('data-replay-run')));
+  });
+  container.querySelectorAll('[data-export-run]').forEach(button => {
+    button.addEventListener('click', () => onExport && onExport(button.getAttribute('data-export-run')));
+  });
+}
+
+// Panel 6 cost–risk frontier: optimised managed risk at several multiples of current spend
+export function createCostRiskFrontierPanel(containerId, {
+  frontier = null,
+  isStale = false,
+  hasSelection = true,
+  onRun
+}) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const formatScore = value => (Number.isFinite(value) ? value.toFixed(1) : '—');
+  const formatCurrency = value => (Number.isFinite(value) ? `$${Math.round(value).toLocaleString()}` : '—');
+  const formatChange = value => (Number.isFinite(value)
+    ? `${value > 0 ? '+' : value < 0 ? '−' : ''}${Math.abs(value).toFixed(1)}`
+    : '—');
+  const points = Array.isArray(frontier?.points) ? frontier.points : [];
+
+  const renderChart = selectedIndex => {
+    const width = 640;
+    const height = 280;
+    const margin = { top: 16, right: 24, bottom: 44, left: 56 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+
+    const budgets = [...points.map(point => point.budget), frontier.current.budget];
+    const risks = [...points.map(point => point.managedRisk), frontier.current.managedRisk];
+    const minBudget = Math.min(...budgets) * 0.9;
+    const maxBudget = Math.max(...budgets) * 1.05;
+    const minRisk = Math.max(0, Math.floor(Math.min(...risks) - 2));
+    const maxRisk = Math.min(100, Math.ceil(Math.max(...risks) + 2));
+    const x = value => margin.left + ((value - minBudget) / Math.max(1, maxBudget - minBudget)) * plotWidth;
+    const y = value => margin.top + (1 - (value - minRisk) / Math.max(1, maxRisk - minRisk)) * plotHeight;
+
+    const frontierLine = points
+      .filter(point => !point.dominated)
+      .map(point => `${x(point.budget).toFixed(1)},${y(point.managedRisk).toFixed(1)}`)
+      .join(' ');
+    const xTicks = Array.from({ length: 5 }, (_, i) => minBudget + (maxBudget - minBudget) * (i / 4));
+    const yTicks = Array.from({ length: 5 }, (_, i) => minRisk + (maxRisk - minRisk) * (i / 4));
+    const currentX = x(frontier.current.budget);
+    const currentY = y(frontier.current.managedRisk);
+
+    return `
+      <svg viewBox="0 0 ${width} ${height}" style="width: 100%; max-width: ${width}px; height: auto; display: block;" role="img" aria-label="Managed risk by annual budget">
+        ${yTicks.map(tick => `
+          <line x1="${margin.left}" x2="${width - margin.right}" y1="${y(tick)}" y2="${y(tick)}" stroke="#f3f4f6"></line>
+          <text x="${margin.left - 8}" y="${y(tick) + 4}" text-anchor="end" font-size="11" fill="#6b7280">${tick.toFixed(0)}</text>
+        `).join('')}
+        ${xTicks.map(tick => `
+          <text x="${x(tick)}" y="${height - margin.bottom + 18}" text-anchor="middle" font-size="11" fill="#6b7280">$${Math.round(tick / 1000).toLocaleString()}k</text>
+        `).join('')}
+        <line x1="${margin.left}" x2="${width - margin.right}" y1="${height - margin.bottom}" y2="${height - margin.bottom}" stroke="#9ca3af"></line>
+        <line x1="${margin.left}" x2="${margin.left}" y1="${margin.top}" y2="${height - margin.bottom}" stroke="#9ca3af"></line>
+        <text x="${margin.left + plotWidth / 2}" y="${height - 6}" text-anchor="middle" font-size="12" fill="#374151">Annual budget</text>
+        <text x="14" y="${margin.top + plotHeight / 2}" text-anchor="middle" font-size="12" fill="#374151" transform="rotate(-90 14 ${margin.top + plotHeight / 2})">Managed risk</text>
+        ${frontierLine ? `<polyline points="${frontierLine}" fill="none" stroke="#2563eb" stroke-width="2"></polyline>` : ''}
+        <path d="M ${currentX} ${currentY - 8} L ${currentX + 8} ${currentY} L ${currentX} ${currentY + 8} L ${currentX - 8} ${currentY} Z" fill="#f59e0b" stroke="#92400e" stroke-width="1">
+          <title>Current plan: ${formatCurrency(frontier.current.budget)}, managed risk ${formatScore(frontier.current.managedRisk)}</title>
+        </path>
+        ${points.map((point, index) => `
+          <g data-frontier-index="${index}" style="cursor: pointer;">
+            <circle cx="${x(point.budget)}" cy="${y(point.managedRisk)}" r="${index === selectedIndex ? 9 : 7}"
+                    fill="${point.dominated ? '#e5e7eb' : riskEngine.getRiskColor(point.managedRisk)}"
+                    stroke="${index === selectedIndex ? '#1f2937' : 'white'}" stroke-width="2"></circle>
+            <text x="${x(point.budget)}" y="${y(point.managedRisk) - 13}" text-anchor="middle" font-size="11" fill="#374151">${Math.round(point.level * 100)}%</text>
+            <title>${Math.round(point.level * 100)}% of current spend: ${formatCurrency(point.budget)}, managed risk ${formatScore(point.managedRisk)}</title>
+          </g>
+        `).join('')}
+      </svg>
+      <div style="display: flex; gap: 16px; flex-wrap: wrap; font-size: 12px; color: #6b7280; margin-top: 6px;">
+        <span><span style="display: inline-block; width: 10px; height: 10px; background-color: #f59e0b; transform: rotate(45deg); margin-right: 6px;"></span>Current plan</span>
+        <span><span style="display: inline-block; width: 10px; height: 10px; border-radius: 50%; background-color: #2563eb; margin-right: 6px;"></span>Optimised mix at that budget</span>
+        <span><span style="display: inline-block; width: 10px; height: 10px; border-radius: 50%; background-color: #e5e7eb; margin-right: 6px;"></span>Beaten by a cheaper point</span>
+      </div>
+    `;
+  };
+
+  const renderPointDetail = point => `
+    <div style="display: flex; gap: 12px; flex-wrap: wrap; margin: 16px 0 12px 0;">
+      <div style="flex: 1; min-width: 160px; padding: 12px 14px; border: 1px solid #e5e7eb; border-radius: 8px; background-color: #f9fafb;">
+        <div style="font-size: 12px; color: #6b7280;">${Math.round(point.level * 100)}% of current spend</div>
+        <div style="font-size: 20px; font-weight: 700; color: #1f2937;">${formatCurrency(point.budget)}</div>
+        <div style="font-size: 12px; color: #374151;">Target ${formatCurrency(point.targetBudget)}${point.budgetReached ? '' : ' · not reachable with the coverage constraints'}</div>
+      </div>
+      <div style="flex: 1; min-width: 160px; padding: 12px 14px; border: 1px solid #e5e7eb; border-radius: 8px; background-color: #f9fafb;">
+        <div style="font-size: 12px; color: #6b7280;">Managed risk</div>
+        <div style="font-size: 20px; font-weight: 700; color: ${riskEngine.getRiskColor(point.managedRisk)};">${formatScore(point.managedRisk)}</div>
+        <div style="font-size: 12px; color: #374151;">Current plan ${formatScore(frontier.current.managedRisk)} · ${formatScore(point.riskReduction)}% reduction from baseline</div>
+      </div>
+    </div>
+    ${point.dominated ? '<p style="font-size: 12px; color: #92400e; margin: 0 0 8px 0;">A cheaper point on this chart reaches a lower managed risk, so spending at this level is not efficient.</p>' : ''}
+    <div style="overflow-x: auto;">
+      <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+        <thead>
+          <tr style="color: #6b7280; text-align: left;">
+            <th style="padding: 6px 8px; border-bottom: 2px solid #e5e7eb;">Tool</th>
+            <th style="padding: 6px 8px; border-bottom: 2px solid #e5e7eb; text-align: right;">Current coverage</th>
+            <th style="padding: 6px 8px; border-bottom: 2px solid #e5e7eb; text-align: right;">Coverage at this budget</th>
+            <th style="padding: 6px 8px; border-bottom: 2px solid #e5e7eb; text-align: right;">Change</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${point.toolChanges.map(change => `
+            <tr style="border-bottom: 1px solid #f3f4f6;">
+              <td style="padding: 6px 8px; color: #1f2937;">${escapeHtml(change.tool)}</td>
+              <td style="padding: 6px 8px; text-align: right;">${formatScore(change.current)}%</td>
+              <td style="padding: 6px 8px; text-align: right; font-weight: 600;">${formatScore(change.optimized)}%</td>
+              <td style="padding: 6px 8px; text-align: right; color: ${change.change > 0 ? '#b45309' : change.change < 0 ? '#15803d' : '#6b7280'};">${formatChange(change.change)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+
+  let bodyHtml = '';
+  if (frontier && points.length > 0) {
+    bodyHtml = `
+      <div id="${containerId}-chart"></div>
+      <div id="${containerId}-detail"></div>
+    `;
+  } else if (isStale) {
+    bodyHtml = '<div style="font-size: 13px; color: #92400e; background-color: #fef3c7; padding: 10px 12px; border-radius: 6px;">Costs, strategy or countries have changed since the frontier was calculated. Run it again.</div>';
+  }
+
+  container.innerHTML = `
+    <div class="cost-risk-frontier-panel" style="background: white; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);">
+      <h2 style="font-size: 20px; font-weight: bold; margin: 0 0 8px 0; color: #1f2937;">Cost–Risk Frontier</h2>
+      <p style="font-size: 13px; color: #4b5563; margin: 0 0 12px 0; line-height: 1.5;">
+        The optimiser is run at 50%, 75%, 100%, 150% and 200% of the current annual spend to show the lowest managed risk
+        each budget can buy. The diamond marks your current plan. Click a point to see the tool coverage behind it.
+      </p>
+      <div style="margin-bottom: 16px;">
+        <button type="button" id="costRiskFrontierRunButton" ${hasSelection ? '' : 'disabled'}
+                style="padding: 8px 14px; background-color: ${hasSelection ? '#2563eb' : '#bfdbfe'}; color: white; border: none; border-radius: 6px; cursor: ${hasSelection ? 'pointer' : 'not-allowed'}; font-size: 13px; font-weight: 600;">
+          ${frontier ? 'Recalculate frontier' : 'Calculate frontier'}
+        </button>
+      </div>
+      ${bodyHtml}
+    </div>
+  `;
+
+  const runButton = document.getElementById('costRiskFrontierRunButton');
+  if (runButton && onRun) {
+    runButton.addEventListener('click', () => onRun());
+  }
+
+  if (!frontier || points.length === 0) return;
+
+  const chartContainer = document.getElementById(`${containerId}-chart`);
+  const detailContainer = document.getElementById(`${containerId}-detail`);
+  const selectPoint = index => {
+    if (chartContainer) {
+      chartContainer.innerHTML = renderChart(index);
+      chartContainer.querySelectorAll('[data-frontier-index]').forEach(node => {
+        node.addEventListener('click', () => selectPoint(Number(node.getAttribute('data-frontier-index'))));
+      });
+    }
+    if (detailContainer) {
+      detailContainer.innerHTML = renderPointDetail(points[index]);
+    }
+  };
+
+  const currentLevelIndex = points.findIndex(point => point.level === 1);
+  selectPoint(currentLevelIndex >= 0 ? currentLevelIndex : 0);
+}
+
+// Panel 6 per-country optimal mix: a separate tool vector for each risk band or country at today's spend
+export function createCountryAllocationPanel(containerId, {
+  mode = 'band',
+  result = null,
+  isStale = false,
+  hasSelection = true,
+  countries = [],
+  onModeChange,
+  onRun,
+  onApply
+}) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const labels = riskEngine.hrddStrategyLabels;
+  const formatScore = value => (Number.isFinite(value) ? value.toFixed(1) : '—');
+  const formatCurrency = value => (Number.isFinite(value) ? `$${Math.round(value).toLocaleString()}` : '—');
+  const nameOf = code => countries.find(country => country.isoCode === code)?.name || code;
+  const groupLabel = group => (result.mode === 'country' ? nameOf(group.key) : group.label);
+
+  let bodyHtml = '';
+  if (result) {
+    const cell = (current, optimized) => {
+      const change = optimized - current;
+      const color = change > 0.5 ? '#b45309' : change < -0.5 ? '#15803d' : '#1f2937';
+      return `
+        <td style="padding: 6px 4px; text-align: right; border-bottom: 1px solid #f3f4f6;">
+          <span style="font-weight: 600; color: ${color};">${Math.round(optimized)}%</span>
+          <div style="font-size: 10px; color: #9ca3af;">was ${Math.round(current)}%</div>
+        </td>
+      `;
+    };
+
+    bodyHtml = `
+      <div style="display: flex; gap: 12px; flex-wrap: wrap; margin-bottom: 12px;">
+        <div style="flex: 1; min-width: 160px; padding: 12px 14px; border: 1px solid #e5e7eb; border-radius: 8px; background-color: #f9fafb;">
+          <div style="font-size: 12px; color: #6b7280;">Managed risk</div>
+          <div style="font-size: 20px; font-weight: 700; color: ${riskEngine.getRiskColor(result.optimizedManagedRisk)};">${formatScore(result.optimizedManagedRisk)}</div>
+          <div style="font-size: 12px; color: #374151;">Current plan ${formatScore(result.currentManagedRisk)}</div>
+        </div>
+        <div style="flex: 1; min-width: 160px; padding: 12px 14px; border: 1px solid #e5e7eb; border-radius: 8px; background-color: #f9fafb;">
+          <div style="font-size: 12px; color: #6b7280;">Annual cost</div>
+          <div style="font-size: 20px; font-weight: 700; color: #1f2937;">${formatCurrency(result.optimizedCost)}</div>
+          <div style="font-size: 12px; color: #374151;">Current plan ${formatCurrency(result.budget)}</div>
+        </div>
+      </div>
+      <p style="font-size: 13px; color: ${result.improved ? '#166534' : '#92400e'}; margin: 0 0 12px 0; line-height: 1.5;">${escapeHtml(result.insight)}</p>
+      ${result.evaluationLimitReached ? '<p style="font-size: 12px; color: #6b7280; margin: 0 0 12px 0;">The search stopped at its evaluation limit, so a slightly better mix may exist.</p>' : ''}
+      <div style="overflow-x: auto;">
+        <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+          <thead>
+            <tr style="color: #6b7280; text-align: right;">
+              <th style="padding: 6px 4px; border-bottom: 2px solid #e5e7eb; text-align: left;">${result.mode === 'country' ? 'Country' : 'Risk band'}</th>
+              <th style="padding: 6px 4px; border-bottom: 2px solid #e5e7eb;">Share</th>
+              ${labels.map(label => `<th style="padding: 6px 4px; border-bottom: 2px solid #e5e7eb; font-weight: 600;">${escapeHtml(label)}</th>`).join('')}
+              <th style="padding: 6px 4px; border-bottom: 2px solid #e5e7eb;">Managed risk</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${result.groups.map(group => `
+              <tr>
+                <td style="padding: 6px 4px; border-bottom: 1px solid #f3f4f6; color: #1f2937;">
+                  <strong>${escapeHtml(groupLabel(group))}</strong>
+                  ${result.mode === 'band' ? `<div style="font-size: 11px; color: #6b7280;">${group.countries.length} ${group.countries.length === 1 ? 'country' : 'countries'}</div>` : ''}
+                </td>
+                <td style="padding: 6px 4px; text-align: right; border-bottom: 1px solid #f3f4f6;">${Math.round(group.share * 100)}%</td>
+                ${group.optimized.map((value, toolIndex) => cell(group.current[toolIndex], value)).join('')}
+                <td style="padding: 6px 4px; text-align: right; border-bottom: 1px solid #f3f4f6;">
+                  <span style="font-weight: 600; color: ${riskEngine.getRiskColor(group.optimizedManagedRisk)};">${formatScore(group.optimizedManagedRisk)}</span>
+                  <div style="font-size: 10px; color: #9ca3af;">was ${formatScore(group.currentManagedRisk)}</div>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      ${result.improved ? `
+        <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 12px; margin-top: 16px;">
+          <button type="button" id="countryAllocationApplyButton"
+                  style="padding: 8px 14px; background-color: #16a34a; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 13px; font-weight: 600;">
+            Apply this mix
+          </button>
+          <span style="font-size: 12px; color: #6b7280;">Replaces any coverage overrides set in Panel 3.</span>
+        </div>
+      ` : ''}
+    `;
+  } else if (isStale) {
+    bodyHtml = '<div style="font-size: 13px; color: #92400e; background-color: #fef3c7; padding: 10px 12px; border-radius: 6px;">Costs, strategy or countries have changed since the mix was calculated. Run it again.</div>';
+  }
+
+  container.innerHTML = `
+    <div class="country-allocation-panel" style="background: white; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);">
+      <h2 style="font-size: 20px; font-weight: bold; margin: 0 0 8px 0; color: #1f2937;">Optimal Mix by ${mode === 'country' ? 'Country' : 'Risk Band'}</h2>
+      <p style="font-size: 13px; color: #4b5563; margin: 0 0 12px 0; line-height: 1.5;">
+        The optimiser above changes one set of coverage percentages for the whole portfolio. This search gives each
+        ${mode === 'country' ? 'country' : 'risk band'} its own tool mix, keeping the annual spend where it is today.
+      </p>
+      <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 12px; margin-bottom: 16px;">
+        <label style="font-size: 13px; color: #374151;">
+          Optimise by
+          <select id="countryAllocationModeSelect" style="margin-left: 6px; padding: 4px 8px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 13px;">
+            <option value="band" ${mode === 'band' ? 'selected' : ''}>Risk band</option>
+            <option value="country" ${mode === 'country' ? 'selected' : ''}>Country</option>
+          </select>
+        </label>
+        <button type="button" id="countryAllocationRunButton" ${hasSelection ? '' : 'disabled'}
+                style="padding: 8px 14px; background-color: ${hasSelection ? '#2563eb' : '#bfdbfe'}; color: white; border: none; border-radius: 6px; cursor: ${hasSelection ? 'pointer' : 'not-allowed'}; font-size: 13px; font-weight: 600;">
+          ${result ? 'Recalculate mix' : 'Find optimal mix'}
+        </button>
+      </div>
+      ${bodyHtml}
+    </div>
+  `;
+
+  const modeSelect = document.getElementById('countryAllocationModeSelect');
+  if (modeSelect && onModeChange) {
+    modeSelect.addEventListener('change', event => onModeChange(event.target.value));
+  }
+
+  const runButton = document.getElementById('countryAllocationRunButton');
+  if (runButton && onRun) {
+    runButton.addEventListener('click', () => onRun());
+  }
+
+  const applyButton = document.getElementById('countryAllocationApplyButton');
+  if (applyButton && onApply) {
+    applyButton.addEventListener('click', () => onApply());
+  }
+}
+
+// Panel 6 goal-seek: cheapest tool coverage that reaches a target managed risk
+export function createGoalSeekPanel(containerId, {
+  target = null,
+  result = null,
+  isStale = false,
+  baselineRisk,
+  managedRisk,
+  hasSelection = true,
+  saqConstraintEnabled = false,
+  socialAuditConstraintEnabled = false,
+  onRun,
+  onApply
+}) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const formatScore = value => (Number.isFinite(value) ? value.toFixed(1) : '—');
+  const formatCurrency = value => (Number.isFinite(value) ? `$${Math.round(value).toLocaleString()}` : '—');
+  const formatChange = value => (Number.isFinite(value)
+    ? `${value > 0 ? '+' : value < 0 ? '−' : ''}${Math.abs(value).toFixed(1)}`
+    : '—');
+  const defaultTarget = Number.isFinite(target)
+    ? target
+    : Math.max(0, Math.floor((Number(managedRisk) || 0) * 0.9));
+  const constraintNotes = [
+    saqConstraintEnabled ? 'SAQ tools kept at 100% combined coverage' : null,
+    socialAuditConstraintEnabled ? 'social audit coverage held at its current level' : null
+  ].filter(Boolean);
+
+  let resultHtml = '';
+  if (result && result.feasible) {
+    resultHtml = `
+      <div style="display: flex; gap: 12px; flex-wrap: wrap; margin-bottom: 12px;">
+        <div style="flex: 1; min-width: 180px; padding: 12px 14px; border: 1px solid #bbf7d0; border-radius: 8px; background-color: #f0fdf4;">
+          <div style="font-size: 12px; color: #166534;">Minimum annual budget</div>
+          <div style="font-size: 22px; font-weight: 700; color: #166534;">${formatCurrency(result.minimumBudget)}</div>
+          <div style="font-size: 12px; color: #374151;">Current plan ${formatCurrency(result.currentBudget)}</div>
+        </div>
+        <div style="flex: 1; min-width: 180px; padding: 12px 14px; border: 1px solid #e5e7eb; border-radius: 8px; background-color: #f9fafb;">
+          <div style="font-size: 12px; color: #6b7280;">Managed risk reached</div>
+          <div style="font-size: 22px; font-weight: 700; color: ${riskEngine.getRiskColor(result.achievedManagedRisk)};">${formatScore(result.achievedManagedRisk)}</div>
+          <div style="font-size: 12px; color: #374151;">Target ${formatScore(result.targetRisk)} · now ${formatScore(result.currentManagedRisk)}</div>
+        </div>
+      </div>
+      <p style="font-size: 13px; color: #374151; margin: 0 0 12px 0;">${escapeHtml(result.insight)}</p>
+      <div style="overflow-x: auto;">
+        <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+          <thead>
+            <tr style="color: #6b7280; text-align: left;">
+              <th style="padding: 6px 8px; border-bottom: 2px solid #e5e7eb;">Tool</th>
+              <th style="padding: 6px 8px; border-bottom: 2px solid #e5e7eb; text-align: right;">Current coverage</th>
+              <th style="padding: 6px 8px; border-bottom: 2px solid #e5e7eb; text-align: right;">Required coverage</th>
+              <th style="padding: 6px 8px; border-bottom: 2px solid #e5e7eb; text-align: right;">Change</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${result.toolChanges.map(change => `
+              <tr style="border-bottom: 1px solid #f3f4f6;">
+                <td style="padding: 6px 8px; color: #1f2937;">${escapeHtml(change.tool)}</td>
+                <td style="padding: 6px 8px; text-align: right;">${formatScore(change.current)}%</td>
+                <td style="padding: 6px 8px; text-align: right; font-weight: 600;">${formatScore(change.required)}%</td>
+                <td style="padding: 6px 8px; text-align: right; color: ${change.change > 0 ? '#b45309' : change.change < 0 ? '#15803d' : '#6b7280'};">${formatChange(change.change)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      <div style="display: flex; justify-content: flex-end; margin-top: 12px;">
+        <button type="button" id="goalSeekApplyButton" style="padding: 8px 14px; background-color: #16a34a; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 13px; font-weight: 600;">
+          Use this coverage in Panel 3
+        </button>
+      </div>
+    `;
+  } else if (result) {
+    resultHtml = `
+      <div style="padding: 12px 14px; border: 1px solid #fecaca; border-radius: 8px; background-color: #fef2f2; color: #991b1b; font-size: 13px; line-height: 1.5;">
+        <strong>Target not reachable.</strong> ${escapeHtml(result.insight)}
+        <div style="margin-top: 6px; color: #374151;">Lowest managed risk found: ${formatScore(result.bestAchievableRisk)} at ${formatCurrency(result.bestAchievableBudget)} per year.</div>
+      </div>
+    `;
+  } else if (isStale) {
+    resultHtml = '<div style="font-size: 13px; color: #92400e; background-color: #fef3c7; padding: 10px 12px; border-radius: 6px;">Costs, strategy or countries have changed since the last search. Run it again.</div>';
+  }
+
+  container.innerHTML = `
+    <div class="goal-seek-panel" style="background: white; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);">
+      <h2 style="font-size: 20px; font-weight: bold; margin: 0 0 8px 0; color: #1f2937;">What Does It Cost To Reach a Target?</h2>
+      <p style="font-size: 13px; color: #4b5563; margin: 0 0 12px 0; line-height: 1.5;">
+        Enter the managed risk you need to reach. The search finds the cheapest tool coverage that gets there,
+        using your cost inputs above and the effectiveness values from Panels 3 and 4.
+        ${constraintNotes.length > 0 ? `Constraints applied: ${constraintNotes.join('; ')}.` : 'No coverage constraints applied.'}
+      </p>
+      <div style="display: flex; flex-wrap: wrap; gap: 12px; align-items: center; margin-bottom: 16px; font-size: 13px; color: #374151;">
+        <label style="display: flex; align-items: center; gap: 8px;">
+          Target managed risk ≤
+          <input type="number" id="goalSeekTargetInput" min="0" max="100" step="0.5" value="${defaultTarget}"
+                 style="width: 80px; padding: 6px 8px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 13px;">
+        </label>
+        <span style="color: #6b7280;">Baseline ${formatScore(baselineRisk)} · current managed ${formatScore(managedRisk)}</span>
+        <button type="button" id="goalSeekRunButton" ${hasSelection ? '' : 'disabled'}
+                style="padding: 8px 14px; background-color: ${hasSelection ? '#2563eb' : '#bfdbfe'}; color: white; border: none; border-radius: 6px; cursor: ${hasSelection ? 'pointer' : 'not-allowed'}; font-size: 13px; font-weight: 600;">
+          Find cheapest mix
+        </button>
+      </div>
+      ${resultHtml}
+    </div>
+  `;
+
+  const targetInput = document.getElementById('goalSeekTargetInput');
+  const runButton = document.getElementById('goalSeekRunButton');
+  const submit = () => {
+    if (onRun && targetInput) onRun(targetInput.value);
+  };
+  if (runButton) runButton.addEventListener('click', submit);
+  if (targetInput) {
+    targetInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') submit();
+    });
+  }
+
+  const applyButton = document.getElementById('goalSeekApplyButton');
+  if (applyButton && onApply) {
+    applyButton.addEventListener('click', () => onApply());
+  }
+}
+
 function renderOptimizationResults(optimization, budgetData, baselineRisk, managedRisk) {
   if (!optimization) {
     return `
@@ -3745,7 +5904,7 @@ function setupCostAnalysisEventListeners(handlers) {
   const optimizationButtons = [optimizeBtn, mapOptimizeBtn].filter(Boolean);
 
   if (optimizationButtons.length > 0) {
-    const handleOptimizationClick = (event) => {
+    const handleOptimizationClick = async (event) => {
       if (typeof optimizeBudgetAllocation !== 'function') {
         return;
       }
@@ -3812,7 +5971,10 @@ function setupCostAnalysisEventListeners(handlers) {
           socialAuditCostReduction
         );
 
-        const latestOptimization = optimizeBudgetAllocation();
+        const latestOptimization = await optimizeBudgetAllocation();
+        if (!latestOptimization) {
+          return;
+        }
         if (typeof updateRiskSummaryValues === 'function') {
           updateRiskSummaryValues(
             latestOptimization?.baselineRisk,
@@ -3838,7 +6000,7 @@ function setupCostAnalysisEventListeners(handlers) {
           latestPerSupplierCosts,
           latestToolInternalHours,
           latestToolRemedyInternalHours,
-          hrddStrategy,
+          costedStrategy,
           transparencyEffectiveness,
           responsivenessStrategy,
           responsivenessEffectiveness,
@@ -3900,7 +6062,8 @@ function setupCostAnalysisEventListeners(handlers) {
             transparencyEffectiveness,
             responsivenessStrategy,
             responsivenessEffectiveness,
-            focus
+            focus,
+            countryToolCoverage
          );
         }
       } finally {
@@ -4227,7 +6390,7 @@ function renderDetailedBudgetBreakdown(
   `;
 }
 
-function renderRiskTransformationComparison(optimization, budgetData, baselineRisk, managedRisk, selectedCountries, countryVolumes, countryRisks, hrddStrategy, transparencyEffectiveness, responsivenessStrategy, responsivenessEffectiveness, focus) {
+function renderRiskTransformationComparison(optimization, budgetData, baselineRisk, managedRisk, selectedCountries, countryVolumes, countryRisks, hrddStrategy, transparencyEffectiveness, responsivenessStrategy, responsivenessEffectiveness, focus, countryToolCoverage = null) {
   if (!optimization) return '';
 
   const mobile = isMobileView();
@@ -4251,7 +6414,8 @@ function renderRiskTransformationComparison(optimization, budgetData, baselineRi
   const optimizedDetails = riskEngine.calculateManagedRiskDetails(
     selectedCountries, countryVolumes, countryRisks,
     optimizedToolAllocation, transparencyEffectiveness,
-    responsivenessStrategy, responsivenessEffectiveness, focus
+    responsivenessStrategy, responsivenessEffectiveness, focus,
+    countryToolCoverage
   );
 
   const optimizedTransformation = calculateRiskTransformationSteps(
@@ -1,20 +1,9 @@
 const mongoose = require('mongoose');
 require('dotenv').config();
 
-const { loadCountriesFromFile } = require('../utils/countryDataLoader');
-
-// Country schema
-const countrySchema = new mongoose.Schema({
-  name: { type: String, required: true, unique: true },
-  isoCode: { type: String, required: true, unique: true },
-  itucRightsRating: { type: Number, required: true },
-  corruptionIndex: { type: Number, required: true },
-  freedomRating: { type: Number, required: true },
-  wjpIndex: { type: Number, required: true },
-  walkfreeSlaveryIndex: { type: Number, required: true }
-});
-
-const Country = mongoose.model('Country', countrySchema);
+const { loadAllDatasets } = require('../utils/countryDataLoader');
+const { publishDataset } = require('../utils/datasetPublisher');
+const Country = require('../models/Country');
 
 async function importData() {
   const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/hrdd-risk';
@@ -24,22 +13,35 @@ async function importData() {
     await mongoose.connect(mongoUri);
     console.log('Connected to MongoDB');
 
-    // Clear existing data
-    await Country.deleteMany({});
-    console.log('Cleared existing data');
+    // Remove documents imported before datasets were versioned, then rebuild indexes
+    // so older unique constraints (name/isoCode, datasetVersion/isoCode) are replaced by
+    // the per-revision one
+    await Country.deleteMany({ datasetVersion: { $exists: false } });
+    await Country.syncIndexes();
 
-    const { countries, duplicates } = loadCountriesFromFile();
-
-    if (duplicates.length > 0) {
-      console.warn('Duplicate ISO codes found in country data. Keeping last occurrence for each:', duplicates);
+    const datasets = await loadAllDatasets();
+    if (datasets.length === 0) {
+      throw new Error('No country datasets found in public/datasets');
     }
 
-    // Insert data
-    await Country.insertMany(countries);
-    console.log(`Imported ${countries.length} countries`);
-
-    if (duplicates.length > 0) {
-      console.log(`Skipped ${duplicates.length} duplicate entr${duplicates.length === 1 ? 'y' : 'ies'} based on ISO codes.`);
+    for (const { version, countries, duplicates, indicators, rowErrors } of datasets) {
+      rowErrors.forEach(rowError => {
+        console.warn(`Dataset ${version}, line ${rowError.line}: ${rowError.message}${rowError.skipped ? ' (row skipped)' : ''}`);
+      });
+      if (duplicates.length > 0) {
+        console.warn(`Duplicate ISO codes found in dataset ${version}. Keeping last occurrence for each:`, duplicates);
+      }
+
+      // Published as a new revision, so the admin API can roll back to what was there before
+      const dataset = await publishDataset(version, countries, indicators, {
+        source: `countries-${version}.txt`,
+        changedBy: process.env.USER || 'import script'
+      });
+      console.log(`Imported ${countries.length} countries and ${indicators.length} indicators for dataset ${version} (revision ${dataset.activeRevision})`);
+
+      if (duplicates.length > 0) {
+        console.log(`Skipped ${duplicates.length} duplicate entr${duplicates.length === 1 ? 'y' : 'ies'} based on ISO codes.`);
+      }
     }
   } catch (error) {
     console.error('Error importing data:', error);
@@ -2,36 +2,87 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
 require('dotenv').config();
 
-const { loadCountriesFromFile } = require('./utils/countryDataLoader');
+const {
+  loadDataset,
+  loadIndicatorMetadata,
+  loadCountryRegions,
+  loadSubnationalRegions,
+  listDatasetFiles,
+  getDefaultDatasetVersion
+} = require('./utils/countryDataLoader');
+const { loadRiskEngine } = require('./utils/riskEngineLoader');
+const { loadIsoCrosswalk } = require('./utils/isoCrosswalkLoader');
+const {
+  isValidDatasetVersion,
+  validateDatasetCsv,
+  diffDatasets,
+  publishDataset,
+  rollbackDataset,
+  editCountry
+} = require('./utils/datasetPublisher');
+const Country = require('./models/Country');
+const Dataset = require('./models/Dataset');
+const Assessment = require('./models/Assessment');
+const CountryAudit = require('./models/CountryAudit');
 
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Risk calculation defaults (kept in sync with frontend RiskEngine)
-const DEFAULT_WEIGHTS = [20, 20, 20, 20, 20];
+// Parsed dataset files keyed by version, used when MongoDB is unavailable
+const cachedFallbackData = new Map();
 
-let cachedFallbackData = null;
+// { ISO: region } attached to every country record for regional-median imputation
+let countryRegions = {};
+try {
+  countryRegions = loadCountryRegions();
+} catch (error) {
+  console.error('Failed to load country regions:', error.message);
+}
+
+// Admin-1 regions offered for the countries with the largest internal variation in risk
+let subnationalRegions = [];
+try {
+  subnationalRegions = loadSubnationalRegions();
+} catch (error) {
+  console.error('Failed to load subnational regions:', error.message);
+}
+
+// Alpha-2 / alpha-3 / numeric / name lookup used by sanitizeIsoCode; loaded before the server
+// starts listening (see the bottom of this file)
+let isoCrosswalk = null;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Assessments carry the saved app state, including imported supplier rows
+app.use(express.json({ limit: '2mb' }));
 
+// Countries may be given as alpha-3, alpha-2, numeric code or a common name. Anything the
+// crosswalk does not recognise passes through upper-cased so it is reported as unknown.
 function sanitizeIsoCode(value) {
+  if (typeof value === 'number') {
+    value = String(value);
+  }
   if (!value || typeof value !== 'string') {
     return '';
   }
-  return value.trim().toUpperCase();
+  const trimmed = value.trim();
+  return (isoCrosswalk && isoCrosswalk.toAlpha3(trimmed)) || trimmed.toUpperCase();
 }
 
+// Index scores stay null when missing; Number(null) would otherwise turn them into 0
 function toNumber(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
   const parsed = Number(value);
-  return Number.isFinite(parsed) ? parsed : 0;
+  return Number.isFinite(parsed) ? parsed : null;
 }
 
-function formatCountryRecord(record) {
+function formatCountryRecord(record, indicators) {
   if (!record) {
     return null;
   }
@@ -41,49 +92,153 @@ function formatCountryRecord(record) {
     return null;
   }
 
-  return {
+  const formatted = {
     name: record.name || '',
     isoCode,
-    itucRightsRating: toNumber(record.itucRightsRating),
-    corruptionIndex: toNumber(record.corruptionIndex),
-    freedomRating: toNumber(record.freedomRating),
-    wjpIndex: toNumber(record.wjpIndex),
-    walkfreeSlaveryIndex: toNumber(record.walkfreeSlaveryIndex)
+    region: countryRegions[isoCode] || null
   };
+  indicators.forEach(({ key }) => {
+    formatted[key] = toNumber(record[key]);
+  });
+  return formatted;
 }
 
-function getFallbackData() {
-  if (!cachedFallbackData) {
-    cachedFallbackData = loadCountriesFromFile();
+// Parsed once per version; the cached promise is shared by concurrent requests
+function getFallbackData(datasetVersion) {
+  if (!cachedFallbackData.has(datasetVersion)) {
+    const loading = loadDataset(datasetVersion)
+      .then(dataset => {
+        dataset.rowErrors.forEach(rowError => {
+          console.warn(`Dataset ${datasetVersion}, line ${rowError.line}: ${rowError.message}${rowError.skipped ? ' (row skipped)' : ''}`);
+        });
+        return dataset;
+      })
+      .catch(error => {
+        console.error(`Failed to load dataset ${datasetVersion} from file:`, error.message);
+        cachedFallbackData.delete(datasetVersion);
+        return { countries: [], duplicates: [], indicators: [], rowErrors: [] };
+      });
+    cachedFallbackData.set(datasetVersion, loading);
   }
-  return cachedFallbackData;
+  return cachedFallbackData.get(datasetVersion);
 }
 
-function getFallbackCountries() {
-  const { countries } = getFallbackData();
-  return countries.map(formatCountryRecord).filter(Boolean);
+async function getFallbackCountries(datasetVersion, indicators) {
+  const { countries } = await getFallbackData(datasetVersion);
+  return countries.map(country => formatCountryRecord(country, indicators)).filter(Boolean);
 }
 
-function getFallbackCountryByIso(isoCode) {
+async function getFallbackCountryByIso(isoCode, datasetVersion, indicators) {
   const normalizedIso = sanitizeIsoCode(isoCode);
   if (!normalizedIso) {
     return null;
   }
 
-  const { countries } = getFallbackData();
+  const { countries } = await getFallbackData(datasetVersion);
   const match = countries.find(country => sanitizeIsoCode(country.isoCode) === normalizedIso);
-  return formatCountryRecord(match);
+  return formatCountryRecord(match, indicators);
 }
 
 function isDatabaseConnected() {
   return mongoose.connection?.readyState === 1;
 }
 
-async function getAllCountries() {
+// Dataset versions available from MongoDB and the bundled files, oldest first
+async function getDatasetVersions() {
+  const fileDatasets = listDatasetFiles();
+  const versions = new Set(fileDatasets.map(dataset => dataset.version));
+
+  if (isDatabaseConnected()) {
+    try {
+      const storedVersions = await Country.distinct('datasetVersion');
+      storedVersions.filter(Boolean).forEach(version => versions.add(version));
+    } catch (error) {
+      console.error('Failed to list dataset versions from MongoDB:', error);
+    }
+  }
+
+  const sorted = Array.from(versions).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  return {
+    defaultVersion: getDefaultDatasetVersion(fileDatasets) || sorted[sorted.length - 1] || null,
+    versions: sorted
+  };
+}
+
+// Map a requested ?dataset= value onto a known version; an empty request means the default.
+// Returns version: null when the requested dataset does not exist.
+async function resolveDatasetVersion(requested) {
+  const { defaultVersion, versions } = await getDatasetVersions();
+  const trimmed = typeof requested === 'string' ? requested.trim() : '';
+
+  if (!trimmed) {
+    return { version: defaultVersion, versions };
+  }
+  return { version: versions.includes(trimmed) ? trimmed : null, versions };
+}
+
+// Indicators stored before provenance was recorded pick it up from the bundled metadata
+function withProvenance(indicators) {
+  const metadata = loadIndicatorMetadata();
+  return indicators.map(indicator => {
+    if (indicator.provenance) {
+      return indicator;
+    }
+    const known = metadata.find(entry => entry.key === indicator.key);
+    return { ...indicator, provenance: known?.provenance || null };
+  });
+}
+
+// Indicator definitions for a dataset: the stored Dataset document, else the file header,
+// else the bundled metadata (covers versions imported before indicators were recorded)
+async function getDatasetIndicators(datasetVersion) {
+  if (isDatabaseConnected()) {
+    try {
+      const dataset = await Dataset.findOne({ version: datasetVersion }).lean();
+      if (Array.isArray(dataset?.indicators) && dataset.indicators.length > 0) {
+        return withProvenance(dataset.indicators);
+      }
+    } catch (error) {
+      console.error(`Failed to fetch indicators for dataset ${datasetVersion} from MongoDB:`, error);
+    }
+  }
+
+  const { indicators } = await getFallbackData(datasetVersion);
+  return Array.isArray(indicators) && indicators.length > 0 ? indicators : loadIndicatorMetadata();
+}
+
+// Resolve the dataset a calculation request refers to, with its indicator keys and default weights
+async function getCalculationDataset(requested) {
+  const { version, versions } = await resolveDatasetVersion(requested);
+  if (!version) {
+    return { version: null, versions };
+  }
+
+  const indicators = await getDatasetIndicators(version);
+  return {
+    version,
+    versions,
+    indicators,
+    indicatorKeys: indicators.map(indicator => indicator.key),
+    defaultWeights: indicators.map(indicator => indicator.defaultWeight)
+  };
+}
+
+// Only the live revision of a dataset version is served (see models/Country.js)
+async function getLiveCountryFilter(datasetVersion) {
+  const dataset = await Dataset.findOne({ version: datasetVersion }, { activeRevision: 1 }).lean();
+  return Country.revisionFilter(datasetVersion, dataset?.activeRevision || 0);
+}
+
+async function getAllCountries(datasetVersion) {
+  if (!datasetVersion) {
+    ({ version: datasetVersion } = await resolveDatasetVersion());
+  }
+  const indicators = await getDatasetIndicators(datasetVersion);
+
   if (isDatabaseConnected()) {
     try {
-      const docs = await Country.find({}).lean();
-      const formatted = Array.isArray(docs) ? docs.map(formatCountryRecord).filter(Boolean) : [];
+      const docs = await Country.find(await getLiveCountryFilter(datasetVersion)).lean();
+      const formatted = Array.isArray(docs) ? docs.map(doc => formatCountryRecord(doc, indicators)).filter(Boolean) : [];
       if (formatted.length > 0) {
         return formatted;
       }
@@ -92,19 +247,24 @@ async function getAllCountries() {
     }
   }
 
-  return getFallbackCountries();
+  return getFallbackCountries(datasetVersion, indicators);
 }
 
-async function getCountryByIso(isoCode) {
+async function getCountryByIso(isoCode, datasetVersion) {
   const normalizedIso = sanitizeIsoCode(isoCode);
   if (!normalizedIso) {
     return null;
   }
 
+  if (!datasetVersion) {
+    ({ version: datasetVersion } = await resolveDatasetVersion());
+  }
+  const indicators = await getDatasetIndicators(datasetVersion);
+
   if (isDatabaseConnected()) {
     try {
-      const doc = await Country.findOne({ isoCode: normalizedIso }).lean();
-      const formatted = formatCountryRecord(doc);
+      const doc = await Country.findOne({ ...(await getLiveCountryFilter(datasetVersion)), isoCode: normalizedIso }).lean();
+      const formatted = formatCountryRecord(doc, indicators);
       if (formatted) {
         return formatted;
       }
@@ -113,12 +273,12 @@ async function getCountryByIso(isoCode) {
     }
   }
 
-  return getFallbackCountryByIso(normalizedIso);
+  return getFallbackCountryByIso(normalizedIso, datasetVersion, indicators);
 }
 
-function sanitizeWeights(weights) {
-  if (!Array.isArray(weights) || weights.length !== 5) {
-    return [...DEFAULT_WEIGHTS];
+function sanitizeWeights(weights, defaultWeights) {
+  if (!Array.isArray(weights) || weights.length !== defaultWeights.length) {
+    return [...defaultWeights];
   }
 
   const sanitized = weights.map(weight => {
@@ -129,6 +289,154 @@ function sanitizeWeights(weights) {
   return sanitized;
 }
 
+function sanitizePercentageArray(values, fallback) {
+  if (!Array.isArray(values) || values.length !== fallback.length) {
+    return [...fallback];
+  }
+
+  return values.map((value, index) => {
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed)) {
+      return fallback[index];
+    }
+    return Math.max(0, Math.min(100, parsed));
+  });
+}
+
+function sanitizeFocus(value, fallback) {
+  const parsed = Number(value);
+  if (value === null || value === undefined || !Number.isFinite(parsed)) {
+    return fallback;
+  }
+  return Math.max(0, Math.min(1, parsed));
+}
+
+function sanitizeCountryVolumes(volumes, isoCodes) {
+  const safeVolumes = (volumes && typeof volumes === 'object' && !Array.isArray(volumes)) ? volumes : {};
+  const normalized = {};
+
+  Object.entries(safeVolumes).forEach(([key, value]) => {
+    const isoCode = sanitizeIsoCode(key);
+    const parsed = Number(value);
+    if (isoCode && Number.isFinite(parsed) && parsed >= 0) {
+      normalized[isoCode] = parsed;
+    }
+  });
+
+  return isoCodes.reduce((acc, isoCode) => {
+    acc[isoCode] = Object.prototype.hasOwnProperty.call(normalized, isoCode) ? normalized[isoCode] : 10;
+    return acc;
+  }, {});
+}
+
+// Keep only known sector ids for the selected countries; returns null when no sectors were sent
+function sanitizeCountrySectors(countrySectors, isoCodes, knownSectorIds) {
+  if (!countrySectors || typeof countrySectors !== 'object' || Array.isArray(countrySectors)) {
+    return null;
+  }
+
+  const known = new Set(knownSectorIds);
+  const normalized = {};
+  Object.entries(countrySectors).forEach(([key, sectorIds]) => {
+    const isoCode = sanitizeIsoCode(key);
+    if (isoCode && isoCodes.includes(isoCode) && Array.isArray(sectorIds)) {
+      const valid = [...new Set(sectorIds.filter(sectorId => known.has(sectorId)))];
+      if (valid.length > 0) {
+        normalized[isoCode] = valid;
+      }
+    }
+  });
+
+  return normalized;
+}
+
+// Region records for a dataset: each admin-1 region takes its country's scores, with any
+// regional overrides applied on top. Regions of countries missing from the dataset are left out.
+function buildRegionRecords(countries, indicators) {
+  const countryLookup = new Map(countries.map(country => [country.isoCode, country]));
+  const indicatorKeys = new Set(indicators.map(indicator => indicator.key));
+
+  return subnationalRegions
+    .filter(region => countryLookup.has(region.country))
+    .map(region => {
+      const parent = countryLookup.get(region.country);
+      const record = {
+        ...parent,
+        isoCode: region.code,
+        name: `${region.name} (${parent.name})`,
+        regionName: region.name,
+        regionType: region.type,
+        parentIsoCode: parent.isoCode,
+        parentName: parent.name,
+        location: region.location,
+        overrides: []
+      };
+      Object.entries(region.overrides).forEach(([key, value]) => {
+        const score = toNumber(value);
+        if (indicatorKeys.has(key) && score !== null) {
+          record[key] = score;
+          record.overrides.push(key);
+        }
+      });
+      return record;
+    });
+}
+
+async function getRegionRecords(datasetVersion) {
+  const [countries, indicators] = await Promise.all([
+    getAllCountries(datasetVersion),
+    getDatasetIndicators(datasetVersion)
+  ]);
+  return buildRegionRecords(countries, indicators);
+}
+
+// Split requested ISO codes into those present in the dataset and those that are not. Admin-1
+// region codes are accepted too; imputation still only draws on national records.
+async function resolvePortfolioCountries(isoCodes, datasetVersion) {
+  const countries = await getAllCountries(datasetVersion);
+  const regions = buildRegionRecords(countries, await getDatasetIndicators(datasetVersion));
+  const countryLookup = new Map([...countries, ...regions].map(country => [country.isoCode, country]));
+
+  return {
+    countries,
+    countryLookup,
+    selectedCountries: isoCodes.filter(isoCode => countryLookup.has(isoCode)),
+    unknownCountries: isoCodes.filter(isoCode => !countryLookup.has(isoCode))
+  };
+}
+
+// Missing-score treatment requested by the client ('skip' when absent); regional medians are
+// taken over every country in the dataset
+async function getImputation(riskEngine, requested, datasetVersion, indicatorKeys, countries = null) {
+  const strategy = riskEngine.sanitizeImputationStrategy(requested);
+  const pool = strategy === 'regional-median' ? (countries || await getAllCountries(datasetVersion)) : [];
+  return riskEngine.buildImputation(strategy, pool, indicatorKeys);
+}
+
+function formatDataCompleteness(riskEngine, country, weights, indicatorKeys) {
+  const completeness = riskEngine.getDataCompleteness(country, weights, indicatorKeys);
+  return { ...completeness, weightCoverage: roundScore(completeness.weightCoverage) };
+}
+
+// Organisation-specific band definitions posted with a calculation. Absent bands mean the
+// engine defaults; an invalid definition is rejected rather than silently replaced.
+function resolveRiskBands(riskEngine, value, res) {
+  if (value === undefined || value === null) {
+    return riskEngine.getRiskBands();
+  }
+  const riskBands = riskEngine.sanitizeRiskBands(value);
+  if (!riskBands) {
+    res.status(400).json({
+      error: `riskBands must define 2-${riskEngine.maxRiskBands} uniquely named bands, the lowest starting at 0, with increasing thresholds and hex colours`
+    });
+  }
+  return riskBands;
+}
+
+function roundScore(value) {
+  return Number.isFinite(value) ? Math.round(value * 100) / 100 : 0;
+}
+
 // Serve static assets for embedding
 const publicDir = path.join(__dirname, 'public');
 const componentsDir = path.join(publicDir, 'components');
@@ -149,19 +457,6 @@ app.get(['/wix-embed', '/wix-embed.html'], (req, res, next) => {
   });
 });
 
-// Country schema
-const countrySchema = new mongoose.Schema({
-  name: { type: String, required: true, unique: true },
-  isoCode: { type: String, required: true, unique: true },
-  itucRightsRating: { type: Number, required: true },
-  corruptionIndex: { type: Number, required: true },
-  freedomRating: { type: Number, required: true },
-  wjpIndex: { type: Number, required: true },
-  walkfreeSlaveryIndex: { type: Number, required: true }
-});
-
-const Country = mongoose.model('Country', countrySchema);
-
 // Connect to MongoDB - check multiple possible variable names
 const mongoUri = process.env.MONGODB_URI || process.env.MongoDB_URI || process.env.Monogdb_URI || process.env.MONGO_URL || process.env.Mongo_URL || process.env.MongoURL || 'mongodb://localhost:27017/hrdd-risk';
 
@@ -173,20 +468,88 @@ mongoose.connect(mongoUri)
 
 // Routes
 
-// Get all countries
+// List available index dataset versions
+app.get('/api/datasets', async (req, res) => {
+  try {
+    res.json(await getDatasetVersions());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Indicator columns (labels, sources, default weights) for a dataset version. Each carries
+// `provenance` (publisher, edition, url, licence, originalScale, transformation) or null
+// for custom columns without metadata.
+app.get('/api/indicators', async (req, res) => {
+  try {
+    const { version, versions } = await resolveDatasetVersion(req.query.dataset);
+    if (!version) {
+      return res.status(404).json({ error: 'Dataset not found', availableDatasets: versions });
+    }
+
+    res.json({
+      dataset: version,
+      indicators: await getDatasetIndicators(version)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sector catalogue and per-country sector multipliers used for country-sector baselines
+app.get('/api/sectors', async (req, res) => {
+  try {
+    const riskEngine = await loadRiskEngine();
+    res.json({
+      defaultSector: riskEngine.defaultSectorId,
+      sectors: riskEngine.getSectors(),
+      modifiers: riskEngine.sectorModifiers
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get all countries (optionally for a specific dataset version via ?dataset=)
 app.get('/api/countries', async (req, res) => {
   try {
-    const countries = await getAllCountries();
+    const { version, versions } = await resolveDatasetVersion(req.query.dataset);
+    if (!version) {
+      return res.status(404).json({ error: 'Dataset not found', availableDatasets: versions });
+    }
+
+    const countries = await getAllCountries(version);
     res.json(countries);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Admin-1 regions with inherited (and any overridden) index scores; ?country= narrows to one country
+app.get('/api/regions', async (req, res) => {
+  try {
+    const { version, versions } = await resolveDatasetVersion(req.query.dataset);
+    if (!version) {
+      return res.status(404).json({ error: 'Dataset not found', availableDatasets: versions });
+    }
+
+    const country = req.query.country ? sanitizeIsoCode(req.query.country) : null;
+    const regions = await getRegionRecords(version);
+    res.json(country ? regions.filter(region => region.parentIsoCode === country) : regions);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get country by ISO code
 app.get('/api/countries/:isoCode', async (req, res) => {
   try {
-    const country = await getCountryByIso(req.params.isoCode);
+    const { version, versions } = await resolveDatasetVersion(req.query.dataset);
+    if (!version) {
+      return res.status(404).json({ error: 'Dataset not found', availableDatasets: versions });
+    }
+
+    const country = await getCountryByIso(req.params.isoCode, version);
     if (!country) {
       return res.status(404).json({ error: 'Country not found' });
     }
@@ -196,68 +559,453 @@ app.get('/api/countries/:isoCode', async (req, res) => {
   }
 });
 
+// Audit trail of imports, rollbacks and edits for one country, newest first.
+// ?dataset= and ?field= narrow it to one dataset version or indicator.
+app.get('/api/countries/:isoCode/history', async (req, res) => {
+  try {
+    if (!isDatabaseConnected()) {
+      return res.status(503).json({ error: 'Change history is unavailable' });
+    }
+
+    const isoCode = sanitizeIsoCode(req.params.isoCode);
+    const filter = { isoCode };
+    const dataset = sanitizeText(req.query.dataset, 50);
+    const field = sanitizeText(req.query.field, 100);
+    if (dataset) filter.datasetVersion = dataset;
+    if (field) filter.field = field;
+
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    const entries = await CountryAudit.find(filter).sort({ changedAt: -1, _id: -1 }).limit(limit);
+    res.json({ isoCode, entries: entries.map(entry => entry.toEntry()) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Calculate weighted risk score
 app.post('/api/calculate-risk', async (req, res) => {
   try {
-    const { countryIsoCode, weights } = req.body;
+    const { countryIsoCode, weights, imputation: imputationStrategy } = req.body;
 
     const isoCode = sanitizeIsoCode(countryIsoCode);
     if (!isoCode) {
       return res.status(400).json({ error: 'countryIsoCode is required' });
     }
 
-    const country = await getCountryByIso(isoCode);
+    const dataset = await getCalculationDataset(req.body?.dataset);
+    if (!dataset.version) {
+      return res.status(404).json({ error: 'Dataset not found', availableDatasets: dataset.versions });
+    }
+
+    const country = await getCountryByIso(isoCode, dataset.version);
     if (!country) {
       return res.status(404).json({ error: 'Country not found' });
     }
 
-    const sanitizedWeights = sanitizeWeights(weights);
+    const riskEngine = await loadRiskEngine();
+    const riskBands = resolveRiskBands(riskEngine, req.body?.riskBands, res);
+    if (!riskBands) return;
 
-    // Calculate weighted risk score
-     // Weights order: ITUC_Rights_Rating, Corruption_Index_TI, Freedom_rating, WJP_index, Walkfree_Slavery_Index
-    const values = [
-      country.itucRightsRating,
-      country.corruptionIndex,
-      country.freedomRating,
-      country.wjpIndex,
-      country.walkfreeSlaveryIndex
-    ];
+    const sanitizedWeights = sanitizeWeights(weights, dataset.defaultWeights);
+    const imputation = await getImputation(riskEngine, imputationStrategy, dataset.version, dataset.indicatorKeys);
+    const weightedRiskScore = riskEngine.calculateWeightedRisk(country, sanitizedWeights, dataset.indicatorKeys, imputation);
 
-    let weightedSum = 0;
-    let totalWeight = 0;
+    res.json({
+      country: country.name,
+      isoCode: country.isoCode,
+      weightedRiskScore: roundScore(weightedRiskScore),
+      riskBand: riskEngine.getRiskBand(weightedRiskScore, riskBands),
+      dataCompleteness: formatDataCompleteness(riskEngine, country, sanitizedWeights, dataset.indicatorKeys),
+      imputation: imputation.strategy
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    for (let i = 0; i < values.length; i++) {
-      const value = values[i];
-      const weight = sanitizedWeights[i] || 0;
-      if (value > 0 && weight > 0) { // Ignore zero values as specified
-        weightedSum += value * weight;
-        totalWeight += weight;
-      }
+// Calculate weighted risk scores for many countries in one request
+app.post('/api/calculate-risk/batch', async (req, res) => {
+  try {
+    const { countryCodes, weights, countryVolumes, countrySectors, imputation: imputationStrategy } = req.body || {};
+
+    if (!Array.isArray(countryCodes) || countryCodes.length === 0) {
+      return res.status(400).json({ error: 'countryCodes must be a non-empty array' });
+    }
+
+    const requestedCodes = [...new Set(countryCodes.map(sanitizeIsoCode).filter(Boolean))];
+    if (requestedCodes.length === 0) {
+      return res.status(400).json({ error: 'countryCodes must contain at least one ISO code' });
+    }
+
+    const dataset = await getCalculationDataset(req.body?.dataset);
+    if (!dataset.version) {
+      return res.status(404).json({ error: 'Dataset not found', availableDatasets: dataset.versions });
     }
 
-    const weightedRiskScore = totalWeight > 0 ? weightedSum / totalWeight : 0;
+    const riskEngine = await loadRiskEngine();
+    const riskBands = resolveRiskBands(riskEngine, req.body?.riskBands, res);
+    if (!riskBands) return;
+    const { countries, countryLookup, selectedCountries, unknownCountries } = await resolvePortfolioCountries(requestedCodes, dataset.version);
+
+    const sanitizedWeights = sanitizeWeights(weights, dataset.defaultWeights);
+    const sanitizedVolumes = sanitizeCountryVolumes(countryVolumes, selectedCountries);
+    const imputation = await getImputation(riskEngine, imputationStrategy, dataset.version, dataset.indicatorKeys, countries);
+    const countryRisks = {};
+    selectedCountries.forEach(isoCode => {
+      countryRisks[isoCode] = riskEngine.calculateWeightedRisk(
+        countryLookup.get(isoCode),
+        sanitizedWeights,
+        dataset.indicatorKeys,
+        imputation
+      );
+    });
+
+    const sanitizedSectors = sanitizeCountrySectors(
+      countrySectors,
+      selectedCountries,
+      riskEngine.getSectors().map(sector => sector.id)
+    );
+    const sectorRisks = sanitizedSectors
+      ? riskEngine.calculateSectorAdjustedRisks(selectedCountries, sanitizedVolumes, countryRisks, sanitizedSectors)
+      : null;
+
+    // Same sumproduct as the browser's Step 1 baseline so the figures line up with Panel 3
+    const metrics = riskEngine.calculatePortfolioMetrics(selectedCountries, sanitizedVolumes, countryRisks, sanitizedSectors);
 
     res.json({
-      country: country.name,
-      isoCode: country.isoCode,
-      weightedRiskScore: Math.round(weightedRiskScore * 100) / 100,
-      riskBand: getRiskBand(weightedRiskScore)
+      countries: selectedCountries.map(isoCode => ({
+        country: countryLookup.get(isoCode).name,
+        isoCode,
+        volume: sanitizedVolumes[isoCode],
+        weightedRiskScore: roundScore(countryRisks[isoCode]),
+        riskBand: riskEngine.getRiskBand(countryRisks[isoCode], riskBands),
+        dataCompleteness: formatDataCompleteness(riskEngine, countryLookup.get(isoCode), sanitizedWeights, dataset.indicatorKeys),
+        ...(sectorRisks ? {
+          sectors: sanitizedSectors[isoCode] || [riskEngine.defaultSectorId],
+          sectorAdjustedRisk: roundScore(sectorRisks[isoCode]),
+          sectorAdjustedRiskBand: riskEngine.getRiskBand(sectorRisks[isoCode], riskBands)
+        } : {})
+      })),
+      ...(sanitizedSectors ? {
+        pairs: metrics.pairs.map(pair => ({
+          isoCode: pair.countryCode,
+          sector: pair.sectorId,
+          volume: pair.volume,
+          modifier: pair.modifier,
+          risk: roundScore(pair.risk),
+          riskBand: riskEngine.getRiskBand(pair.risk, riskBands)
+        }))
+      } : {}),
+      unknownCountries,
+      portfolio: {
+        countriesSelected: selectedCountries.length,
+        totalVolume: metrics.totalVolume,
+        baselineRisk: roundScore(metrics.baselineRisk),
+        riskBand: riskEngine.getRiskBand(metrics.baselineRisk, riskBands),
+        riskConcentration: roundScore(metrics.riskConcentration)
+      },
+      weights: sanitizedWeights,
+      imputation: imputation.strategy,
+      riskBands: riskEngine.getRiskBandDefinitions(riskBands),
+      dataset: dataset.version
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Helper function to determine risk band
-function getRiskBand(score) {
-  if (score >= 0 && score < 20) return 'Low';
-  if (score >= 20 && score < 40) return 'Medium';
-  if (score >= 40 && score < 60) return 'Medium High';
-  if (score >= 60 && score < 80) return 'High';
-  if (score >= 80) return 'Very High';
-  return 'Unknown';
+// Calculate baseline and managed risk for a portfolio using the shared RiskEngine pipeline
+app.post('/api/calculate-coverage-risk', async (req, res) => {
+  try {
+    const {
+      countryCodes,
+      weights,
+      hrddStrategy,
+      transparencyEffectiveness,
+      responsivenessStrategy,
+      responsivenessEffectiveness,
+      focus,
+      countryVolumes,
+      countrySectors,
+      countryToolCoverage,
+      imputation: imputationStrategy
+    } = req.body || {};
+
+    if (!Array.isArray(countryCodes) || countryCodes.length === 0) {
+      return res.status(400).json({ error: 'countryCodes must be a non-empty array' });
+    }
+
+    const requestedCodes = [...new Set(countryCodes.map(sanitizeIsoCode).filter(Boolean))];
+    if (requestedCodes.length === 0) {
+      return res.status(400).json({ error: 'countryCodes must contain at least one ISO code' });
+    }
+
+    const dataset = await getCalculationDataset(req.body?.dataset);
+    if (!dataset.version) {
+      return res.status(404).json({ error: 'Dataset not found', availableDatasets: dataset.versions });
+    }
+
+    const riskEngine = await loadRiskEngine();
+    const riskBands = resolveRiskBands(riskEngine, req.body?.riskBands, res);
+    if (!riskBands) return;
+    const { countries, countryLookup, selectedCountries, unknownCountries } = await resolvePortfolioCountries(requestedCodes, dataset.version);
+
+    if (selectedCountries.length === 0) {
+      return res.status(404).json({ error: 'None of the requested countries were found', unknownCountries });
+    }
+
+    const sanitizedWeights = sanitizeWeights(weights, dataset.defaultWeights);
+    const imputation = await getImputation(riskEngine, imputationStrategy, dataset.version, dataset.indicatorKeys, countries);
+    const countryRisks = {};
+    selectedCountries.forEach(isoCode => {
+      countryRisks[isoCode] = riskEngine.calculateWeightedRisk(
+        countryLookup.get(isoCode),
+        sanitizedWeights,
+        dataset.indicatorKeys,
+        imputation
+      );
+    });
+
+    const sanitizedVolumes = sanitizeCountryVolumes(countryVolumes, selectedCountries);
+    const sanitizedSectors = sanitizeCountrySectors(
+      countrySectors,
+      selectedCountries,
+      riskEngine.getSectors().map(sector => sector.id)
+    );
+    if (sanitizedSectors) {
+      // Country-level baselines become the volume-weighted average of their sector pairs
+      Object.assign(
+        countryRisks,
+        riskEngine.calculateSectorAdjustedRisks(selectedCountries, sanitizedVolumes, countryRisks, sanitizedSectors)
+      );
+    }
+    const sanitizedStrategy = sanitizePercentageArray(hrddStrategy, riskEngine.defaultHRDDStrategy);
+    const sanitizedTransparency = sanitizePercentageArray(transparencyEffectiveness, riskEngine.defaultTransparencyEffectiveness);
+    const sanitizedResponsiveness = sanitizePercentageArray(responsivenessStrategy, riskEngine.defaultResponsivenessStrategy);
+    const sanitizedResponsivenessEffectiveness = sanitizePercentageArray(
+      responsivenessEffectiveness,
+      riskEngine.defaultResponsivenessEffectiveness
+    );
+    const sanitizedFocus = sanitizeFocus(focus, riskEngine.defaultFocus);
+    // Optional per-country ("BGD") or per-band ("band:High") coverage vectors; band keys follow
+    // the posted risk bands
+    const sanitizedCoverage = riskEngine.sanitizeCountryToolCoverage(countryToolCoverage);
+    const hasCoverageOverrides = Object.keys(sanitizedCoverage).length > 0;
+
+    const details = riskEngine.withRiskBands(riskBands, () => riskEngine.calculateManagedRiskDetails(
+      selectedCountries,
+      sanitizedVolumes,
+      countryRisks,
+      sanitizedStrategy,
+      sanitizedTransparency,
+      sanitizedResponsiveness,
+      sanitizedResponsivenessEffectiveness,
+      sanitizedFocus,
+      hasCoverageOverrides ? sanitizedCoverage : null
+    ));
+
+    res.json({
+      baselineRisk: roundScore(details.baselineRisk),
+      baselineRiskBand: riskEngine.getRiskBand(details.baselineRisk, riskBands),
+      managedRisk: roundScore(details.managedRisk),
+      managedRiskBand: riskEngine.getRiskBand(details.managedRisk, riskBands),
+      riskReduction: roundScore(riskEngine.calculateRiskReduction(details.baselineRisk, details.managedRisk)),
+      riskConcentration: roundScore(details.riskConcentration),
+      countries: selectedCountries.map(isoCode => {
+        const baselineRisk = countryRisks[isoCode];
+        const managedRisk = details.countryManagedRisks[isoCode];
+        return {
+          country: countryLookup.get(isoCode).name,
+          isoCode,
+          volume: sanitizedVolumes[isoCode],
+          ...(sanitizedSectors ? { sectors: sanitizedSectors[isoCode] || [riskEngine.defaultSectorId] } : {}),
+          baselineRisk: roundScore(baselineRisk),
+          baselineRiskBand: riskEngine.getRiskBand(baselineRisk, riskBands),
+          managedRisk: roundScore(managedRisk),
+          managedRiskBand: riskEngine.getRiskBand(managedRisk, riskBands),
+          dataCompleteness: formatDataCompleteness(riskEngine, countryLookup.get(isoCode), sanitizedWeights, dataset.indicatorKeys)
+        };
+      }),
+      unknownCountries,
+      inputs: {
+        dataset: dataset.version,
+        weights: sanitizedWeights,
+        imputation: imputation.strategy,
+        countrySectors: sanitizedSectors,
+        hrddStrategy: sanitizedStrategy,
+        transparencyEffectiveness: sanitizedTransparency,
+        responsivenessStrategy: sanitizedResponsiveness,
+        responsivenessEffectiveness: sanitizedResponsivenessEffectiveness,
+        focus: sanitizedFocus,
+        ...(hasCoverageOverrides ? { countryToolCoverage: sanitizedCoverage } : {}),
+        riskBands: riskEngine.getRiskBandDefinitions(riskBands)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Saved assessments (browser app state) per organisation. They only live in MongoDB; without
+// a connection the browser keeps working from localStorage.
+function requireDatabase(res, message = 'Assessment storage is unavailable') {
+  if (isDatabaseConnected()) {
+    return true;
+  }
+  res.status(503).json({ error: message });
+  return false;
+}
+
+function sanitizeText(value, maxLength = 200) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
 }
 
+function getBearerToken(req) {
+  const header = req.get('authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+}
+
+// Hashing first gives timingSafeEqual equal-length buffers whatever the inputs
+function tokenMatches(provided, expected) {
+  if (!provided || !expected) return false;
+  const providedHash = crypto.createHash('sha256').update(provided).digest();
+  const expectedHash = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(providedHash, expectedHash);
+}
+
+// Each organisation has its own access key, configured as a JSON object in
+// ASSESSMENT_ACCESS_KEYS ({ "<organisation>": "<key>" }). Requests send the key as
+// "Authorization: Bearer <key>"; without the variable the assessment API is switched off.
+function getAssessmentAccessKeys() {
+  if (!process.env.ASSESSMENT_ACCESS_KEYS) return null;
+  try {
+    const keys = JSON.parse(process.env.ASSESSMENT_ACCESS_KEYS);
+    return keys && typeof keys === 'object' && !Array.isArray(keys) ? keys : null;
+  } catch (error) {
+    console.error('ASSESSMENT_ACCESS_KEYS is not valid JSON:', error.message);
+    return null;
+  }
+}
+
+function requireOrganisationKey(req, res, organisation) {
+  const keys = getAssessmentAccessKeys();
+  if (!keys) {
+    res.status(503).json({ error: 'Assessment API is disabled' });
+    return false;
+  }
+
+  const expected = Object.prototype.hasOwnProperty.call(keys, organisation) && typeof keys[organisation] === 'string'
+    ? keys[organisation]
+    : '';
+  if (!tokenMatches(getBearerToken(req), expected)) {
+    res.status(401).json({ error: 'Invalid access key for this organisation' });
+    return false;
+  }
+  return true;
+}
+
+async function findAssessment(id, res) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(404).json({ error: 'Assessment not found' });
+    return null;
+  }
+
+  const assessment = await Assessment.findById(id);
+  if (!assessment) {
+    res.status(404).json({ error: 'Assessment not found' });
+    return null;
+  }
+  return assessment;
+}
+
+app.get('/api/assessments', async (req, res) => {
+  try {
+    if (!requireDatabase(res)) return;
+
+    const organisation = sanitizeText(req.query.organisation);
+    if (!organisation) {
+      return res.status(400).json({ error: 'organisation is required' });
+    }
+    if (!requireOrganisationKey(req, res, organisation)) return;
+
+    const assessments = await Assessment.find({ organisation }, { payload: 0 }).sort({ updatedAt: -1 });
+    res.json(assessments.map(assessment => assessment.toSummary()));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/assessments', async (req, res) => {
+  try {
+    if (!requireDatabase(res)) return;
+
+    const organisation = sanitizeText(req.body?.organisation);
+    const name = sanitizeText(req.body?.name);
+    if (!organisation || !name) {
+      return res.status(400).json({ error: 'organisation and name are required' });
+    }
+    if (!requireOrganisationKey(req, res, organisation)) return;
+
+    const assessment = await Assessment.create({
+      organisation,
+      name,
+      payload: Assessment.sanitizePayload(req.body?.payload)
+    });
+    res.status(201).json(assessment.toDetail());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/assessments/:id', async (req, res) => {
+  try {
+    if (!requireDatabase(res)) return;
+
+    const assessment = await findAssessment(req.params.id, res);
+    if (!assessment || !requireOrganisationKey(req, res, assessment.organisation)) return;
+    res.json(assessment.toDetail());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/assessments/:id', async (req, res) => {
+  try {
+    if (!requireDatabase(res)) return;
+
+    const assessment = await findAssessment(req.params.id, res);
+    if (!assessment || !requireOrganisationKey(req, res, assessment.organisation)) return;
+
+    const name = sanitizeText(req.body?.name);
+    if (name) {
+      assessment.name = name;
+    }
+    if (req.body?.payload !== undefined) {
+      assessment.payload = Assessment.sanitizePayload(req.body.payload);
+      assessment.markModified('payload');
+    }
+
+    await assessment.save();
+    res.json(assessment.toDetail());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/assessments/:id', async (req, res) => {
+  try {
+    if (!requireDatabase(res)) return;
+
+    const assessment = await findAssessment(req.params.id, res);
+    if (!assessment || !requireOrganisationKey(req, res, assessment.organisation)) return;
+
+    await assessment.deleteOne();
+    res.json({ deleted: true, id: req.params.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
@@ -274,44 +1022,152 @@ app.get('/', (req, res) => {
   });
 });
 
-// Temporary data import route (remove after use)
-app.get('/import-data', async (req, res) => {
+// Admin dataset management. Requests need "Authorization: Bearer <ADMIN_API_TOKEN>"; without
+// the environment variable the admin API is switched off. Uploads are the raw CSV text in the
+// same format as public/datasets/countries-<version>.txt. The token is shared, so callers name
+// themselves in an X-Admin-User header for the audit log.
+function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_API_TOKEN;
+  if (!expected) {
+    return res.status(503).json({ error: 'Admin API is disabled' });
+  }
+
+  if (!tokenMatches(getBearerToken(req), expected)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  next();
+}
+
+function getAdminUser(req) {
+  return sanitizeText(req.get('x-admin-user'), 100) || 'admin';
+}
+
+const adminRouter = express.Router();
+adminRouter.use(requireAdmin);
+adminRouter.use(express.text({ type: ['text/csv', 'text/tab-separated-values', 'text/plain'], limit: '5mb' }));
+
+adminRouter.param('version', (req, res, next, version) => {
+  if (!isValidDatasetVersion(version)) {
+    return res.status(400).json({ error: 'Dataset version may only contain letters, digits, ".", "_" and "-"' });
+  }
+  next();
+});
+
+// Validate an upload and compare it with the live data for the same version (or, for a new
+// version, the default dataset) without changing anything
+async function dryRunDatasetUpload(version, csvText) {
+  const validation = await validateDatasetCsv(csvText);
+  const { versions, defaultVersion } = await getDatasetVersions();
+  const comparedWith = versions.includes(version) ? version : defaultVersion;
+
+  const diff = validation.valid && comparedWith
+    ? diffDatasets(
+      await getAllCountries(comparedWith),
+      validation.countries,
+      await getDatasetIndicators(comparedWith),
+      validation.indicators
+    )
+    : null;
+
+  return {
+    dataset: version,
+    valid: validation.valid,
+    errors: validation.errors,
+    warnings: validation.warnings,
+    rowErrors: validation.rowErrors,
+    countryCount: validation.countries.length,
+    indicators: validation.indicators.map(indicator => indicator.key),
+    comparedWith,
+    diff,
+    validation
+  };
+}
+
+adminRouter.get('/datasets', async (req, res) => {
   try {
-    // Clear existing data
-    await Country.deleteMany({});
+    if (!requireDatabase(res, 'Dataset storage is unavailable')) return;
 
-    const { countries, duplicates } = loadCountriesFromFile();
+    const datasets = await Dataset.find().sort({ version: 1 });
+    res.json(datasets.map(dataset => dataset.toSummary()));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (duplicates.length > 0) {
-      console.warn('Duplicate ISO codes found in country data. Keeping last occurrence for each:', duplicates);
+adminRouter.post('/datasets/:version/validate', async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ error: 'Send the dataset CSV as a text/csv request body' });
     }
 
-    await Country.insertMany(countries);
+    const { validation, ...report } = await dryRunDatasetUpload(req.params.version, req.body);
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.json({
-      message: 'Data imported successfully!',
-      count: countries.length,
-      duplicatesSkipped: duplicates
+adminRouter.post('/datasets/:version/publish', async (req, res) => {
+  try {
+    if (!requireDatabase(res, 'Dataset storage is unavailable')) return;
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ error: 'Send the dataset CSV as a text/csv request body' });
+    }
+
+    const { validation, ...report } = await dryRunDatasetUpload(req.params.version, req.body);
+    if (!report.valid) {
+      return res.status(422).json(report);
+    }
+
+    const dataset = await publishDataset(req.params.version, validation.countries, validation.indicators, {
+      source: sanitizeText(req.query.source) || 'admin upload',
+      changedBy: getAdminUser(req)
     });
+
+    res.status(201).json({ ...report, published: dataset.toSummary() });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
-app.get('/debug-env', (req, res) => {
-  res.json({
-    hasMongoURL: !!process.env.MongoURL,
-    hasMongoDBURI: !!process.env.MONGODB_URI,
-    hasMongoDB_URI: !!process.env.MongoDB_URI,
-    hasMonogdbURI: !!process.env.Monogdb_URI,
-    hasMONGO_URL: !!process.env.MONGO_URL,
-    hasMongo_URL: !!process.env.Mongo_URL,
-    nodeEnv: process.env.NODE_ENV,
-    port: PORT,
-    // Show first part of connection string (hide credentials)
-    connectionString: mongoUri ? mongoUri.substring(0, 20) + '...' : 'none'
-  });
+
+adminRouter.post('/datasets/:version/rollback', async (req, res) => {
+  try {
+    if (!requireDatabase(res, 'Dataset storage is unavailable')) return;
+
+    const dataset = await rollbackDataset(req.params.version, { changedBy: getAdminUser(req) });
+    res.json(dataset.toSummary());
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
 });
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+// Correct individual fields of a live country record: { changes: { field: value }, source }
+adminRouter.patch('/datasets/:version/countries/:isoCode', async (req, res) => {
+  try {
+    if (!requireDatabase(res, 'Dataset storage is unavailable')) return;
+
+    const isoCode = sanitizeIsoCode(req.params.isoCode);
+    const country = await editCountry(req.params.version, isoCode, req.body?.changes, {
+      changedBy: getAdminUser(req),
+      source: sanitizeText(req.body?.source) || null
+    });
+    res.json(country);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.use('/api/admin', adminRouter);
+
+loadIsoCrosswalk()
+  .then(crosswalk => {
+    isoCrosswalk = crosswalk;
+  })
+  .catch(error => {
+    console.error('Failed to load ISO crosswalk; only alpha-3 country codes will be recognised:', error.message);
+  })
+  .finally(() => {
+    app.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+    });
+  });
\ No newline at end of file
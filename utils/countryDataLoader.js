@@ -1,72 +1,364 @@
 const fs = require('fs');
 const path = require('path');
+const csv = require('csv-parser');
 
-const DEFAULT_COUNTRY_FILE = path.join(__dirname, '..', 'public', 'countries.txt');
-const EXPECTED_COLUMN_COUNT = 7;
+// Each dataset version lives in its own file: public/datasets/countries-<version>.txt
+const DATASETS_DIR = path.join(__dirname, '..', 'public', 'datasets');
+const DATASET_FILE_PATTERN = /^countries-([A-Za-z0-9._-]+)\.txt$/;
 
-function stripWrappingQuotes(value) {
-  if (typeof value !== 'string') {
-    return value;
+// Labels, sources and default weights for known indicator columns. Any other column
+// after Country and ISO code becomes a custom indicator with a generated key.
+const INDICATOR_METADATA_FILE = path.join(DATASETS_DIR, 'indicators.json');
+const DEFAULT_INDICATOR_WEIGHT = 20;
+
+// Accepted header names for the country name, ISO code and known indicator columns
+const COLUMN_MAPPING_FILE = path.join(DATASETS_DIR, 'column-mapping.json');
+
+// Sector catalogue and per-country sector multipliers applied on top of index scores
+const SECTOR_MODIFIERS_FILE = path.join(DATASETS_DIR, 'sectors.json');
+
+// Region of each country, used to impute missing index scores from regional medians
+const REGIONS_FILE = path.join(DATASETS_DIR, 'regions.json');
+
+// Admin-1 regions (states/provinces) that inherit their country's index scores
+const SUBNATIONAL_FILE = path.join(DATASETS_DIR, 'subnational.json');
+const SUBNATIONAL_CODE_PATTERN = /^[A-Z]{2}-[A-Z0-9]{1,3}$/;
+
+// Fields the Country model, the API's country records and region records already use;
+// an indicator key may never take one of these names.
+const RESERVED_FIELDS = [
+  '_id', '__v', 'name', 'isoCode', 'datasetVersion', 'revision', 'region',
+  'regionName', 'regionType', 'parentIsoCode', 'parentName', 'location', 'overrides'
+];
+
+// Blank or non-numeric cells mean the index has no score for the country: keep them as null
+// so they are not confused with a genuine score of 0. The whole cell must be a number, so
+// "12abc" is rejected (and reported) rather than read as 12.
+function toNumber(value) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
   }
-  return value.replace(/\u0000/g, '').replace(/^"|"$/g, '');
+  const parsed = Number(String(value).trim());
+  return Number.isFinite(parsed) ? parsed : null;
 }
 
-function toNumber(value) {
-  const parsed = parseFloat(value);
-  return Number.isNaN(parsed) ? 0 : parsed;
+function normalizeColumnName(value) {
+  return String(value || '').replace(/^\uFEFF/, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// "Child_Labour_Index" -> "childLabourIndex"
+function toIndicatorKey(column) {
+  const words = String(column || '').replace(/^\uFEFF/, '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+  return words
+    .map((word, index) => {
+      const lower = word.toLowerCase();
+      return index === 0 ? lower : lower.charAt(0).toUpperCase() + lower.slice(1);
+    })
+    .join('');
+}
+
+function loadIndicatorMetadata(filePath = INDICATOR_METADATA_FILE) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return Array.isArray(parsed?.indicators) ? parsed.indicators : [];
+}
+
+// { field: [header, ...] } from the column mapping file
+function loadColumnMapping(filePath = COLUMN_MAPPING_FILE) {
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const mapping = {};
+  Object.entries(parsed?.columns && typeof parsed.columns === 'object' ? parsed.columns : {})
+    .forEach(([field, headers]) => {
+      if (Array.isArray(headers)) {
+        mapping[field] = headers.filter(header => typeof header === 'string' && header.trim());
+      }
+    });
+  return mapping;
+}
+
+function loadSectorModifiers(filePath = SECTOR_MODIFIERS_FILE) {
+  if (!fs.existsSync(filePath)) {
+    return { sectors: [], modifiers: {} };
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const modifiers = {};
+
+  Object.entries(parsed?.modifiers && typeof parsed.modifiers === 'object' ? parsed.modifiers : {})
+    .forEach(([isoCode, bySector]) => {
+      if (bySector && typeof bySector === 'object') {
+        modifiers[isoCode.trim().toUpperCase()] = bySector;
+      }
+    });
+
+  return {
+    sectors: Array.isArray(parsed?.sectors) ? parsed.sectors : [],
+    modifiers
+  };
+}
+
+// { ISO: region } from the regions file's { region: [ISO, ...] } lists
+function loadCountryRegions(filePath = REGIONS_FILE) {
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const regions = {};
+  Object.entries(parsed?.regions && typeof parsed.regions === 'object' ? parsed.regions : {})
+    .forEach(([region, isoCodes]) => {
+      (Array.isArray(isoCodes) ? isoCodes : []).forEach(isoCode => {
+        if (typeof isoCode === 'string' && isoCode.trim()) {
+          regions[isoCode.trim().toUpperCase()] = region;
+        }
+      });
+    });
+  return regions;
+}
+
+function matchesColumn(column, names) {
+  const normalized = normalizeColumnName(column);
+  return names.some(name => normalizeColumnName(name) === normalized);
+}
+
+// Admin-1 region definitions: [{ code, country, name, type, location, overrides }]
+function loadSubnationalRegions(filePath = SUBNATIONAL_FILE) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return (Array.isArray(parsed?.regions) ? parsed.regions : [])
+    .map(entry => ({
+      code: String(entry?.code || '').trim().toUpperCase(),
+      country: String(entry?.country || '').trim().toUpperCase(),
+      name: String(entry?.name || '').trim(),
+      type: entry?.type || 'Region',
+      location: Array.isArray(entry?.location) && entry.location.length === 2 && entry.location.every(Number.isFinite)
+        ? entry.location
+        : null,
+      overrides: entry?.overrides && typeof entry.overrides === 'object' ? entry.overrides : {}
+    }))
+    .filter(entry => SUBNATIONAL_CODE_PATTERN.test(entry.code) && entry.country && entry.name);
+}
+
+function describeIndicator(column, metadata, mapping) {
+  const known = metadata.find(entry => matchesColumn(column, [
+    entry.column,
+    ...(Array.isArray(entry.aliases) ? entry.aliases : []),
+    ...(mapping[entry.key] || [])
+  ]));
+
+  if (known) {
+    const defaultWeight = Number(known.defaultWeight);
+    return {
+      ...known,
+      column,
+      defaultWeight: Number.isFinite(defaultWeight) && defaultWeight >= 0 ? defaultWeight : DEFAULT_INDICATOR_WEIGHT,
+      custom: false
+    };
+  }
+
+  const label = column.replace(/^\uFEFF/, '').replace(/_/g, ' ').trim();
+  return {
+    key: toIndicatorKey(column),
+    column,
+    label,
+    shortLabel: label,
+    description: '',
+    defaultWeight: DEFAULT_INDICATOR_WEIGHT,
+    custom: true,
+    provenance: null
+  };
+}
+
+// Locate the country name and ISO code columns by header and build the ordered indicator
+// list from every other column
+function resolveColumns(headers, metadata = loadIndicatorMetadata(), mapping = loadColumnMapping()) {
+  const findColumn = (field, fallbackNames) => {
+    const names = mapping[field] && mapping[field].length > 0 ? mapping[field] : fallbackNames;
+    const index = headers.findIndex(header => matchesColumn(header, names));
+    if (index === -1) {
+      throw new Error(`Country data header has no ${field} column (expected one of: ${names.join(', ')})`);
+    }
+    return { index, column: headers[index] };
+  };
+
+  const nameColumn = findColumn('name', ['Country']);
+  const isoColumn = findColumn('isoCode', ['ISO_Code']);
+  const indicatorColumns = headers.filter((header, index) => (
+    index !== nameColumn.index && index !== isoColumn.index && header
+  ));
+  if (indicatorColumns.length === 0) {
+    throw new Error('Country data header must contain Country, ISO code and at least one indicator column');
+  }
+
+  const indicators = indicatorColumns.map(column => describeIndicator(column, metadata, mapping));
+  const seenKeys = new Set();
+  indicators.forEach(indicator => {
+    if (!indicator.key) {
+      throw new Error(`Indicator column "${indicator.column}" cannot be used as an indicator name`);
+    }
+    if (RESERVED_FIELDS.includes(indicator.key)) {
+      throw new Error(`Indicator column "${indicator.column}" would overwrite the reserved country field "${indicator.key}"`);
+    }
+    if (seenKeys.has(indicator.key)) {
+      throw new Error(`Indicator column "${indicator.column}" duplicates another column`);
+    }
+    seenKeys.add(indicator.key);
+  });
+
+  return { nameColumn: nameColumn.column, isoColumn: isoColumn.column, indicators };
 }
 
-function loadCountriesFromFile(filePath = DEFAULT_COUNTRY_FILE) {
+function listDatasetFiles(directory = DATASETS_DIR) {
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+
+  return fs.readdirSync(directory)
+    .map(fileName => {
+      const match = fileName.match(DATASET_FILE_PATTERN);
+      return match ? { version: match[1], filePath: path.join(directory, fileName) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }));
+}
+
+// DEFAULT_DATASET_VERSION pins the version served when none is requested; otherwise the latest file wins
+function getDefaultDatasetVersion(datasets = listDatasetFiles()) {
+  const configured = process.env.DEFAULT_DATASET_VERSION;
+  if (configured && datasets.some(dataset => dataset.version === configured)) {
+    return configured;
+  }
+  return datasets.length > 0 ? datasets[datasets.length - 1].version : null;
+}
+
+function getDatasetFilePath(version) {
+  const dataset = listDatasetFiles().find(entry => entry.version === version);
+  if (!dataset) {
+    throw new Error(`Country dataset ${version} not found in ${DATASETS_DIR}`);
+  }
+  return dataset.filePath;
+}
+
+async function loadCountriesFromFile(filePath = getDatasetFilePath(getDefaultDatasetVersion())) {
   if (!fs.existsSync(filePath)) {
     throw new Error(`Country data file not found at ${filePath}`);
   }
 
-  const rawContent = fs.readFileSync(filePath, 'utf8');
-  const lines = rawContent
-    .split(/\r?\n/)
-    .map(line => line.trim())
-    .filter(line => line.length > 0);
+  return parseCountriesCsv(fs.readFileSync(filePath));
+}
 
-  if (lines.length === 0) {
-    throw new Error('Country data file is empty');
+// Files exported from Excel arrive as UTF-8 with a BOM or as UTF-16; anything without a BOM
+// is read as UTF-8
+function decodeCsvContent(rawContent) {
+  if (!Buffer.isBuffer(rawContent)) {
+    return String(rawContent || '').replace(/^\uFEFF/, '');
   }
 
-    const headerLine = stripWrappingQuotes(lines[0]);
-  const headers = headerLine.split(',').map(header => header.trim());
+  if (rawContent[0] === 0xFF && rawContent[1] === 0xFE) {
+    return rawContent.toString('utf16le', 2);
+  }
+  if (rawContent[0] === 0xFE && rawContent[1] === 0xFF) {
+    const swapped = Buffer.from(rawContent.subarray(2));
+    swapped.swap16();
+    return swapped.toString('utf16le');
+  }
+  return rawContent.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+// Tab-separated when the header row has more tabs than commas
+function detectSeparator(text) {
+  const headerLine = text.split(/\r?\n/, 1)[0] || '';
+  const tabs = (headerLine.match(/\t/g) || []).length;
+  const commas = (headerLine.match(/,/g) || []).length;
+  return tabs > commas ? '\t' : ',';
+}
+
+function readCsvRows(buffer, separator) {
+  return new Promise((resolve, reject) => {
+    let headers = [];
+    const rows = [];
+    const parser = csv({
+      separator,
+      outputByteOffset: true,
+      mapHeaders: ({ header }) => header.trim(),
+      mapValues: ({ value }) => value.trim()
+    });
 
-  if (headers.length !== EXPECTED_COLUMN_COUNT) {
-    throw new Error(`Unexpected number of columns in header. Expected ${EXPECTED_COLUMN_COUNT}, received ${headers.length}`);
+    parser.on('headers', parsedHeaders => {
+      headers = parsedHeaders;
+    });
+    parser.on('data', entry => rows.push(entry));
+    parser.on('error', reject);
+    parser.on('end', () => resolve({ headers, rows }));
+    parser.end(buffer);
+  });
+}
+
+// Parse dataset CSV or TSV content (a file's contents or an admin upload) into countries and
+// indicators. Only an unusable header throws; a bad row is skipped and reported in `rowErrors`
+// with its line number, and a non-numeric score is reported and kept as missing.
+async function parseCountriesCsv(rawContent) {
+  const text = decodeCsvContent(rawContent);
+  if (!text.trim()) {
+    throw new Error('Country data file is empty');
   }
 
-  const countriesByIso = new Map();
-  const duplicates = [];
+  const buffer = Buffer.from(text, 'utf8');
+  const { headers, rows } = await readCsvRows(buffer, detectSeparator(text));
+  const { nameColumn, isoColumn, indicators } = resolveColumns(headers);
 
-  for (let i = 1; i < lines.length; i += 1) {
-    const sanitizedLine = stripWrappingQuotes(lines[i]).trim();
-    if (!sanitizedLine) {
-      continue;
+  // Rows are reported by the line they start on; quoted cells may span lines
+  const lineStarts = [0];
+  buffer.forEach((byte, offset) => {
+    if (byte === 0x0A) lineStarts.push(offset + 1);
+  });
+  const lineAt = byteOffset => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= byteOffset) low = mid;
+      else high = mid - 1;
     }
+    return low + 1;
+  };
 
-     const values = sanitizedLine.split(',').map(value => stripWrappingQuotes(value).trim());
+  const countriesByIso = new Map();
+  const duplicates = [];
+  const rowErrors = [];
 
-    if (values.length !== EXPECTED_COLUMN_COUNT) {
-      throw new Error(
-        `Unexpected number of columns on line ${i + 1}. Expected ${EXPECTED_COLUMN_COUNT}, received ${values.length}`
-      );
+  rows.forEach(({ row, byteOffset }) => {
+    const values = Object.values(row);
+    if (values.every(value => value === '')) {
+      return;
     }
 
-    const [
-      name,
-      isoCode,
-      itucRightsRating,
-      corruptionIndex,
-      freedomRating,
-      wjpIndex,
-      walkfreeSlaveryIndex
-    ] = values;
+    const line = lineAt(byteOffset);
+    const cellCount = values.length;
+    if (cellCount !== headers.length) {
+      rowErrors.push({
+        line,
+        message: `Expected ${headers.length} columns, found ${cellCount}`,
+        skipped: true
+      });
+      return;
+    }
 
+    const name = row[nameColumn];
+    const isoCode = String(row[isoColumn] || '').toUpperCase();
     if (!isoCode) {
-      throw new Error(`Missing ISO code on line ${i + 1}`);
+      rowErrors.push({ line, message: `Missing ISO code${name ? ` for ${name}` : ''}`, skipped: true });
+      return;
     }
 
     if (countriesByIso.has(isoCode)) {
@@ -77,23 +369,53 @@ function loadCountriesFromFile(filePath = DEFAULT_COUNTRY_FILE) {
       });
     }
 
-    countriesByIso.set(isoCode, {
-      name,
-      isoCode,
-      itucRightsRating: toNumber(itucRightsRating),
-      corruptionIndex: toNumber(corruptionIndex),
-      freedomRating: toNumber(freedomRating),
-      wjpIndex: toNumber(wjpIndex),
-      walkfreeSlaveryIndex: toNumber(walkfreeSlaveryIndex)
+    const record = { name, isoCode };
+    indicators.forEach(indicator => {
+      const value = row[indicator.column];
+      record[indicator.key] = toNumber(value);
+      if (record[indicator.key] === null && String(value ?? '').trim() !== '') {
+        rowErrors.push({
+          line,
+          isoCode,
+          column: indicator.column,
+          message: `${indicator.column} value "${value}" is not a number and is treated as missing`,
+          skipped: false
+        });
+      }
     });
-  }
+    countriesByIso.set(isoCode, record);
+  });
 
   return {
     countries: Array.from(countriesByIso.values()),
-    duplicates
+    duplicates,
+    indicators,
+    rowErrors
   };
 }
 
+async function loadDataset(version) {
+  return {
+    version,
+    ...(await loadCountriesFromFile(getDatasetFilePath(version)))
+  };
+}
+
+async function loadAllDatasets() {
+  return Promise.all(listDatasetFiles().map(({ version }) => loadDataset(version)));
+}
+
 module.exports = {
-  loadCountriesFromFile
+  loadCountriesFromFile,
+  parseCountriesCsv,
+  loadIndicatorMetadata,
+  loadColumnMapping,
+  loadSectorModifiers,
+  loadCountryRegions,
+  loadSubnationalRegions,
+  listDatasetFiles,
+  getDefaultDatasetVersion,
+  loadDataset,
+  loadAllDatasets,
+  RESERVED_FIELDS
 };
\ No newline at end of file
@@ -0,0 +1,274 @@
+const Country = require('../models/Country');
+const CountryAudit = require('../models/CountryAudit');
+const Dataset = require('../models/Dataset');
+const { parseCountriesCsv, RESERVED_FIELDS } = require('./countryDataLoader');
+
+const VERSION_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+function isValidDatasetVersion(version) {
+  return typeof version === 'string' && VERSION_PATTERN.test(version);
+}
+
+// Parse an uploaded CSV with the same checks as the bundled dataset files, plus range warnings.
+// Never throws: problems come back in `errors` so a dry run can report them. Rows the parser
+// had to skip are errors, since publishing would silently drop those countries.
+async function validateDatasetCsv(csvText) {
+  let parsed;
+  try {
+    parsed = await parseCountriesCsv(csvText);
+  } catch (error) {
+    return { valid: false, errors: [error.message], warnings: [], countries: [], indicators: [], duplicates: [], rowErrors: [] };
+  }
+
+  const { countries, indicators, duplicates, rowErrors } = parsed;
+  const errors = [];
+  const warnings = [];
+
+  rowErrors.forEach(rowError => {
+    (rowError.skipped ? errors : warnings).push(`Line ${rowError.line}: ${rowError.message}`);
+  });
+
+  if (countries.length === 0) {
+    errors.push('The file contains no country rows');
+  }
+  countries.forEach(country => {
+    if (!/^[A-Z]{3}$/.test(country.isoCode)) {
+      errors.push(`${country.name || country.isoCode}: ISO code "${country.isoCode}" is not a three-letter code`);
+    }
+    indicators.forEach(indicator => {
+      const value = country[indicator.key];
+      if (value !== null && (value < 0 || value > 100)) {
+        warnings.push(`${country.isoCode}: ${indicator.column} is ${value}, outside 0–100`);
+      }
+    });
+  });
+  duplicates.forEach(duplicate => {
+    warnings.push(`${duplicate.isoCode} appears more than once; "${duplicate.with}" replaces "${duplicate.replaced}"`);
+  });
+
+  return { valid: errors.length === 0, errors, warnings, countries, indicators, duplicates, rowErrors };
+}
+
+// Audit the switch from one live revision to another. The data change has already happened,
+// so a failure here is reported but does not undo it.
+async function auditRevisionChange(version, fromRevision, toRevision, fields, details) {
+  try {
+    const [before, after] = await Promise.all([
+      fromRevision === null ? [] : Country.find(Country.revisionFilter(version, fromRevision)).lean(),
+      Country.find(Country.revisionFilter(version, toRevision)).lean()
+    ]);
+    await CountryAudit.recordChanges({ datasetVersion: version, before, after, fields, revision: toRevision, ...details });
+  } catch (error) {
+    console.error(`Failed to write audit entries for dataset ${version}:`, error);
+  }
+}
+
+function indicatorKeys(...indicatorLists) {
+  return [...new Set(indicatorLists.flat().filter(Boolean).map(indicator => indicator.key))];
+}
+
+// Country-level and score-level differences between the live data and an upload
+function diffDatasets(currentCountries, nextCountries, currentIndicators, nextIndicators) {
+  const current = new Map(currentCountries.map(country => [country.isoCode, country]));
+  const next = new Map(nextCountries.map(country => [country.isoCode, country]));
+  const currentKeys = currentIndicators.map(indicator => indicator.key);
+  const nextKeys = nextIndicators.map(indicator => indicator.key);
+  const sharedKeys = nextKeys.filter(key => currentKeys.includes(key));
+
+  const changed = [];
+  let unchanged = 0;
+  next.forEach((country, isoCode) => {
+    const existing = current.get(isoCode);
+    if (!existing) return;
+
+    const fields = sharedKeys
+      .filter(key => (existing[key] ?? null) !== (country[key] ?? null))
+      .map(key => ({ key, current: existing[key] ?? null, next: country[key] ?? null }));
+    if (existing.name !== country.name) {
+      fields.unshift({ key: 'name', current: existing.name, next: country.name });
+    }
+
+    if (fields.length > 0) {
+      changed.push({ isoCode, name: country.name, fields });
+    } else {
+      unchanged += 1;
+    }
+  });
+
+  return {
+    added: [...next.keys()].filter(isoCode => !current.has(isoCode)),
+    removed: [...current.keys()].filter(isoCode => !next.has(isoCode)),
+    changed,
+    unchanged,
+    indicatorsAdded: nextKeys.filter(key => !currentKeys.includes(key)),
+    indicatorsRemoved: currentKeys.filter(key => !nextKeys.includes(key))
+  };
+}
+
+// Stage the countries as a new revision, then make it live with one conditional update on the
+// Dataset document. Readers see either the old or the new revision, never a mix. If another
+// publish or rollback got in first, the staged revision is discarded.
+async function publishDataset(version, countries, indicators, { source = null, changedBy = null } = {}) {
+  const existing = await Dataset.findOne({ version });
+  const liveRevision = existing ? existing.activeRevision : 0;
+  const liveCount = await Country.countDocuments(Country.revisionFilter(version, liveRevision));
+  const knownRevisions = [liveRevision, ...(existing ? existing.revisions.map(item => item.revision) : [])];
+  const revision = Math.max(...knownRevisions) + 1;
+
+  await Country.insertRevision(version, revision, countries);
+
+  const entry = { revision, indicators, countryCount: countries.length, source, publishedAt: new Date() };
+  const keptEntries = liveCount > 0
+    ? (existing ? existing.revisions : []).filter(item => item.revision === liveRevision)
+    : [];
+  if (liveCount > 0 && keptEntries.length === 0) {
+    // Data imported before revision history existed; record what is known so it can be restored
+    keptEntries.push({
+      revision: liveRevision,
+      indicators: existing ? existing.indicators : [],
+      countryCount: liveCount,
+      source: null,
+      publishedAt: existing ? existing.importedAt : null
+    });
+  }
+
+  const update = {
+    version,
+    indicators,
+    activeRevision: revision,
+    previousRevision: liveCount > 0 ? liveRevision : null,
+    revisions: [...keptEntries, entry],
+    importedAt: entry.publishedAt
+  };
+
+  let dataset;
+  try {
+    dataset = existing
+      ? await Dataset.findOneAndUpdate({ version, activeRevision: liveRevision }, update, { new: true })
+      : await Dataset.create(update);
+  } catch (error) {
+    await Country.deleteMany({ datasetVersion: version, revision });
+    throw error;
+  }
+
+  if (!dataset) {
+    await Country.deleteMany({ datasetVersion: version, revision });
+    throw new Error(`Dataset ${version} changed while publishing; please retry`);
+  }
+
+  await auditRevisionChange(
+    version,
+    liveCount > 0 ? liveRevision : null,
+    revision,
+    indicatorKeys(existing ? existing.indicators : [], indicators),
+    { action: 'import', changedBy, source }
+  );
+  await Country.pruneRevisions(version, liveCount > 0 ? [revision, liveRevision] : [revision]);
+  return dataset;
+}
+
+// Swap the live and previous revisions. Calling it again restores the rolled-back revision.
+async function rollbackDataset(version, { changedBy = null } = {}) {
+  const existing = await Dataset.findOne({ version });
+  if (!existing) {
+    throw Object.assign(new Error(`Dataset ${version} not found`), { status: 404 });
+  }
+  if (existing.previousRevision === null) {
+    throw Object.assign(new Error(`Dataset ${version} has no previous revision to roll back to`), { status: 409 });
+  }
+
+  const target = existing.previousRevision;
+  const available = await Country.countDocuments(Country.revisionFilter(version, target));
+  if (available === 0) {
+    throw Object.assign(new Error(`Revision ${target} of dataset ${version} is no longer stored`), { status: 409 });
+  }
+
+  const targetEntry = existing.revisions.find(entry => entry.revision === target);
+  const dataset = await Dataset.findOneAndUpdate(
+    { version, activeRevision: existing.activeRevision },
+    {
+      activeRevision: target,
+      previousRevision: existing.activeRevision,
+      indicators: targetEntry ? targetEntry.indicators : existing.indicators,
+      importedAt: new Date()
+    },
+    { new: true }
+  );
+
+  if (!dataset) {
+    throw Object.assign(new Error(`Dataset ${version} changed during rollback; please retry`), { status: 409 });
+  }
+
+  await auditRevisionChange(
+    version,
+    existing.activeRevision,
+    target,
+    indicatorKeys(existing.indicators, dataset.indicators),
+    { action: 'rollback', changedBy, source: `rollback from revision ${existing.activeRevision}` }
+  );
+  return dataset;
+}
+
+// Edit fields of one country in the live revision and audit each change. `changes` maps
+// indicator keys (or 'name') to new values; scores must be numbers or null. Structural fields
+// are never editable, and neither is anything else when the dataset lists no indicators.
+async function editCountry(version, isoCode, changes, { changedBy = null, source = null } = {}) {
+  const dataset = await Dataset.findOne({ version }).lean();
+  const liveRevision = dataset ? dataset.activeRevision : 0;
+  const keys = (dataset ? dataset.indicators : []).map(indicator => indicator.key);
+  const filter = { ...Country.revisionFilter(version, liveRevision), isoCode };
+
+  const update = {};
+  Object.entries(changes && typeof changes === 'object' ? changes : {}).forEach(([field, value]) => {
+    if (field === 'name') {
+      if (typeof value !== 'string' || !value.trim()) {
+        throw Object.assign(new Error('name must be a non-empty string'), { status: 400 });
+      }
+      update.name = value.trim();
+      return;
+    }
+    if (RESERVED_FIELDS.includes(field)) {
+      throw Object.assign(new Error(`${field} cannot be edited`), { status: 400 });
+    }
+    if (keys.length === 0) {
+      throw Object.assign(new Error(`Dataset ${version} has no indicators to edit`), { status: 400 });
+    }
+    if (!keys.includes(field)) {
+      throw Object.assign(new Error(`${field} is not an indicator of dataset ${version}`), { status: 400 });
+    }
+    if (value !== null && !Number.isFinite(value)) {
+      throw Object.assign(new Error(`${field} must be a number or null`), { status: 400 });
+    }
+    update[field] = value;
+  });
+  if (Object.keys(update).length === 0) {
+    throw Object.assign(new Error('No changes supplied'), { status: 400 });
+  }
+
+  const before = await Country.findOneAndUpdate(filter, { $set: update }, { new: false }).lean();
+  if (!before) {
+    throw Object.assign(new Error(`Country ${isoCode} not found in dataset ${version}`), { status: 404 });
+  }
+
+  const after = { ...before, ...update };
+  await CountryAudit.recordChanges({
+    datasetVersion: version,
+    before: [before],
+    after: [after],
+    fields: Object.keys(update).filter(field => field !== 'name'),
+    action: 'edit',
+    revision: liveRevision,
+    changedBy,
+    source
+  });
+  return after;
+}
+
+module.exports = {
+  isValidDatasetVersion,
+  validateDatasetCsv,
+  diffDatasets,
+  publishDataset,
+  rollbackDataset,
+  editCountry
+};
@@ -0,0 +1,29 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// Country code crosswalk shared with the browser; like the risk engine it is an ES module,
+// loaded once through dynamic import and cached.
+const ISO_CROSSWALK_FILE = path.join(__dirname, '..', 'public', 'components', 'IsoCrosswalk.js');
+
+let isoCrosswalkPromise = null;
+
+function loadIsoCrosswalk() {
+  if (!isoCrosswalkPromise) {
+    isoCrosswalkPromise = import(pathToFileURL(ISO_CROSSWALK_FILE).href)
+      .then(module => {
+        if (!module || !module.isoCrosswalk) {
+          throw new Error(`isoCrosswalk export not found in ${ISO_CROSSWALK_FILE}`);
+        }
+        return module.isoCrosswalk;
+      })
+      .catch(error => {
+        isoCrosswalkPromise = null;
+        throw error;
+      });
+  }
+  return isoCrosswalkPromise;
+}
+
+module.exports = {
+  loadIsoCrosswalk
+};
@@ -0,0 +1,32 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { loadSectorModifiers } = require('./countryDataLoader');
+
+// The browser bundle is the single source of truth for risk calculations.
+// It is an ES module, so it is loaded once through dynamic import and cached.
+const RISK_ENGINE_FILE = path.join(__dirname, '..', 'public', 'components', 'RiskEngine.js');
+
+let riskEnginePromise = null;
+
+function loadRiskEngine() {
+  if (!riskEnginePromise) {
+    riskEnginePromise = import(pathToFileURL(RISK_ENGINE_FILE).href)
+      .then(module => {
+        if (!module || !module.riskEngine) {
+          throw new Error(`RiskEngine export not found in ${RISK_ENGINE_FILE}`);
+        }
+        // Sector multipliers are server-side data; the browser fetches them via /api/sectors
+        module.riskEngine.setSectorModifiers(loadSectorModifiers());
+        return module.riskEngine;
+      })
+      .catch(error => {
+        riskEnginePromise = null;
+        throw error;
+      });
+  }
+  return riskEnginePromise;
+}
+
+module.exports = {
+  loadRiskEngine
+};